@@ -0,0 +1,30 @@
+// app.js
+// Ứng dụng Express (middleware, route, xử lý lỗi); server.js kết nối DB và lắng nghe cổng, test dùng trực tiếp app
+const express = require("express");
+const app = express();
+
+const routes = require("./routes");
+const { notFound, errorHandler } = require("./middleware/errorMiddleware");
+const { localeMiddleware } = require("./middleware/localeMiddleware");
+const cors = require("cors");
+const { stripSensitiveKeys } = require("./serializers");
+
+// Lớp bảo vệ cuối: hash mật khẩu / token không lọt ra phản hồi dù controller quên serialize
+app.set("json replacer", stripSensitiveKeys);
+app.use(cors()); // Enable CORS for all routes
+app.use(localeMiddleware); // Chọn ngôn ngữ thông báo theo Accept-Language
+app.use(express.urlencoded({ extended: true })); // Middleware to parse URL-encoded bodies
+app.use(express.json({
+  // Giữ nguyên body gốc để lưu log webhook thanh toán
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  },
+})); // Middleware to parse JSON bodies
+
+app.use("/api/v1", routes);
+app.use("/api", routes); // Alias without version for clients still calling /api/...
+
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
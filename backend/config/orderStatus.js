@@ -0,0 +1,29 @@
+// Trạng thái dùng chung cho Order, SellerOrder và OrderItem
+const ORDER_STATUSES = [
+  "pending", // chờ thanh toán / chờ người bán nhận đơn (COD)
+  "paid", // đã thanh toán online
+  "processing", // người bán đang chuẩn bị hàng
+  "shipping",
+  "delivered",
+  "completed",
+  "cancelled",
+  "returned",
+  "failed to ship",
+  "rejected", // người bán từ chối
+];
+
+// Các bước chuyển hợp lệ, mọi thay đổi trạng thái phải đi qua bảng này
+const ORDER_TRANSITIONS = {
+  pending: ["paid", "processing", "cancelled", "rejected"],
+  paid: ["processing", "cancelled", "rejected"],
+  processing: ["shipping", "cancelled", "rejected"],
+  shipping: ["delivered", "failed to ship"],
+  "failed to ship": ["shipping", "cancelled"],
+  delivered: ["completed", "returned"],
+  completed: ["returned"], // vẫn nhận trả hàng sau khi người mua xác nhận
+  cancelled: [],
+  returned: [],
+  rejected: [],
+};
+
+module.exports = { ORDER_STATUSES, ORDER_TRANSITIONS };
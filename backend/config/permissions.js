@@ -0,0 +1,97 @@
+// Quyền chi tiết cho các chức năng quản trị. Admin có mọi quyền; nhân viên (staffRoles) có quyền theo vai trò được gán.
+const PERMISSIONS = [
+  "users:read",
+  "users:update",
+  "users:lock",
+  "users:delete",
+  "users:credit",
+  "stores:read",
+  "stores:update",
+  "stores:approve",
+  "products:read",
+  "products:moderate",
+  "reviews:read",
+  "reviews:moderate",
+  "refunds:read",
+  "orders:refund",
+  "payouts:read",
+  "payouts:manage",
+  "commissions:manage",
+  "reports:read",
+  "reconciliation:read",
+  "reconciliation:manage",
+  "vouchers:manage",
+  "roles:manage", // chỉ admin, không gán được cho vai trò nhân viên
+];
+
+// Vai trò nhân viên có thể gán cho tài khoản (không thay đổi role buyer/seller của tài khoản)
+const STAFF_ROLES = {
+  support: {
+    label: "Chăm sóc khách hàng",
+    permissions: ["users:read", "users:lock", "stores:read", "products:read", "reviews:read", "refunds:read", "orders:refund"],
+  },
+  finance: {
+    label: "Tài chính",
+    permissions: [
+      "users:read",
+      "users:credit",
+      "stores:read",
+      "refunds:read",
+      "orders:refund",
+      "payouts:read",
+      "payouts:manage",
+      "commissions:manage",
+      "reports:read",
+      "reconciliation:read",
+      "reconciliation:manage",
+    ],
+  },
+  moderator: {
+    label: "Kiểm duyệt",
+    permissions: [
+      "users:read",
+      "users:lock",
+      "stores:read",
+      "stores:approve",
+      "products:read",
+      "products:moderate",
+      "reviews:read",
+      "reviews:moderate",
+    ],
+  },
+  marketing: {
+    label: "Marketing",
+    permissions: ["vouchers:manage", "products:read", "reports:read"],
+  },
+};
+
+// Vai trò nhân viên cửa hàng do chủ cửa hàng gán (chủ cửa hàng có mọi vai trò)
+const STORE_ROLES = {
+  inventory: { label: "Sản phẩm và tồn kho" },
+  fulfilment: { label: "Xử lý đơn và vận chuyển" },
+  customer_service: { label: "Chăm sóc khách hàng" },
+  finance: { label: "Tài chính" },
+};
+
+/**
+ * Danh sách quyền của một tài khoản
+ * @param {Object} user - Cần role và staffRoles
+ * @returns {Array<String>}
+ */
+const permissionsFor = (user) => {
+  if (!user) return [];
+  if (user.role === "admin") return [...PERMISSIONS];
+  const granted = new Set();
+  (user.staffRoles || []).forEach((name) => {
+    const staffRole = STAFF_ROLES[name];
+    if (staffRole) staffRole.permissions.forEach((permission) => granted.add(permission));
+  });
+  return [...granted];
+};
+
+/**
+ * Tài khoản được vào khu vực quản trị (admin hoặc có ít nhất một vai trò nhân viên)
+ */
+const isStaff = (user) => Boolean(user) && (user.role === "admin" || (user.staffRoles || []).length > 0);
+
+module.exports = { PERMISSIONS, STAFF_ROLES, STORE_ROLES, permissionsFor, isStaff };
@@ -1,6 +1,11 @@
 // scheduler.js
 const cron = require('node-cron');
-const { verifyPendingPayments } = require('../services/paymentVerificationService');
+const { verifyPendingPayments, expireUnpaidOrders } = require('../services/paymentVerificationService');
+const { closeExpiredAuctions } = require('../services/auctionService');
+const { releaseHeldFunds } = require('../services/walletService');
+const { runReconciliation } = require('../services/reconciliationService');
+const { releaseExpiredLocks } = require('../services/accountLockService');
+const logger = require('../utils/logger');
 
 /**
  * Khởi tạo tất cả các công việc định kỳ
@@ -8,13 +13,42 @@ const { verifyPendingPayments } = require('../services/paymentVerificationServic
 const initScheduler = () => {
   // Kiểm tra các thanh toán đang chờ mỗi 5 phút
   cron.schedule('*/5 * * * *', async () => {
-    console.log('Running scheduled payment verification task...');
+    logger.info('Running scheduled payment verification task...');
     await verifyPendingPayments();
   });
+
+  // Hủy các đơn thanh toán online quá hạn mỗi phút
+  cron.schedule('* * * * *', async () => {
+    await expireUnpaidOrders();
+  });
+
+  // Đóng các phiên đấu giá đã hết giờ mỗi phút
+  cron.schedule('* * * * *', async () => {
+    await closeExpiredAuctions();
+  });
   
-  console.log('Payment verification scheduler initialized');
+  // Giải phóng doanh thu hết hạn tạm giữ sang ví người bán mỗi giờ
+  cron.schedule('0 * * * *', async () => {
+    await releaseHeldFunds();
+  });
+
+  // Đối soát thanh toán mỗi giờ (phút 30 để không trùng job ví người bán)
+  cron.schedule('30 * * * *', async () => {
+    try {
+      await runReconciliation();
+    } catch (error) {
+      logger.error('Payment reconciliation failed:', error.message);
+    }
+  });
+
+  // Mở khóa tài khoản hết thời hạn đình chỉ mỗi 5 phút
+  cron.schedule('*/5 * * * *', async () => {
+    await releaseExpiredLocks();
+  });
+
+  logger.info('Payment verification, payment expiry, reconciliation, auction, seller wallet and account lock schedulers initialized');
 };
 
 module.exports = {
   initScheduler
-}; 
\ No newline at end of file
+}; 
@@ -16,68 +16,96 @@ const {
   Payment,
   ReturnRequest,
   ShippingInfo,
+  Refund,
+  Payout,
 } = require("../models");
 const { sendEmail } = require("../utils/email");
+const { ORDER_STATUSES } = require("../config/orderStatus");
+const refundService = require("../services/refundService");
+const walletService = require("../services/walletService");
+const reconciliationService = require("../services/reconciliationService");
+const { STAFF_ROLES, PERMISSIONS, isStaff } = require("../config/permissions");
+const { toAdminUser, serializeStore } = require("../serializers");
+const sessionService = require("../services/sessionService");
+const accountLockService = require("../services/accountLockService");
+
+// Đơn đã giao tới người mua, dùng để tính doanh thu
+const DELIVERED_STATUSES = ["delivered", "completed"];
 const logger = require("../utils/logger");
 const mongoose = require("mongoose");
+const createError = require("../utils/createError");
 
-// --- Hàm Hỗ Trợ Xử Lý Lỗi (Helper Function for Error Responses) ---
-// Hàm này giúp chuẩn hóa việc xử lý và phản hồi lỗi.
-const handleError = (res, error, message = "Lỗi Máy Chủ", statusCode = 500) => {
-  logger.error(`${message}: `, error); // Ghi log lỗi chi tiết
-  // Trả về phản hồi JSON với mã trạng thái và thông báo lỗi.
-  res
-    .status(statusCode)
-    .json({ success: false, message, error: error.message });
-};
+const hasPermission = (req, permission) => (req.user.permissions || []).includes(permission);
+
+// Người thao tác trong khu vực quản trị: admin hoặc nhân viên (ghi vào lịch sử đơn / hoàn tiền)
+const staffActor = (req) => ({ userId: req.user.id, role: req.user.role === "admin" ? "admin" : "staff" });
+
+// Tài khoản admin / nhân viên chỉ được chỉnh sửa bởi người có quyền roles:manage
+const canManageAccount = (req, user) => hasPermission(req, "roles:manage") || !isStaff(user);
 
 // --- Quản Lý Người Dùng (User Management) ---
 
 /**
  * @desc Lấy tất cả người dùng với phân trang và lọc
- * @route GET /api/admin/users?page=<page>&limit=<limit>
+ * @route GET /api/admin/users?page=<page>&limit=<limit>&appealPending=true
  * @access Riêng tư (Admin)
  */
 exports.getAllUsers = async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    let query = {};
-
-    // Filter by search
-    if (req.query.search) {
-      query.$or = [
-        { username: { $regex: req.query.search, $options: "i" } },
-        { email: { $regex: req.query.search, $options: "i" } },
-      ];
-    }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  let query = {};
+
+  // Filter by search
+  if (req.query.search) {
+    query.$or = [
+      { username: { $regex: req.query.search, $options: "i" } },
+      { email: { $regex: req.query.search, $options: "i" } },
+    ];
+  }
 
-    // Filter by role
-    if (req.query.role) {
-      query.role = req.query.role;
-    }
+  // Filter by role
+  if (req.query.role) {
+    query.role = req.query.role;
+  }
 
-    // Filter by action
-    if (req.query.action) {
-      query.action = req.query.action;
-    }
+  // Filter by action
+  if (req.query.action) {
+    query.action = req.query.action;
+  }
 
-    const users = await User.find(query)
-      .select("-password")
-      .skip(skip)
-      .limit(limit);
-    const totalUsers = await User.countDocuments(query);
-
-    res.status(200).json({
-      success: true,
-      data: users,
-      totalPages: Math.ceil(totalUsers / limit),
-      currentPage: page,
-    });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi lấy danh sách người dùng");
+  // Lọc theo vai trò nhân viên (staffRole=any để lấy mọi nhân viên)
+  if (req.query.staffRole === "any") {
+    query["staffRoles.0"] = { $exists: true };
+  } else if (req.query.staffRole) {
+    query.staffRoles = req.query.staffRole;
+  }
+
+  // Tài khoản bị khóa đã gửi kháng nghị
+  if (req.query.appealPending === "true") {
+    query.action = "lock";
+    query["lockAppeal.submittedAt"] = { $exists: true };
   }
+
+  // Filter by email verification (tài khoản cũ không có trường này được coi là đã xác minh)
+  if (req.query.emailVerified === "true") {
+    query.emailVerified = { $ne: false };
+  } else if (req.query.emailVerified === "false") {
+    query.emailVerified = false;
+  }
+
+  const users = await User.find(query)
+    .select("-password")
+    .skip(skip)
+    .limit(limit);
+  const totalUsers = await User.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: users.map(toAdminUser),
+    totalPages: Math.ceil(totalUsers / limit),
+    currentPage: page,
+  });
 };
 
 /**
@@ -86,17 +114,11 @@ exports.getAllUsers = async (req, res) => {
  * @access Riêng tư (Admin)
  */
 exports.getUserDetails = async (req, res) => {
-  try {
-    const user = await User.findById(req.params.userId).select("-password");
-    if (!user) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Người dùng không tồn tại" });
-    }
-    res.status(200).json({ success: true, data: user });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi lấy chi tiết người dùng");
+  const user = await User.findById(req.params.userId).select("-password");
+  if (!user) {
+    throw createError(404, "USER_NOT_FOUND");
   }
+  res.status(200).json({ success: true, data: toAdminUser(user) });
 };
 /**
  * @desc Xóa một người dùng bởi Admin
@@ -105,91 +127,159 @@ exports.getUserDetails = async (req, res) => {
  */
 exports.deleteUserByAdmin = async (req, res) => {
   const { userId } = req.params;
-  try {
-    const user = await User.findById(userId);
-    if (!user) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Người dùng không tồn tại" });
-    }
-    await User.findByIdAndDelete(userId);
-    res
-      .status(200)
-      .json({ success: true, message: "Xóa người dùng thành công" });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi xóa người dùng");
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createError(404, "USER_NOT_FOUND");
+  }
+  if (!canManageAccount(req, user)) {
+    throw createError(403, "ADMIN_ACCOUNT_PROTECTED");
   }
+  await User.findByIdAndDelete(userId);
+  res.status(200).json({ success: true, message: req.t("messages.USER_DELETED") });
 };
 /**
- * @desc Cập nhật chi tiết người dùng (vai trò, trạng thái khóa/mở khóa) bởi Admin
+ * @desc Cập nhật chi tiết người dùng (vai trò, trạng thái khóa/mở khóa) bởi Admin.
+ * Khóa kèm lockReason và lockedUntil (ngày hết hạn) hoặc lockDays để tạm đình chỉ; bỏ trống là khóa vô thời hạn.
+ * Cần users:update (username, email), roles:manage (role) và users:lock (action).
  * @route PUT /api/admin/users/:userId
  * @access Riêng tư (Admin)
  */
 exports.updateUserByAdmin = async (req, res) => {
   const { userId } = req.params;
-  const { role, action, username, email } = req.body;
+  const { role, action, username, email, lockReason, lockedUntil, lockDays } = req.body;
 
-  try {
-    const user = await User.findById(userId);
-    if (!user) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Người dùng không tồn tại" });
-    }
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createError(404, "USER_NOT_FOUND");
+  }
 
-    const previousAction = user.action; // Lưu trạng thái trước để kiểm tra thay đổi
+  // Mỗi nhóm trường cần quyền riêng: thông tin tài khoản, vai trò, khóa / mở khóa
+  if (!canManageAccount(req, user)) {
+    throw createError(403, "ADMIN_ACCOUNT_PROTECTED");
+  }
+  const missingPermission = [
+    (username || email) && "users:update",
+    role && role !== user.role && "roles:manage",
+    action && "users:lock",
+  ].find((permission) => permission && !hasPermission(req, permission));
+  if (missingPermission) {
+    throw createError(403, "PERMISSION_DENIED", { missingPermissions: [missingPermission] });
+  }
 
-    if (username) user.username = username;
-    if (email) user.email = email;
-    if (role && ["buyer", "seller", "admin"].includes(role)) {
-      user.role = role;
-    }
-    if (action && ["lock", "unlock"].includes(action)) {
-      user.action = action;
-      // Nếu lock seller, reject store nếu tồn tại
-      if (action === "lock" && user.role === "seller") {
-        const store = await Store.findOne({ sellerId: user._id });
-        if (store) {
-          store.status = "rejected";
-          await store.save();
-          // Gửi email thông báo store bị rejected
-          await sendEmail(
-            user.email,
-            "Cửa hàng của bạn đã bị từ chối",
-            `Kính gửi ${user.username},\n\nCửa hàng của bạn (${store.storeName}) đã bị từ chối do tài khoản của bạn bị khóa. Vui lòng liên hệ hỗ trợ để biết thêm chi tiết.\n\nTrân trọng,\nShopii Team`
-          );
-        }
+  const previousAction = user.action; // Lưu trạng thái trước để kiểm tra thay đổi
+  const previousLockTerms = `${user.lockReason || ""}|${user.lockedUntil ? user.lockedUntil.getTime() : ""}`;
+
+  if (username) user.username = username;
+  if (email) user.email = email;
+  if (role && ["buyer", "seller", "admin"].includes(role)) {
+    user.role = role;
+  }
+  if (action === "lock") {
+    let until = null;
+    if (lockedUntil) {
+      until = new Date(lockedUntil);
+      if (isNaN(until.getTime())) {
+        throw createError(400, "INVALID_DATE_FIELD", { field: 'lockedUntil' });
+      }
+    } else if (lockDays) {
+      const days = Number(lockDays);
+      if (!Number.isFinite(days) || days <= 0) {
+        throw createError(400, "LOCK_DAYS_INVALID");
       }
+      until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
     }
-
-    // Gửi email nếu action thay đổi
-    if (action && action !== previousAction) {
-      const emailSubject =
-        action === "lock"
-          ? "Tài khoản của bạn đã bị khóa"
-          : "Tài khoản của bạn đã được mở khóa";
-      const emailText =
-        action === "lock"
-          ? `Kính gửi ${user.username},\n\nTài khoản của bạn đã bị khóa bởi quản trị viên. Vui lòng liên hệ hỗ trợ để biết thêm chi tiết.\n\nTrân trọng,\nShopii Team`
-          : `Kính gửi ${user.username},\n\nTài khoản của bạn đã được mở khóa. Bạn có thể tiếp tục sử dụng dịch vụ của chúng tôi.\n\nTrân trọng,\nShopii Team`;
-      await sendEmail(user.email, emailSubject, emailText);
+    accountLockService.setLock(user, { reason: lockReason, until, lockedBy: req.user.id });
+
+    // Nếu lock seller, reject store nếu tồn tại
+    if (previousAction !== "lock" && user.role === "seller") {
+      const store = await Store.findOne({ sellerId: user._id });
+      if (store) {
+        store.status = "rejected";
+        await store.save();
+        // Gửi email thông báo store bị rejected
+        await sendEmail(
+          user.email,
+          "Cửa hàng của bạn đã bị từ chối",
+          `Kính gửi ${user.username},\n\nCửa hàng của bạn (${store.storeName}) đã bị từ chối do tài khoản của bạn bị khóa. Vui lòng liên hệ hỗ trợ để biết thêm chi tiết.\n\nTrân trọng,\nShopii Team`
+        );
+      }
     }
+  } else if (action === "unlock") {
+    accountLockService.clearLock(user);
+  }
 
+  try {
     await user.save();
-    const userToReturn = user.toObject();
-    delete userToReturn.password;
-
-    res.status(200).json({
-      success: true,
-      message: "Cập nhật người dùng thành công",
-      data: userToReturn,
-    });
   } catch (error) {
     if (error.code === 11000 && error.keyPattern && error.keyPattern.email) {
-      return handleError(res, error, "Email đã được sử dụng.", 400);
+      throw createError(400, "EMAIL_IN_USE");
     }
-    handleError(res, error, "Lỗi khi cập nhật người dùng");
+    throw error;
+  }
+
+  // Thông báo khi trạng thái khóa hoặc lý do / thời hạn khóa thay đổi
+  const lockTerms = `${user.lockReason || ""}|${user.lockedUntil ? user.lockedUntil.getTime() : ""}`;
+  if (action && (user.action !== previousAction || (user.action === "lock" && lockTerms !== previousLockTerms))) {
+    await accountLockService.notifyStatusChange(user);
+  }
+
+  // Khóa tài khoản thì đăng xuất người dùng khỏi mọi thiết bị
+  if (action === "lock" && previousAction !== "lock") {
+    await sessionService.revokeAllSessions(user._id, { reason: "locked" });
   }
+
+  res.status(200).json({
+    success: true,
+    message: req.t("messages.USER_UPDATED"),
+    data: toAdminUser(user),
+  });
+};
+/**
+ * @desc Danh sách quyền và vai trò nhân viên có thể gán
+ * @route GET /api/admin/roles
+ * @access Riêng tư (roles:manage)
+ */
+exports.getStaffRoles = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      permissions: PERMISSIONS,
+      roles: Object.entries(STAFF_ROLES).map(([name, staffRole]) => ({
+        name,
+        label: staffRole.label,
+        permissions: staffRole.permissions,
+      })),
+    },
+  });
+};
+/**
+ * @desc Gán vai trò nhân viên cho người dùng (thay toàn bộ danh sách, [] để thu hồi). Có hiệu lực ở request kế tiếp.
+ * @route PUT /api/admin/users/:userId/staff-roles
+ * @access Riêng tư (roles:manage)
+ */
+exports.updateUserStaffRoles = async (req, res) => {
+  const { staffRoles } = req.body;
+  if (!Array.isArray(staffRoles)) {
+    throw createError(400, "STAFF_ROLES_REQUIRED");
+  }
+  const invalid = staffRoles.filter((name) => !STAFF_ROLES[name]);
+  if (invalid.length > 0) {
+    throw createError(400, "STAFF_ROLES_INVALID", { roles: invalid.join(", ") });
+  }
+
+  const user = await User.findById(req.params.userId).select("-password");
+  if (!user) {
+    throw createError(404, "USER_NOT_FOUND");
+  }
+  if (user.role === "admin") {
+    throw createError(400, "ADMIN_HAS_ALL_PERMISSIONS");
+  }
+
+  user.staffRoles = [...new Set(staffRoles)];
+  await user.save();
+  logger.info(`Admin ${req.user.id} set staff roles of user ${user._id} to [${user.staffRoles.join(", ")}]`);
+
+  res.status(200).json({ success: true, message: req.t("messages.STAFF_ROLES_UPDATED"), data: toAdminUser(user) });
 };
 // --- Quản Lý Cửa Hàng (Store Management) ---
 
@@ -201,44 +291,40 @@ exports.updateUserByAdmin = async (req, res) => {
  */
 exports.getAllStoresAdmin = async (req, res) => {
   const { status, page = 1, limit = 10, withRatings = false } = req.query;
-  try {
-    const query = {};
-    if (status && ["pending", "approved", "rejected"].includes(status)) {
-      query.status = status;
-    }
-    let stores = await Store.find(query)
-      .populate("sellerId", "username email")
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit));
-    const total = await Store.countDocuments(query);
-
-    if (withRatings === "true") {
-      // Thêm rating từ Feedback cho từng store
-      stores = await Promise.all(
-        stores.map(async (store) => {
-          const storeObj = store.toObject(); // Chuyển sang object để thêm field
-
-          // Lấy feedback của seller
-          const feedback = await Feedback.findOne({ sellerId: store.sellerId });
-
-          storeObj.averageRating = feedback ? feedback.averageRating : 0;
-          storeObj.totalReviews = feedback ? feedback.totalReviews : 0;
-
-          return storeObj;
-        })
-      );
-    }
-
-    res.status(200).json({
-      success: true,
-      count: stores.length,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      data: stores,
-    });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi lấy danh sách cửa hàng");
+  const query = {};
+  if (status && ["pending", "approved", "rejected"].includes(status)) {
+    query.status = status;
   }
+  let stores = await Store.find(query)
+    .populate("sellerId", "username email")
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+  const total = await Store.countDocuments(query);
+
+  if (withRatings === "true") {
+    // Thêm rating từ Feedback cho từng store
+    stores = await Promise.all(
+      stores.map(async (store) => {
+        const storeObj = store.toObject(); // Chuyển sang object để thêm field
+
+        // Lấy feedback của seller
+        const feedback = await Feedback.findOne({ sellerId: store.sellerId });
+
+        storeObj.averageRating = feedback ? feedback.averageRating : 0;
+        storeObj.totalReviews = feedback ? feedback.totalReviews : 0;
+
+        return storeObj;
+      })
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    count: stores.length,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: stores.map((store) => serializeStore(store, "admin")),
+  });
 };
 
 /**
@@ -247,20 +333,14 @@ exports.getAllStoresAdmin = async (req, res) => {
  * @access Riêng tư (Admin)
  */
 exports.getStoreDetails = async (req, res) => {
-  try {
-    const store = await Store.findById(req.params.storeId).populate(
-      "sellerId",
-      "username email"
-    );
-    if (!store) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Cửa hàng không tồn tại" });
-    }
-    res.status(200).json({ success: true, data: store });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi lấy chi tiết cửa hàng");
+  const store = await Store.findById(req.params.storeId).populate(
+    "sellerId",
+    "username email"
+  );
+  if (!store) {
+    throw createError(404, "STORE_NOT_FOUND");
   }
+  res.status(200).json({ success: true, data: serializeStore(store, "admin") });
 };
 
 /**
@@ -273,82 +353,61 @@ exports.updateStoreStatusByAdmin = async (req, res) => {
   const { status } = req.body;
 
   if (!status || !["approved", "pending", "rejected"].includes(status)) {
-    return res.status(400).json({
-      success: false,
-      message:
-        'Trạng thái không hợp lệ. Phải là "approved", "pending" hoặc "rejected".',
-    });
+    throw createError(400, "STORE_STATUS_INVALID", { values: "approved, pending, rejected" });
   }
 
-  try {
-    const store = await Store.findById(storeId);
-    if (!store) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Cửa hàng không tồn tại" });
-    }
+  const store = await Store.findById(storeId);
+  if (!store) {
+    throw createError(404, "STORE_NOT_FOUND");
+  }
 
-    const previousStatus = store.status; // Lưu trạng thái trước để kiểm tra thay đổi
+  const previousStatus = store.status; // Lưu trạng thái trước để kiểm tra thay đổi
 
-    if (status === "approved" && store.sellerId) {
-      const seller = await User.findById(store.sellerId);
-      if (!seller) {
-        return res
-          .status(404)
-          .json({ success: false, message: "Người dùng không tồn tại" });
-      }
-      if (seller.action === "lock") {
-        return res.status(400).json({
-          success: false,
-          message: "Không thể duyệt cửa hàng khi người dùng bị khóa",
-        });
-      }
-      if (seller.role === "buyer") {
-        seller.role = "seller";
-        await seller.save();
-      }
+  if (status === "approved" && store.sellerId) {
+    const seller = await User.findById(store.sellerId);
+    if (!seller) {
+      throw createError(404, "USER_NOT_FOUND");
     }
+    if (seller.action === "lock") {
+      throw createError(400, "STORE_OWNER_LOCKED");
+    }
+    if (seller.role === "buyer") {
+      seller.role = "seller";
+      await seller.save();
+    }
+  }
 
-    store.status = status;
-    await store.save();
-
-    // Gửi email nếu status thay đổi
-    if (status !== previousStatus) {
-      const seller = await User.findById(store.sellerId);
-      if (seller) {
-        let emailSubject, emailText;
-        switch (status) {
-          case "approved":
-            emailSubject = "Cửa hàng của bạn đã được duyệt";
-            emailText = `Kính gửi ${seller.username},\n\nCửa hàng của bạn (${store.storeName}) đã được duyệt thành công. Bạn có thể bắt đầu bán hàng ngay bây giờ!\n\nTrân trọng,\nShopii Team`;
-            break;
-          case "rejected":
-            emailSubject = "Cửa hàng của bạn đã bị từ chối";
-            emailText = `Kính gửi ${seller.username},\n\nCửa hàng của bạn (${store.storeName}) đã bị từ chối. Vui lòng liên hệ hỗ trợ để biết thêm chi tiết.\n\nTrân trọng,\nShopii Team`;
-            break;
-          case "pending":
-            emailSubject = "Cửa hàng của bạn đang chờ duyệt";
-            emailText = `Kính gửi ${seller.username},\n\nCửa hàng của bạn (${store.storeName}) hiện đang trong trạng thái chờ duyệt. Chúng tôi sẽ thông báo khi có cập nhật mới.\n\nTrân trọng,\nShopii Team`;
-            break;
-        }
-        await sendEmail(seller.email, emailSubject, emailText);
+  store.status = status;
+  await store.save();
+
+  // Gửi email nếu status thay đổi
+  if (status !== previousStatus) {
+    const seller = await User.findById(store.sellerId);
+    if (seller) {
+      let emailSubject, emailText;
+      switch (status) {
+        case "approved":
+          emailSubject = "Cửa hàng của bạn đã được duyệt";
+          emailText = `Kính gửi ${seller.username},\n\nCửa hàng của bạn (${store.storeName}) đã được duyệt thành công. Bạn có thể bắt đầu bán hàng ngay bây giờ!\n\nTrân trọng,\nShopii Team`;
+          break;
+        case "rejected":
+          emailSubject = "Cửa hàng của bạn đã bị từ chối";
+          emailText = `Kính gửi ${seller.username},\n\nCửa hàng của bạn (${store.storeName}) đã bị từ chối. Vui lòng liên hệ hỗ trợ để biết thêm chi tiết.\n\nTrân trọng,\nShopii Team`;
+          break;
+        case "pending":
+          emailSubject = "Cửa hàng của bạn đang chờ duyệt";
+          emailText = `Kính gửi ${seller.username},\n\nCửa hàng của bạn (${store.storeName}) hiện đang trong trạng thái chờ duyệt. Chúng tôi sẽ thông báo khi có cập nhật mới.\n\nTrân trọng,\nShopii Team`;
+          break;
       }
+      await sendEmail(seller.email, emailSubject, emailText);
     }
-
-    res.status(200).json({
-      success: true,
-      message: `Cửa hàng đã được ${
-        status === "approved"
-          ? "duyệt"
-          : status === "rejected"
-          ? "từ chối"
-          : "chuyển sang chờ duyệt"
-      } thành công`,
-      data: store,
-    });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi cập nhật trạng thái cửa hàng");
   }
+
+  res.status(200).json({
+    success: true,
+    message: req.t(`messages.STORE_STATUS_${status.toUpperCase()}`),
+    data: store,
+  });
 };
 /**
  * @desc Cập nhật toàn bộ thông tin cửa hàng
@@ -366,39 +425,33 @@ exports.updateStoreByAdmin = async (req, res) => {
     contactInfo,
   } = req.body;
 
-  try {
-    const store = await Store.findById(storeId);
-    if (!store) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Cửa hàng không tồn tại" });
-    }
+  const store = await Store.findById(storeId);
+  if (!store) {
+    throw createError(404, "STORE_NOT_FOUND");
+  }
 
-    if (storeName) store.storeName = storeName;
-    if (description) store.description = description;
-    if (bannerImageURL) store.bannerImageURL = bannerImageURL;
-    if (status && ["pending", "approved", "rejected"].includes(status)) {
-      if (status === "approved" && store.sellerId) {
-        const seller = await User.findById(store.sellerId);
-        if (seller && seller.role === "user") {
-          seller.role = "seller";
-          await seller.save();
-        }
+  if (storeName) store.storeName = storeName;
+  if (description) store.description = description;
+  if (bannerImageURL) store.bannerImageURL = bannerImageURL;
+  if (status && ["pending", "approved", "rejected"].includes(status)) {
+    if (status === "approved" && store.sellerId) {
+      const seller = await User.findById(store.sellerId);
+      if (seller && seller.role === "user") {
+        seller.role = "seller";
+        await seller.save();
       }
-      store.status = status;
     }
-    if (address) store.address = address;
-    if (contactInfo) store.contactInfo = contactInfo;
-
-    await store.save();
-    res.status(200).json({
-      success: true,
-      message: "Cập nhật cửa hàng thành công",
-      data: store,
-    });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi cập nhật cửa hàng");
+    store.status = status;
   }
+  if (address) store.address = address;
+  if (contactInfo) store.contactInfo = contactInfo;
+
+  await store.save();
+  res.status(200).json({
+    success: true,
+    message: req.t("messages.STORE_UPDATED"),
+    data: store,
+  });
 };
 // --- Quản Lý Sản Phẩm (Product Management) ---
 
@@ -409,30 +462,26 @@ exports.updateStoreByAdmin = async (req, res) => {
  */
 exports.getAllProductsAdmin = async (req, res) => {
   const { sellerId, categoryId, status, page = 1, limit = 10 } = req.query;
-  try {
-    const query = {};
-    if (sellerId) query.sellerId = sellerId;
-    if (categoryId) query.categoryId = categoryId;
-    if (status && ["available", "out_of_stock", "pending"].includes(status)) {
-      // Điều chỉnh enum dựa trên DB mới
-      query.status = status;
-    }
-    const products = await Product.find(query)
-      .populate("sellerId", "username email")
-      .populate("categoryId", "name")
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit));
-    const total = await Product.countDocuments(query);
-    res.status(200).json({
-      success: true,
-      count: products.length,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      data: products,
-    });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi lấy danh sách sản phẩm");
+  const query = {};
+  if (sellerId) query.sellerId = sellerId;
+  if (categoryId) query.categoryId = categoryId;
+  if (status && ["available", "out_of_stock", "pending"].includes(status)) {
+    // Điều chỉnh enum dựa trên DB mới
+    query.status = status;
   }
+  const products = await Product.find(query)
+    .populate("sellerId", "username email")
+    .populate("categoryId", "name")
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+  const total = await Product.countDocuments(query);
+  res.status(200).json({
+    success: true,
+    count: products.length,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: products,
+  });
 };
 
 /**
@@ -441,19 +490,13 @@ exports.getAllProductsAdmin = async (req, res) => {
  * @access Riêng tư (Admin)
  */
 exports.getProductDetailsAdmin = async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id)
-      .populate("sellerId", "username email")
-      .populate("categoryId", "name");
-    if (!product) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Sản phẩm không tồn tại" });
-    }
-    res.status(200).json({ success: true, data: product });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi lấy chi tiết sản phẩm");
+  const product = await Product.findById(req.params.id)
+    .populate("sellerId", "username email")
+    .populate("categoryId", "name");
+  if (!product) {
+    throw createError(404, "PRODUCT_NOT_FOUND");
   }
+  res.status(200).json({ success: true, data: product });
 };
 
 /**
@@ -465,35 +508,29 @@ exports.updateProductStatusAdmin = async (req, res) => {
   const { id } = req.params;
   const { title, description, price, isAuction, status } = req.body;
 
-  try {
-    const product = await Product.findById(id);
-    if (!product) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Sản phẩm không tồn tại" });
-    }
-
-    // Update product fields if provided
-    if (title !== undefined) product.title = title;
-    if (description !== undefined) product.description = description;
-    if (price !== undefined) product.price = price;
-    if (isAuction !== undefined) product.isAuction = isAuction;
-    
-    // Only update status if it's provided and valid
-    if (status && ["available", "out_of_stock", "pending"].includes(status)) {
-      product.status = status;
-    }
+  const product = await Product.findById(id);
+  if (!product) {
+    throw createError(404, "PRODUCT_NOT_FOUND");
+  }
 
-    await product.save();
-    
-    res.status(200).json({
-      success: true,
-      message: "Sản phẩm đã được cập nhật thành công",
-      data: product,
-    });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi cập nhật sản phẩm");
+  // Update product fields if provided
+  if (title !== undefined) product.title = title;
+  if (description !== undefined) product.description = description;
+  if (price !== undefined) product.price = price;
+  if (isAuction !== undefined) product.isAuction = isAuction;
+  
+  // Only update status if it's provided and valid
+  if (status && ["available", "out_of_stock", "pending"].includes(status)) {
+    product.status = status;
   }
+
+  await product.save();
+  
+  res.status(200).json({
+    success: true,
+    message: req.t("messages.PRODUCT_UPDATED"),
+    data: product,
+  });
 };
 
 /**
@@ -502,18 +539,12 @@ exports.updateProductStatusAdmin = async (req, res) => {
  * @access Riêng tư (Admin)
  */
 exports.deleteProductAdmin = async (req, res) => {
-  try {
-    const product = await Product.findByIdAndDelete(req.params.id);
-    if (!product) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Sản phẩm không tồn tại" });
-    }
-    // Có thể thêm logic xóa liên quan như reviews, inventory, etc. nếu cần
-    res.status(200).json({ success: true, message: "Xóa sản phẩm thành công" });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi xóa sản phẩm");
+  const product = await Product.findByIdAndDelete(req.params.id);
+  if (!product) {
+    throw createError(404, "PRODUCT_NOT_FOUND");
   }
+  // Có thể thêm logic xóa liên quan như reviews, inventory, etc. nếu cần
+  res.status(200).json({ success: true, message: req.t("messages.PRODUCT_DELETED") });
 };
 
 /**
@@ -522,33 +553,29 @@ exports.deleteProductAdmin = async (req, res) => {
  * @access Riêng tư (Admin)
  */
 exports.getProductStatsAdmin = async (req, res) => {
-  try {
-    const statsByStore = await Product.aggregate([
-      { $group: { _id: "$sellerId", count: { $sum: 1 } } },
-      {
-        $lookup: {
-          from: "stores",
-          localField: "_id",
-          foreignField: "sellerId",
-          as: "store",
-        },
+  const statsByStore = await Product.aggregate([
+    { $group: { _id: "$sellerId", count: { $sum: 1 } } },
+    {
+      $lookup: {
+        from: "stores",
+        localField: "_id",
+        foreignField: "sellerId",
+        as: "store",
       },
-      { $unwind: "$store" },
-      { $project: { storeName: "$store.storeName", count: 1 } },
-    ]);
-
-    const statsByStatus = await Product.aggregate([
-      { $group: { _id: "$status", count: { $sum: 1 } } },
-    ]);
-
-    res.status(200).json({
-      success: true,
-      statsByStore,
-      statsByStatus,
-    });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi lấy thống kê sản phẩm");
-  }
+    },
+    { $unwind: "$store" },
+    { $project: { storeName: "$store.storeName", count: 1 } },
+  ]);
+
+  const statsByStatus = await Product.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    statsByStore,
+    statsByStatus,
+  });
 };
 
 /**
@@ -558,68 +585,62 @@ exports.getProductStatsAdmin = async (req, res) => {
  */
 exports.getAllReviewsAdmin = async (req, res) => {
   const { productId, reviewerId, storeId, page = 1, limit = 10 } = req.query;
-  try {
-    let match = {};
-    if (productId) match.productId = new mongoose.Types.ObjectId(productId);
-    if (reviewerId) match.reviewerId = new mongoose.Types.ObjectId(reviewerId);
-    if (storeId) {
-      // Lọc theo storeId: review -> product -> sellerId (store.sellerId == storeId)
-      const seller = await Store.findById(storeId).select("sellerId");
-      if (!seller)
-        return res
-          .status(404)
-          .json({ success: false, message: "Cửa hàng không tồn tại" });
-      const products = await Product.find({ sellerId: seller.sellerId }).select(
-        "_id"
-      );
-      match.productId = { $in: products.map((p) => p._id) };
-    }
+  let match = {};
+  if (productId) match.productId = new mongoose.Types.ObjectId(productId);
+  if (reviewerId) match.reviewerId = new mongoose.Types.ObjectId(reviewerId);
+  if (storeId) {
+    // Lọc theo storeId: review -> product -> sellerId (store.sellerId == storeId)
+    const seller = await Store.findById(storeId).select("sellerId");
+    if (!seller)
+      throw createError(404, "STORE_NOT_FOUND");
+    const products = await Product.find({ sellerId: seller.sellerId }).select(
+      "_id"
+    );
+    match.productId = { $in: products.map((p) => p._id) };
+  }
 
-    const reviews = await Review.aggregate([
-      { $match: match },
-      { $skip: (page - 1) * limit },
-      { $limit: parseInt(limit) },
-      {
-        $lookup: {
-          from: "products",
-          localField: "productId",
-          foreignField: "_id",
-          as: "product",
-        },
+  const reviews = await Review.aggregate([
+    { $match: match },
+    { $skip: (page - 1) * limit },
+    { $limit: parseInt(limit) },
+    {
+      $lookup: {
+        from: "products",
+        localField: "productId",
+        foreignField: "_id",
+        as: "product",
       },
-      { $unwind: "$product" },
-      {
-        $lookup: {
-          from: "users",
-          localField: "reviewerId",
-          foreignField: "_id",
-          as: "reviewer",
-        },
+    },
+    { $unwind: "$product" },
+    {
+      $lookup: {
+        from: "users",
+        localField: "reviewerId",
+        foreignField: "_id",
+        as: "reviewer",
       },
-      { $unwind: "$reviewer" },
-      {
-        $project: {
-          rating: 1,
-          comment: 1,
-          createdAt: 1,
-          "product.title": 1,
-          "reviewer.username": 1,
-        },
+    },
+    { $unwind: "$reviewer" },
+    {
+      $project: {
+        rating: 1,
+        comment: 1,
+        createdAt: 1,
+        "product.title": 1,
+        "reviewer.username": 1,
       },
-    ]);
-
-    const total = await Review.countDocuments(match);
-
-    res.status(200).json({
-      success: true,
-      count: reviews.length,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      data: reviews,
-    });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi lấy danh sách đánh giá");
-  }
+    },
+  ]);
+
+  const total = await Review.countDocuments(match);
+
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: reviews,
+  });
 };
 /**
  * @desc Xóa đánh giá không hợp lệ
@@ -627,18 +648,12 @@ exports.getAllReviewsAdmin = async (req, res) => {
  * @access Riêng tư (Admin)
  */
 exports.deleteReviewAdmin = async (req, res) => {
-  try {
-    const review = await Review.findByIdAndDelete(req.params.id);
-    if (!review) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Đánh giá không tồn tại" });
-    }
-    // Có thể cập nhật lại feedback của seller nếu cần
-    res.status(200).json({ success: true, message: "Xóa đánh giá thành công" });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi xóa đánh giá");
+  const review = await Review.findByIdAndDelete(req.params.id);
+  if (!review) {
+    throw createError(404, "REVIEW_NOT_FOUND");
   }
+  // Có thể cập nhật lại feedback của seller nếu cần
+  res.status(200).json({ success: true, message: req.t("messages.REVIEW_DELETED") });
 };
 
 /**
@@ -650,50 +665,41 @@ exports.getProductReviewsAndStats = async (req, res) => {
   const { id } = req.params;
   console.info(`Starting getProductReviewsAndStats for product ID: ${id}`);
 
-  try {
-    // Kiểm tra sản phẩm tồn tại
-    const product = await Product.findById(id);
-    if (!product) {
-      console.warn(`Product not found for ID: ${id}`);
-      return res
-        .status(404)
-        .json({ success: false, message: "Sản phẩm không tồn tại" });
-    }
-
-    console.info(`Product found for ID: ${id}`);
-
-    // Lấy tất cả reviews của sản phẩm
-    const reviews = await Review.find({ productId: id })
-      .populate("reviewerId", "username fullname")
-      .sort({ createdAt: -1 }); // Sắp xếp mới nhất trước
+  // Kiểm tra sản phẩm tồn tại
+  const product = await Product.findById(id);
+  if (!product) {
+    console.warn(`Product not found for ID: ${id}`);
+    throw createError(404, "PRODUCT_NOT_FOUND");
+  }
 
-    // Tính toán trung bình rating và tổng lượt review sử dụng aggregation
-    const stats = await Review.aggregate([
-      { $match: { productId: new mongoose.Types.ObjectId(id) } },
-      {
-        $group: {
-          _id: null,
-          averageRating: { $avg: "$rating" },
-          totalReviews: { $sum: 1 },
-        },
+  console.info(`Product found for ID: ${id}`);
+
+  // Lấy tất cả reviews của sản phẩm
+  const reviews = await Review.find({ productId: id })
+    .populate("reviewerId", "username fullname")
+    .sort({ createdAt: -1 }); // Sắp xếp mới nhất trước
+
+  // Tính toán trung bình rating và tổng lượt review sử dụng aggregation
+  const stats = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(id) } },
+    {
+      $group: {
+        _id: null,
+        averageRating: { $avg: "$rating" },
+        totalReviews: { $sum: 1 },
       },
-    ]);
-
-    const averageRating = stats.length > 0 ? stats[0].averageRating : 0;
-    const totalReviews = stats.length > 0 ? stats[0].totalReviews : 0;
-
-    res.status(200).json({
-      success: true,
-      averageRating: averageRating.toFixed(1), // Làm tròn 1 chữ số thập phân
-      totalReviews,
-      data: reviews,
-    });
-  } catch (error) {
-    console.error(
-      `Error in getProductReviewsAndStats for product ID: ${id}: ${error.message}`
-    );
-    handleError(res, error, "Lỗi khi lấy đánh giá sản phẩm");
-  }
+    },
+  ]);
+
+  const averageRating = stats.length > 0 ? stats[0].averageRating : 0;
+  const totalReviews = stats.length > 0 ? stats[0].totalReviews : 0;
+
+  res.status(200).json({
+    success: true,
+    averageRating: averageRating.toFixed(1), // Làm tròn 1 chữ số thập phân
+    totalReviews,
+    data: reviews,
+  });
 };
 
 // // --- Quản Lý Danh Mục (Category Management) ---
@@ -820,37 +826,304 @@ exports.getProductReviewsAndStats = async (req, res) => {
 //   }
 // };
 
+// --- Quản Lý Hoàn Tiền (Refund Management) ---
+
+/**
+ * @desc Lấy danh sách hoàn tiền (lọc theo status, source, orderId)
+ * @route GET /api/admin/refunds
+ * @access Riêng tư (Admin)
+ */
+exports.getRefundsAdmin = async (req, res) => {
+  const { status, source, orderId, page = 1, limit = 20 } = req.query;
+  const query = {};
+  if (status) query.status = status;
+  if (source) query.source = source;
+  if (orderId) query.orderId = orderId;
+  const refunds = await Refund.find(query)
+    .populate("requestedBy", "username email")
+    .populate("processedBy", "username email")
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+  const total = await Refund.countDocuments(query);
+  res.status(200).json({
+    success: true,
+    count: refunds.length,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: refunds,
+  });
+};
+
+/**
+ * @desc Tạo hoàn tiền thủ công cho đơn hàng hoặc một mặt hàng
+ * @route POST /api/admin/refunds
+ * @access Riêng tư (Admin)
+ */
+exports.createRefundAdmin = async (req, res) => {
+  const { orderId, orderItemId, amount, reason } = req.body;
+  if (!orderId) {
+    throw createError(400, "ORDER_ID_REQUIRED");
+  }
+  const refunds = await refundService.issueRefund({
+    orderId,
+    orderItemId,
+    amount,
+    reason,
+    source: "manual",
+    actor: staffActor(req),
+  });
+  res.status(201).json({ success: true, data: refunds });
+};
+
+/**
+ * @desc Xác nhận đã chuyển khoản hoàn tiền thủ công (vd. đơn COD)
+ * @route PUT /api/admin/refunds/:id/complete
+ * @access Riêng tư (Admin)
+ */
+exports.completeRefundAdmin = async (req, res) => {
+  const refund = await Refund.findById(req.params.id);
+  if (!refund) {
+    throw createError(404, "REFUND_NOT_FOUND");
+  }
+  const updated = await refundService.completeRefund(refund, {
+    reference: req.body.reference,
+    actor: staffActor(req),
+  });
+  res.status(200).json({ success: true, data: updated });
+};
+
+/**
+ * @desc Thực hiện lại hoàn tiền thất bại
+ * @route PUT /api/admin/refunds/:id/retry
+ * @access Riêng tư (Admin)
+ */
+exports.retryRefundAdmin = async (req, res) => {
+  const refund = await Refund.findById(req.params.id);
+  if (!refund) {
+    throw createError(404, "REFUND_NOT_FOUND");
+  }
+  const updated = await refundService.retryRefund(refund);
+  res.status(200).json({ success: true, data: updated });
+};
+
+// --- Ví Người Bán, Rút Tiền & Tín Dụng Người Mua (Wallets & Payouts) ---
+
+/**
+ * @desc Cộng / trừ tín dụng của người mua (amount âm để trừ)
+ * @route POST /api/admin/users/:userId/credit
+ * @access Riêng tư (Admin)
+ */
+exports.adjustBuyerCreditAdmin = async (req, res) => {
+  const { userId } = req.params;
+  const amount = Math.round(Number(req.body.amount));
+  const { reason } = req.body;
+  if (!mongoose.isValidObjectId(userId) || !Number.isFinite(amount) || amount === 0 || !reason) {
+    throw createError(400, "CREDIT_ADJUSTMENT_INVALID");
+  }
+  const user = await User.findById(userId, "_id");
+  if (!user) {
+    throw createError(404, "USER_NOT_FOUND");
+  }
+  const balance = await walletService.getBuyerCredit(userId);
+  if (balance + amount < 0) {
+    throw createError(400, "CREDIT_INSUFFICIENT", { available: balance });
+  }
+  const key = `credit:${userId}:${new mongoose.Types.ObjectId()}`;
+  const description = `Admin điều chỉnh: ${reason}`;
+  if (amount > 0) {
+    await walletService.creditBuyer(userId, amount, { key, description });
+  } else {
+    await walletService.postJournal(key, "adjustment", [
+      { buyerId: userId, account: "buyer_credit", debit: -amount, description },
+      { account: "platform_clearing", credit: -amount, description },
+    ]);
+  }
+  res.status(200).json({
+    success: true,
+    data: { balance: await walletService.getBuyerCredit(userId) },
+  });
+};
+
+/**
+ * @desc Lấy danh sách yêu cầu rút tiền (lọc theo status, sellerId)
+ * @route GET /api/admin/payouts
+ * @access Riêng tư (Admin)
+ */
+exports.getPayoutsAdmin = async (req, res) => {
+  const { status, sellerId, page = 1, limit = 20 } = req.query;
+  const query = {};
+  if (status) query.status = status;
+  if (sellerId) query.sellerId = sellerId;
+  const payouts = await Payout.find(query)
+    .populate("sellerId", "username email")
+    .populate("reviewedBy", "username")
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+  const total = await Payout.countDocuments(query);
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: payouts,
+  });
+};
+
+/**
+ * @desc Duyệt yêu cầu rút tiền sau khi đã chuyển khoản
+ * @route PUT /api/admin/payouts/:id/approve
+ * @access Riêng tư (Admin)
+ */
+exports.approvePayoutAdmin = async (req, res) => {
+  const payout = await walletService.approvePayout(req.params.id, {
+    reference: req.body.reference,
+    actor: staffActor(req),
+  });
+  res.status(200).json({ success: true, data: payout });
+};
+
+/**
+ * @desc Từ chối yêu cầu rút tiền
+ * @route PUT /api/admin/payouts/:id/reject
+ * @access Riêng tư (Admin)
+ */
+exports.rejectPayoutAdmin = async (req, res) => {
+  const payout = await walletService.rejectPayout(req.params.id, {
+    reason: req.body.reason,
+    actor: staffActor(req),
+  });
+  res.status(200).json({ success: true, data: payout });
+};
+
+/**
+ * @desc Số dư và sao kê ví của một người bán (?from=&to=&format=csv)
+ * @route GET /api/admin/sellers/:sellerId/statement
+ * @access Riêng tư (Admin)
+ */
+exports.getSellerStatementAdmin = async (req, res) => {
+  const { from, to, format } = req.query;
+  const statement = await walletService.getStatement(req.params.sellerId, { from, to });
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="statement-${req.params.sellerId}.csv"`
+    );
+    return res.send(walletService.statementToCsv(statement));
+  }
+  const balance = await walletService.getWalletBalance(req.params.sellerId);
+  res.status(200).json({ success: true, data: { balance, ...statement } });
+};
+
+/**
+ * @desc Cập nhật phí sàn của danh mục (0-1, null để dùng mức mặc định)
+ * @route PUT /api/admin/categories/:id/commission
+ * @access Riêng tư (Admin)
+ */
+exports.updateCategoryCommissionAdmin = async (req, res) => {
+  const { commissionRate } = req.body;
+  const rate = commissionRate === null ? null : Number(commissionRate);
+  if (rate !== null && (!Number.isFinite(rate) || rate < 0 || rate > 1)) {
+    throw createError(400, "COMMISSION_RATE_INVALID", { min: 0, max: 1 });
+  }
+  const category = await Category.findByIdAndUpdate(
+    req.params.id,
+    { commissionRate: rate },
+    { new: true }
+  );
+  if (!category) {
+    throw createError(404, "CATEGORY_NOT_FOUND");
+  }
+  res.status(200).json({
+    success: true,
+    data: category,
+    defaultCommissionRate: walletService.DEFAULT_COMMISSION_RATE,
+  });
+};
+
 exports.getAdminReport = async (req, res) => {
   const { period } = req.query;
-  try {
-    // Date filter setup
-    let dateFilter = {};
-    const now = new Date();
-    let startDate = null;
-
-    if (period === "week") {
-      startDate = new Date();
-      startDate.setDate(startDate.getDate() - 7);
-    } else if (period === "month") {
-      startDate = new Date();
-      startDate.setMonth(startDate.getMonth() - 1);
-    } else if (period === "year") {
-      startDate = new Date();
-      startDate.setFullYear(startDate.getFullYear() - 1);
-    }
+  // Date filter setup
+  let dateFilter = {};
+  const now = new Date();
+  let startDate = null;
+
+  if (period === "week") {
+    startDate = new Date();
+    startDate.setDate(startDate.getDate() - 7);
+  } else if (period === "month") {
+    startDate = new Date();
+    startDate.setMonth(startDate.getMonth() - 1);
+  } else if (period === "year") {
+    startDate = new Date();
+    startDate.setFullYear(startDate.getFullYear() - 1);
+  }
 
-    if (startDate) {
-      dateFilter = { createdAt: { $gte: startDate } };
-    }
+  if (startDate) {
+    dateFilter = { createdAt: { $gte: startDate } };
+  }
 
-    // Get active seller/buyer IDs from orders
-    const activeBuyerIds = await Order.distinct("buyerId", dateFilter);
-    const activeSellerIdsAgg = await OrderItem.aggregate([
+  // Get active seller/buyer IDs from orders
+  const activeBuyerIds = await Order.distinct("buyerId", dateFilter);
+  const activeSellerIdsAgg = await OrderItem.aggregate([
+    { $match: dateFilter },
+    {
+      $lookup: {
+        from: "products",
+        localField: "productId",
+        foreignField: "_id",
+        as: "product",
+      },
+    },
+    { $unwind: "$product" },
+    {
+      $group: {
+        _id: "$product.sellerId",
+      },
+    },
+  ]);
+
+  const activeSellerIds = activeSellerIdsAgg.map((s) => s._id);
+
+  const [
+    orderStats,
+    totalUsers,
+    topSellers,
+    totalProducts,
+    newProducts,
+    totalRevenueStats,
+    uniqueCustomersStats,
+    productsShippedStats,
+    ratingStats,
+    topRatedProducts,
+    lowStockProducts,
+    outOfStockProducts,
+    returnRequestsCount,
+    disputesCount,
+    revenueOverTime,
+    orderOverTime,
+    revenueByCategory,
+    topProducts,
+    recentActivity,
+    activeSellers,
+    activeBuyers,
+  ] = await Promise.all([
+    // Order status stats
+    Order.aggregate([
       { $match: dateFilter },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+      { $project: { status: "$_id", count: 1, _id: 0 } },
+    ]),
+    User.countDocuments({}),
+    // Top sellers by revenue
+    Order.aggregate([
+      { $match: { ...dateFilter, status: { $in: DELIVERED_STATUSES } } },
       {
         $lookup: {
           from: "products",
-          localField: "productId",
+          localField: "items.productId",
           foreignField: "_id",
           as: "product",
         },
@@ -859,374 +1132,354 @@ exports.getAdminReport = async (req, res) => {
       {
         $group: {
           _id: "$product.sellerId",
+          totalRevenue: { $sum: "$totalPrice" },
+          orderCount: { $sum: 1 },
         },
       },
-    ]);
-
-    const activeSellerIds = activeSellerIdsAgg.map((s) => s._id);
-
-    const [
-      orderStats,
-      totalUsers,
-      topSellers,
-      totalProducts,
-      newProducts,
-      totalRevenueStats,
-      uniqueCustomersStats,
-      productsShippedStats,
-      ratingStats,
-      topRatedProducts,
-      lowStockProducts,
-      outOfStockProducts,
-      returnRequestsCount,
-      disputesCount,
-      revenueOverTime,
-      orderOverTime,
-      revenueByCategory,
-      topProducts,
-      recentActivity,
-      activeSellers,
-      activeBuyers,
-    ] = await Promise.all([
-      // Order status stats
-      Order.aggregate([
-        { $match: dateFilter },
-        { $group: { _id: "$status", count: { $sum: 1 } } },
-        { $project: { status: "$_id", count: 1, _id: 0 } },
-      ]),
-      User.countDocuments({}),
-      // Top sellers by revenue
-      Order.aggregate([
-        { $match: { ...dateFilter, status: "shipped" } },
-        {
-          $lookup: {
-            from: "products",
-            localField: "items.productId",
-            foreignField: "_id",
-            as: "product",
-          },
-        },
-        { $unwind: "$product" },
-        {
-          $group: {
-            _id: "$product.sellerId",
-            totalRevenue: { $sum: "$totalPrice" },
-            orderCount: { $sum: 1 },
-          },
-        },
-        {
-          $lookup: {
-            from: "users",
-            localField: "_id",
-            foreignField: "_id",
-            as: "seller",
-          },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "seller",
         },
-        { $unwind: "$seller" },
-        { $sort: { totalRevenue: -1 } },
-        { $limit: 5 },
-        {
-          $project: {
-            seller: "$seller.username",
-            totalRevenue: 1,
-            orderCount: 1,
-            _id: 0,
-          },
+      },
+      { $unwind: "$seller" },
+      { $sort: { totalRevenue: -1 } },
+      { $limit: 5 },
+      {
+        $project: {
+          seller: "$seller.username",
+          totalRevenue: 1,
+          orderCount: 1,
+          _id: 0,
         },
-      ]),
-      Product.countDocuments({}),
-      Product.countDocuments({
-        createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-      }),
-      Order.aggregate([
-        { $match: { ...dateFilter, status: { $in: ["shipped"] } } },
-        { $group: { _id: null, totalRevenue: { $sum: "$totalPrice" } } },
-      ]),
-      Order.aggregate([
-        { $match: dateFilter },
-        { $group: { _id: "$buyerId" } },
-        { $count: "uniqueCustomers" },
-      ]),
-      Order.aggregate([
-        { $match: { ...dateFilter, status: "shipped" } },
-        {
-          $lookup: {
-            from: "orderitems",
-            localField: "_id",
-            foreignField: "orderId",
-            as: "items",
-          },
+      },
+    ]),
+    Product.countDocuments({}),
+    Product.countDocuments({
+      createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
+    }),
+    Order.aggregate([
+      { $match: { ...dateFilter, status: { $in: DELIVERED_STATUSES } } },
+      { $group: { _id: null, totalRevenue: { $sum: "$totalPrice" } } },
+    ]),
+    Order.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: "$buyerId" } },
+      { $count: "uniqueCustomers" },
+    ]),
+    Order.aggregate([
+      { $match: { ...dateFilter, status: { $in: DELIVERED_STATUSES } } },
+      {
+        $lookup: {
+          from: "orderitems",
+          localField: "_id",
+          foreignField: "orderId",
+          as: "items",
         },
-        { $unwind: "$items" },
-        { $group: { _id: null, productsShipped: { $sum: "$items.quantity" } } },
-      ]),
-      Review.aggregate([
-        { $match: dateFilter },
-        {
-          $group: {
-            _id: null,
-            averageRating: { $avg: "$rating" },
-            totalReviews: { $sum: 1 },
-          },
+      },
+      { $unwind: "$items" },
+      { $group: { _id: null, productsShipped: { $sum: "$items.quantity" } } },
+    ]),
+    Review.aggregate([
+      { $match: dateFilter },
+      {
+        $group: {
+          _id: null,
+          averageRating: { $avg: "$rating" },
+          totalReviews: { $sum: 1 },
         },
-      ]),
-      Review.aggregate([
-        { $match: dateFilter },
-        { $group: { _id: "$productId", avgRating: { $avg: "$rating" } } },
-        {
-          $lookup: {
-            from: "products",
-            localField: "_id",
-            foreignField: "_id",
-            as: "product",
-          },
+      },
+    ]),
+    Review.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: "$productId", avgRating: { $avg: "$rating" } } },
+      {
+        $lookup: {
+          from: "products",
+          localField: "_id",
+          foreignField: "_id",
+          as: "product",
         },
-        { $unwind: "$product" },
-        { $sort: { avgRating: -1 } },
-        { $limit: 5 },
-        {
-          $project: {
-            product: "$product.title",
-            avgRating: { $toDouble: { $round: ["$avgRating", 1] } },
-            _id: 0,
-          },
+      },
+      { $unwind: "$product" },
+      { $sort: { avgRating: -1 } },
+      { $limit: 5 },
+      {
+        $project: {
+          product: "$product.title",
+          avgRating: { $toDouble: { $round: ["$avgRating", 1] } },
+          _id: 0,
         },
-      ]),
-      Inventory.aggregate([
-        { $match: { quantity: { $lt: 20, $gt: 0 } } },
-        {
-          $lookup: {
-            from: "products",
-            localField: "productId",
-            foreignField: "_id",
-            as: "product",
-          },
+      },
+    ]),
+    Inventory.aggregate([
+      { $match: { quantity: { $lt: 20, $gt: 0 } } },
+      {
+        $lookup: {
+          from: "products",
+          localField: "productId",
+          foreignField: "_id",
+          as: "product",
         },
-        { $unwind: "$product" },
-        { $project: { product: "$product.title", quantity: 1, _id: 0 } },
-      ]),
-      Inventory.aggregate([
-        { $match: { quantity: 0 } },
-        {
-          $lookup: {
-            from: "products",
-            localField: "productId",
-            foreignField: "_id",
-            as: "product",
-          },
+      },
+      { $unwind: "$product" },
+      { $project: { product: "$product.title", quantity: 1, _id: 0 } },
+    ]),
+    Inventory.aggregate([
+      { $match: { quantity: 0 } },
+      {
+        $lookup: {
+          from: "products",
+          localField: "productId",
+          foreignField: "_id",
+          as: "product",
         },
-        { $unwind: "$product" },
-        { $project: { product: "$product.title", quantity: 1, _id: 0 } },
-      ]),
-      ReturnRequest.countDocuments(dateFilter),
-      Dispute.countDocuments({ ...dateFilter, status: "open" }),
-      Order.aggregate([
-        { $match: { ...dateFilter, status: "shipped" } },
-        {
-          $group: {
-            _id: { $dateToString: { format: "%Y-%m-%d", date: "$orderDate" } },
-            revenue: { $sum: "$totalPrice" },
-          },
+      },
+      { $unwind: "$product" },
+      { $project: { product: "$product.title", quantity: 1, _id: 0 } },
+    ]),
+    ReturnRequest.countDocuments(dateFilter),
+    Dispute.countDocuments({ ...dateFilter, status: "open" }),
+    Order.aggregate([
+      { $match: { ...dateFilter, status: { $in: DELIVERED_STATUSES } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$orderDate" } },
+          revenue: { $sum: "$totalPrice" },
         },
-        { $sort: { _id: 1 } },
-        { $project: { date: "$_id", revenue: 1, _id: 0 } },
-      ]),
-      Order.aggregate([
-        { $match: dateFilter },
-        {
-          $group: {
-            _id: { $dateToString: { format: "%Y-%m-%d", date: "$orderDate" } },
-            orders: { $sum: 1 },
-          },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { date: "$_id", revenue: 1, _id: 0 } },
+    ]),
+    Order.aggregate([
+      { $match: dateFilter },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$orderDate" } },
+          orders: { $sum: 1 },
         },
-        { $sort: { _id: 1 } },
-        { $project: { date: "$_id", orders: 1, _id: 0 } },
-      ]),
-      Order.aggregate([
-        { $match: { ...dateFilter, status: "shipped" } },
-        {
-          $lookup: {
-            from: "orderitems",
-            localField: "_id",
-            foreignField: "orderId",
-            as: "items",
-          },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { date: "$_id", orders: 1, _id: 0 } },
+    ]),
+    Order.aggregate([
+      { $match: { ...dateFilter, status: { $in: DELIVERED_STATUSES } } },
+      {
+        $lookup: {
+          from: "orderitems",
+          localField: "_id",
+          foreignField: "orderId",
+          as: "items",
         },
-        { $unwind: "$items" },
-        {
-          $lookup: {
-            from: "products",
-            localField: "items.productId",
-            foreignField: "_id",
-            as: "product",
-          },
+      },
+      { $unwind: "$items" },
+      {
+        $lookup: {
+          from: "products",
+          localField: "items.productId",
+          foreignField: "_id",
+          as: "product",
         },
-        { $unwind: "$product" },
-        {
-          $group: {
-            _id: "$product.categoryId",
-            value: {
-              $sum: { $multiply: ["$items.quantity", "$items.unitPrice"] },
-            },
+      },
+      { $unwind: "$product" },
+      {
+        $group: {
+          _id: "$product.categoryId",
+          value: {
+            $sum: { $multiply: ["$items.quantity", "$items.unitPrice"] },
           },
         },
-        {
-          $lookup: {
-            from: "categories",
-            localField: "_id",
-            foreignField: "_id",
-            as: "category",
-          },
+      },
+      {
+        $lookup: {
+          from: "categories",
+          localField: "_id",
+          foreignField: "_id",
+          as: "category",
         },
-        { $unwind: "$category" },
-        { $project: { name: "$category.name", value: 1, _id: 0 } },
-      ]),
-      Order.aggregate([
-        { $match: { ...dateFilter, status: "shipped" } },
-        {
-          $lookup: {
-            from: "orderitems",
-            localField: "_id",
-            foreignField: "orderId",
-            as: "items",
-          },
+      },
+      { $unwind: "$category" },
+      { $project: { name: "$category.name", value: 1, _id: 0 } },
+    ]),
+    Order.aggregate([
+      { $match: { ...dateFilter, status: { $in: DELIVERED_STATUSES } } },
+      {
+        $lookup: {
+          from: "orderitems",
+          localField: "_id",
+          foreignField: "orderId",
+          as: "items",
         },
-        { $unwind: "$items" },
-        {
-          $group: {
-            _id: "$items.productId",
-            quantity: { $sum: "$items.quantity" },
-            revenue: {
-              $sum: { $multiply: ["$items.quantity", "$items.unitPrice"] },
-            },
+      },
+      { $unwind: "$items" },
+      {
+        $group: {
+          _id: "$items.productId",
+          quantity: { $sum: "$items.quantity" },
+          revenue: {
+            $sum: { $multiply: ["$items.quantity", "$items.unitPrice"] },
           },
         },
-        {
-          $lookup: {
-            from: "products",
-            localField: "_id",
-            foreignField: "_id",
-            as: "product",
-          },
+      },
+      {
+        $lookup: {
+          from: "products",
+          localField: "_id",
+          foreignField: "_id",
+          as: "product",
         },
-        { $unwind: "$product" },
-        { $sort: { revenue: -1 } },
-        { $limit: 5 },
-        {
-          $project: {
-            product: "$product.title",
-            quantity: 1,
-            revenue: 1,
-            _id: 0,
-          },
+      },
+      { $unwind: "$product" },
+      { $sort: { revenue: -1 } },
+      { $limit: 5 },
+      {
+        $project: {
+          product: "$product.title",
+          quantity: 1,
+          revenue: 1,
+          _id: 0,
         },
-      ]),
-      Promise.all([
-        User.find(dateFilter)
-          .select("username createdAt")
-          .sort({ createdAt: -1 })
-          .limit(5)
-          .lean()
-          .then((docs) =>
-            docs.map((d) => ({
-              type: "New User",
-              details: d.username,
-              createdAt: d.createdAt,
-            }))
-          ),
-        Order.find(dateFilter)
-          .select("totalPrice createdAt")
-          .sort({ createdAt: -1 })
-          .limit(5)
-          .lean()
-          .then((docs) =>
-            docs.map((d) => ({
-              type: "New Order",
-              details: `Total: ${d.totalPrice}`,
-              createdAt: d.createdAt,
-            }))
-          ),
-        Product.find(dateFilter)
-          .select("title createdAt")
-          .sort({ createdAt: -1 })
-          .limit(5)
-          .lean()
-          .then((docs) =>
-            docs.map((d) => ({
-              type: "New Product",
-              details: d.title,
-              createdAt: d.createdAt,
-            }))
-          ),
-      ]).then((results) =>
-        results
-          .flat()
-          .sort((a, b) => b.createdAt - a.createdAt)
-          .slice(0, 10)
-      ),
-      // Đếm active seller và buyer từ danh sách ID
-      User.countDocuments({ role: "seller", _id: { $in: activeSellerIds } }),
-      User.countDocuments({ role: "user", _id: { $in: activeBuyerIds } }),
-    ]);
-
-    const orderStatus = {
-      pending: 0,
-      shipping: 0,
-      shipped: 0,
-      failedToShip: 0,
-      rejected: 0,
-    };
-    orderStats.forEach((stat) => {
-      orderStatus[stat.status] = stat.count;
-    });
-
-    const conversionRate = totalUsers
-      ? ((activeBuyers / totalUsers) * 100).toFixed(2)
-      : 0;
-
-    res.status(200).json({
-      success: true,
-      summary: {
-        totalRevenue: totalRevenueStats[0]?.totalRevenue || 0,
-        totalOrders: orderStats.reduce((sum, stat) => sum + stat.count, 0),
-        orderStatus,
-        uniqueCustomers: uniqueCustomersStats[0]?.uniqueCustomers || 0,
-        productsShipped: productsShippedStats[0]?.productsShipped || 0,
-        totalUsers,
-        activeSellers,
-        activeBuyers,
-        conversionRate,
-        totalProducts,
-        newProducts,
       },
+    ]),
+    Promise.all([
+      User.find(dateFilter)
+        .select("username createdAt")
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .lean()
+        .then((docs) =>
+          docs.map((d) => ({
+            type: "New User",
+            details: d.username,
+            createdAt: d.createdAt,
+          }))
+        ),
+      Order.find(dateFilter)
+        .select("totalPrice createdAt")
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .lean()
+        .then((docs) =>
+          docs.map((d) => ({
+            type: "New Order",
+            details: `Total: ${d.totalPrice}`,
+            createdAt: d.createdAt,
+          }))
+        ),
+      Product.find(dateFilter)
+        .select("title createdAt")
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .lean()
+        .then((docs) =>
+          docs.map((d) => ({
+            type: "New Product",
+            details: d.title,
+            createdAt: d.createdAt,
+          }))
+        ),
+    ]).then((results) =>
+      results
+        .flat()
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, 10)
+    ),
+    // Đếm active seller và buyer từ danh sách ID
+    User.countDocuments({ role: "seller", _id: { $in: activeSellerIds } }),
+    User.countDocuments({ role: "user", _id: { $in: activeBuyerIds } }),
+  ]);
+
+  const orderStatus = Object.fromEntries(
+    ORDER_STATUSES.map((status) => [status, 0])
+  );
+  orderStats.forEach((stat) => {
+    orderStatus[stat.status] = stat.count;
+  });
+
+  const conversionRate = totalUsers
+    ? ((activeBuyers / totalUsers) * 100).toFixed(2)
+    : 0;
+
+  res.status(200).json({
+    success: true,
+    summary: {
+      totalRevenue: totalRevenueStats[0]?.totalRevenue || 0,
+      totalOrders: orderStats.reduce((sum, stat) => sum + stat.count, 0),
+      orderStatus,
+      uniqueCustomers: uniqueCustomersStats[0]?.uniqueCustomers || 0,
+      productsShipped: productsShippedStats[0]?.productsShipped || 0,
+      totalUsers,
+      activeSellers,
+      activeBuyers,
+      conversionRate,
+      totalProducts,
+      newProducts,
+    },
 
-      topSellers,
-      ratings: {
-        averageRating: ratingStats[0]?.averageRating?.toFixed(1) || 0,
-        totalReviews: ratingStats[0]?.totalReviews || 0,
-        topRatedProducts,
-      },
-      stock: {
-        lowStockProducts,
-        outOfStockProducts,
-      },
-      returns: {
-        returnRequestsCount,
-        disputesCount,
-      },
-      trends: {
-        revenueOverTime,
-        orderOverTime,
-      },
-      insights: {
-        revenueByCategory,
-        topProducts,
-      },
-      activities: {
-        recentActivity,
-      },
-    });
-  } catch (error) {
-    handleError(res, error, "Lỗi khi lấy báo cáo dashboard");
+    topSellers,
+    ratings: {
+      averageRating: ratingStats[0]?.averageRating?.toFixed(1) || 0,
+      totalReviews: ratingStats[0]?.totalReviews || 0,
+      topRatedProducts,
+    },
+    stock: {
+      lowStockProducts,
+      outOfStockProducts,
+    },
+    returns: {
+      returnRequestsCount,
+      disputesCount,
+    },
+    trends: {
+      revenueOverTime,
+      orderOverTime,
+    },
+    insights: {
+      revenueByCategory,
+      topProducts,
+    },
+    activities: {
+      recentActivity,
+    },
+  });
+};
+// --- Đối Soát Thanh Toán (Payment Reconciliation) ---
+
+/**
+ * @desc Báo cáo đối soát: thống kê sai lệch và danh sách (lọc theo status=open|resolved|all, type)
+ * @route GET /api/admin/reconciliation
+ * @access Riêng tư (Admin)
+ */
+exports.getReconciliationReport = async (req, res) => {
+  const { status, type, page = 1, limit = 20 } = req.query;
+  const report = await reconciliationService.getReconciliationReport({ status, type, page, limit });
+  res.status(200).json({ success: true, data: report });
+};
+
+/**
+ * @desc Chạy đối soát ngay, không chờ lịch định kỳ
+ * @route POST /api/admin/reconciliation/run
+ * @access Riêng tư (Admin)
+ */
+exports.runReconciliationAdmin = async (req, res) => {
+  const result = await reconciliationService.runReconciliation();
+  res.status(200).json({ success: true, data: result });
+};
+
+/**
+ * @desc Đánh dấu đã xử lý một sai lệch đối soát
+ * @route PUT /api/admin/reconciliation/:id/resolve
+ * @access Riêng tư (Admin)
+ */
+exports.resolveReconciliationIssueAdmin = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw createError(400, "INVALID_ID", { field: 'id' });
   }
-};
\ No newline at end of file
+  const issue = await reconciliationService.resolveIssue(req.params.id, {
+    note: req.body.note,
+    actor: staffActor(req),
+  });
+  res.status(200).json({ success: true, data: issue });
+};
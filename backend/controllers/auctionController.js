@@ -0,0 +1,92 @@
+const { Product, Bid } = require('../models');
+const auctionService = require('../services/auctionService');
+const createError = require('../utils/createError');
+
+/**
+ * Lấy thông tin phiên đấu giá của một sản phẩm
+ * @route GET /api/v1/auctions/:productId
+ * @access Public
+ */
+const getAuction = async (req, res) => {
+  const product = await Product.findById(req.params.productId)
+    .select('title image price isAuction auctionEndTime auctionStatus currentBid bidIncrement reservePrice sellerId');
+
+  if (!product || !product.isAuction) {
+    throw createError(404, 'AUCTION_NOT_FOUND');
+  }
+
+  const bidCount = await Bid.countDocuments({ productId: product._id });
+  const auction = product.toObject();
+  // Không tiết lộ giá sàn, chỉ cho biết đã đạt hay chưa
+  delete auction.reservePrice;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...auction,
+      bidCount,
+      isOpen: auctionService.isAuctionOpen(product),
+      minimumBid: auctionService.getMinimumBid(product),
+      reserveMet: (product.currentBid || 0) >= (product.reservePrice || 0),
+    }
+  });
+};
+
+/**
+ * Lấy lịch sử đặt giá của một phiên đấu giá
+ * @route GET /api/v1/auctions/:productId/bids
+ * @access Public
+ */
+const getBids = async (req, res) => {
+  const bids = await Bid.find({ productId: req.params.productId })
+    .populate('userId', 'username avatarURL')
+    .sort({ bidAmount: -1 })
+    .limit(parseInt(req.query.limit) || 50);
+
+  res.status(200).json({ success: true, data: bids });
+};
+
+/**
+ * Đặt giá cho sản phẩm đấu giá
+ * @route POST /api/v1/auctions/:productId/bids
+ * @access Private (Buyer)
+ */
+const placeBid = async (req, res) => {
+  const { amount } = req.body;
+  const { bid, product, extended } = await auctionService.placeBid(
+    req.params.productId,
+    req.user.id,
+    Number(amount)
+  );
+
+  res.status(201).json({
+    success: true,
+    message: req.t(extended ? 'messages.BID_PLACED_EXTENDED' : 'messages.BID_PLACED'),
+    data: {
+      bid,
+      currentBid: product.currentBid,
+      auctionEndTime: product.auctionEndTime,
+      minimumBid: auctionService.getMinimumBid(product),
+    }
+  });
+};
+
+/**
+ * Lấy các phiên đấu giá mà người dùng hiện tại đã tham gia
+ * @route GET /api/v1/auctions/my-bids
+ * @access Private
+ */
+const getMyBids = async (req, res) => {
+  const bids = await Bid.find({ userId: req.user.id })
+    .populate('productId', 'title image auctionEndTime auctionStatus currentBid highestBidderId auctionOrderId')
+    .sort({ bidDate: -1 });
+
+  res.status(200).json({ success: true, data: bids });
+};
+
+module.exports = {
+  getAuction,
+  getBids,
+  placeBid,
+  getMyBids
+};
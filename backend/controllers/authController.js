@@ -1,305 +1,367 @@
 const { User } = require("../models");
-const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const logger = require("../utils/logger");
-const { sendEmail } = require("../services/emailService");
-
-// Hàm kiểm tra định dạng email
-const validateEmail = (email) => {
-  const re = /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
-  return re.test(String(email).toLowerCase());
-};
-
-// Hàm tạo mật khẩu ngẫu nhiên
-const generatePassword = () => {
-  const length = 8;
-  const charset = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-  let password = "";
-  for (let i = 0; i < length; i++) {
-    password += charset.charAt(Math.floor(Math.random() * charset.length));
-  }
-  return password;
-};
+const passwordResetService = require("../services/passwordResetService");
+const sessionService = require("../services/sessionService");
+const emailVerificationService = require("../services/emailVerificationService");
+const twoFactorService = require("../services/twoFactorService");
+const accountLockService = require("../services/accountLockService");
+const { permissionsFor } = require("../config/permissions");
+const { toOwnerUser } = require("../serializers");
+const createError = require("../utils/createError");
+const validateEmail = require("../utils/validateEmail");
 
 // Đăng ký
 exports.register = async (req, res) => {
-  try {
-    const { username, fullname, email, password, role } = req.body;
+  const { username, fullname, email, password, role } = req.body;
 
-    // Kiểm tra đầu vào
-    if (!username || !email || !password) {
-      return res.status(400).json({ success: false, message: "Username, email và password là bắt buộc" });
-    }
-    if (!validateEmail(email)) {
-      return res.status(400).json({ success: false, message: "Định dạng email không hợp lệ" });
-    }
-    if (password.length < 6) {
-      return res.status(400).json({ success: false, message: "Mật khẩu phải dài ít nhất 6 ký tự" });
-    }
-    if (role && !["buyer", "seller"].includes(role)) {
-      return res.status(400).json({ success: false, message: "Vai trò không hợp lệ" });
-    }
-
-    // Kiểm tra xem người dùng đã tồn tại chưa
-    const existingUser = await User.findOne({ $or: [{ username }, { email }] });
-    if (existingUser) {
-      return res.status(400).json({ success: false, message: "Username hoặc email đã tồn tại" });
-    }
+  // Kiểm tra đầu vào
+  if (!username || !email || !password) {
+    throw createError(400, "REGISTER_FIELDS_REQUIRED");
+  }
+  if (!validateEmail(email)) {
+    throw createError(400, "EMAIL_INVALID");
+  }
+  if (password.length < 6) {
+    throw createError(400, "PASSWORD_TOO_SHORT", { min: 6 });
+  }
+  if (role && !["buyer", "seller"].includes(role)) {
+    throw createError(400, "ROLE_INVALID");
+  }
 
-    // Tạo người dùng mới
-    const user = new User({
-      username,
-      fullname,
-      email,
-      password, // Sẽ được mã hóa bởi hook pre-save
-      role: role || "buyer",
-    });
+  // Kiểm tra xem người dùng đã tồn tại chưa
+  const existingUser = await User.findOne({ $or: [{ username }, { email }] });
+  if (existingUser) {
+    throw createError(400, "USER_EXISTS");
+  }
 
-    await user.save();
+  // Tạo người dùng mới
+  const user = new User({
+    username,
+    fullname,
+    email,
+    password, // Sẽ được mã hóa bởi hook pre-save
+    role: role || "buyer",
+    emailVerified: false,
+  });
 
-    // Gửi email chào mừng
-    try {
-      await sendEmail(user.email, "Welcome to Shopii", "Thank you for registering with us!");
-    } catch (emailError) {
-      logger.error("Failed to send welcome email:", emailError);
-    }
+  await user.save();
 
-    res.status(201).json({ success: true, message: "Đăng ký thành công" });
-  } catch (error) {
-    logger.error("Lỗi đăng ký:", error);
-    res.status(500).json({ success: false, message: "Lỗi server" });
+  // Gửi link xác minh email
+  try {
+    await emailVerificationService.sendVerificationEmail(user);
+  } catch (emailError) {
+    logger.error("Failed to send verification email:", emailError);
   }
+
+  res.status(201).json({
+    success: true,
+    message: req.t("messages.REGISTERED")
+  });
 };
 
 // Đăng nhập
 exports.login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
+  const { email, password } = req.body;
 
-    // Kiểm tra đầu vào
-    if (!email || !password) {
-      return res.status(400).json({ success: false, message: "Email và password là bắt buộc" });
-    }
+  // Kiểm tra đầu vào
+  if (!email || !password) {
+    throw createError(400, "CREDENTIALS_REQUIRED");
+  }
 
-    // Tìm người dùng theo email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ success: false, message: "Thông tin đăng nhập không hợp lệ" });
-    }
+  // Tìm người dùng theo email
+  const user = await User.findOne({ email });
+  if (!user) {
+    throw createError(400, "CREDENTIALS_INVALID");
+  }
 
-    // Kiểm tra mật khẩu
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({ success: false, message: "Thông tin đăng nhập không hợp lệ" });
-    }
+  // Kiểm tra mật khẩu
+  const isMatch = await user.comparePassword(password);
+  if (!isMatch) {
+    throw createError(400, "CREDENTIALS_INVALID");
+  }
 
-    // Tạo JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+  // Tài khoản bị khóa: trả lý do, thời hạn và token để gửi kháng nghị
+  await accountLockService.ensureActive(user);
 
-    res.json({
+  // Đã bật 2FA: chỉ trả token tạm, phiên được tạo sau khi nhập đúng mã
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        role: user.role,
-      },
+      twoFactorRequired: true,
+      challengeToken: twoFactorService.createLoginChallenge(user),
     });
-  } catch (error) {
-    logger.error("Lỗi đăng nhập:", error);
-    res.status(500).json({ success: false, message: "Lỗi server" });
   }
+
+  // Tạo phiên mới: access token ngắn hạn + refresh token
+  const { token, refreshToken, expiresIn } = await sessionService.createSession(user, sessionService.sessionContext(req));
+
+  res.json({
+    success: true,
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      username: user.username,
+      role: user.role,
+      staffRoles: user.staffRoles,
+      permissions: permissionsFor(user),
+      emailVerified: user.emailVerified,
+      twoFactorRequired: twoFactorService.isEnforcedFor(user) && !(user.twoFactor && user.twoFactor.enabled),
+    },
+  });
 };
 
-// Quên mật khẩu
-exports.forgotPassword = async (req, res) => {
-  try {
-    const { email } = req.body;
-    if (!email) {
-      return res.status(400).json({ success: false, message: "Email là bắt buộc" });
-    }
+// Bước hai của đăng nhập: mã từ ứng dụng xác thực hoặc mã khôi phục
+exports.verifyTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    throw createError(400, "TWO_FACTOR_CODE_REQUIRED");
+  }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ success: false, message: "Không tìm thấy người dùng" });
-    }
+  const { user, mode } = await twoFactorService.completeLoginChallenge(challengeToken, { code, recoveryCode });
+  await accountLockService.ensureActive(user);
+  const { token, refreshToken, expiresIn } = await sessionService.createSession(user, sessionService.sessionContext(req));
+
+  res.json({
+    success: true,
+    message: req.t(mode === "seller" ? "messages.LOGGED_IN_AS_SELLER" : "messages.LOGGED_IN"),
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      username: user.username,
+      role: user.role,
+      staffRoles: user.staffRoles,
+      permissions: permissionsFor(user),
+      emailVerified: user.emailVerified,
+    },
+  });
+};
 
-    const newPassword = generatePassword();
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
+// Làm mới access token bằng refresh token (refresh token cũ hết hiệu lực)
+exports.refreshToken = async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    throw createError(400, "REFRESH_TOKEN_REQUIRED");
+  }
 
-    // Cập nhật mật khẩu mà không kích hoạt hook pre-save
-    await User.updateOne({ _id: user._id }, { password: hashedPassword });
+  const tokens = await sessionService.refreshSession(refreshToken, sessionService.sessionContext(req));
+  res.json({
+    success: true,
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn
+  });
+};
 
-    // Gửi email với mật khẩu mới
-    await sendEmail(user.email, "Mật khẩu mới của bạn", `Mật khẩu mới của bạn là: ${newPassword}`);
+// Đăng xuất phiên hiện tại
+exports.logout = async (req, res) => {
+  await sessionService.revokeSession(req.user.sessionId, { userId: req.user.id, reason: "logout" });
+  res.json({ success: true, message: req.t("messages.LOGGED_OUT") });
+};
+
+// Đăng xuất khỏi mọi thiết bị
+exports.logoutAll = async (req, res) => {
+  const revoked = await sessionService.revokeAllSessions(req.user.id, { reason: "logout_all" });
+  res.json({ success: true, message: req.t("messages.LOGGED_OUT_ALL"), data: { revoked } });
+};
 
-    res.json({ success: true, message: "Mật khẩu mới đã được gửi tới email của bạn" });
-  } catch (error) {
-    logger.error("Lỗi trong forgotPassword:", error);
-    res.status(500).json({ success: false, message: "Lỗi server" });
+// Danh sách phiên đăng nhập đang hoạt động
+exports.getSessions = async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user.id, req.user.sessionId);
+  res.json({ success: true, data: sessions });
+};
+
+// Đăng xuất một thiết bị cụ thể
+exports.revokeSession = async (req, res) => {
+  const revoked = await sessionService.revokeSession(req.params.sessionId, { userId: req.user.id, reason: "revoked" });
+  if (!revoked) {
+    throw createError(404, "SESSION_NOT_FOUND");
   }
+  res.json({ success: true, message: req.t("messages.SESSION_REVOKED") });
 };
 
-// Thay đổi vai trò người dùng
-exports.changeRole = async (req, res) => {
-  try {
-    const { role } = req.body;
-    const userId = req.user.id; // Lấy ID người dùng từ middleware xác thực
+// Trạng thái xác thực hai lớp
+exports.getTwoFactorStatus = async (req, res) => {
+  const user = await User.findById(req.user.id).select("role staffRoles twoFactor +twoFactor.recoveryCodes");
+  if (!user) {
+    throw createError(404, "USER_NOT_FOUND");
+  }
+  res.json({ success: true, data: twoFactorService.getStatus(user) });
+};
 
-    // Kiểm tra đầu vào
-    if (!role) {
-      return res.status(400).json({ success: false, message: "Vai trò mới là bắt buộc" });
-    }
-    if (!["buyer", "seller"].includes(role)) {
-      return res.status(400).json({ success: false, message: "Vai trò không hợp lệ" });
-    }
+// Bắt đầu bật 2FA: trả secret và URL otpauth để quét bằng ứng dụng xác thực
+exports.setupTwoFactor = async (req, res) => {
+  const data = await twoFactorService.startSetup(req.user.id);
+  res.json({ success: true, data });
+};
 
-    // Tìm và cập nhật người dùng
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ success: false, message: "Không tìm thấy người dùng" });
-    }
+// Xác nhận mã đầu tiên và bật 2FA, trả mã khôi phục một lần duy nhất
+exports.enableTwoFactor = async (req, res) => {
+  const recoveryCodes = await twoFactorService.enable(req.user.id, req.body.code);
+  res.json({
+    success: true,
+    message: req.t("messages.TWO_FACTOR_ENABLED"),
+    data: { recoveryCodes }
+  });
+};
 
-    // Cập nhật vai trò
-    user.role = role;
-    await user.save();
+// Tắt 2FA (cần mật khẩu và mã xác thực)
+exports.disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  await twoFactorService.disable(req.user.id, { password, code, recoveryCode });
+  res.json({ success: true, message: req.t("messages.TWO_FACTOR_DISABLED") });
+};
 
-    // Tạo JWT token mới với vai trò đã cập nhật
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+// Tạo lại mã khôi phục
+exports.regenerateRecoveryCodes = async (req, res) => {
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+  res.json({ success: true, data: { recoveryCodes } });
+};
 
-    res.json({
-      success: true,
-      message: `Vai trò đã được cập nhật thành ${role}`,
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        role: user.role,
-      },
-    });
-  } catch (error) {
-    logger.error("Lỗi thay đổi vai trò:", error);
-    res.status(500).json({ success: false, message: "Lỗi server" });
+// Xác minh email từ link trong email
+exports.verifyEmail = async (req, res) => {
+  const token = req.body.token || req.query.token;
+  if (!token) {
+    throw createError(400, "TOKEN_REQUIRED");
   }
+
+  await emailVerificationService.verifyEmail(token);
+  res.json({ success: true, message: req.t("messages.EMAIL_VERIFIED") });
+};
+
+// Gửi lại link xác minh email
+exports.resendVerification = async (req, res) => {
+  await emailVerificationService.resendVerification(req.user.id);
+  res.json({ success: true, message: req.t("messages.VERIFICATION_EMAIL_RESENT") });
+};
+
+// Gửi kháng nghị khi tài khoản bị khóa (appealToken nhận được từ phản hồi đăng nhập)
+exports.submitLockAppeal = async (req, res) => {
+  const { appealToken, note } = req.body;
+  if (!appealToken) {
+    throw createError(400, "APPEAL_TOKEN_REQUIRED");
+  }
+
+  await accountLockService.submitAppeal(appealToken, note);
+  res.json({ success: true, message: req.t("messages.APPEAL_SUBMITTED") });
+};
+
+// Quên mật khẩu: gửi link đặt lại mật khẩu (phản hồi giống nhau dù email có tồn tại hay không)
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    throw createError(400, "EMAIL_REQUIRED");
+  }
+
+  await passwordResetService.requestPasswordReset(email, { ip: req.ip });
+
+  res.json({
+    success: true,
+    message: req.t("messages.PASSWORD_RESET_EMAIL_SENT")
+  });
+};
+
+// Đặt lại mật khẩu bằng token trong email
+exports.resetPassword = async (req, res) => {
+  const { token, newPassword } = req.body;
+  await passwordResetService.resetPassword(token, newPassword);
+
+  res.json({ success: true, message: req.t("messages.PASSWORD_RESET") });
 };
 
 // Get user profile
 exports.getProfile = async (req, res) => {
-  try {
-    const userId = req.user.id; // Get user ID from auth middleware
+  const userId = req.user.id; // Get user ID from auth middleware
 
-    const user = await User.findById(userId).select('-password'); // Exclude password
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
-
-    res.json({
-      success: true,
-      data: user
-    });
-  } catch (error) {
-    logger.error("Error getting user profile:", error);
-    res.status(500).json({ success: false, message: "Server error" });
+  const user = await User.findById(userId).select('-password'); // Exclude password
+  if (!user) {
+    throw createError(404, "USER_NOT_FOUND");
   }
+
+  res.json({
+    success: true,
+    data: toOwnerUser(user)
+  });
 };
 
 // Update user profile
 exports.updateProfile = async (req, res) => {
-  try {
-    const userId = req.user.id; // Get user ID from auth middleware
-    const { fullname, email, avatarURL } = req.body;
+  const userId = req.user.id; // Get user ID from auth middleware
+  const { fullname, email, avatarURL } = req.body;
 
-    // Find user
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
-
-    // Validate email if provided
-    if (email && email !== user.email) {
-      if (!validateEmail(email)) {
-        return res.status(400).json({ success: false, message: "Invalid email format" });
-      }
-      // Check if email is already in use
-      const existingUser = await User.findOne({ email, _id: { $ne: userId } });
-      if (existingUser) {
-        return res.status(400).json({ success: false, message: "Email already in use" });
-      }
-      user.email = email;
-    }
+  // Find user
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createError(404, "USER_NOT_FOUND");
+  }
 
-    // Update fields if provided
-    if (fullname) user.fullname = fullname;
-    if (avatarURL) user.avatarURL = avatarURL;
+  // Email mới phải hợp lệ, chưa ai dùng và được xác minh lại
+  await emailVerificationService.changeEmail(user, email);
 
-    await user.save();
+  // Update fields if provided
+  if (fullname) user.fullname = fullname;
+  if (avatarURL) user.avatarURL = avatarURL;
 
-    // Return updated user (without password)
-    const updatedUser = await User.findById(userId).select('-password');
+  await user.save();
 
-    res.json({
-      success: true,
-      message: "Profile updated successfully",
-      data: updatedUser
-    });
-  } catch (error) {
-    logger.error("Error updating user profile:", error);
-    res.status(500).json({ success: false, message: "Server error" });
+  if (!user.emailVerified) {
+    try {
+      await emailVerificationService.sendVerificationEmail(user);
+    } catch (emailError) {
+      logger.error("Failed to send verification email:", emailError);
+    }
   }
+
+  res.json({
+    success: true,
+    message: req.t("messages.PROFILE_UPDATED"),
+    data: toOwnerUser(user)
+  });
 };
 
 // Update user password
 exports.updatePassword = async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { currentPassword, newPassword } = req.body;
-
-    // Validation
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Current password and new password are required" 
-      });
-    }
-
-    if (newPassword.length < 6) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "New password must be at least 6 characters" 
-      });
-    }
+  const userId = req.user.id;
+  const { currentPassword, newPassword } = req.body;
 
-    // Find user
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
+  // Validation
+  if (!currentPassword || !newPassword) {
+    throw createError(400, "PASSWORD_FIELDS_REQUIRED");
+  }
 
-    // Verify current password
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
-      return res.status(400).json({ success: false, message: "Current password is incorrect" });
-    }
+  if (newPassword.length < 6) {
+    throw createError(400, "PASSWORD_TOO_SHORT", { min: 6 });
+  }
 
-    // Update password
-    user.password = newPassword; // Will be hashed by the pre-save hook
-    await user.save();
+  // Find user
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createError(404, "USER_NOT_FOUND");
+  }
 
-    res.json({
-      success: true,
-      message: "Password updated successfully"
-    });
-  } catch (error) {
-    logger.error("Error updating password:", error);
-    res.status(500).json({ success: false, message: "Server error" });
+  // Verify current password
+  const isMatch = await user.comparePassword(currentPassword);
+  if (!isMatch) {
+    throw createError(400, "PASSWORD_INCORRECT");
   }
+
+  // Update password
+  user.password = newPassword; // Will be hashed by the pre-save hook
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  // Token cũ hết hiệu lực theo passwordChangedAt: đăng xuất mọi phiên rồi cấp phiên mới cho thiết bị hiện tại
+  await sessionService.revokeAllSessions(userId, { reason: "password_change" });
+  const { token, refreshToken, expiresIn } = await sessionService.createSession(user, sessionService.sessionContext(req));
+
+  res.json({
+    success: true,
+    message: req.t("messages.PASSWORD_UPDATED"),
+    token,
+    refreshToken,
+    expiresIn
+  });
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const fileUploadService = require('../services/fileUploadService');
+const createError = require('../utils/createError');
 
 /**
  * Upload a single image
@@ -6,38 +7,26 @@ const fileUploadService = require('../services/fileUploadService');
  * @param {Object} res - Express response object
  */
 const uploadImage = async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'No file uploaded' 
-      });
-    }
-    
-    // Multer with Cloudinary storage already uploads the file
-    // We can access the result from req.file
-    const result = {
-      public_id: req.file.filename,
-      url: req.file.path,
-      secure_url: req.file.path,
-      format: req.file.format,
-      width: req.file.width,
-      height: req.file.height
-    };
-    
-    return res.status(200).json({
-      success: true,
-      message: 'File uploaded successfully',
-      data: result
-    });
-  } catch (error) {
-    console.error('Error in uploadImage controller:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to upload image',
-      error: error.message
-    });
+  if (!req.file) {
+    throw createError(400, 'UPLOAD_FILE_REQUIRED');
   }
+  
+  // Multer with Cloudinary storage already uploads the file
+  // We can access the result from req.file
+  const result = {
+    public_id: req.file.filename,
+    url: req.file.path,
+    secure_url: req.file.path,
+    format: req.file.format,
+    width: req.file.width,
+    height: req.file.height
+  };
+  
+  return res.status(200).json({
+    success: true,
+    message: req.t('messages.IMAGE_UPLOADED'),
+    data: result
+  });
 };
 
 /**
@@ -46,36 +35,24 @@ const uploadImage = async (req, res) => {
  * @param {Object} res - Express response object
  */
 const uploadMultipleImages = async (req, res) => {
-  try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No files uploaded'
-      });
-    }
+  if (!req.files || req.files.length === 0) {
+    throw createError(400, 'UPLOAD_FILE_REQUIRED');
+  }
 
-    const results = req.files.map(file => ({
-      public_id: file.filename,
-      url: file.path,
-      secure_url: file.path,
-      format: file.format,
-      width: file.width,
-      height: file.height
-    }));
+  const results = req.files.map(file => ({
+    public_id: file.filename,
+    url: file.path,
+    secure_url: file.path,
+    format: file.format,
+    width: file.width,
+    height: file.height
+  }));
 
-    return res.status(200).json({
-      success: true,
-      message: 'Files uploaded successfully',
-      data: results
-    });
-  } catch (error) {
-    console.error('Error in uploadMultipleImages controller:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to upload images',
-      error: error.message
-    });
-  }
+  return res.status(200).json({
+    success: true,
+    message: req.t('messages.IMAGES_UPLOADED'),
+    data: results
+  });
 };
 
 /**
@@ -84,37 +61,21 @@ const uploadMultipleImages = async (req, res) => {
  * @param {Object} res - Express response object
  */
 const deleteImage = async (req, res) => {
-  try {
-    const { public_id } = req.body;
-    
-    if (!public_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'Public ID is required'
-      });
-    }
+  const { public_id } = req.body;
+  
+  if (!public_id) {
+    throw createError(400, 'IMAGE_PUBLIC_ID_REQUIRED');
+  }
 
-    const result = await fileUploadService.deleteFile(public_id);
-    
-    if (result.result === 'ok') {
-      return res.status(200).json({
-        success: true,
-        message: 'Image deleted successfully'
-      });
-    } else {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to delete image',
-        data: result
-      });
-    }
-  } catch (error) {
-    console.error('Error in deleteImage controller:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to delete image',
-      error: error.message
+  const result = await fileUploadService.deleteFile(public_id);
+  
+  if (result.result === 'ok') {
+    return res.status(200).json({
+      success: true,
+      message: req.t('messages.IMAGE_DELETED')
     });
+  } else {
+    throw createError(400, 'IMAGE_DELETE_FAILED', { result: result.result });
   }
 };
 
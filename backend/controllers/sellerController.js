@@ -10,624 +10,820 @@ const Feedback = require("../models/Feedback");
 const Dispute = require("../models/Dispute");
 const Category = require("../models/Category");
 const bcrypt = require("bcryptjs");
-const jwt = require('jsonwebtoken');
 const ReturnRequest = require('../models/ReturnRequest');
 const Address = require('../models/Address');
 const Payment = require('../models/Payment');
+const SellerOrder = require('../models/SellerOrder');
+const OrderStatusHistory = require('../models/OrderStatusHistory');
+const { transition, transitionAll, syncOrderStatus } = require('../services/orderLifecycle');
+const { updateOrderAfterPayment, getOrderPayments, isLatePayment } = require('../services/paymentVerificationService');
+const { issueRefund } = require('../services/refundService');
+const shippingService = require('../services/shippingService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const emailVerificationService = require('../services/emailVerificationService');
+const accountLockService = require('../services/accountLockService');
+const logger = require('../utils/logger');
+const { serializeStore, toOwnerUser } = require('../serializers');
+const createError = require("../utils/createError");
+
+// Chủ cửa hàng hoặc nhân viên thao tác thay cửa hàng: lịch sử ghi người thực hiện với vai trò seller
+const storeActor = (req) => ({ userId: req.user.id, role: 'seller' });
 
 // Tạo cửa hàng mới
 exports.createStore = async (req, res) => {
-  try {
-    const { storeName, description, bannerImageURL } = req.body;
-    const sellerId = req.user.id;
-
-    // Kiểm tra xem người dùng có vai trò seller không
-    const user = await User.findById(sellerId);
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
-    if (user.role !== "seller") {
-      return res.status(403).json({ success: false, message: "User is not a seller" });
-    }
-
-    // Kiểm tra xem người dùng đã có store chưa
-    const existingStore = await Store.findOne({ sellerId });
-    if (existingStore) {
-      return res.status(400).json({ success: false, message: "User already has a store" });
-    }
-
-    // Validate input
-    if (!storeName) {
-      return res.status(400).json({ success: false, message: "Store name is required" });
-    }
+  const { storeName, description, bannerImageURL } = req.body;
+  const sellerId = req.user.id;
 
-    // Tạo mới store
-    const newStore = new Store({
-      sellerId,
-      storeName,
-      description,
-      bannerImageURL,
-      status: "pending" // Mặc định là pending, chờ admin duyệt
-    });
+  // Kiểm tra xem người dùng có vai trò seller không
+  const user = await User.findById(sellerId);
+  if (!user) {
+    throw createError(404, "USER_NOT_FOUND");
+  }
+  if (user.role !== "seller") {
+    throw createError(403, "NOT_A_SELLER");
+  }
 
-    await newStore.save();
+  // Kiểm tra xem người dùng đã có store chưa
+  const existingStore = await Store.findOne({ sellerId });
+  if (existingStore) {
+    throw createError(400, "STORE_ALREADY_EXISTS");
+  }
 
-    res.status(201).json({
-      success: true,
-      message: "Store created successfully and is pending approval",
-      data: newStore
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  // Validate input
+  if (!storeName) {
+    throw createError(400, "STORE_NAME_REQUIRED");
   }
+
+  // Tạo mới store
+  const newStore = new Store({
+    sellerId,
+    storeName,
+    description,
+    bannerImageURL,
+    status: "pending" // Mặc định là pending, chờ admin duyệt
+  });
+
+  await newStore.save();
+
+  res.status(201).json({
+    success: true,
+    message: req.t("messages.STORE_CREATED"),
+    data: newStore
+  });
 };
 
 // Đăng nhập và chuyển sang chế độ bán hàng
 exports.loginAndSwitch = async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    const user = await User.findOne({ username });
+  const { username, password } = req.body;
+  const user = await User.findOne({ username });
 
-    if (!user) {
-      return res.status(401).json({ success: false, message: "Invalid credentials" });
-    }
+  if (!user) {
+    throw createError(401, "CREDENTIALS_INVALID");
+  }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(401).json({ success: false, message: "Invalid credentials" });
-    }
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    throw createError(401, "CREDENTIALS_INVALID");
+  }
 
-    // Kiểm tra role
-    if (user.role !== "seller") {
-      return res.status(403).json({ success: false, message: "User is not a seller" });
-    }
+  // Kiểm tra role
+  if (user.role !== "seller") {
+    throw createError(403, "NOT_A_SELLER");
+  }
 
-    // Generate JWT token
-    const payload = {
-      id: user._id,
-      username: user.username,
-      role: user.role
-    };
-    
-    const token = jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+  // Tài khoản bị khóa không được đăng nhập
+  await accountLockService.ensureActive(user);
 
-    res.json({
+  // Đã bật 2FA: hoàn tất đăng nhập qua POST /api/auth/2fa/verify
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.json({
       success: true,
-      message: "Logged in as seller",
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        role: user.role
-      }
+      twoFactorRequired: true,
+      challengeToken: twoFactorService.createLoginChallenge(user, "seller")
     });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
   }
-};
-
-exports.getProfileStoreAndSeller = async (req, res) => {
-  try {
-    const sellerId = req.user.id;
-    const store = await Store.findOne({ sellerId }).populate('sellerId');
-    if (!store) {
-      return res.status(404).json({ success: false, message: "Store profile not found" });
-    }
-
-    // Lấy tất cả product của store này
-    const products = await Product.find({ sellerId }, '_id');
-    const productIds = products.map(p => p._id);
 
-    // Lấy review gốc (parentId == null) của tất cả product
-    const reviews = await Review.find(
-      { productId: { $in: productIds }, parentId: null },
-      'rating'
-    );
-    const totalReviews = reviews.length;
-    const avgRating = totalReviews
-      ? (reviews.reduce((sum, r) => sum + (r.rating || 0), 0) / totalReviews).toFixed(1)
-      : 0;
+  // Tạo phiên đăng nhập mới (access token ngắn hạn + refresh token)
+  const { token, refreshToken, expiresIn } = await sessionService.createSession(user, sessionService.sessionContext(req));
 
-    // Lấy địa chỉ mặc định của user
-    const address = await Address.findOne({ userId: store.sellerId._id, isDefault: true });
+  res.json({
+    success: true,
+    message: req.t("messages.LOGGED_IN_AS_SELLER"),
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      username: user.username,
+      role: user.role
+    }
+  });
+};
 
-    // Trả về response gồm địa chỉ
-    res.json({
-      success: true,
-      data: {
-        ...store.toObject(),
-        avgRating: Number(avgRating),
-        totalReviews,
-        address // có thể null nếu user chưa khai báo
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+exports.getProfileStoreAndSeller = async (req, res) => {
+  const sellerId = req.store.sellerId;
+  const store = await Store.findOne({ sellerId }).populate('sellerId');
+  if (!store) {
+    throw createError(404, "STORE_NOT_FOUND");
   }
+
+  // Lấy tất cả product của store này
+  const products = await Product.find({ sellerId }, '_id');
+  const productIds = products.map(p => p._id);
+
+  // Lấy review gốc (parentId == null) của tất cả product
+  const reviews = await Review.find(
+    { productId: { $in: productIds }, parentId: null },
+    'rating'
+  );
+  const totalReviews = reviews.length;
+  const avgRating = totalReviews
+    ? (reviews.reduce((sum, r) => sum + (r.rating || 0), 0) / totalReviews).toFixed(1)
+    : 0;
+
+  // Lấy địa chỉ mặc định của user
+  const address = await Address.findOne({ userId: store.sellerId._id, isDefault: true });
+
+  // Trả về response gồm địa chỉ
+  res.json({
+    success: true,
+    data: {
+      ...serializeStore(store, req.store.isOwner ? 'owner' : 'public'),
+      avgRating: Number(avgRating),
+      totalReviews,
+      address // có thể null nếu user chưa khai báo
+    }
+  });
 };
 
 // Cập nhật hồ sơ cửa hàng
 exports.updateStoreProfile = async (req, res) => {
-  try {
-    const { storeName, description, bannerImageURL } = req.body;
-    const sellerId = req.user.id;
+  const { storeName, description, bannerImageURL } = req.body;
+  const sellerId = req.store.sellerId;
 
-    const store = await Store.findOneAndUpdate(
-      { sellerId },
-      { storeName, description, bannerImageURL },
-      { new: true, upsert: true }
-    );
+  const store = await Store.findOneAndUpdate(
+    { sellerId },
+    { storeName, description, bannerImageURL },
+    { new: true, upsert: true }
+  );
 
-    res.json({ success: true, data: store });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+  res.json({ success: true, data: store });
 };
 exports.updateSellerProfile = async (req, res) => {
-  try {
-    const sellerId = req.user.id;
-    // Lấy các trường user và address từ body
-    const { username, fullname, email, avatar, phone, street, city, state, country } = req.body;
-
-    // 1. Cập nhật User
-    const updatedUser = await User.findByIdAndUpdate(
-      sellerId,
-      { username, fullname, email, avatarURL: avatar }, // Lưu ý: avatar hay avatarURL
-      { new: true }
-    ).select("-password"); // Không trả về password
-
-    if (!updatedUser) {
-      return res.status(404).json({ success: false, message: "Seller not found" });
-    }
+  const sellerId = req.user.id;
+  // Lấy các trường user và address từ body
+  const { username, fullname, email, avatar, phone, street, city, state, country } = req.body;
+
+  // 1. Cập nhật User
+  const updatedUser = await User.findById(sellerId);
+  if (!updatedUser) {
+    throw createError(404, "USER_NOT_FOUND");
+  }
 
-    // 2. Cập nhật địa chỉ mặc định
-    let updatedAddress = null;
-    if (phone || street || city || state || country) {
-      // Upsert địa chỉ mặc định (isDefault: true)
-      updatedAddress = await Address.findOneAndUpdate(
-        { userId: sellerId, isDefault: true },
-        {
-          phone, street, city, state, country, fullName: fullname || updatedUser.fullname, isDefault: true
-        },
-        { new: true, upsert: true }
-      );
+  // Email mới phải hợp lệ, chưa ai dùng và được xác minh lại (giống authController.updateProfile)
+  const emailChanged = await emailVerificationService.changeEmail(updatedUser, email);
+  if (username) updatedUser.username = username;
+  if (fullname) updatedUser.fullname = fullname;
+  if (avatar) updatedUser.avatarURL = avatar;
+  await updatedUser.save();
+
+  if (emailChanged) {
+    try {
+      await emailVerificationService.sendVerificationEmail(updatedUser);
+    } catch (emailError) {
+      logger.error("Failed to send verification email:", emailError);
     }
+  }
 
-    res.json({
-      success: true,
-      data: {
-        ...updatedUser.toObject(),
-        address: updatedAddress
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  // 2. Cập nhật địa chỉ mặc định
+  let updatedAddress = null;
+  if (phone || street || city || state || country) {
+    // Upsert địa chỉ mặc định (isDefault: true)
+    updatedAddress = await Address.findOneAndUpdate(
+      { userId: sellerId, isDefault: true },
+      {
+        phone, street, city, state, country, fullName: fullname || updatedUser.fullname, isDefault: true
+      },
+      { new: true, upsert: true }
+    );
   }
+
+  res.json({
+    success: true,
+    data: {
+      ...toOwnerUser(updatedUser),
+      address: updatedAddress
+    }
+  });
 };
 
 // Lấy tất cả danh mục
 exports.getAllCategories = async (req, res) => {
-  try {
-    const categories = await Category.find();
-    if (!categories || categories.length === 0) {
-      return res.status(404).json({ success: false, message: "No categories found" });
-    }
-    res.json({ success: true, data: categories });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  const categories = await Category.find();
+  if (!categories || categories.length === 0) {
+    throw createError(404, "CATEGORY_NOT_FOUND");
   }
+  res.json({ success: true, data: categories });
 };
 exports.addNewCategory = async (req, res) => {
-  try {
-    const { name, description } = req.body;
+  const { name, description } = req.body;
 
-    // Kiểm tra xem category đã tồn tại chưa
-    const existingCategory = await Category.findOne({ name });
-    if (existingCategory) {
-      return res.status(400).json({ success: false, message: "Category already exists" });
-    }
+  // Kiểm tra xem category đã tồn tại chưa
+  const existingCategory = await Category.findOne({ name });
+  if (existingCategory) {
+    throw createError(400, "CATEGORY_EXISTS");
+  }
 
-    // Tạo mới category
-    const newCategory = new Category({
-      name,
-      description
-    });
+  // Tạo mới category
+  const newCategory = new Category({
+    name,
+    description
+  });
 
-    await newCategory.save();
+  await newCategory.save();
 
-    res.status(201).json({
-      success: true,
-      message: "Category added successfully!",
-      data: newCategory
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+  res.status(201).json({
+    success: true,
+    message: req.t("messages.CATEGORY_ADDED"),
+    data: newCategory
+  });
 };
 
 // Đăng bán sản phẩm mới
 exports.createProduct = async (req, res) => {
-  try {
-    const { title, description, price, image, categoryId, isAuction, auctionEndTime, quantity } = req.body;
-
-    const product = new Product({
-      title,
-      description,
-      price,
-      image,
-      categoryId,
-      sellerId: req.user.id,
-      isAuction,
-      auctionEndTime
-    });
-
-    await product.save();
+  const { title, description, price, image, categoryId, isAuction, auctionEndTime, reservePrice, bidIncrement, quantity } = req.body;
 
-    // Tạo bản ghi tồn kho
-    const inventory = new Inventory({
-      productId: product._id,
-      quantity: quantity || 0
-    });
-    await inventory.save();
-
-    res.status(201).json({ success: true, data: { product, inventory } });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  // Sản phẩm đấu giá phải có thời điểm kết thúc trong tương lai
+  if (isAuction && (!auctionEndTime || new Date(auctionEndTime) <= new Date())) {
+    throw createError(400, "AUCTION_END_TIME_INVALID");
+  }
+  // settleAuction giữ 1 sản phẩm trong kho cho người thắng
+  if (isAuction && !(Number(quantity) >= 1)) {
+    throw createError(400, "AUCTION_QUANTITY_REQUIRED");
   }
+
+  const product = new Product({
+    title,
+    description,
+    price,
+    image,
+    categoryId,
+    sellerId: req.store.sellerId,
+    isAuction,
+    auctionEndTime,
+    reservePrice,
+    bidIncrement
+  });
+
+  await product.save();
+
+  // Tạo bản ghi tồn kho
+  const inventory = new Inventory({
+    productId: product._id,
+    quantity: quantity || 0
+  });
+  await inventory.save();
+
+  res.status(201).json({ success: true, data: { product, inventory } });
 };
 
 // Quản lý danh sách sản phẩm
 exports.getProducts = async (req, res) => {
-  try {
-    console.log("Getting products for seller:", req.user.id);
-    
-    // Tìm sản phẩm của seller
-    const products = await Product.find({ sellerId: req.user.id });
-    
-    if (!products || products.length === 0) {
-      console.log("No products found for seller:", req.user.id);
-      return res.json({ success: true, data: [], message: "No products found" });
+  console.log("Getting products for seller:", req.store.sellerId);
+  
+  // Tìm sản phẩm của seller
+  const products = await Product.find({ sellerId: req.store.sellerId });
+  
+  if (!products || products.length === 0) {
+    console.log("No products found for seller:", req.store.sellerId);
+    return res.json({ success: true, data: [], message: req.t("messages.NO_PRODUCTS") });
+  }
+  
+  console.log(`Found ${products.length} products for seller`);
+  const productIds = products.map(p => p._id);
+
+  // Lấy tất cả inventory records hiện có
+  const existingInventories = await Inventory.find({ productId: { $in: productIds } });
+  
+  // Tạo map để kiểm tra nhanh sản phẩm nào đã có inventory
+  const inventoryMap = {};
+  existingInventories.forEach(inv => {
+    inventoryMap[inv.productId.toString()] = inv;
+  });
+  
+  // Kiểm tra và tạo inventory records cho các sản phẩm chưa có
+  const inventoryPromises = [];
+  for (const product of products) {
+    if (!inventoryMap[product._id.toString()]) {
+      console.log(`Creating inventory for product ${product._id}`);
+      inventoryPromises.push(
+        new Inventory({
+          productId: product._id,
+          quantity: 0
+        }).save()
+      );
     }
-    
-    console.log(`Found ${products.length} products for seller`);
-    const productIds = products.map(p => p._id);
-
-    // Lấy tất cả inventory records hiện có
-    const existingInventories = await Inventory.find({ productId: { $in: productIds } });
-    
-    // Tạo map để kiểm tra nhanh sản phẩm nào đã có inventory
-    const inventoryMap = {};
-    existingInventories.forEach(inv => {
-      inventoryMap[inv.productId.toString()] = inv;
+  }
+  
+  // Nếu có inventory mới cần tạo
+  if (inventoryPromises.length > 0) {
+    await Promise.all(inventoryPromises);
+  }
+  
+  // Lấy lại tất cả inventory sau khi đã tạo đủ
+  const allInventories = await Inventory.find({ productId: { $in: productIds } })
+    .populate({ 
+      path: "productId", 
+      populate: { path: "categoryId" } 
     });
-    
-    // Kiểm tra và tạo inventory records cho các sản phẩm chưa có
-    const inventoryPromises = [];
-    for (const product of products) {
-      if (!inventoryMap[product._id.toString()]) {
-        console.log(`Creating inventory for product ${product._id}`);
-        inventoryPromises.push(
-          new Inventory({
-            productId: product._id,
-            quantity: 0
-          }).save()
-        );
-      }
-    }
-    
-    // Nếu có inventory mới cần tạo
-    if (inventoryPromises.length > 0) {
-      await Promise.all(inventoryPromises);
+  
+  // Log products with missing categoryId
+  for (const inventory of allInventories) {
+    if (inventory.productId && !inventory.productId.categoryId) {
+      console.warn(`Warning: Product ${inventory.productId._id} has null categoryId`);
     }
-    
-    // Lấy lại tất cả inventory sau khi đã tạo đủ
-    const allInventories = await Inventory.find({ productId: { $in: productIds } })
-      .populate({ 
-        path: "productId", 
-        populate: { path: "categoryId" } 
-      });
-    
-    // Log products with missing categoryId
-    for (const inventory of allInventories) {
-      if (inventory.productId && !inventory.productId.categoryId) {
-        console.warn(`Warning: Product ${inventory.productId._id} has null categoryId`);
-      }
-    }
-    
-    // Đảm bảo thứ tự trả về khớp với thứ tự của products
-    const sortedInventories = [];
-    for (const product of products) {
-      const inventory = allInventories.find(inv => 
-        inv.productId && inv.productId._id.toString() === product._id.toString()
-      );
-      if (inventory) {
-        sortedInventories.push(inventory);
-      }
+  }
+  
+  // Đảm bảo thứ tự trả về khớp với thứ tự của products
+  const sortedInventories = [];
+  for (const product of products) {
+    const inventory = allInventories.find(inv => 
+      inv.productId && inv.productId._id.toString() === product._id.toString()
+    );
+    if (inventory) {
+      sortedInventories.push(inventory);
     }
-    
-    res.json({ success: true, data: sortedInventories });
-  } catch (error) {
-    console.error("Error in getProducts:", error.message);
-    res.status(500).json({ success: false, message: error.message });
   }
+  
+  res.json({ success: true, data: sortedInventories });
 };
 // Lấy chi tiết 1 sản phẩm
 exports.getProductById = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const product = await Product.findById(id).populate('categoryId');
-    
-    if (!product) {
-      return res.status(404).json({ success: false, message: "Product not found" });
-    }
-    
-    // Kiểm tra sản phẩm thuộc về seller hiện tại
-    if (product.sellerId.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: "Not authorized" });
-    }
-    
-    // Tìm hoặc tạo inventory
-    let inventory = await Inventory.findOne({ productId: id });
-    
-    // Nếu không có inventory, tạo mới
-    if (!inventory) {
-      inventory = new Inventory({
-        productId: id,
-        quantity: 0
-      });
-      await inventory.save();
-    }
-    
-    // Tạo đối tượng kết quả
-    const result = {
-      product,
-      inventory,
-      categoryName: product.categoryId ? product.categoryId.name : null
-    };
-
-    res.json({ success: true, data: result });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  const { id } = req.params;
+  const product = await Product.findById(id).populate('categoryId');
+  
+  if (!product) {
+    throw createError(404, "PRODUCT_NOT_FOUND");
+  }
+  
+  // Kiểm tra sản phẩm thuộc về seller hiện tại
+  if (product.sellerId.toString() !== req.store.sellerId) {
+    throw createError(403, "FORBIDDEN");
+  }
+  
+  // Tìm hoặc tạo inventory
+  let inventory = await Inventory.findOne({ productId: id });
+  
+  // Nếu không có inventory, tạo mới
+  if (!inventory) {
+    inventory = new Inventory({
+      productId: id,
+      quantity: 0
+    });
+    await inventory.save();
   }
+  
+  // Tạo đối tượng kết quả
+  const result = {
+    product,
+    inventory,
+    categoryName: product.categoryId ? product.categoryId.name : null
+  };
+
+  res.json({ success: true, data: result });
 };
 exports.getReviewsByProductId = async (req, res) => {
-  try {
-    const { id } = req.params; // id là productId
-
-    // Lấy tất cả review & populate user
-    const reviews = await Review.find({ productId: id })
-      .populate('reviewerId', 'username role')
-      .sort({ createdAt: -1 });
-
-    // Lấy userIds là seller để tìm cửa hàng
-    const sellerUserIds = reviews
-      .filter(r => r.reviewerId && r.reviewerId.role === "seller")
-      .map(r => r.reviewerId._id);
-
-    // Map: userId -> { storeName, bannerImageURL }
-    let storeMap = {};
-    if (sellerUserIds.length) {
-      const stores = await Store.find(
-        { sellerId: { $in: sellerUserIds } },
-        "sellerId storeName bannerImageURL"
-      );
-      storeMap = stores.reduce((acc, s) => {
-        acc[s.sellerId.toString()] = {
-          storeName: s.storeName,
-          bannerImageURL: s.bannerImageURL,
-        };
-        return acc;
-      }, {});
-    }
+  const { id } = req.params; // id là productId
+
+  // Lấy tất cả review & populate user
+  const reviews = await Review.find({ productId: id })
+    .populate('reviewerId', 'username role')
+    .sort({ createdAt: -1 });
+
+  // Lấy userIds là seller để tìm cửa hàng
+  const sellerUserIds = reviews
+    .filter(r => r.reviewerId && r.reviewerId.role === "seller")
+    .map(r => r.reviewerId._id);
+
+  // Map: userId -> { storeName, bannerImageURL }
+  let storeMap = {};
+  if (sellerUserIds.length) {
+    const stores = await Store.find(
+      { sellerId: { $in: sellerUserIds } },
+      "sellerId storeName bannerImageURL"
+    );
+    storeMap = stores.reduce((acc, s) => {
+      acc[s.sellerId.toString()] = {
+        storeName: s.storeName,
+        bannerImageURL: s.bannerImageURL,
+      };
+      return acc;
+    }, {});
+  }
 
-    // Gắn thêm storeName và bannerImageURL vào review nếu reviewer là seller
-    const reviewsWithStore = reviews.map(r => {
-      let reviewObj = r.toObject();
-      if (r.reviewerId && r.reviewerId.role === "seller") {
-        const storeInfo = storeMap[r.reviewerId._id.toString()] || {};
-        reviewObj.storeName = storeInfo.storeName || "";
-        reviewObj.storeBanner = storeInfo.bannerImageURL || "";
-      }
-      return reviewObj;
-    });
+  // Gắn thêm storeName và bannerImageURL vào review nếu reviewer là seller
+  const reviewsWithStore = reviews.map(r => {
+    let reviewObj = r.toObject();
+    if (r.reviewerId && r.reviewerId.role === "seller") {
+      const storeInfo = storeMap[r.reviewerId._id.toString()] || {};
+      reviewObj.storeName = storeInfo.storeName || "";
+      reviewObj.storeBanner = storeInfo.bannerImageURL || "";
+    }
+    return reviewObj;
+  });
 
-    res.json({ success: true, data: reviewsWithStore });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+  res.json({ success: true, data: reviewsWithStore });
 };
 
+// Các trường trạng thái đấu giá do hệ thống quản lý, seller không được sửa trực tiếp
+const AUCTION_STATE_FIELDS = ["currentBid", "highestBidderId", "auctionStatus", "auctionOrderId"];
+// Các trường không được thay đổi khi phiên đấu giá đã có người đặt giá
+const AUCTION_LOCKED_FIELDS = ["price", "isAuction", "auctionEndTime", "reservePrice", "bidIncrement"];
+// Phiên đấu giá chưa chốt xong đơn cho người thắng
+const LIVE_AUCTION_STATUSES = ["active", "awaiting_address"];
+
+const isLiveAuction = (product) => product.isAuction && LIVE_AUCTION_STATUSES.includes(product.auctionStatus);
+
 exports.updateProduct = async (req, res) => {
-  try {
-    // 1. Cập nhật product
-    const product = await Product.findOneAndUpdate(
-      { _id: req.params.id, sellerId: req.user.id },
-      req.body,
-      { new: true }
-    );
+  const updateData = { ...req.body };
+  AUCTION_STATE_FIELDS.forEach(field => delete updateData[field]);
+
+  const existingProduct = await Product.findOne({ _id: req.params.id, sellerId: req.store.sellerId });
+  if (existingProduct && existingProduct.isAuction && existingProduct.currentBid !== null) {
+    const lockedField = AUCTION_LOCKED_FIELDS.find(field => typeof updateData[field] !== 'undefined');
+    if (lockedField) {
+      throw createError(400, "AUCTION_FIELD_LOCKED", { field: lockedField });
+    }
+  }
 
-    if (!product) {
-      return res.status(404).json({ success: false, message: "Product not found" });
+  if (existingProduct) {
+    const willBeAuction = typeof updateData.isAuction === 'undefined' ? existingProduct.isAuction : Boolean(updateData.isAuction);
+    const turningOn = willBeAuction && !existingProduct.isAuction;
+
+    // Bật đấu giá hoặc đổi thời điểm kết thúc thì thời điểm kết thúc phải ở tương lai
+    if (turningOn || (willBeAuction && typeof updateData.auctionEndTime !== 'undefined')) {
+      const auctionEndTime = typeof updateData.auctionEndTime === 'undefined' ? existingProduct.auctionEndTime : updateData.auctionEndTime;
+      if (!auctionEndTime || new Date(auctionEndTime) <= new Date()) {
+        throw createError(400, "AUCTION_END_TIME_INVALID");
+      }
     }
 
-    // 2. Nếu request có quantity thì cập nhật Inventory
-    if (typeof req.body.quantity !== 'undefined') {
-      await Inventory.findOneAndUpdate(
-        { productId: product._id },
-        { quantity: req.body.quantity },
-        { new: true }
-      );
+    // Phiên đấu giá đang diễn ra hoặc sắp mở phải còn hàng trong kho
+    if (turningOn || (willBeAuction && isLiveAuction(existingProduct))) {
+      const quantity = typeof req.body.quantity === 'undefined'
+        ? (turningOn ? (await Inventory.findOne({ productId: existingProduct._id }))?.quantity : 1)
+        : Number(req.body.quantity);
+      if (!(quantity >= 1)) {
+        throw createError(400, "AUCTION_QUANTITY_REQUIRED");
+      }
     }
+  }
 
-    // 3. Lấy lại product và populate categoryId
-    const populatedProduct = await Product.findById(product._id)
-      .populate('categoryId', 'name');
+  // 1. Cập nhật product
+  const product = await Product.findOneAndUpdate(
+    { _id: req.params.id, sellerId: req.store.sellerId },
+    updateData,
+    { new: true }
+  );
 
-    // 4. Lấy quantity trong Inventory
-    const inventory = await Inventory.findOne({ productId: product._id });
+  if (!product) {
+    throw createError(404, "PRODUCT_NOT_FOUND");
+  }
 
-    res.json({
-      success: true,
-      data: {
-        product: populatedProduct,
-        categoryName: populatedProduct.categoryId?.name || null,
-        quantity: inventory ? inventory.quantity : 0
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  // 2. Nếu request có quantity thì cập nhật Inventory
+  if (typeof req.body.quantity !== 'undefined') {
+    await Inventory.findOneAndUpdate(
+      { productId: product._id },
+      { quantity: req.body.quantity },
+      { new: true }
+    );
   }
-};
 
-exports.deleteProduct = async (req, res) => {
-  try {
-    const product = await Product.findOneAndDelete({
-      _id: req.params.id,
-      sellerId: req.user.id
-    });
+  // 3. Lấy lại product và populate categoryId
+  const populatedProduct = await Product.findById(product._id)
+    .populate('categoryId', 'name');
 
-    if (!product) {
-      return res.status(404).json({ success: false, message: "Product not found" });
-    }
+  // 4. Lấy quantity trong Inventory
+  const inventory = await Inventory.findOne({ productId: product._id });
 
-    // Xóa inventory liên quan
-    await Inventory.findOneAndDelete({ productId: req.params.id });
+  res.json({
+    success: true,
+    data: {
+      product: populatedProduct,
+      categoryName: populatedProduct.categoryId?.name || null,
+      quantity: inventory ? inventory.quantity : 0
+    }
+  });
+};
 
-    res.json({ success: true, message: "Product deleted" });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+exports.deleteProduct = async (req, res) => {
+  // Phiên đấu giá đang diễn ra đã có người đặt giá thì không được xóa
+  const product = await Product.findOneAndDelete({
+    _id: req.params.id,
+    sellerId: req.store.sellerId,
+    $nor: [{ isAuction: true, currentBid: { $ne: null }, auctionStatus: { $in: LIVE_AUCTION_STATUSES } }]
+  });
+
+  if (!product) {
+    const exists = await Product.exists({ _id: req.params.id, sellerId: req.store.sellerId });
+    throw exists ? createError(400, "AUCTION_HAS_BIDS") : createError(404, "PRODUCT_NOT_FOUND");
   }
+
+  // Xóa inventory liên quan
+  await Inventory.findOneAndDelete({ productId: req.params.id });
+
+  res.json({ success: true, message: req.t("messages.PRODUCT_DELETED") });
 };
 
 // Quản lý tồn kho
 exports.getInventory = async (req, res) => {
-  try {
-    // Lấy tất cả sản phẩm của seller
-    const products = await Product.find({ sellerId: req.user.id });
-    const productIds = products.map(p => p._id);
+  // Lấy tất cả sản phẩm của seller
+  const products = await Product.find({ sellerId: req.store.sellerId });
+  const productIds = products.map(p => p._id);
 
-    // Lấy inventory của các sản phẩm đó
-    const inventory = await Inventory.find({ productId: { $in: productIds } })
-      .populate("productId", "title");
+  // Lấy inventory của các sản phẩm đó
+  const inventory = await Inventory.find({ productId: { $in: productIds } })
+    .populate("productId", "title");
 
-    res.json({ success: true, data: inventory });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+  res.json({ success: true, data: inventory });
 };
 
 exports.updateInventory = async (req, res) => {
-  try {
-    const { quantity } = req.body;
+  const { quantity } = req.body;
+
+  // Kiểm tra sản phẩm thuộc về seller
+  const product = await Product.findOne({
+    _id: req.params.productId,
+    sellerId: req.store.sellerId
+  });
+
+  if (!product) {
+    throw createError(404, "PRODUCT_NOT_FOUND");
+  }
+  if (isLiveAuction(product) && !(Number(quantity) >= 1)) {
+    throw createError(400, "AUCTION_QUANTITY_REQUIRED");
+  }
 
-    // Kiểm tra sản phẩm thuộc về seller
-    const product = await Product.findOne({
-      _id: req.params.productId,
-      sellerId: req.user.id
+  const inventory = await Inventory.findOneAndUpdate(
+    { productId: req.params.productId },
+    { quantity },
+    { new: true, upsert: true }
+  );
+
+  res.json({ success: true, data: inventory });
+};
+
+// Xác nhận đơn con: chuyển các mặt hàng sang "shipping" và tạo một vận đơn cho cả đơn con
+const confirmSellerOrderShipment = async (sellerOrder, actor) => {
+  const items = await OrderItem.find({
+    sellerOrderId: sellerOrder._id,
+    status: { $nin: ["rejected", "cancelled"] }
+  });
+  await transitionAll(items, "shipping", { actor, viaPath: true });
+
+  let shippingInfo = await ShippingInfo.findOne({ sellerOrderId: sellerOrder._id });
+  if (!shippingInfo) {
+    shippingInfo = new ShippingInfo({
+      sellerOrderId: sellerOrder._id,
+      trackingNumber: `TRK-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
     });
+  }
+  shippingInfo.status = "shipping";
+  await shippingService.prepareShipment(shippingInfo);
+
+  await transition(sellerOrder, "shipping", { actor, viaPath: true });
+  sellerOrder.confirmedAt = new Date();
+  await sellerOrder.save();
+
+  await syncOrderStatus(sellerOrder.orderId);
+  return shippingInfo;
+};
 
-    if (!product) {
-      return res.status(404).json({ success: false, message: "Product not found" });
+// Gắn mặt hàng và vận đơn vào danh sách đơn con
+const attachSellerOrderDetails = async (sellerOrders) => {
+  const sellerOrderIds = sellerOrders.map(so => so._id);
+  const [items, shippingInfos] = await Promise.all([
+    OrderItem.find({ sellerOrderId: { $in: sellerOrderIds } })
+      .populate({ path: "productId", select: "title image price" })
+      .lean(),
+    ShippingInfo.find({ sellerOrderId: { $in: sellerOrderIds } }).lean()
+  ]);
+
+  return sellerOrders.map(so => ({
+    ...so,
+    items: items.filter(item => item.sellerOrderId.toString() === so._id.toString()),
+    shippingInfo: shippingInfos.find(info => info.sellerOrderId.toString() === so._id.toString()) || null
+  }));
+};
+
+// Map orderItemId -> ShippingInfo, gồm cả vận đơn gắn theo đơn con
+const getShippingInfoMap = async (orderItems) => {
+  const orderItemIds = orderItems.map(item => item._id);
+  const sellerOrderIds = orderItems.filter(item => item.sellerOrderId).map(item => item.sellerOrderId);
+  const shippingInfos = await ShippingInfo.find({
+    $or: [
+      { orderItemId: { $in: orderItemIds } },
+      { sellerOrderId: { $in: sellerOrderIds } }
+    ]
+  }).lean();
+
+  const byOrderItem = {};
+  const bySellerOrder = {};
+  shippingInfos.forEach(info => {
+    if (info.orderItemId) byOrderItem[info.orderItemId.toString()] = info;
+    if (info.sellerOrderId) bySellerOrder[info.sellerOrderId.toString()] = info;
+  });
+
+  const shippingMap = {};
+  orderItems.forEach(item => {
+    const info = byOrderItem[item._id.toString()] ||
+      (item.sellerOrderId && bySellerOrder[item.sellerOrderId.toString()]);
+    if (info) shippingMap[item._id.toString()] = info;
+  });
+  return shippingMap;
+};
+
+// Danh sách đơn con của seller
+exports.getSellerOrders = async (req, res) => {
+  const { status, page = 1, limit = 10 } = req.query;
+  const query = { sellerId: req.store.sellerId };
+  if (status) query.status = status;
+
+  const sellerOrders = await SellerOrder.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .populate({
+      path: "orderId",
+      select: "buyerId addressId orderDate status",
+      populate: [
+        { path: "buyerId", select: "username email fullname" },
+        { path: "addressId" }
+      ]
+    })
+    .lean();
+  const total = await SellerOrder.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: await attachSellerOrderDetails(sellerOrders),
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit)
     }
+  });
+};
 
-    const inventory = await Inventory.findOneAndUpdate(
-      { productId: req.params.productId },
-      { quantity },
-      { new: true, upsert: true }
-    );
+// Chi tiết một đơn con
+exports.getSellerOrderDetail = async (req, res) => {
+  const sellerOrder = await SellerOrder.findOne({ _id: req.params.id, sellerId: req.store.sellerId })
+    .populate({
+      path: "orderId",
+      select: "buyerId addressId orderDate status",
+      populate: [
+        { path: "buyerId", select: "username email fullname" },
+        { path: "addressId" }
+      ]
+    })
+    .lean();
 
-    res.json({ success: true, data: inventory });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  if (!sellerOrder) {
+    throw createError(404, "SELLER_ORDER_NOT_FOUND");
   }
+
+  const [result] = await attachSellerOrderDetails([sellerOrder]);
+  result.statusHistory = await OrderStatusHistory.find({
+    entityId: { $in: [sellerOrder._id, ...result.items.map(item => item._id)] }
+  })
+    .populate("changedBy", "username fullname")
+    .sort({ createdAt: 1 })
+    .lean();
+  res.json({ success: true, data: result });
 };
 
-// Xác nhận đơn hàng và in phiếu vận chuyển
-exports.confirmOrder = async (req, res) => {
-  try {
-    const orderId = req.params.orderId;
+// Xác nhận đơn con và tạo vận đơn
+exports.confirmSellerOrder = async (req, res) => {
+  const sellerOrder = await SellerOrder.findOne({ _id: req.params.id, sellerId: req.store.sellerId });
+  if (!sellerOrder) {
+    throw createError(404, "SELLER_ORDER_NOT_FOUND");
+  }
+  if (!["pending", "paid", "processing"].includes(sellerOrder.status)) {
+    throw createError(400, "SELLER_ORDER_NOT_CONFIRMABLE", { status: sellerOrder.status });
+  }
 
-    // Kiểm tra đơn hàng có sản phẩm của seller
-    const orderItems = await OrderItem.find({ orderId })
-      .populate({
-        path: 'productId',
-        select: 'sellerId'
-      });
+  const shippingInfo = await confirmSellerOrderShipment(sellerOrder, storeActor(req));
 
-    const sellerItems = orderItems.filter(item =>
-      item.productId.sellerId.toString() === req.user.id
-    );
+  res.json({
+    success: true,
+    message: req.t("messages.SELLER_ORDER_CONFIRMED"),
+    data: { sellerOrder, shippingInfo }
+  });
+};
 
-    if (sellerItems.length === 0) {
-      return res.status(404).json({ success: false, message: "No items found for this seller" });
-    }
+// Từ chối đơn con
+exports.rejectSellerOrder = async (req, res) => {
+  const sellerOrder = await SellerOrder.findOne({ _id: req.params.id, sellerId: req.store.sellerId });
+  if (!sellerOrder) {
+    throw createError(404, "SELLER_ORDER_NOT_FOUND");
+  }
+  if (!["pending", "paid", "processing"].includes(sellerOrder.status)) {
+    throw createError(400, "SELLER_ORDER_NOT_REJECTABLE", { status: sellerOrder.status });
+  }
 
-    // Cập nhật trạng thái đơn hàng
-    await OrderItem.updateMany(
-      { _id: { $in: sellerItems.map(i => i._id) } },
-      { status: "shipping" }
-    );
+  const actor = storeActor(req);
+  const { reason } = req.body || {};
+  const items = await OrderItem.find({
+    sellerOrderId: sellerOrder._id,
+    status: { $nin: ["rejected", "cancelled"] }
+  });
+  await transitionAll(items, "rejected", { actor, note: reason });
+  await transition(sellerOrder, "rejected", { actor, note: reason });
+  await syncOrderStatus(sellerOrder.orderId);
+
+  res.json({ success: true, message: req.t("messages.SELLER_ORDER_REJECTED"), data: sellerOrder });
+};
 
-    // Tạo thông tin vận chuyển
-    const shippingInfos = await Promise.all(sellerItems.map(async (item) => {
-      const shippingInfo = new ShippingInfo({
-        orderItemId: item._id,
-        trackingNumber: `TRK-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
-        status: "shipping"
-      });
-      await shippingInfo.save();
-      return shippingInfo;
-    }));
+// Xác nhận đơn hàng và in phiếu vận chuyển
+exports.confirmOrder = async (req, res) => {
+  const orderId = req.params.orderId;
 
-    res.json({
+  // Đơn có đơn con: xác nhận đơn con của seller này
+  const sellerOrder = await SellerOrder.findOne({ orderId, sellerId: req.store.sellerId });
+  if (sellerOrder) {
+    const shippingInfo = await confirmSellerOrderShipment(sellerOrder, storeActor(req));
+    return res.json({
       success: true,
-      message: "Order confirmed",
-      data: shippingInfos
+      message: req.t("messages.ORDER_CONFIRMED"),
+      data: [shippingInfo]
     });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
   }
+
+  // Kiểm tra đơn hàng có sản phẩm của seller
+  const orderItems = await OrderItem.find({ orderId })
+    .populate({
+      path: 'productId',
+      select: 'sellerId'
+    });
+
+  const sellerItems = orderItems.filter(item =>
+    item.productId.sellerId.toString() === req.store.sellerId
+  );
+
+  if (sellerItems.length === 0) {
+    throw createError(404, "ORDER_NOT_FOUND");
+  }
+
+  // Cập nhật trạng thái đơn hàng
+  await transitionAll(sellerItems, "shipping", { actor: storeActor(req), viaPath: true });
+  await syncOrderStatus(orderId);
+
+  // Tạo thông tin vận chuyển
+  const shippingInfos = await Promise.all(sellerItems.map(async (item) => {
+    const shippingInfo = new ShippingInfo({
+      orderItemId: item._id,
+      trackingNumber: `TRK-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+      status: "shipping"
+    });
+    return shippingService.prepareShipment(shippingInfo);
+  }));
+
+  res.json({
+    success: true,
+    message: req.t("messages.ORDER_CONFIRMED"),
+    data: shippingInfos
+  });
 };
 
 // Xem đánh giá sản phẩm
 exports.getProductReviews = async (req, res) => {
-  try {
-    // Lấy tất cả sản phẩm của seller
-    const products = await Product.find({ sellerId: req.user.id });
-    const productIds = products.map(p => p._id);
+  // Lấy tất cả sản phẩm của seller
+  const products = await Product.find({ sellerId: req.store.sellerId });
+  const productIds = products.map(p => p._id);
 
-    // Lấy đánh giá của các sản phẩm đó
-    const reviews = await Review.find({ productId: { $in: productIds } })
-      .populate("reviewerId", "username")
-      .populate("productId", "title");
+  // Lấy đánh giá của các sản phẩm đó
+  const reviews = await Review.find({ productId: { $in: productIds } })
+    .populate("reviewerId", "username")
+    .populate("productId", "title");
 
-    res.json({ success: true, data: reviews });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+  res.json({ success: true, data: reviews });
 };
 
 // Gửi phản hồi hệ thống (Feedback)
 exports.submitFeedback = async (req, res) => {
-  try {
-    const { content } = req.body;
+  const { content } = req.body;
 
-    // Tạo feedback
-    const feedback = new Feedback({
-      sellerId: req.user.id,
-      content
-    });
+  // Tạo feedback
+  const feedback = new Feedback({
+    sellerId: req.store.sellerId,
+    content
+  });
 
-    await feedback.save();
+  await feedback.save();
 
-    res.status(201).json({ success: true, data: feedback });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+  res.status(201).json({ success: true, data: feedback });
 };
 
 // Báo cáo doanh số nâng cấp cho dashboard
@@ -772,721 +968,741 @@ exports.submitFeedback = async (req, res) => {
 // };
 // Báo cáo doanh số nâng cấp cho dashboard
 exports.getSalesReport = async (req, res) => {
-  try {
-    const { period, from, to } = req.query; // week, month, year, from, to
-    const sellerId = req.user.id;
-
-    // 1. Lấy tất cả sản phẩm của seller
-    const products = await Product.find({ sellerId }).populate("categoryId", "name");
-    const productIds = products.map(p => p._id);
-
-    // 2. Lấy tất cả order items liên quan (đã giao - shipped)
-    const orderItems = await OrderItem.find({
-      productId: { $in: productIds },
-      status: "shipped"
-    }).populate({
-      path: "orderId",
-      select: "orderDate buyerId addressId",
-      populate: {
-        path: "addressId",
-        select: "city country",
-      }
+  const { period, from, to } = req.query; // week, month, year, from, to
+  const sellerId = req.store.sellerId;
+
+  // 1. Lấy tất cả sản phẩm của seller
+  const products = await Product.find({ sellerId }).populate("categoryId", "name");
+  const productIds = products.map(p => p._id);
+
+  // 2. Lấy tất cả order items liên quan (đã giao - delivered/completed)
+  const orderItems = await OrderItem.find({
+    productId: { $in: productIds },
+    status: { $in: ["delivered", "completed"] }
+  }).populate({
+    path: "orderId",
+    select: "orderDate buyerId addressId",
+    populate: {
+      path: "addressId",
+      select: "city country",
+    }
+  });
+
+  // 3. Lọc theo khoảng thời gian: ưu tiên from/to nếu có
+  let filteredItems = orderItems;
+  if (from || to) {
+    // Nếu có from/to thì lọc theo khoảng ngày
+    const fromDate = from ? new Date(from) : new Date(0);
+    // Đặt toDate là cuối ngày nếu có to
+    let toDate = to ? new Date(to) : new Date();
+    if (to) {
+      toDate.setHours(23, 59, 59, 999);
+    }
+    filteredItems = orderItems.filter(item => {
+      if (!item.orderId) return false;
+      const orderDate = new Date(item.orderId.orderDate);
+      return orderDate >= fromDate && orderDate <= toDate;
     });
-
-    // 3. Lọc theo khoảng thời gian: ưu tiên from/to nếu có
-    let filteredItems = orderItems;
-    if (from || to) {
-      // Nếu có from/to thì lọc theo khoảng ngày
-      const fromDate = from ? new Date(from) : new Date(0);
-      // Đặt toDate là cuối ngày nếu có to
-      let toDate = to ? new Date(to) : new Date();
-      if (to) {
-        toDate.setHours(23, 59, 59, 999);
-      }
-      filteredItems = orderItems.filter(item => {
-        if (!item.orderId) return false;
-        const orderDate = new Date(item.orderId.orderDate);
-        return orderDate >= fromDate && orderDate <= toDate;
-      });
-    } else {
-      // Nếu không có from/to thì lọc theo period như cũ
-      const now = new Date();
-      let startDate;
-      switch (period) {
-        case "week":
-          startDate = new Date(now);
-          startDate.setDate(startDate.getDate() - 7);
-          break;
-        case "month":
-          startDate = new Date(now);
-          startDate.setMonth(startDate.getMonth() - 1);
-          break;
-        case "year":
-          startDate = new Date(now);
-          startDate.setFullYear(startDate.getFullYear() - 1);
-          break;
-        default:
-          startDate = new Date(0); // all time
-      }
-      filteredItems = orderItems.filter(item =>
-        item.orderId && new Date(item.orderId.orderDate) >= startDate
-      );
+  } else {
+    // Nếu không có from/to thì lọc theo period như cũ
+    const now = new Date();
+    let startDate;
+    switch (period) {
+      case "week":
+        startDate = new Date(now);
+        startDate.setDate(startDate.getDate() - 7);
+        break;
+      case "month":
+        startDate = new Date(now);
+        startDate.setMonth(startDate.getMonth() - 1);
+        break;
+      case "year":
+        startDate = new Date(now);
+        startDate.setFullYear(startDate.getFullYear() - 1);
+        break;
+      default:
+        startDate = new Date(0); // all time
     }
-
-    // --- Tổng quan ---
-    const totalRevenue = filteredItems.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
-    // Lấy tất cả các buyerId duy nhất từ filteredItems
-    const uniqueCustomerSet = new Set(
-      filteredItems.map(i => i.orderId?.buyerId?.toString())
+    filteredItems = orderItems.filter(item =>
+      item.orderId && new Date(item.orderId.orderDate) >= startDate
     );
+  }
 
-    // Chuyển thành mảng
-    const uniqueCustomerList = Array.from(uniqueCustomerSet);
-
-    // Đếm số lượng
-    const uniqueCustomers = uniqueCustomerList.length;
-
-
-    const productsShipped = [...new Set(filteredItems.map(i => i.productId.toString()))].length;
-
-    // --- Revenue by Category ---
-    const categoryRevenueMap = {};
-    filteredItems.forEach(item => {
-      const product = products.find(p => p._id.equals(item.productId));
-      const catName = product?.categoryId?.name || "Other";
-categoryRevenueMap[catName] = (categoryRevenueMap[catName] || 0) + (item.unitPrice * item.quantity);
-    });
-    // Format for PieChart
-    const revenueByCategory = Object.entries(categoryRevenueMap).map(([name, value]) => ({
+  // --- Tổng quan ---
+  const totalRevenue = filteredItems.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
+  // Lấy tất cả các buyerId duy nhất từ filteredItems
+  const uniqueCustomerSet = new Set(
+    filteredItems.map(i => i.orderId?.buyerId?.toString())
+  );
+
+  // Chuyển thành mảng
+  const uniqueCustomerList = Array.from(uniqueCustomerSet);
+
+  // Đếm số lượng
+  const uniqueCustomers = uniqueCustomerList.length;
+
+
+  const productsShipped = [...new Set(filteredItems.map(i => i.productId.toString()))].length;
+
+  // --- Revenue by Category ---
+  const categoryRevenueMap = {};
+  filteredItems.forEach(item => {
+    const product = products.find(p => p._id.equals(item.productId));
+    const catName = product?.categoryId?.name || "Other";
+    categoryRevenueMap[catName] = (categoryRevenueMap[catName] || 0) + (item.unitPrice * item.quantity);
+  });
+  // Format for PieChart
+  const revenueByCategory = Object.entries(categoryRevenueMap).map(([name, value]) => ({
+    name,
+    value: Number(((value / totalRevenue) * 100).toFixed(0)) // % phần trăm
+  }));
+
+  // --- Top Shipping Destinations ---
+  const destinationMap = {};
+  filteredItems.forEach(item => {
+    const city = item.orderId?.addressId?.city || "Unknown";
+    destinationMap[city] = (destinationMap[city] || 0) + (item.unitPrice * item.quantity);
+  });
+  const revenueByDestination = Object.entries(destinationMap)
+    .map(([name, value]) => ({
       name,
-      value: Number(((value / totalRevenue) * 100).toFixed(0)) // % phần trăm
-    }));
-
-    // --- Top Shipping Destinations ---
-    const destinationMap = {};
-    filteredItems.forEach(item => {
-      const city = item.orderId?.addressId?.city || "Unknown";
-      destinationMap[city] = (destinationMap[city] || 0) + (item.unitPrice * item.quantity);
-    });
-    const revenueByDestination = Object.entries(destinationMap)
-      .map(([name, value]) => ({
-        name,
-        value: Number(((value / totalRevenue) * 100).toFixed(0)),
-        raw: value
-      }))
-      .sort((a, b) => b.raw - a.raw)
-      .map(({ raw, ...rest }) => rest);
-
-
-    // --- Revenue Over Time ---
-    const revenueByDate = {};
-    filteredItems.forEach(item => {
-      const dateStr = new Date(item.orderId.orderDate).toISOString().split('T')[0];
-      revenueByDate[dateStr] = (revenueByDate[dateStr] || 0) + (item.unitPrice * item.quantity);
-    });
-    const revenueOverTime = Object.entries(revenueByDate).map(([date, revenue]) => ({
-      date,
-      revenue
-    })).sort((a, b) => new Date(a.date) - new Date(b.date));;
-
-    // --- Top Products ---
-    const productSalesMap = {};
-    filteredItems.forEach(item => {
-      const product = products.find(p => p._id.equals(item.productId));
-      const name = product?.title || "Unknown";
-      if (!productSalesMap[name]) productSalesMap[name] = { quantity: 0, revenue: 0 };
-      productSalesMap[name].quantity += item.quantity;
-      productSalesMap[name].revenue += item.unitPrice * item.quantity;
-    });
-    const topProducts = Object.entries(productSalesMap)
-      .map(([product, val]) => ({
-        product,
-        quantity: val.quantity,
-        revenue: val.revenue
-      }))
-      .sort((a, b) => b.revenue - a.revenue)
-      .slice(0, 5); // Top 5
-
-    // --- Trả kết quả ---
-    res.json({
-      success: true,
-      data: {
-        totalRevenue,
-        uniqueCustomers,      // số lượng unique
-        uniqueCustomerList,   // mảng các ID customer
-        productsShipped,
-        revenueByCategory,
-        topDestinations: revenueByDestination,
-        revenueOverTime,
-        topProducts
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+      value: Number(((value / totalRevenue) * 100).toFixed(0)),
+      raw: value
+    }))
+    .sort((a, b) => b.raw - a.raw)
+    .map(({ raw, ...rest }) => rest);
+
+
+  // --- Revenue Over Time ---
+  const revenueByDate = {};
+  filteredItems.forEach(item => {
+    const dateStr = new Date(item.orderId.orderDate).toISOString().split('T')[0];
+    revenueByDate[dateStr] = (revenueByDate[dateStr] || 0) + (item.unitPrice * item.quantity);
+  });
+  const revenueOverTime = Object.entries(revenueByDate).map(([date, revenue]) => ({
+    date,
+    revenue
+  })).sort((a, b) => new Date(a.date) - new Date(b.date));;
+
+  // --- Top Products ---
+  const productSalesMap = {};
+  filteredItems.forEach(item => {
+    const product = products.find(p => p._id.equals(item.productId));
+    const name = product?.title || "Unknown";
+    if (!productSalesMap[name]) productSalesMap[name] = { quantity: 0, revenue: 0 };
+    productSalesMap[name].quantity += item.quantity;
+    productSalesMap[name].revenue += item.unitPrice * item.quantity;
+  });
+  const topProducts = Object.entries(productSalesMap)
+    .map(([product, val]) => ({
+      product,
+      quantity: val.quantity,
+      revenue: val.revenue
+    }))
+    .sort((a, b) => b.revenue - a.revenue)
+    .slice(0, 5); // Top 5
+
+  // --- Trả kết quả ---
+  res.json({
+    success: true,
+    data: {
+      totalRevenue,
+      uniqueCustomers,      // số lượng unique
+      uniqueCustomerList,   // mảng các ID customer
+      productsShipped,
+      revenueByCategory,
+      topDestinations: revenueByDestination,
+      revenueOverTime,
+      topProducts
+    }
+  });
 };
 // Lấy tất cả yêu cầu trả hàng liên quan tới seller hiện tại
 exports.getReturnRequests = async (req, res) => {
+  // Lấy tất cả sản phẩm của seller
+  const products = await Product.find({ sellerId: req.store.sellerId }, '_id');
+  const productIds = products.map(p => p._id);
+
+  // Lấy orderItems của các sản phẩm này
+  const orderItems = await OrderItem.find({ productId: { $in: productIds } }, '_id');
+  const orderItemIds = orderItems.map(oi => oi._id);
+
+  // Lấy returnRequest liên quan
+  const returnRequests = await ReturnRequest.find({ orderItemId: { $in: orderItemIds } })
+    .populate({
+      path: 'orderItemId',
+      populate: [
+        { path: 'productId', select: 'title image' },
+        { path: 'orderId' }
+      ]
+    })
+    .populate({ path: 'userId', select: 'username fullname' })
+    .sort({ createdAt: -1 });
+
+  res.json({ success: true, data: returnRequests });
+};
+
+// Hoàn tiền cho mặt hàng sau khi trả hàng / khiếu nại được chấp nhận.
+// Đơn chưa thanh toán (vd. COD chưa thu) thì không có gì để hoàn, chỉ ghi log.
+const refundForResolution = async ({ orderItem, amount, source, sourceId, reason, actor }) => {
   try {
-    // Lấy tất cả sản phẩm của seller
-    const products = await Product.find({ sellerId: req.user.id }, '_id');
-    const productIds = products.map(p => p._id);
-
-    // Lấy orderItems của các sản phẩm này
-    const orderItems = await OrderItem.find({ productId: { $in: productIds } }, '_id');
-    const orderItemIds = orderItems.map(oi => oi._id);
-
-    // Lấy returnRequest liên quan
-    const returnRequests = await ReturnRequest.find({ orderItemId: { $in: orderItemIds } })
-      .populate({
-        path: 'orderItemId',
-        populate: [
-          { path: 'productId', select: 'title image' },
-          { path: 'orderId' }
-        ]
-      })
-      .populate({ path: 'userId', select: 'username fullname' })
-      .sort({ createdAt: -1 });
-
-    res.json({ success: true, data: returnRequests });
+    return await issueRefund({
+      orderId: orderItem.orderId,
+      orderItemId: orderItem._id,
+      amount,
+      source,
+      sourceId,
+      reason,
+      actor
+    });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    if (error.code !== "REFUND_NOTHING_PAID") throw error;
+    logger.warn(`Skip ${source} refund for item ${orderItem._id}: ${error.message}`);
+    return [];
   }
 };
 
 // Cập nhật trạng thái yêu cầu trả hàng (approved/rejected/completed)
 exports.updateReturnRequest = async (req, res) => {
-  try {
-    const { status } = req.body;
-    const validStatuses = ["pending", "approved", "rejected", "completed"];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ success: false, message: "Invalid status" });
-    }
+  const { status } = req.body;
+  const validStatuses = ["pending", "approved", "rejected", "completed"];
+  if (!validStatuses.includes(status)) {
+    throw createError(400, "RETURN_REQUEST_STATUS_INVALID", { values: validStatuses.join(", ") });
+  }
 
-    const returnRequest = await ReturnRequest.findById(req.params.id)
-      .populate({
-        path: 'orderItemId',
-        populate: { path: 'productId' }
-      });
+  const returnRequest = await ReturnRequest.findById(req.params.id)
+    .populate({
+      path: 'orderItemId',
+      populate: { path: 'productId' }
+    });
 
-    if (!returnRequest) {
-      return res.status(404).json({ success: false, message: "Return request not found" });
-    }
+  if (!returnRequest) {
+    throw createError(404, "RETURN_REQUEST_NOT_FOUND");
+  }
 
-    // Check quyền: chỉ seller của product mới được cập nhật
-    const product = returnRequest.orderItemId.productId;
-    if (product.sellerId.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: "Not authorized" });
-    }
+  // Check quyền: chỉ seller của product mới được cập nhật
+  const product = returnRequest.orderItemId.productId;
+  if (product.sellerId.toString() !== req.store.sellerId) {
+    throw createError(403, "FORBIDDEN");
+  }
 
-    returnRequest.status = status;
-    await returnRequest.save();
+  // Hoàn tất trả hàng thì mặt hàng chuyển sang "returned" và hoàn tiền cho người mua
+  const completing = status === "completed" && returnRequest.status !== "completed";
+  if (completing) {
+    await transition(returnRequest.orderItemId, "returned", {
+      actor: storeActor(req),
+      note: returnRequest.reason
+    });
+    await syncOrderStatus(returnRequest.orderItemId.orderId);
+  }
 
-    res.json({ success: true, data: returnRequest });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  returnRequest.status = status;
+  await returnRequest.save();
+
+  let refunds = [];
+  if (completing) {
+    refunds = await refundForResolution({
+      orderItem: returnRequest.orderItemId,
+      source: "return",
+      sourceId: returnRequest._id,
+      reason: returnRequest.reason,
+      actor: storeActor(req)
+    });
   }
+
+  res.json({ success: true, data: returnRequest, refunds });
 };
 exports.getDisputes = async (req, res) => {
-  try {
-    // Lấy tất cả sản phẩm của seller
-    const products = await Product.find({ sellerId: req.user.id });
-    const productIds = products.map(p => p._id);
-
-    // Tìm tất cả orderItems thuộc về các sản phẩm này
-    const orderItems = await OrderItem.find({ productId: { $in: productIds } }, '_id');
-    const orderItemIds = orderItems.map(item => item._id);
-
-    // Lấy các Dispute liên quan đến các orderItem của seller
-    const disputes = await Dispute.find({ orderItemId: { $in: orderItemIds } })
-      .populate('raisedBy', 'username fullname')
-      .populate({
-        path: 'orderItemId',
-        populate: [
-          {
-            path: 'productId',
-            select: 'title image',
-          },
-          {
-            path: 'orderId',
-            // Để lấy thông tin order nếu cần
-          },
-        ],
-      })
-      .sort({ createdAt: -1 });
-
-    res.json({ success: true, data: disputes });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+  // Lấy tất cả sản phẩm của seller
+  const products = await Product.find({ sellerId: req.store.sellerId });
+  const productIds = products.map(p => p._id);
+
+  // Tìm tất cả orderItems thuộc về các sản phẩm này
+  const orderItems = await OrderItem.find({ productId: { $in: productIds } }, '_id');
+  const orderItemIds = orderItems.map(item => item._id);
+
+  // Lấy các Dispute liên quan đến các orderItem của seller
+  const disputes = await Dispute.find({ orderItemId: { $in: orderItemIds } })
+    .populate('raisedBy', 'username fullname')
+    .populate({
+      path: 'orderItemId',
+      populate: [
+        {
+          path: 'productId',
+          select: 'title image',
+        },
+        {
+          path: 'orderId',
+          // Để lấy thông tin order nếu cần
+        },
+      ],
+    })
+    .sort({ createdAt: -1 });
+
+  res.json({ success: true, data: disputes });
 };
 
 exports.resolveDispute = async (req, res) => {
-  try {
-    const { resolution, status } = req.body;
-
-    const dispute = await Dispute.findById(req.params.id);
-    if (!dispute) {
-      return res.status(404).json({ success: false, message: "Dispute not found" });
-    }
+  const { resolution, status, resolvedInFavorOf, refundAmount } = req.body;
 
-    // Lấy orderItem qua dispute.orderItemId
-    const orderItem = await OrderItem.findById(dispute.orderItemId);
-    if (!orderItem) {
-      return res.status(404).json({ success: false, message: "Order item not found" });
-    }
+  const dispute = await Dispute.findById(req.params.id);
+  if (!dispute) {
+    throw createError(404, "DISPUTE_NOT_FOUND");
+  }
 
-    // Lấy product để kiểm tra seller có quyền xử lý
-    const product = await Product.findById(orderItem.productId);
-    if (!product) {
-      return res.status(404).json({ success: false, message: "Product not found" });
-    }
+  // Lấy orderItem qua dispute.orderItemId
+  const orderItem = await OrderItem.findById(dispute.orderItemId);
+  if (!orderItem) {
+    throw createError(404, "ORDER_ITEM_NOT_FOUND");
+  }
 
-    if (product.sellerId.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: "Not authorized" });
-    }
+  // Lấy product để kiểm tra seller có quyền xử lý
+  const product = await Product.findById(orderItem.productId);
+  if (!product) {
+    throw createError(404, "PRODUCT_NOT_FOUND");
+  }
 
-    dispute.resolution = resolution;
-    dispute.status = status;
-    await dispute.save();
+  if (product.sellerId.toString() !== req.store.sellerId) {
+    throw createError(403, "FORBIDDEN");
+  }
 
-    res.json({ success: true, data: dispute });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  if (resolvedInFavorOf && !["buyer", "seller"].includes(resolvedInFavorOf)) {
+    throw createError(400, "DISPUTE_RESOLUTION_INVALID");
   }
-};
 
-exports.getOrderHistory = async (req, res) => {
-  try {
-    // 1. Lấy tất cả sản phẩm của seller này
-    const products = await Product.find({ sellerId: req.user.id }, "_id");
-    const productIds = products.map(p => p._id);
-
-    // 2. Lấy các đơn hàng theo thứ tự mới nhất trước
-    const orders = await Order.find()
-      .sort({ createdAt: -1, orderDate: -1 }) // Sắp xếp theo thứ tự mới nhất
-      .lean();
-      
-    const orderIds = orders.map(order => order._id);
-
-    // 3. Lấy các OrderItem thuộc về seller và các đơn hàng đã sắp xếp
-    const orderItems = await OrderItem.find({
-      productId: { $in: productIds },
-      orderId: { $in: orderIds }
-      // status: { $in: ["shipped"] }
-    })
-      .populate({
-        path: "orderId",
-        populate: [
-          { path: "buyerId", select: "username email fullname" },
-          { path: "addressId" }
-        ]
-      })
-      .populate({
-        path: "productId",
-        select: "title image categoryId",
-        populate: { path: "categoryId", select: "name" }
-      })
-      .lean();
-
-    // 4. Lấy ShippingInfo theo orderItemId
-    const orderItemIds = orderItems.map(x => x._id);
-    const shippingInfos = await ShippingInfo.find({ orderItemId: { $in: orderItemIds } }).lean();
-
-    // 5. Gán ShippingInfo vào từng OrderItem
-    const shippingMap = {};
-    shippingInfos.forEach(info => {
-      shippingMap[info.orderItemId.toString()] = info;
+  // Khiếu nại được giải quyết có lợi cho người mua thì hoàn tiền (một lần)
+  const refundBuyer = status === "resolved" && resolvedInFavorOf === "buyer" && dispute.status !== "resolved";
+
+  dispute.resolution = resolution;
+  dispute.status = status;
+  if (resolvedInFavorOf) dispute.resolvedInFavorOf = resolvedInFavorOf;
+  await dispute.save();
+
+  let refunds = [];
+  if (refundBuyer) {
+    refunds = await refundForResolution({
+      orderItem,
+      amount: refundAmount,
+      source: "dispute",
+      sourceId: dispute._id,
+      reason: resolution || dispute.description,
+      actor: storeActor(req)
     });
+    if (refunds.length > 0) {
+      dispute.refundIds = refunds.map(refund => refund._id);
+      await dispute.save();
+    }
+  }
 
-    const result = orderItems.map(item => ({
-      ...item,
-      shippingInfo: shippingMap[item._id.toString()] || null
-    }));
+  res.json({ success: true, data: dispute, refunds });
+};
 
-    // 6. Sắp xếp kết quả theo thứ tự các đơn hàng
-    const orderIdToIndex = {};
-    orderIds.forEach((id, index) => {
-      orderIdToIndex[id.toString()] = index;
-    });
+exports.getOrderHistory = async (req, res) => {
+  // 1. Lấy tất cả sản phẩm của seller này
+  const products = await Product.find({ sellerId: req.store.sellerId }, "_id");
+  const productIds = products.map(p => p._id);
+
+  // 2. Lấy các đơn hàng theo thứ tự mới nhất trước
+  const orders = await Order.find()
+    .sort({ createdAt: -1, orderDate: -1 }) // Sắp xếp theo thứ tự mới nhất
+    .lean();
     
-    result.sort((a, b) => {
-      const indexA = orderIdToIndex[a.orderId._id.toString()] || 0;
-      const indexB = orderIdToIndex[b.orderId._id.toString()] || 0;
-      return indexA - indexB;
-    });
-
-    // 7. Trả về kết quả
-    res.json({ success: true, data: result });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+  const orderIds = orders.map(order => order._id);
+
+  // 3. Lấy các OrderItem thuộc về seller và các đơn hàng đã sắp xếp
+  const orderItems = await OrderItem.find({
+    productId: { $in: productIds },
+    orderId: { $in: orderIds }
+    // status: { $in: ["shipped"] }
+  })
+    .populate({
+      path: "orderId",
+      populate: [
+        { path: "buyerId", select: "username email fullname" },
+        { path: "addressId" }
+      ]
+    })
+    .populate({
+      path: "productId",
+      select: "title image categoryId",
+      populate: { path: "categoryId", select: "name" }
+    })
+    .lean();
+
+  // 4. Lấy ShippingInfo theo orderItemId hoặc theo đơn con
+  const shippingMap = await getShippingInfoMap(orderItems);
+
+  // 5. Gán ShippingInfo vào từng OrderItem
+
+  const result = orderItems.map(item => ({
+    ...item,
+    shippingInfo: shippingMap[item._id.toString()] || null
+  }));
+
+  // 6. Sắp xếp kết quả theo thứ tự các đơn hàng
+  const orderIdToIndex = {};
+  orderIds.forEach((id, index) => {
+    orderIdToIndex[id.toString()] = index;
+  });
+  
+  result.sort((a, b) => {
+    const indexA = orderIdToIndex[a.orderId._id.toString()] || 0;
+    const indexB = orderIdToIndex[b.orderId._id.toString()] || 0;
+    return indexA - indexB;
+  });
+
+  // 7. Trả về kết quả
+  res.json({ success: true, data: result });
 };
 // Thêm vào sellerController.js
 exports.replyToReview = async (req, res) => {
-  try {
-    const { comment } = req.body;
-    const { productId, reviewId } = req.params;
+  const { comment } = req.body;
+  const { productId, reviewId } = req.params;
 
-    // Kiểm tra seller sở hữu sản phẩm này không
-    const product = await Product.findById(productId);
-    if (!product || product.sellerId.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: "Not authorized" });
-    }
+  // Kiểm tra seller sở hữu sản phẩm này không
+  const product = await Product.findById(productId);
+  if (!product || product.sellerId.toString() !== req.store.sellerId) {
+    throw createError(403, "FORBIDDEN");
+  }
 
-    // Kiểm tra review gốc tồn tại
-    const parentReview = await Review.findById(reviewId);
-    if (!parentReview || parentReview.productId.toString() !== productId) {
-      return res.status(404).json({ success: false, message: "Review not found" });
-    }
+  // Kiểm tra review gốc tồn tại
+  const parentReview = await Review.findById(reviewId);
+  if (!parentReview || parentReview.productId.toString() !== productId) {
+    throw createError(404, "REVIEW_NOT_FOUND");
+  }
 
-    // Chỉ cho phép seller trả lời 1 lần (nếu muốn)
-    const existedReply = await Review.findOne({ parentId: reviewId, reviewerId: req.user.id });
-    if (existedReply) {
-      return res.status(400).json({ success: false, message: "Already replied" });
-    }
+  // Chỉ cho phép seller trả lời 1 lần (nếu muốn)
+  const existedReply = await Review.findOne({ parentId: reviewId, reviewerId: req.store.sellerId });
+  if (existedReply) {
+    throw createError(400, "REVIEW_ALREADY_REPLIED");
+  }
 
-    // Tạo reply
-    const reply = new Review({
-      productId,
-      reviewerId: req.user.id,
-      comment,
-      parentId: reviewId
-      // Không cần rating
-    });
+  // Tạo reply
+  const reply = new Review({
+    productId,
+    reviewerId: req.store.sellerId,
+    comment,
+    parentId: reviewId
+    // Không cần rating
+  });
 
-    await reply.save();
+  await reply.save();
 
-    res.status(201).json({ success: true, data: reply });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+  res.status(201).json({ success: true, data: reply });
 };
 
 // Cập nhật trạng thái của orderItem (shipping/rejected)
 exports.updateOrderItemStatus = async (req, res) => {
-  try {
-    const { orderItemId } = req.params;
-    const { status } = req.body;
-    
-    // Kiểm tra status hợp lệ
-    const validStatuses = ["shipping", "rejected"];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Invalid status. Status must be 'shipping' or 'rejected'"
-      });
-    }
-    
-    // Tìm orderItem
-    const orderItem = await OrderItem.findById(orderItemId);
-    if (!orderItem) {
-      return res.status(404).json({ success: false, message: "Order item not found" });
-    }
+  const { orderItemId } = req.params;
+  const { status } = req.body;
+  
+  // Kiểm tra status hợp lệ
+  const validStatuses = ["shipping", "rejected"];
+  if (!validStatuses.includes(status)) {
+    throw createError(400, "ORDER_STATUS_INVALID", { status });
+  }
+  
+  // Tìm orderItem
+  const orderItem = await OrderItem.findById(orderItemId);
+  if (!orderItem) {
+    throw createError(404, "ORDER_ITEM_NOT_FOUND");
+  }
+  
+  // Kiểm tra sản phẩm thuộc seller hiện tại
+  const product = await Product.findById(orderItem.productId);
+  if (!product || product.sellerId.toString() !== req.store.sellerId) {
+    throw createError(403, "FORBIDDEN");
+  }
+  
+  // Cập nhật trạng thái orderItem qua máy trạng thái (đơn COD đi qua "processing")
+  await transition(orderItem, status, {
+    actor: storeActor(req),
+    viaPath: status === "shipping"
+  });
+  await syncOrderStatus(orderItem.orderId);
+  
+  // Nếu status là shipping, tạo ShippingInfo mới
+  let shippingInfo = null;
+  if (status === "shipping") {
+    // Kiểm tra xem đã có shipping info chưa
+    const existingShippingInfo = await ShippingInfo.findOne({ orderItemId });
     
-    // Kiểm tra xem order item đã ở trạng thái shipped chưa
-    if (orderItem.status === "shipped") {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Cannot update status. Order item has already been shipped." 
+    if (existingShippingInfo) {
+      // Cập nhật shipping info hiện có
+      existingShippingInfo.status = "shipping";
+      shippingInfo = await shippingService.prepareShipment(existingShippingInfo);
+    } else {
+      // Tạo shipping info mới với tracking number ngẫu nhiên
+      shippingInfo = new ShippingInfo({
+        orderItemId,
+        trackingNumber: `TRK-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+        status: "shipping"
       });
+      await shippingService.prepareShipment(shippingInfo);
     }
-    
-    // Kiểm tra sản phẩm thuộc seller hiện tại
-    const product = await Product.findById(orderItem.productId);
-    if (!product || product.sellerId.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: "Not authorized" });
-    }
-    
-    // Cập nhật trạng thái orderItem
-    orderItem.status = status;
-    await orderItem.save();
-    
-    // Nếu status là shipping, tạo ShippingInfo mới
-    let shippingInfo = null;
-    if (status === "shipping") {
-      // Kiểm tra xem đã có shipping info chưa
-      const existingShippingInfo = await ShippingInfo.findOne({ orderItemId });
-      
-      if (existingShippingInfo) {
-        // Cập nhật shipping info hiện có
-        existingShippingInfo.status = "shipping";
-        await existingShippingInfo.save();
-        shippingInfo = existingShippingInfo;
-      } else {
-        // Tạo shipping info mới với tracking number ngẫu nhiên
-        shippingInfo = new ShippingInfo({
-          orderItemId,
-          trackingNumber: `TRK-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
-          status: "shipping"
-        });
-        await shippingInfo.save();
-      }
-    }
-    
-    // Trả về kết quả với orderItem đã cập nhật và shipping info (nếu có)
-    res.json({ 
-      success: true, 
-      data: { 
-        orderItem,
-        shippingInfo 
-      },
-      message: `Order item status updated to ${status}`
-    });
-    
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
   }
+  
+  // Trả về kết quả với orderItem đã cập nhật và shipping info (nếu có)
+  res.json({ 
+    success: true, 
+    data: { 
+      orderItem,
+      shippingInfo 
+    },
+    message: req.t("messages.ORDER_ITEM_STATUS_CHANGED", { status })
+  });
+  
 };
 
 exports.getShippingInfo = async (req, res) => {
-  try {
-    // 1. Get all products from the seller
-    const products = await Product.find({ sellerId: req.user.id }, "_id");
-    const productIds = products.map(p => p._id);
-
-    // 2. Get all OrderItems for these products
-    const orderItems = await OrderItem.find({ productId: { $in: productIds } })
-      .populate({
-        path: "orderId",
-        populate: [
-          { path: "buyerId", select: "username email fullname" },
-          { path: "addressId" }
-        ]
-      })
-      .populate({
-        path: "productId",
-        select: "title image categoryId",
-        populate: { path: "categoryId", select: "name" }
-      });
-    
-    const orderItemIds = orderItems.map(item => item._id);
+  // 1. Get all products from the seller
+  const products = await Product.find({ sellerId: req.store.sellerId }, "_id");
+  const productIds = products.map(p => p._id);
 
-    // 3. Get all shipping info for these OrderItems
-    const shippingInfos = await ShippingInfo.find({ orderItemId: { $in: orderItemIds } });
-    
-    // 4. Create a map for easy access
-    const shippingInfoMap = {};
-    shippingInfos.forEach(info => {
-      shippingInfoMap[info.orderItemId.toString()] = info;
+  // 2. Get all OrderItems for these products
+  const orderItems = await OrderItem.find({ productId: { $in: productIds } })
+    .populate({
+      path: "orderId",
+      populate: [
+        { path: "buyerId", select: "username email fullname" },
+        { path: "addressId" }
+      ]
+    })
+    .populate({
+      path: "productId",
+      select: "title image categoryId",
+      populate: { path: "categoryId", select: "name" }
     });
+  
+  // 3-4. Get shipping info for these OrderItems (per item or per sub-order)
+  const shippingInfoMap = await getShippingInfoMap(orderItems);
 
-    // 5. Create the result combining OrderItems and ShippingInfo
-    const result = orderItems.map(item => ({
-      orderItem: item,
-      shippingInfo: shippingInfoMap[item._id.toString()] || null
-    }));
+  // 5. Create the result combining OrderItems and ShippingInfo
+  const result = orderItems.map(item => ({
+    orderItem: item,
+    shippingInfo: shippingInfoMap[item._id.toString()] || null
+  }));
 
-    res.json({ success: true, data: result });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+  res.json({ success: true, data: result });
 };
 
 exports.updateShippingStatus = async (req, res) => {
-  try {
-    const { shippingInfoId } = req.params;
-    const { status } = req.body;
-    
-    // Validate status
-    const validShippingStatuses = ["shipping", "shipped", "failed to ship"];
-    if (!validShippingStatuses.includes(status)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Invalid shipping status. Status must be 'shipping', 'shipped', or 'failed to ship'"
-      });
-    }
-    
-    // Find shipping info
-    const shippingInfo = await ShippingInfo.findById(shippingInfoId);
-    if (!shippingInfo) {
-      return res.status(404).json({ success: false, message: "Shipping info not found" });
-    }
-    
-    // Find the related order item
-    const orderItem = await OrderItem.findById(shippingInfo.orderItemId);
-    if (!orderItem) {
-      return res.status(404).json({ success: false, message: "Order item not found" });
-    }
-    
-    // Kiểm tra xem order item đã ở trạng thái shipped chưa
-    if (orderItem.status === "shipped") {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Cannot update status. Order item has already been shipped." 
-      });
-    }
-    
-    // Verify seller owns the product
-    const product = await Product.findById(orderItem.productId);
-    if (!product || product.sellerId.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: "Not authorized" });
-    }
-    
-    // Update shipping info status
-    shippingInfo.status = status;
-    await shippingInfo.save();
-    
-    // Update corresponding OrderItem status
-    let orderItemStatus;
-    switch(status) {
-      case "shipped":
-        orderItemStatus = "shipped";
-        break;
-      case "shipping":
-        orderItemStatus = "shipping";
-        break;
-      case "failed to ship":
-        orderItemStatus = "failed to ship";
-        break;
-      default:
-        orderItemStatus = orderItem.status; // Keep current status if no mapping
-    }
-    
-    orderItem.status = orderItemStatus;
-    await orderItem.save();
-    
-    res.json({
-      success: true,
-      data: {
-        shippingInfo,
-        orderItem
-      },
-      message: `Shipping status updated to ${status} and order item status updated to ${orderItemStatus}`
-    });
-    
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  const { shippingInfoId } = req.params;
+  const { status, collectedAmount, reason } = req.body;
+  
+  // Validate status (trạng thái vận đơn trùng với trạng thái mặt hàng)
+  if (!shippingService.SHIPPING_STATUSES.includes(status)) {
+    throw createError(400, "SHIPPING_STATUS_INVALID", { values: shippingService.SHIPPING_STATUSES.join(', ') });
+  }
+  
+  // Find shipping info
+  const shippingInfo = await ShippingInfo.findById(shippingInfoId);
+  if (!shippingInfo) {
+    throw createError(404, "SHIPPING_INFO_NOT_FOUND");
   }
-};
 
-// Lấy thông tin thanh toán của đơn hàng
-exports.getOrderPayment = async (req, res) => {
-  try {
-    const { orderId } = req.params;
+  // Verify seller owns the shipment
+  if (await shippingService.getShipmentSellerId(shippingInfo) !== req.store.sellerId) {
+    throw createError(403, "FORBIDDEN");
+  }
 
-    // Kiểm tra đơn hàng có sản phẩm của seller
-    const orderItems = await OrderItem.find({ orderId })
-      .populate({
-        path: 'productId',
-        select: 'sellerId'
-      });
+  // Cập nhật mặt hàng (cả đơn con nếu vận đơn gắn theo đơn con), thu hộ COD và hoàn hàng khi giao thất bại nhiều lần
+  const { items, returned } = await shippingService.updateShipmentStatus(shippingInfo, status, {
+    actor: storeActor(req),
+    collectedAmount,
+    reason
+  });
+
+  const data = { shippingInfo, returned: returned ? { refunds: returned.refunds } : null };
+  if (shippingInfo.sellerOrderId) {
+    data.sellerOrder = await SellerOrder.findById(shippingInfo.sellerOrderId);
+  } else {
+    data.orderItem = items[0] || await OrderItem.findById(shippingInfo.orderItemId);
+  }
 
-    const sellerItems = orderItems.filter(item =>
-      item.productId.sellerId.toString() === req.user.id
-    );
+  res.json({
+    success: true,
+    data,
+    message: returned
+      ? req.t("messages.SHIPMENT_AUTO_RETURNED")
+      : req.t("messages.SHIPPING_STATUS_CHANGED", { status })
+  });
+  
+};
 
-    if (sellerItems.length === 0) {
-      return res.status(404).json({ success: false, message: "No items found for this seller" });
-    }
+// Hoàn hàng giao thất bại về người bán: hủy mặt hàng, trả tồn kho và giảm / hoàn thanh toán
+exports.returnShipment = async (req, res) => {
+  const shippingInfo = await ShippingInfo.findById(req.params.shippingInfoId);
+  if (!shippingInfo) {
+    throw createError(404, "SHIPPING_INFO_NOT_FOUND");
+  }
+  if (await shippingService.getShipmentSellerId(shippingInfo) !== req.store.sellerId) {
+    throw createError(403, "FORBIDDEN");
+  }
 
-    // Lấy thông tin thanh toán
-    const payment = await Payment.findOne({ orderId });
-    if (!payment) {
-      return res.status(404).json({ success: false, message: "Payment information not found" });
+  const result = await shippingService.returnToSender(shippingInfo, {
+    actor: storeActor(req),
+    reason: req.body && req.body.reason
+  });
+
+  res.json({
+    success: true,
+    message: req.t("messages.SHIPMENT_RETURNED"),
+    data: {
+      shippingInfo: result.shippingInfo,
+      cancelledItems: result.cancelledItems,
+      payments: result.payments,
+      refunds: result.refunds
     }
+  });
+};
 
-    // Lấy thông tin đơn hàng
-    const order = await Order.findById(orderId);
+// Tiền thu hộ COD hãng vận chuyển còn nợ người bán
+exports.getCodRemittances = async (req, res) => {
+  const summary = await shippingService.getCodRemittanceSummary(req.store.sellerId);
+  res.json({ success: true, data: summary });
+};
 
-    res.json({
-      success: true,
-      data: {
-        payment: {
-          id: payment._id,
-          amount: payment.amount,
-          method: payment.method,
-          status: payment.status,
-          paidAt: payment.paidAt,
-          transactionId: payment.transactionId
-        },
-        order: {
-          id: order._id,
-          totalPrice: order.totalPrice,
-          status: order.status
-        }
-      }
+// Người bán xác nhận đã nhận tiền thu hộ từ hãng vận chuyển
+exports.confirmCodRemittance = async (req, res) => {
+  const { shippingInfoIds, reference } = req.body;
+  const shippingInfos = await shippingService.markCodRemitted({
+    sellerId: req.store.sellerId,
+    shippingInfoIds,
+    reference
+  });
+  res.json({ success: true, message: req.t("messages.COD_REMITTANCE_RECORDED"), data: shippingInfos });
+};
+
+// Lấy thông tin thanh toán của đơn hàng
+exports.getOrderPayment = async (req, res) => {
+  const { orderId } = req.params;
+
+  // Kiểm tra đơn hàng có sản phẩm của seller
+  const orderItems = await OrderItem.find({ orderId })
+    .populate({
+      path: 'productId',
+      select: 'sellerId'
     });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+
+  const sellerItems = orderItems.filter(item =>
+    item.productId.sellerId.toString() === req.store.sellerId
+  );
+
+  if (sellerItems.length === 0) {
+    throw createError(404, "ORDER_NOT_FOUND");
+  }
+
+  // Lấy tất cả các lần thanh toán của đơn (có thể trả bằng nhiều hình thức)
+  const { payments, paidAmount, pendingAmount, remainingAmount } = await getOrderPayments(orderId);
+  if (payments.length === 0) {
+    throw createError(404, "PAYMENT_NOT_FOUND");
   }
+  const formatPayment = (payment) => ({
+    id: payment._id,
+    attempt: payment.attempt,
+    amount: payment.amount,
+    method: payment.method,
+    status: payment.status,
+    paidAt: payment.paidAt,
+    transactionId: payment.transactionId,
+    refundedAmount: payment.refundedAmount,
+    createdAt: payment.createdAt
+  });
+
+  // Lấy thông tin đơn hàng và đơn con của seller (phần tiền seller được nhận)
+  const order = await Order.findById(orderId);
+  const sellerOrder = await SellerOrder.findOne({ orderId, sellerId: req.store.sellerId });
+
+  res.json({
+    success: true,
+    data: {
+      payment: formatPayment(payments[payments.length - 1]),
+      payments: payments.map(formatPayment),
+      summary: { paidAmount, pendingAmount, remainingAmount },
+      order: {
+        id: order._id,
+        totalPrice: order.totalPrice,
+        status: order.status
+      },
+      sellerOrder: sellerOrder ? {
+        id: sellerOrder._id,
+        subtotal: sellerOrder.subtotal,
+        discountAmount: sellerOrder.discountAmount,
+        shippingFee: sellerOrder.shippingFee,
+        totalPrice: sellerOrder.totalPrice,
+        status: sellerOrder.status
+      } : null
+    }
+  });
 };
 
 // Cập nhật trạng thái thanh toán
 exports.updatePaymentStatus = async (req, res) => {
-  try {
-    const { paymentId } = req.params;
-    const { status } = req.body;
-    
-    // Kiểm tra status hợp lệ
-    const validStatuses = ["paid", "failed"];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Invalid status. Status must be 'paid' or 'failed'"
-      });
-    }
-    
-    // Tìm payment
-    const payment = await Payment.findById(paymentId);
-    if (!payment) {
-      return res.status(404).json({ success: false, message: "Payment not found" });
-    }
-    
-    // Nếu thanh toán đã là paid thì không thể thay đổi trạng thái
-    if (payment.status === "paid") {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Cannot change status of a paid payment" 
-      });
-    }
+  const { paymentId } = req.params;
+  const { status } = req.body;
+  
+  // Kiểm tra status hợp lệ
+  const validStatuses = ["paid", "failed"];
+  if (!validStatuses.includes(status)) {
+    throw createError(400, "PAYMENT_STATUS_INVALID", { values: validStatuses.join(", ") });
+  }
+  
+  // Tìm payment
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw createError(404, "PAYMENT_NOT_FOUND");
+  }
+  
+  // Nếu thanh toán đã là paid thì không thể thay đổi trạng thái
+  if (payment.status === "paid") {
+    throw createError(400, "PAYMENT_ALREADY_PAID");
+  }
 
-    // Kiểm tra đơn hàng có sản phẩm của seller
-    const orderItems = await OrderItem.find({ orderId: payment.orderId })
-      .populate({
-        path: 'productId',
-        select: 'sellerId'
-      });
+  // Đơn đã hủy do quá hạn thì không ghi nhận lại thanh toán đã thất bại
+  if (status === "paid" && await isLatePayment(payment)) {
+    throw createError(409, "PAYMENT_ORDER_CLOSED");
+  }
 
-    const sellerItems = orderItems.filter(item =>
-      item.productId.sellerId.toString() === req.user.id
-    );
+  // Tiền COD có vận đơn thu hộ được ghi nhận khi bưu tá xác nhận giao hàng
+  if (payment.method === "COD" && await ShippingInfo.exists({ orderId: payment.orderId, codStatus: { $ne: "none" } })) {
+    throw createError(400, "PAYMENT_COD_MANUAL_UPDATE");
+  }
 
-    if (sellerItems.length === 0) {
-      return res.status(403).json({ success: false, message: "Not authorized to update this payment" });
-    }
-    
-    // Cập nhật trạng thái thanh toán
-    payment.status = status;
-    
-    // Nếu status là paid, thêm thời gian thanh toán
-    if (status === "paid") {
-      payment.paidAt = new Date();
-    }
-    
-    await payment.save();
-    
-    // Nếu payment status là paid, KHÔNG cập nhật order status
-    // vì "paid" không phải là giá trị hợp lệ trong enum của Order.status
-    // Trong model Order, status chỉ có thể là: ["pending", "shipping", "shipped", "failed to ship", "rejected"]
-    // Thay vào đó, chỉ cập nhật các OrderItems có thể chuyển sang "shipping" nếu đang ở trạng thái "pending"
-    if (status === "paid") {
-      // Cập nhật trạng thái các OrderItem sang shipping nếu đang ở trạng thái pending
-      await Promise.all(sellerItems.map(async (item) => {
-        if (item.status === "pending") {
-          item.status = "shipping";
-          await item.save();
-        }
-      }));
-    }
-    
-    res.json({ 
-      success: true, 
-      data: payment,
-      message: `Payment status updated to ${status}`
+  // Kiểm tra đơn hàng có sản phẩm của seller
+  const orderItems = await OrderItem.find({ orderId: payment.orderId })
+    .populate({
+      path: 'productId',
+      select: 'sellerId'
     });
-    
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+
+  const sellerItems = orderItems.filter(item =>
+    item.productId.sellerId.toString() === req.store.sellerId
+  );
+
+  if (sellerItems.length === 0) {
+    throw createError(403, "FORBIDDEN");
+  }
+  
+  // Cập nhật trạng thái thanh toán
+  payment.status = status;
+  
+  // Nếu status là paid, thêm thời gian thanh toán
+  if (status === "paid") {
+    payment.paidAt = new Date();
+  }
+  
+  await payment.save();
+  
+  // Thanh toán xác nhận thì đơn hàng chuyển sang "paid" qua máy trạng thái
+  if (status === "paid") {
+    await updateOrderAfterPayment(payment.orderId, storeActor(req));
   }
+  
+  res.json({ 
+    success: true, 
+    data: payment,
+    message: req.t("messages.PAYMENT_STATUS_CHANGED", { status })
+  });
+  
 };
\ No newline at end of file
@@ -0,0 +1,26 @@
+// shippingController.js
+// Webhook của hãng vận chuyển: xác nhận giao / thu hộ COD, giao thất bại, hoàn hàng, chuyển tiền thu hộ
+const { handleCarrierWebhook } = require('../services/shippingService');
+
+/**
+ * @route POST /api/shipping/carrier/webhook
+ */
+const carrierWebhook = async (req, res) => {
+  const { shippingInfo } = await handleCarrierWebhook({
+    headers: req.headers,
+    rawBody: req.rawBody,
+    payload: req.body
+  });
+  res.json({
+    success: true,
+    data: {
+      id: shippingInfo._id,
+      status: shippingInfo.status,
+      codStatus: shippingInfo.codStatus
+    }
+  });
+};
+
+module.exports = {
+  carrierWebhook
+};
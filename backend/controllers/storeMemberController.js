@@ -0,0 +1,73 @@
+// storeMemberController.js
+// Nhân viên cửa hàng: chủ cửa hàng mời / gán vai trò / xóa, người được mời chấp nhận lời mời
+const storeMemberService = require('../services/storeMemberService');
+const createError = require('../utils/createError');
+
+/**
+ * Nhân viên và lời mời đang chờ của cửa hàng
+ * @route GET /api/sellers/store/members
+ */
+const getMembers = async (req, res) => {
+  const members = await storeMemberService.listMembers(req.user.id);
+  res.json({ success: true, data: members });
+};
+
+/**
+ * Mời nhân viên qua email
+ * @route POST /api/sellers/store/members
+ * @body { email, roles: ["inventory" | "fulfilment" | "customer_service" | "finance"] }
+ */
+const inviteMember = async (req, res) => {
+  const member = await storeMemberService.inviteMember(req.user.id, req.body);
+  res.status(201).json({ success: true, message: req.t('messages.STORE_INVITATION_SENT'), data: member });
+};
+
+/**
+ * Đổi vai trò của nhân viên
+ * @route PUT /api/sellers/store/members/:memberId
+ * @body { roles }
+ */
+const updateMember = async (req, res) => {
+  const member = await storeMemberService.updateMemberRoles(req.user.id, req.params.memberId, req.body.roles);
+  res.json({ success: true, data: member });
+};
+
+/**
+ * Xóa nhân viên hoặc hủy lời mời
+ * @route DELETE /api/sellers/store/members/:memberId
+ */
+const removeMember = async (req, res) => {
+  await storeMemberService.removeMember(req.user.id, req.params.memberId);
+  res.json({ success: true, message: req.t('messages.STORE_MEMBER_REMOVED') });
+};
+
+/**
+ * Chấp nhận lời mời bằng token trong email (tài khoản phải dùng email được mời)
+ * @route POST /api/sellers/store-invitations/accept
+ * @body { token }
+ */
+const acceptInvitation = async (req, res) => {
+  if (!req.body.token) {
+    throw createError(400, 'TOKEN_REQUIRED');
+  }
+  const member = await storeMemberService.acceptInvitation(req.body.token, req.user.id);
+  res.json({ success: true, message: req.t('messages.STORE_INVITATION_ACCEPTED'), data: member });
+};
+
+/**
+ * Cửa hàng mà người dùng đang là nhân viên (chọn cửa hàng bằng header X-Store-Id)
+ * @route GET /api/sellers/my-stores
+ */
+const getMyStores = async (req, res) => {
+  const stores = await storeMemberService.listMyStores(req.user.id);
+  res.json({ success: true, data: stores });
+};
+
+module.exports = {
+  getMembers,
+  inviteMember,
+  updateMember,
+  removeMember,
+  acceptInvitation,
+  getMyStores
+};
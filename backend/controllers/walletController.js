@@ -0,0 +1,67 @@
+// walletController.js
+// Ví, sao kê và yêu cầu rút tiền của người bán
+const { Payout } = require('../models');
+const walletService = require('../services/walletService');
+
+/**
+ * Trả sao kê dạng JSON hoặc CSV (?format=csv)
+ */
+const sendStatement = (res, statement, format) => {
+  if (format === 'csv') {
+    const fileName = `statement-${statement.sellerId}-${statement.to.toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(walletService.statementToCsv(statement));
+  }
+  return res.json({ success: true, data: statement });
+};
+
+/**
+ * Số dư ví của cửa hàng đang thao tác (chủ cửa hàng hoặc nhân viên tài chính)
+ * @route GET /api/sellers/wallet
+ */
+const getWallet = async (req, res) => {
+  const balance = await walletService.getWalletBalance(req.store.sellerId);
+  res.json({
+    success: true,
+    data: {
+      ...balance,
+      holdDays: walletService.SELLER_HOLD_DAYS
+    }
+  });
+};
+
+/**
+ * Sao kê ví theo khoảng thời gian
+ * @route GET /api/sellers/wallet/statement?from=&to=&format=csv
+ */
+const getStatement = async (req, res) => {
+  const { from, to, format } = req.query;
+  const statement = await walletService.getStatement(req.store.sellerId, { from, to });
+  return sendStatement(res, statement, format);
+};
+
+/**
+ * Tạo yêu cầu rút tiền
+ * @route POST /api/sellers/payouts
+ */
+const requestPayout = async (req, res) => {
+  const payout = await walletService.requestPayout(req.store.sellerId, req.body);
+  res.status(201).json({ success: true, data: payout });
+};
+
+/**
+ * Lịch sử yêu cầu rút tiền
+ * @route GET /api/sellers/payouts
+ */
+const getPayouts = async (req, res) => {
+  const payouts = await Payout.find({ sellerId: req.store.sellerId }).sort({ createdAt: -1 });
+  res.json({ success: true, data: payouts });
+};
+
+module.exports = {
+  getWallet,
+  getStatement,
+  requestPayout,
+  getPayouts
+};
@@ -0,0 +1,382 @@
+// en.js
+// Thông điệp tiếng Anh, trả về khi client gửi Accept-Language: en
+// Tham số trong {ngoặc nhọn} được thay bằng giá trị trong details của lỗi (xem utils/i18n.js)
+module.exports = {
+  // Thông báo lỗi, khóa là mã lỗi trả về trong trường "code"
+  errors: {
+    // Chung
+    ROUTE_NOT_FOUND: "Route {method} {path} not found",
+    INTERNAL_ERROR: "Internal server error",
+    BAD_REQUEST: "Bad request",
+    INVALID_JSON: "Request body is not valid JSON",
+    PAYLOAD_TOO_LARGE: "Request body is too large",
+    VALIDATION_ERROR: "Invalid request data",
+    INVALID_ID: "Invalid ID ({field})",
+    DUPLICATE_VALUE: "Value already exists: {fields}",
+    UPLOAD_FAILED: "File upload failed ({reason})",
+    TOO_MANY_REQUESTS: "Too many requests, please try again in {retryAfter} seconds",
+    IDEMPOTENCY_KEY_TOO_LONG: "Idempotency-Key must be at most {max} characters",
+    IDEMPOTENCY_KEY_REUSED: "Idempotency-Key was already used for a different request",
+    IDEMPOTENCY_REQUEST_IN_PROGRESS: "A request with this Idempotency-Key is still being processed, please retry",
+    TOKEN_REQUIRED: "Token is required",
+
+    // Xác thực và phân quyền
+    TOKEN_MISSING: "No token provided, access denied",
+    TOKEN_INVALID: "Invalid or expired token",
+    SESSION_EXPIRED: "Your session has expired, please log in again",
+    FORBIDDEN: "You do not have access to this feature",
+    PERMISSION_DENIED: "You do not have the permission required for this feature",
+    EMAIL_NOT_VERIFIED: "Please verify your email before using this feature",
+    TWO_FACTOR_REQUIRED: "Please enable two-factor authentication in your profile before using this feature",
+    STORE_PERMISSION_DENIED: "You do not have permission to do this in the store",
+    REFRESH_TOKEN_REQUIRED: "Refresh token is required",
+    SESSION_NOT_FOUND: "Session not found",
+
+    // Ví, rút tiền và tín dụng
+    LEDGER_UNBALANCED: "Journal {journalKey} is unbalanced: debit {debit}, credit {credit}",
+    PAYOUT_AMOUNT_INVALID: "Invalid payout amount",
+    PAYOUT_BANK_INFO_REQUIRED: "Bank account details are required",
+    PAYOUT_INSUFFICIENT_BALANCE: "Insufficient available balance ({available})",
+    PAYOUT_ALREADY_PENDING: "A payout request is already pending",
+    PAYOUT_NOT_PENDING: "Payout request not found or already processed",
+    PAYOUT_REFERENCE_REQUIRED: "Transfer reference is required",
+    DATE_RANGE_INVALID: "Invalid date range",
+    CREDIT_INSUFFICIENT: "Insufficient credit ({available})",
+    CREDIT_CONFLICT: "Credit was just used by another payment, please retry",
+    CREDIT_UNAVAILABLE: "You have no credit to pay with",
+    CREDIT_ADJUSTMENT_INVALID: "A valid userId, a non-zero amount and a reason are required",
+
+    // Tài khoản
+    USER_NOT_FOUND: "User not found",
+    ACCOUNT_LOCKED: "Your account has been locked",
+    PASSWORD_INCORRECT: "Incorrect password",
+    PASSWORD_TOO_SHORT: "Password must be at least {min} characters long",
+    PASSWORD_RESET_FIELDS_REQUIRED: "Token and new password are required",
+    PASSWORD_RESET_LINK_INVALID: "The password reset link is invalid or has expired",
+    REFRESH_TOKEN_INVALID: "Invalid refresh token",
+    LOCK_UNTIL_IN_PAST: "Lock expiry must be in the future",
+    APPEAL_TOKEN_EXPIRED: "The appeal session has expired, please log in again",
+    APPEAL_NOTE_REQUIRED: "Appeal note is required",
+    APPEAL_NOTE_TOO_LONG: "Appeal note must be at most {max} characters",
+    ACCOUNT_NOT_LOCKED: "The account is not locked",
+    EMAIL_REQUIRED: "Email is required",
+    EMAIL_VERIFICATION_LINK_INVALID: "The verification link is invalid or has expired",
+    EMAIL_ALREADY_VERIFIED: "Email is already verified",
+    SEARCH_QUERY_TOO_SHORT: "Search query must be at least {min} characters",
+    REGISTER_FIELDS_REQUIRED: "Username, email and password are required",
+    EMAIL_INVALID: "Invalid email format",
+    ROLE_INVALID: "Invalid role",
+    USER_EXISTS: "Username or email already exists",
+    EMAIL_IN_USE: "Email is already in use",
+    CREDENTIALS_REQUIRED: "Email and password are required",
+    CREDENTIALS_INVALID: "Invalid login credentials",
+    PASSWORD_FIELDS_REQUIRED: "Current password and new password are required",
+    APPEAL_TOKEN_REQUIRED: "appealToken is required",
+    ADMIN_ACCOUNT_PROTECTED: "You cannot modify an administrative account",
+    INVALID_DATE_FIELD: "{field} is not a valid date",
+    LOCK_DAYS_INVALID: "lockDays must be a positive number",
+    STAFF_ROLES_REQUIRED: "staffRoles must be an array",
+    STAFF_ROLES_INVALID: "Invalid roles: {roles}",
+    ADMIN_HAS_ALL_PERMISSIONS: "Admins already have every permission",
+
+    // Xác thực hai lớp
+    TWO_FACTOR_CODE_INVALID: "The authentication code is incorrect or has already been used",
+    TWO_FACTOR_ALREADY_ENABLED: "Two-factor authentication is already enabled",
+    TWO_FACTOR_SETUP_NOT_STARTED: "Two-factor setup has not been started",
+    TWO_FACTOR_CODE_INCORRECT: "Incorrect authentication code",
+    TWO_FACTOR_NOT_ENABLED: "Two-factor authentication is not enabled",
+    TWO_FACTOR_ENFORCED: "Administrative accounts must use two-factor authentication",
+    TWO_FACTOR_CHALLENGE_EXPIRED: "The verification session has expired, please log in again",
+    TWO_FACTOR_CODE_REQUIRED: "challengeToken and an authentication code are required",
+
+    // Đơn hàng
+    ORDER_NOT_FOUND: "Order not found",
+    ORDER_STATUS_INVALID: "Invalid status: {status}",
+    ORDER_TRANSITION_NOT_ALLOWED: "Cannot change status from \"{from}\" to \"{to}\"",
+    ORDER_COD_DELIVERY_BY_CARRIER: "COD orders are marked delivered by the carrier once the cash is collected",
+    ORDER_STATUS_CONFLICT: "The status was changed by another operation, please reload",
+    ORDER_ITEM_NOT_FOUND: "Order item not found",
+    QUANTITY_INVALID: "Invalid quantity for product {productId}",
+    INSUFFICIENT_INVENTORY: "Insufficient inventory for {title}: {available} available, {requested} requested",
+    BUY_OWN_PRODUCT: "You cannot buy your own product ({title})",
+    ORDER_ITEMS_NOT_CANCELLABLE: "Order items not found or already cancelled",
+    ORDER_ITEMS_ALREADY_PROCESSED: "Cannot cancel items that are already {status}",
+    ORDER_PARTIAL_CANCEL_UNPAID: "Unpaid online orders can only be cancelled as a whole",
+    ORDER_FIELDS_REQUIRED: "Missing required fields: address or items",
+    BUYER_EMAIL_NOT_FOUND: "Buyer email not found",
+    ORDER_ACCESS_DENIED: "You do not have access to this order",
+    SELLER_ORDER_NOT_FOUND: "Sub-order not found",
+    SELLER_ORDER_NOT_CONFIRMABLE: "Cannot confirm a sub-order in status {status}",
+    SELLER_ORDER_NOT_REJECTABLE: "Cannot reject a sub-order in status {status}",
+    ORDER_ID_REQUIRED: "orderId is required",
+
+    // Cửa hàng
+    STORE_NOT_CREATED: "You do not have a store yet",
+    STORE_NOT_FOUND: "Store not found",
+    STORE_ACCESS_DENIED: "You do not have access to this store",
+    STORE_SELECTION_REQUIRED: "You are a member of several stores, please choose one (X-Store-Id)",
+    STORE_SUSPENDED: "The store is suspended",
+    STORE_ROLES_REQUIRED: "At least one role is required",
+    STORE_ROLES_INVALID: "Invalid roles: {roles}",
+    STORE_INVITE_SELF: "You cannot invite yourself",
+    STORE_MEMBER_EXISTS: "This person is already a member of the store",
+    STORE_INVITATION_INVALID: "The invitation is invalid or has expired",
+    STORE_INVITATION_EMAIL_MISMATCH: "This invitation was sent to a different email",
+    STORE_INVITATION_OWN_STORE: "You cannot join your own store as a member",
+    STORE_MEMBER_NOT_FOUND: "Store member not found",
+    NOT_A_SELLER: "User is not a seller",
+    STORE_ALREADY_EXISTS: "User already has a store",
+    STORE_NAME_REQUIRED: "Store name is required",
+    STORE_STATUS_INVALID: "Store status must be one of: {values}",
+    STORE_OWNER_LOCKED: "Cannot approve a store whose owner is locked",
+    COMMISSION_RATE_INVALID: "commissionRate must be between {min} and {max}",
+
+    // Đấu giá
+    AUCTION_NOT_FOUND: "Auction not found",
+    AUCTION_ENDED: "The auction has ended",
+    PRODUCT_AUCTION_ONLY: "{title} is sold by auction and can only be bought by bidding",
+    BID_AMOUNT_INVALID: "Invalid bid amount",
+    BID_ON_OWN_PRODUCT: "Sellers cannot bid on their own products",
+    BID_ALREADY_HIGHEST: "You are already the highest bidder",
+    BID_TOO_LOW: "Bid must be at least {minimumBid}",
+    BID_ADDRESS_REQUIRED: "Please add a shipping address before bidding",
+    BID_CONFLICT: "The current price just changed, please try again",
+    AUCTION_END_TIME_INVALID: "Auction end time must be in the future",
+    AUCTION_FIELD_LOCKED: "Cannot change {field} after the auction has received bids",
+    AUCTION_QUANTITY_REQUIRED: "Auction products must keep at least 1 item in stock",
+    AUCTION_HAS_BIDS: "Cannot delete an auction that has received bids",
+
+    // Voucher
+    VOUCHER_INVALID: "Invalid or inactive voucher",
+    VOUCHER_MIN_ORDER_VALUE: "Order must be at least {minOrderValue} to apply this voucher",
+    VOUCHER_USAGE_LIMIT_REACHED: "Voucher usage limit reached",
+    VOUCHER_CODE_REQUIRED: "Voucher code is required",
+    VOUCHER_UNAVAILABLE: "Voucher is invalid, expired or used up",
+    VOUCHER_NOT_FOUND: "Voucher not found",
+    VOUCHER_EXPIRED: "Voucher has expired",
+
+    // Sản phẩm
+    PRODUCT_NOT_FOUND: "Product not found",
+    PRODUCT_ID_REQUIRED: "Product ID is required",
+    CATEGORY_NOT_FOUND: "No categories found",
+    CATEGORY_EXISTS: "Category already exists",
+
+    // Địa chỉ
+    ADDRESS_NOT_FOUND: "Address not found",
+
+    // Hoàn tiền
+    REFUND_NOTHING_PAID: "The order has not been paid, so there is nothing to refund",
+    REFUND_AMOUNT_INVALID: "Invalid refund amount or already fully refunded",
+    REFUND_AMOUNT_EXCEEDED: "Refund amount exceeds the remaining amount ({limit})",
+    REFUND_NOT_COMPLETABLE: "Cannot complete a refund in status {status}",
+    REFUND_NOT_RETRYABLE: "Only failed refunds can be retried",
+    REFUND_NOT_FOUND: "Refund not found",
+
+    // Vận chuyển và COD
+    SHIPPING_INFO_NOT_FOUND: "Shipping info not found",
+    SHIPPING_STATUS_INVALID: "Shipping status must be one of: {values}",
+    SHIPMENT_NOT_RETURNABLE: "Only failed shipments can be returned",
+    SHIPMENT_NO_ITEMS_TO_RETURN: "The shipment has no items left to return",
+    COD_AMOUNT_MISMATCH: "COD amount mismatch: received {received}, expected {expected}",
+    COD_NOTHING_TO_REMIT: "No collected, unremitted shipments found",
+    CARRIER_EVENT_UNSUPPORTED: "Unsupported carrier event: {event}",
+
+    // Thanh toán
+    PAYMENT_NOT_FOUND: "Payment not found",
+    PAYMENT_AMOUNT_MISMATCH: "Amount mismatch: received {received}, expected {expected}",
+    WEBHOOK_NOT_CONFIGURED: "Webhook is not configured",
+    WEBHOOK_SIGNATURE_INVALID: "Invalid webhook signature",
+    WEBHOOK_EVENT_STALE: "The event is too old",
+    PAYMENT_WEBHOOK_UNSUPPORTED: "Payment method {method} has no webhook",
+    PAYMENT_GATEWAY_NOT_CONFIGURED: "Payment gateway {gateway} is not configured",
+    PAYMENT_GATEWAY_UNREACHABLE: "Could not reach payment gateway {gateway}",
+    PAYMENT_GATEWAY_REJECTED: "Payment gateway {gateway} rejected the payment",
+    PAYMENT_GATEWAY_BAD_RESPONSE: "Invalid response from payment gateway {gateway}",
+    PAYMENT_ACCOUNT_MISMATCH: "Receiving account does not match",
+    WEBHOOK_PAYLOAD_INVALID: "Webhook payload is missing required fields",
+    WEBHOOK_CREDENTIALS_MISSING: "Missing webhook credentials",
+    WEBHOOK_CREDENTIALS_INVALID: "Invalid webhook credentials",
+    WEBHOOK_PROCESSING_FAILED: "Server error while processing the callback",
+    ORDER_CODE_REQUIRED: "Missing orderCode parameter",
+    FAKE_TRANSACTION_UNPAID: "The test transaction has not been paid",
+    FAKE_TRANSACTION_NOT_FOUND: "Test transaction not found",
+    PAYMENT_METHOD_INVALID: "Invalid payment method",
+    ORDER_NOT_PAYABLE: "The order cannot be paid in its current status",
+    PAYMENT_PENDING_EXISTS: "This order already has a pending payment",
+    ORDER_ALREADY_PAID: "The order has been paid in full",
+    PAYMENT_FULL_AMOUNT_REQUIRED: "{method} must pay the full remaining amount ({remaining})",
+    PAYMENT_AMOUNT_INVALID: "Payment amount must be between 1 and {max}",
+    PAYMENT_GATEWAY_UNSUPPORTED: "Payment gateway {method} is not supported",
+    PAYMENT_STATUS_INVALID: "Payment status must be one of: {values}",
+    PAYMENT_ALREADY_PAID: "Cannot change the status of a paid payment",
+    PAYMENT_ORDER_CLOSED: "Cannot confirm a cancelled or replaced payment, or one whose order is no longer awaiting payment",
+    PAYMENT_COD_MANUAL_UPDATE: "COD payments are confirmed when the carrier confirms delivery and collection",
+
+    // Đối soát
+    RECONCILIATION_ISSUE_NOT_OPEN: "Reconciliation issue not found or already resolved",
+
+    // Giỏ hàng
+    CART_NOT_FOUND: "Cart not found",
+    CART_ITEM_NOT_FOUND: "Item not found in cart",
+    CART_ITEM_INVALID: "Invalid productId or quantity",
+    CART_OWN_PRODUCT: "Sellers cannot add their own products to cart",
+
+    // Trò chuyện
+    CONVERSATION_NOT_FOUND: "Conversation not found",
+    CONVERSATION_ACCESS_DENIED: "You do not have access to this conversation",
+    CHAT_RECIPIENT_NOT_FOUND: "Recipient user not found",
+
+    // Hình ảnh
+    UPLOAD_FILE_REQUIRED: "No file uploaded",
+    IMAGE_PUBLIC_ID_REQUIRED: "Public ID is required",
+    IMAGE_DELETE_FAILED: "Failed to delete image",
+
+    // Đánh giá
+    REVIEW_NOT_FOUND: "Review not found",
+    REVIEW_PARENT_NOT_FOUND: "Parent review not found",
+    REVIEW_RATING_INVALID: "Rating must be between {min} and {max}",
+    REVIEW_COMMENT_REQUIRED: "Comment is required",
+    REVIEW_NOT_PURCHASED: "You can only review products you have purchased",
+    REVIEW_NOT_RECEIVED: "You can only review products you have received",
+    REVIEW_ALREADY_EXISTS: "You have already reviewed this product",
+    REVIEW_ALREADY_REPLIED: "This review has already been replied to",
+
+    // Trả hàng
+    RETURN_REQUEST_NOT_FOUND: "Return request not found",
+    RETURN_REQUEST_FIELDS_REQUIRED: "Missing required fields: orderItemId, reason",
+    RETURN_REQUEST_NOT_OWNER: "You cannot create a return request for this order",
+    RETURN_REQUEST_NOT_DELIVERED: "Returns can only be requested for delivered items",
+    RETURN_REQUEST_EXISTS: "A return request already exists for this item",
+    RETURN_REQUEST_ACCESS_DENIED: "You do not have access to this return request",
+    RETURN_REQUEST_ALREADY_PROCESSED: "A processed return request cannot be cancelled",
+    RETURN_REQUEST_STATUS_INVALID: "Status must be one of: {values}",
+
+    // Khiếu nại
+    DISPUTE_NOT_FOUND: "Dispute not found",
+    DISPUTE_NOT_OWNER: "You can only create disputes for your own orders",
+    DISPUTE_NOT_DELIVERED: "You can only create disputes for delivered items",
+    DISPUTE_EXISTS: "A dispute for this order item already exists",
+    DISPUTE_ACCESS_DENIED: "You do not have access to this dispute",
+    DISPUTE_NOT_EDITABLE: "Only open disputes can be updated",
+    DISPUTE_NOT_CANCELLABLE: "Cannot cancel a dispute that has been resolved or closed",
+    DISPUTE_RESOLUTION_INVALID: "resolvedInFavorOf must be buyer or seller",
+  },
+  // Lỗi từng trường trong danh sách "errors" khi kiểm tra dữ liệu đầu vào
+  validation: {
+    REQUIRED: "is required",
+    EMPTY: "must not be empty",
+    INVALID_TYPE: "must be of type {type}",
+    INVALID_ENUM: "must be one of: {values}",
+    MIN_LENGTH: "must be at least {min} characters",
+    MAX_LENGTH: "must be at most {max} characters",
+    INVALID_FORMAT: "has an invalid format",
+    INVALID_OBJECT_ID: "is not a valid ID",
+    INVALID_EMAIL: "is not a valid email",
+    INVALID_DATE: "is not a valid date",
+    MINIMUM: "must be greater than or equal to {min}",
+    MAXIMUM: "must be less than or equal to {max}",
+    MIN_ITEMS: "must contain at least {min} items",
+    MAX_ITEMS: "must contain at most {max} items",
+    INVALID: "is invalid",
+  },
+  // Thông báo khi thao tác thành công
+  messages: {
+    // Địa chỉ
+    ADDRESS_DELETED: "Address deleted",
+
+    // Cửa hàng
+    STORE_INVITATION_SENT: "Invitation sent",
+    STORE_MEMBER_REMOVED: "Staff member removed from the store",
+    STORE_INVITATION_ACCEPTED: "You are now a staff member of the store",
+    STORE_CREATED: "Store created and pending approval",
+    STORE_STATUS_APPROVED: "Store approved",
+    STORE_STATUS_REJECTED: "Store rejected",
+    STORE_STATUS_PENDING: "Store moved back to pending review",
+    STORE_UPDATED: "Store updated",
+
+    // Đấu giá
+    BID_PLACED: "Bid placed",
+    BID_PLACED_EXTENDED: "Bid placed, the auction has been extended",
+
+    // Giỏ hàng
+    CART_ITEM_ADDED: "Item added to cart",
+    CART_ITEM_UPDATED: "Cart item updated",
+    CART_ITEM_REMOVED: "Item removed from cart",
+    CART_ITEMS_REMOVED: "Items removed from cart",
+    CART_NOTHING_REMOVED: "No items were removed",
+
+    // Tài khoản
+    PROFILE_UPDATED: "Profile updated",
+    REGISTERED: "Registration successful, please check your email to verify your account",
+    LOGGED_IN: "Logged in",
+    LOGGED_IN_AS_SELLER: "Logged in as seller",
+    LOGGED_OUT: "Logged out",
+    LOGGED_OUT_ALL: "Logged out of all devices",
+    SESSION_REVOKED: "Device logged out",
+    TWO_FACTOR_ENABLED: "Two-factor authentication enabled, store your recovery codes somewhere safe",
+    TWO_FACTOR_DISABLED: "Two-factor authentication disabled",
+    EMAIL_VERIFIED: "Email verified",
+    VERIFICATION_EMAIL_RESENT: "A new verification link has been sent to your email",
+    APPEAL_SUBMITTED: "Your appeal has been sent to the administrators",
+    PASSWORD_RESET_EMAIL_SENT: "If the email exists, a password reset link has been sent to it",
+    PASSWORD_RESET: "Your password has been reset, please log in again",
+    PASSWORD_UPDATED: "Password updated",
+    USER_DELETED: "User deleted",
+    USER_UPDATED: "User updated",
+    STAFF_ROLES_UPDATED: "Staff roles updated",
+
+    // Hình ảnh
+    IMAGE_UPLOADED: "File uploaded successfully",
+    IMAGES_UPLOADED: "Files uploaded successfully",
+    IMAGE_DELETED: "Image deleted successfully",
+
+    // Đơn hàng
+    ORDER_PLACED: "Order placed successfully",
+    ORDER_ITEM_STATUS_UPDATED: "Order item status updated",
+    ORDER_CANCELLED: "Order cancelled",
+    SELLER_ORDER_CONFIRMED: "Sub-order confirmed",
+    SELLER_ORDER_REJECTED: "Sub-order rejected",
+    ORDER_CONFIRMED: "Order confirmed",
+    ORDER_ITEM_STATUS_CHANGED: "Order item status updated to {status}",
+
+    // Đánh giá
+    REVIEW_ADDED: "Review added",
+    REVIEW_REPLY_ADDED: "Reply added",
+    REVIEW_UPDATED: "Review updated",
+    REVIEW_DELETED: "Review deleted",
+
+    // Voucher
+    VOUCHER_REMOVED: "Voucher removed",
+
+    // Trả hàng
+    RETURN_REQUEST_CREATED: "Return request created",
+    RETURN_REQUEST_CANCELLED: "Return request cancelled",
+
+    // Khiếu nại
+    DISPUTE_ELIGIBLE: "This item is eligible for dispute",
+    DISPUTE_CREATED: "Dispute created",
+    DISPUTE_UPDATED: "Dispute updated",
+    DISPUTE_CANCELLED: "Dispute cancelled",
+    DISPUTE_NOT_DELIVERED: "You can only create disputes for delivered items",
+    DISPUTE_EXISTS: "A dispute for this order item already exists",
+
+    // Sản phẩm
+    CATEGORY_ADDED: "Category added",
+    NO_PRODUCTS: "No products found",
+    PRODUCT_DELETED: "Product deleted",
+    PRODUCT_UPDATED: "Product updated",
+
+    // Vận chuyển và COD
+    SHIPPING_STATUS_CHANGED: "Shipping status updated to {status}",
+    SHIPMENT_AUTO_RETURNED: "Delivery failed too many times, items returned to seller and restocked",
+    SHIPMENT_RETURNED: "Items returned to seller and restocked",
+    COD_REMITTANCE_RECORDED: "COD remittance recorded",
+
+    // Thanh toán
+    PAYMENT_STATUS_CHANGED: "Payment status updated to {status}",
+    PAYMENT_REQUEST_CREATED: "{method} payment request created",
+    PAYMENT_TEST_REQUEST_CREATED: "Test payment request created",
+    PAYMENT_PAID_BY_VOUCHER: "Paid with voucher",
+    PAYMENT_PAID_BY_CREDIT: "Paid with store credit",
+  },
+};
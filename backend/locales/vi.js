@@ -0,0 +1,382 @@
+// vi.js
+// Thông điệp tiếng Việt (ngôn ngữ mặc định)
+// Tham số trong {ngoặc nhọn} được thay bằng giá trị trong details của lỗi (xem utils/i18n.js)
+module.exports = {
+  // Thông báo lỗi, khóa là mã lỗi trả về trong trường "code"
+  errors: {
+    // Chung
+    ROUTE_NOT_FOUND: "Không tìm thấy route {method} {path}",
+    INTERNAL_ERROR: "Lỗi server",
+    BAD_REQUEST: "Yêu cầu không hợp lệ",
+    INVALID_JSON: "Body JSON không hợp lệ",
+    PAYLOAD_TOO_LARGE: "Dữ liệu gửi lên quá lớn",
+    VALIDATION_ERROR: "Dữ liệu không hợp lệ",
+    INVALID_ID: "ID không hợp lệ ({field})",
+    DUPLICATE_VALUE: "Giá trị đã tồn tại: {fields}",
+    UPLOAD_FAILED: "Tải file lên thất bại ({reason})",
+    TOO_MANY_REQUESTS: "Bạn thao tác quá nhiều lần, vui lòng thử lại sau {retryAfter} giây",
+    IDEMPOTENCY_KEY_TOO_LONG: "Idempotency-Key tối đa {max} ký tự",
+    IDEMPOTENCY_KEY_REUSED: "Idempotency-Key đã được dùng cho một yêu cầu khác",
+    IDEMPOTENCY_REQUEST_IN_PROGRESS: "Yêu cầu với Idempotency-Key này đang được xử lý, vui lòng thử lại",
+    TOKEN_REQUIRED: "Token là bắt buộc",
+
+    // Xác thực và phân quyền
+    TOKEN_MISSING: "Không có token, truy cập bị từ chối",
+    TOKEN_INVALID: "Token không hợp lệ hoặc đã hết hạn",
+    SESSION_EXPIRED: "Phiên đăng nhập đã hết hạn, vui lòng đăng nhập lại",
+    FORBIDDEN: "Bạn không có quyền truy cập chức năng này",
+    PERMISSION_DENIED: "Bạn không có quyền truy cập chức năng này",
+    EMAIL_NOT_VERIFIED: "Vui lòng xác minh email trước khi sử dụng chức năng này",
+    TWO_FACTOR_REQUIRED: "Vui lòng bật xác thực hai lớp trong trang hồ sơ trước khi sử dụng chức năng này",
+    STORE_PERMISSION_DENIED: "Bạn không có quyền thực hiện chức năng này trong cửa hàng",
+    REFRESH_TOKEN_REQUIRED: "Refresh token là bắt buộc",
+    SESSION_NOT_FOUND: "Không tìm thấy phiên đăng nhập",
+
+    // Ví, rút tiền và tín dụng
+    LEDGER_UNBALANCED: "Bút toán {journalKey} không cân: nợ {debit}, có {credit}",
+    PAYOUT_AMOUNT_INVALID: "Số tiền rút không hợp lệ",
+    PAYOUT_BANK_INFO_REQUIRED: "Thiếu thông tin tài khoản ngân hàng",
+    PAYOUT_INSUFFICIENT_BALANCE: "Số dư có thể rút không đủ ({available})",
+    PAYOUT_ALREADY_PENDING: "Đang có yêu cầu rút tiền chờ duyệt",
+    PAYOUT_NOT_PENDING: "Yêu cầu rút tiền không tồn tại hoặc đã được xử lý",
+    PAYOUT_REFERENCE_REQUIRED: "Thiếu mã giao dịch chuyển khoản",
+    DATE_RANGE_INVALID: "Khoảng thời gian không hợp lệ",
+    CREDIT_INSUFFICIENT: "Tín dụng không đủ ({available})",
+    CREDIT_CONFLICT: "Tín dụng vừa được dùng cho thanh toán khác, vui lòng thử lại",
+    CREDIT_UNAVAILABLE: "Bạn không có tín dụng để thanh toán",
+    CREDIT_ADJUSTMENT_INVALID: "Cần userId hợp lệ, amount khác 0 và reason",
+
+    // Tài khoản
+    USER_NOT_FOUND: "Không tìm thấy người dùng",
+    ACCOUNT_LOCKED: "Tài khoản của bạn đã bị khóa",
+    PASSWORD_INCORRECT: "Mật khẩu không đúng",
+    PASSWORD_TOO_SHORT: "Mật khẩu phải dài ít nhất {min} ký tự",
+    PASSWORD_RESET_FIELDS_REQUIRED: "Token và mật khẩu mới là bắt buộc",
+    PASSWORD_RESET_LINK_INVALID: "Link đặt lại mật khẩu không hợp lệ hoặc đã hết hạn",
+    REFRESH_TOKEN_INVALID: "Refresh token không hợp lệ",
+    LOCK_UNTIL_IN_PAST: "Thời hạn khóa phải ở tương lai",
+    APPEAL_TOKEN_EXPIRED: "Phiên kháng nghị đã hết hạn, vui lòng đăng nhập lại",
+    APPEAL_NOTE_REQUIRED: "Nội dung kháng nghị là bắt buộc",
+    APPEAL_NOTE_TOO_LONG: "Nội dung kháng nghị tối đa {max} ký tự",
+    ACCOUNT_NOT_LOCKED: "Tài khoản không bị khóa",
+    EMAIL_REQUIRED: "Email là bắt buộc",
+    EMAIL_VERIFICATION_LINK_INVALID: "Link xác minh không hợp lệ hoặc đã hết hạn",
+    EMAIL_ALREADY_VERIFIED: "Email đã được xác minh",
+    SEARCH_QUERY_TOO_SHORT: "Từ khóa tìm kiếm phải có ít nhất {min} ký tự",
+    REGISTER_FIELDS_REQUIRED: "Username, email và password là bắt buộc",
+    EMAIL_INVALID: "Định dạng email không hợp lệ",
+    ROLE_INVALID: "Vai trò không hợp lệ",
+    USER_EXISTS: "Username hoặc email đã tồn tại",
+    EMAIL_IN_USE: "Email đã được sử dụng",
+    CREDENTIALS_REQUIRED: "Email và password là bắt buộc",
+    CREDENTIALS_INVALID: "Thông tin đăng nhập không hợp lệ",
+    PASSWORD_FIELDS_REQUIRED: "Mật khẩu hiện tại và mật khẩu mới là bắt buộc",
+    APPEAL_TOKEN_REQUIRED: "appealToken là bắt buộc",
+    ADMIN_ACCOUNT_PROTECTED: "Bạn không có quyền thay đổi tài khoản quản trị",
+    INVALID_DATE_FIELD: "{field} không hợp lệ",
+    LOCK_DAYS_INVALID: "lockDays phải là số dương",
+    STAFF_ROLES_REQUIRED: "staffRoles phải là một mảng",
+    STAFF_ROLES_INVALID: "Vai trò không hợp lệ: {roles}",
+    ADMIN_HAS_ALL_PERMISSIONS: "Admin đã có mọi quyền",
+
+    // Xác thực hai lớp
+    TWO_FACTOR_CODE_INVALID: "Mã xác thực không đúng hoặc đã được sử dụng",
+    TWO_FACTOR_ALREADY_ENABLED: "Xác thực hai lớp đã được bật",
+    TWO_FACTOR_SETUP_NOT_STARTED: "Chưa bắt đầu thiết lập xác thực hai lớp",
+    TWO_FACTOR_CODE_INCORRECT: "Mã xác thực không đúng",
+    TWO_FACTOR_NOT_ENABLED: "Xác thực hai lớp chưa được bật",
+    TWO_FACTOR_ENFORCED: "Tài khoản quản trị bắt buộc dùng xác thực hai lớp",
+    TWO_FACTOR_CHALLENGE_EXPIRED: "Phiên xác thực đã hết hạn, vui lòng đăng nhập lại",
+    TWO_FACTOR_CODE_REQUIRED: "challengeToken và mã xác thực là bắt buộc",
+
+    // Đơn hàng
+    ORDER_NOT_FOUND: "Không tìm thấy đơn hàng",
+    ORDER_STATUS_INVALID: "Trạng thái không hợp lệ: {status}",
+    ORDER_TRANSITION_NOT_ALLOWED: "Không thể chuyển trạng thái từ \"{from}\" sang \"{to}\"",
+    ORDER_COD_DELIVERY_BY_CARRIER: "Đơn thu hộ COD chỉ được xác nhận giao bởi hãng vận chuyển khi đã thu tiền",
+    ORDER_STATUS_CONFLICT: "Trạng thái đã bị thay đổi bởi thao tác khác, vui lòng tải lại",
+    ORDER_ITEM_NOT_FOUND: "Không tìm thấy sản phẩm trong đơn hàng",
+    QUANTITY_INVALID: "Số lượng không hợp lệ cho sản phẩm {productId}",
+    INSUFFICIENT_INVENTORY: "Sản phẩm {title} không đủ hàng: còn {available}, cần {requested}",
+    BUY_OWN_PRODUCT: "Bạn không thể mua sản phẩm của chính mình ({title})",
+    ORDER_ITEMS_NOT_CANCELLABLE: "Không tìm thấy sản phẩm cần hủy hoặc đã bị hủy",
+    ORDER_ITEMS_ALREADY_PROCESSED: "Không thể hủy sản phẩm đã ở trạng thái {status}",
+    ORDER_PARTIAL_CANCEL_UNPAID: "Đơn thanh toán online chưa trả tiền chỉ có thể hủy cả đơn",
+    ORDER_FIELDS_REQUIRED: "Thiếu địa chỉ hoặc sản phẩm đặt mua",
+    BUYER_EMAIL_NOT_FOUND: "Không tìm thấy email người mua",
+    ORDER_ACCESS_DENIED: "Bạn không có quyền với đơn hàng này",
+    SELLER_ORDER_NOT_FOUND: "Không tìm thấy đơn con",
+    SELLER_ORDER_NOT_CONFIRMABLE: "Không thể xác nhận đơn con ở trạng thái {status}",
+    SELLER_ORDER_NOT_REJECTABLE: "Không thể từ chối đơn con ở trạng thái {status}",
+    ORDER_ID_REQUIRED: "Thiếu orderId",
+
+    // Cửa hàng
+    STORE_NOT_CREATED: "Bạn chưa có cửa hàng",
+    STORE_NOT_FOUND: "Không tìm thấy cửa hàng",
+    STORE_ACCESS_DENIED: "Bạn không có quyền truy cập cửa hàng này",
+    STORE_SELECTION_REQUIRED: "Bạn là nhân viên của nhiều cửa hàng, vui lòng chọn cửa hàng (X-Store-Id)",
+    STORE_SUSPENDED: "Cửa hàng đang bị tạm ngưng",
+    STORE_ROLES_REQUIRED: "Cần chọn ít nhất một vai trò",
+    STORE_ROLES_INVALID: "Vai trò không hợp lệ: {roles}",
+    STORE_INVITE_SELF: "Không thể mời chính bạn",
+    STORE_MEMBER_EXISTS: "Người này đã là nhân viên của cửa hàng",
+    STORE_INVITATION_INVALID: "Lời mời không hợp lệ hoặc đã hết hạn",
+    STORE_INVITATION_EMAIL_MISMATCH: "Lời mời này dành cho một email khác",
+    STORE_INVITATION_OWN_STORE: "Không thể làm nhân viên cửa hàng của chính bạn",
+    STORE_MEMBER_NOT_FOUND: "Không tìm thấy nhân viên",
+    NOT_A_SELLER: "Tài khoản không phải người bán",
+    STORE_ALREADY_EXISTS: "Bạn đã có cửa hàng",
+    STORE_NAME_REQUIRED: "Tên cửa hàng là bắt buộc",
+    STORE_STATUS_INVALID: "Trạng thái cửa hàng phải là một trong: {values}",
+    STORE_OWNER_LOCKED: "Không thể duyệt cửa hàng khi người dùng bị khóa",
+    COMMISSION_RATE_INVALID: "commissionRate phải nằm trong khoảng {min}-{max}",
+
+    // Đấu giá
+    AUCTION_NOT_FOUND: "Không tìm thấy phiên đấu giá",
+    AUCTION_ENDED: "Phiên đấu giá đã kết thúc",
+    PRODUCT_AUCTION_ONLY: "Sản phẩm {title} đang đấu giá, chỉ mua được bằng cách đặt giá",
+    BID_AMOUNT_INVALID: "Số tiền đặt giá không hợp lệ",
+    BID_ON_OWN_PRODUCT: "Người bán không thể đặt giá cho sản phẩm của mình",
+    BID_ALREADY_HIGHEST: "Bạn đang là người trả giá cao nhất",
+    BID_TOO_LOW: "Giá đặt phải tối thiểu {minimumBid}",
+    BID_ADDRESS_REQUIRED: "Vui lòng thêm địa chỉ giao hàng trước khi đặt giá",
+    BID_CONFLICT: "Giá hiện tại vừa thay đổi, vui lòng thử lại",
+    AUCTION_END_TIME_INVALID: "Thời gian kết thúc đấu giá phải ở tương lai",
+    AUCTION_FIELD_LOCKED: "Không thể thay đổi {field} khi phiên đấu giá đã có người đặt giá",
+    AUCTION_QUANTITY_REQUIRED: "Sản phẩm đấu giá phải còn ít nhất 1 sản phẩm trong kho",
+    AUCTION_HAS_BIDS: "Không thể xóa sản phẩm đang đấu giá đã có người đặt giá",
+
+    // Voucher
+    VOUCHER_INVALID: "Voucher không hợp lệ hoặc đã hết hạn",
+    VOUCHER_MIN_ORDER_VALUE: "Đơn hàng phải từ {minOrderValue} để dùng voucher này",
+    VOUCHER_USAGE_LIMIT_REACHED: "Voucher đã hết lượt sử dụng",
+    VOUCHER_CODE_REQUIRED: "Thiếu mã voucher",
+    VOUCHER_UNAVAILABLE: "Voucher không hợp lệ, đã hết hạn hoặc hết lượt sử dụng",
+    VOUCHER_NOT_FOUND: "Không tìm thấy voucher",
+    VOUCHER_EXPIRED: "Voucher đã hết hạn",
+
+    // Sản phẩm
+    PRODUCT_NOT_FOUND: "Không tìm thấy sản phẩm",
+    PRODUCT_ID_REQUIRED: "productId là bắt buộc",
+    CATEGORY_NOT_FOUND: "Không tìm thấy danh mục",
+    CATEGORY_EXISTS: "Danh mục đã tồn tại",
+
+    // Địa chỉ
+    ADDRESS_NOT_FOUND: "Không tìm thấy địa chỉ",
+
+    // Hoàn tiền
+    REFUND_NOTHING_PAID: "Đơn hàng chưa được thanh toán nên không có gì để hoàn",
+    REFUND_AMOUNT_INVALID: "Số tiền hoàn không hợp lệ hoặc đã hoàn hết",
+    REFUND_AMOUNT_EXCEEDED: "Số tiền hoàn vượt quá số tiền còn lại ({limit})",
+    REFUND_NOT_COMPLETABLE: "Không thể hoàn tất hoàn tiền ở trạng thái {status}",
+    REFUND_NOT_RETRYABLE: "Chỉ thực hiện lại được hoàn tiền thất bại",
+    REFUND_NOT_FOUND: "Không tìm thấy hoàn tiền",
+
+    // Vận chuyển và COD
+    SHIPPING_INFO_NOT_FOUND: "Không tìm thấy thông tin vận chuyển",
+    SHIPPING_STATUS_INVALID: "Trạng thái vận chuyển phải là một trong: {values}",
+    SHIPMENT_NOT_RETURNABLE: "Chỉ hoàn hàng được vận đơn giao thất bại",
+    SHIPMENT_NO_ITEMS_TO_RETURN: "Vận đơn không còn mặt hàng để hoàn về",
+    COD_AMOUNT_MISMATCH: "Số tiền thu hộ không khớp: thu {received}, cần {expected}",
+    COD_NOTHING_TO_REMIT: "Không có vận đơn nào đã thu tiền và chưa đối soát",
+    CARRIER_EVENT_UNSUPPORTED: "Sự kiện vận chuyển không được hỗ trợ: {event}",
+
+    // Thanh toán
+    PAYMENT_NOT_FOUND: "Không tìm thấy thanh toán",
+    PAYMENT_AMOUNT_MISMATCH: "Số tiền không khớp: nhận {received}, cần {expected}",
+    WEBHOOK_NOT_CONFIGURED: "Chưa cấu hình webhook",
+    WEBHOOK_SIGNATURE_INVALID: "Chữ ký webhook không hợp lệ",
+    WEBHOOK_EVENT_STALE: "Sự kiện đã quá hạn",
+    PAYMENT_WEBHOOK_UNSUPPORTED: "Phương thức {method} không có webhook",
+    PAYMENT_GATEWAY_NOT_CONFIGURED: "Lỗi cấu hình cổng thanh toán {gateway}",
+    PAYMENT_GATEWAY_UNREACHABLE: "Lỗi giao tiếp với cổng thanh toán {gateway}",
+    PAYMENT_GATEWAY_REJECTED: "Cổng thanh toán {gateway} từ chối tạo thanh toán",
+    PAYMENT_GATEWAY_BAD_RESPONSE: "Dữ liệu không hợp lệ từ cổng thanh toán {gateway}",
+    PAYMENT_ACCOUNT_MISMATCH: "Sai tài khoản nhận",
+    WEBHOOK_PAYLOAD_INVALID: "Dữ liệu webhook thiếu trường bắt buộc",
+    WEBHOOK_CREDENTIALS_MISSING: "Thiếu thông tin xác thực webhook",
+    WEBHOOK_CREDENTIALS_INVALID: "Sai thông tin xác thực webhook",
+    WEBHOOK_PROCESSING_FAILED: "Lỗi server khi xử lý callback",
+    ORDER_CODE_REQUIRED: "Thiếu tham số orderCode",
+    FAKE_TRANSACTION_UNPAID: "Giao dịch thử nghiệm chưa được thanh toán",
+    FAKE_TRANSACTION_NOT_FOUND: "Không tìm thấy giao dịch thử nghiệm",
+    PAYMENT_METHOD_INVALID: "Phương thức thanh toán không hợp lệ",
+    ORDER_NOT_PAYABLE: "Đơn hàng không ở trạng thái có thể thanh toán",
+    PAYMENT_PENDING_EXISTS: "Đơn hàng này đang có thanh toán chờ xử lý",
+    ORDER_ALREADY_PAID: "Đơn hàng đã được thanh toán đủ",
+    PAYMENT_FULL_AMOUNT_REQUIRED: "{method} phải thanh toán toàn bộ số tiền còn lại ({remaining})",
+    PAYMENT_AMOUNT_INVALID: "Số tiền thanh toán phải từ 1 đến {max}",
+    PAYMENT_GATEWAY_UNSUPPORTED: "Cổng thanh toán {method} không được hỗ trợ",
+    PAYMENT_STATUS_INVALID: "Trạng thái thanh toán phải là một trong: {values}",
+    PAYMENT_ALREADY_PAID: "Không thể đổi trạng thái của thanh toán đã hoàn tất",
+    PAYMENT_ORDER_CLOSED: "Không thể ghi nhận thanh toán đã bị hủy / thay thế hoặc của đơn hàng không còn chờ thanh toán",
+    PAYMENT_COD_MANUAL_UPDATE: "Thanh toán COD được xác nhận khi hãng vận chuyển giao hàng và thu tiền",
+
+    // Đối soát
+    RECONCILIATION_ISSUE_NOT_OPEN: "Sai lệch không tồn tại hoặc đã được xử lý",
+
+    // Giỏ hàng
+    CART_NOT_FOUND: "Không tìm thấy giỏ hàng",
+    CART_ITEM_NOT_FOUND: "Không có sản phẩm này trong giỏ hàng",
+    CART_ITEM_INVALID: "productId hoặc số lượng không hợp lệ",
+    CART_OWN_PRODUCT: "Người bán không thể thêm sản phẩm của mình vào giỏ hàng",
+
+    // Trò chuyện
+    CONVERSATION_NOT_FOUND: "Không tìm thấy cuộc trò chuyện",
+    CONVERSATION_ACCESS_DENIED: "Bạn không có quyền truy cập cuộc trò chuyện này",
+    CHAT_RECIPIENT_NOT_FOUND: "Không tìm thấy người nhận",
+
+    // Hình ảnh
+    UPLOAD_FILE_REQUIRED: "Chưa có tệp nào được tải lên",
+    IMAGE_PUBLIC_ID_REQUIRED: "public_id là bắt buộc",
+    IMAGE_DELETE_FAILED: "Không thể xóa ảnh",
+
+    // Đánh giá
+    REVIEW_NOT_FOUND: "Không tìm thấy đánh giá",
+    REVIEW_PARENT_NOT_FOUND: "Không tìm thấy đánh giá gốc",
+    REVIEW_RATING_INVALID: "Số sao phải từ {min} đến {max}",
+    REVIEW_COMMENT_REQUIRED: "Nội dung đánh giá là bắt buộc",
+    REVIEW_NOT_PURCHASED: "Bạn chỉ có thể đánh giá sản phẩm đã mua",
+    REVIEW_NOT_RECEIVED: "Bạn chỉ có thể đánh giá sản phẩm đã nhận hàng",
+    REVIEW_ALREADY_EXISTS: "Bạn đã đánh giá sản phẩm này",
+    REVIEW_ALREADY_REPLIED: "Đánh giá này đã được phản hồi",
+
+    // Trả hàng
+    RETURN_REQUEST_NOT_FOUND: "Không tìm thấy yêu cầu trả hàng",
+    RETURN_REQUEST_FIELDS_REQUIRED: "Thiếu thông tin cần thiết: orderItemId, reason",
+    RETURN_REQUEST_NOT_OWNER: "Bạn không có quyền tạo yêu cầu trả hàng cho đơn hàng này",
+    RETURN_REQUEST_NOT_DELIVERED: "Chỉ có thể yêu cầu trả hàng với mặt hàng đã giao",
+    RETURN_REQUEST_EXISTS: "Đã tồn tại yêu cầu trả hàng cho mặt hàng này",
+    RETURN_REQUEST_ACCESS_DENIED: "Bạn không có quyền với yêu cầu trả hàng này",
+    RETURN_REQUEST_ALREADY_PROCESSED: "Không thể hủy yêu cầu trả hàng đã được xử lý",
+    RETURN_REQUEST_STATUS_INVALID: "Trạng thái phải là một trong: {values}",
+
+    // Khiếu nại
+    DISPUTE_NOT_FOUND: "Không tìm thấy khiếu nại",
+    DISPUTE_NOT_OWNER: "Bạn chỉ có thể khiếu nại đơn hàng của mình",
+    DISPUTE_NOT_DELIVERED: "Chỉ có thể khiếu nại mặt hàng đã giao",
+    DISPUTE_EXISTS: "Mặt hàng này đã có khiếu nại",
+    DISPUTE_ACCESS_DENIED: "Bạn không có quyền với khiếu nại này",
+    DISPUTE_NOT_EDITABLE: "Chỉ sửa được khiếu nại đang mở",
+    DISPUTE_NOT_CANCELLABLE: "Không thể hủy khiếu nại đã được giải quyết hoặc đã đóng",
+    DISPUTE_RESOLUTION_INVALID: "resolvedInFavorOf phải là buyer hoặc seller",
+  },
+  // Lỗi từng trường trong danh sách "errors" khi kiểm tra dữ liệu đầu vào
+  validation: {
+    REQUIRED: "là bắt buộc",
+    EMPTY: "không được để trống",
+    INVALID_TYPE: "sai kiểu dữ liệu, cần {type}",
+    INVALID_ENUM: "phải là một trong: {values}",
+    MIN_LENGTH: "tối thiểu {min} ký tự",
+    MAX_LENGTH: "tối đa {max} ký tự",
+    INVALID_FORMAT: "sai định dạng",
+    INVALID_OBJECT_ID: "không phải ID hợp lệ",
+    INVALID_EMAIL: "không phải email hợp lệ",
+    INVALID_DATE: "không phải ngày giờ hợp lệ",
+    MINIMUM: "phải lớn hơn hoặc bằng {min}",
+    MAXIMUM: "phải nhỏ hơn hoặc bằng {max}",
+    MIN_ITEMS: "cần ít nhất {min} phần tử",
+    MAX_ITEMS: "tối đa {max} phần tử",
+    INVALID: "không hợp lệ",
+  },
+  // Thông báo khi thao tác thành công
+  messages: {
+    // Địa chỉ
+    ADDRESS_DELETED: "Đã xóa địa chỉ",
+
+    // Cửa hàng
+    STORE_INVITATION_SENT: "Đã gửi lời mời",
+    STORE_MEMBER_REMOVED: "Đã xóa nhân viên khỏi cửa hàng",
+    STORE_INVITATION_ACCEPTED: "Bạn đã trở thành nhân viên cửa hàng",
+    STORE_CREATED: "Tạo cửa hàng thành công, đang chờ duyệt",
+    STORE_STATUS_APPROVED: "Cửa hàng đã được duyệt thành công",
+    STORE_STATUS_REJECTED: "Cửa hàng đã được từ chối thành công",
+    STORE_STATUS_PENDING: "Cửa hàng đã được chuyển sang chờ duyệt thành công",
+    STORE_UPDATED: "Cập nhật cửa hàng thành công",
+
+    // Đấu giá
+    BID_PLACED: "Đặt giá thành công",
+    BID_PLACED_EXTENDED: "Đặt giá thành công, phiên đấu giá đã được gia hạn",
+
+    // Giỏ hàng
+    CART_ITEM_ADDED: "Đã thêm sản phẩm vào giỏ hàng",
+    CART_ITEM_UPDATED: "Đã cập nhật giỏ hàng",
+    CART_ITEM_REMOVED: "Đã xóa sản phẩm khỏi giỏ hàng",
+    CART_ITEMS_REMOVED: "Đã xóa các sản phẩm khỏi giỏ hàng",
+    CART_NOTHING_REMOVED: "Không có sản phẩm nào bị xóa",
+
+    // Tài khoản
+    PROFILE_UPDATED: "Cập nhật thông tin thành công",
+    REGISTERED: "Đăng ký thành công, vui lòng kiểm tra email để xác minh tài khoản",
+    LOGGED_IN: "Đăng nhập thành công",
+    LOGGED_IN_AS_SELLER: "Đăng nhập với vai trò người bán",
+    LOGGED_OUT: "Đăng xuất thành công",
+    LOGGED_OUT_ALL: "Đã đăng xuất khỏi mọi thiết bị",
+    SESSION_REVOKED: "Đã đăng xuất thiết bị",
+    TWO_FACTOR_ENABLED: "Đã bật xác thực hai lớp, hãy lưu các mã khôi phục ở nơi an toàn",
+    TWO_FACTOR_DISABLED: "Đã tắt xác thực hai lớp",
+    EMAIL_VERIFIED: "Email đã được xác minh",
+    VERIFICATION_EMAIL_RESENT: "Link xác minh đã được gửi lại tới email của bạn",
+    APPEAL_SUBMITTED: "Kháng nghị đã được gửi tới quản trị viên",
+    PASSWORD_RESET_EMAIL_SENT: "Nếu email tồn tại, link đặt lại mật khẩu đã được gửi tới hộp thư của bạn",
+    PASSWORD_RESET: "Mật khẩu đã được đặt lại, vui lòng đăng nhập lại",
+    PASSWORD_UPDATED: "Đổi mật khẩu thành công",
+    USER_DELETED: "Xóa người dùng thành công",
+    USER_UPDATED: "Cập nhật người dùng thành công",
+    STAFF_ROLES_UPDATED: "Cập nhật vai trò nhân viên thành công",
+
+    // Hình ảnh
+    IMAGE_UPLOADED: "Tải ảnh lên thành công",
+    IMAGES_UPLOADED: "Tải ảnh lên thành công",
+    IMAGE_DELETED: "Đã xóa ảnh",
+
+    // Đơn hàng
+    ORDER_PLACED: "Đặt hàng thành công",
+    ORDER_ITEM_STATUS_UPDATED: "Cập nhật trạng thái sản phẩm thành công",
+    ORDER_CANCELLED: "Hủy đơn hàng thành công",
+    SELLER_ORDER_CONFIRMED: "Đã xác nhận đơn con",
+    SELLER_ORDER_REJECTED: "Đã từ chối đơn con",
+    ORDER_CONFIRMED: "Đã xác nhận đơn hàng",
+    ORDER_ITEM_STATUS_CHANGED: "Đã cập nhật trạng thái sản phẩm thành {status}",
+
+    // Đánh giá
+    REVIEW_ADDED: "Đã thêm đánh giá",
+    REVIEW_REPLY_ADDED: "Đã thêm phản hồi",
+    REVIEW_UPDATED: "Đã cập nhật đánh giá",
+    REVIEW_DELETED: "Đã xóa đánh giá",
+
+    // Voucher
+    VOUCHER_REMOVED: "Đã xóa voucher",
+
+    // Trả hàng
+    RETURN_REQUEST_CREATED: "Tạo yêu cầu trả hàng thành công",
+    RETURN_REQUEST_CANCELLED: "Hủy yêu cầu trả hàng thành công",
+
+    // Khiếu nại
+    DISPUTE_ELIGIBLE: "Mặt hàng này có thể khiếu nại",
+    DISPUTE_CREATED: "Đã tạo khiếu nại",
+    DISPUTE_UPDATED: "Đã cập nhật khiếu nại",
+    DISPUTE_CANCELLED: "Đã hủy khiếu nại",
+    DISPUTE_NOT_DELIVERED: "Chỉ có thể khiếu nại mặt hàng đã giao",
+    DISPUTE_EXISTS: "Mặt hàng này đã có khiếu nại",
+
+    // Sản phẩm
+    CATEGORY_ADDED: "Đã thêm danh mục",
+    NO_PRODUCTS: "Chưa có sản phẩm nào",
+    PRODUCT_DELETED: "Đã xóa sản phẩm",
+    PRODUCT_UPDATED: "Sản phẩm đã được cập nhật thành công",
+
+    // Vận chuyển và COD
+    SHIPPING_STATUS_CHANGED: "Đã cập nhật trạng thái vận chuyển thành {status}",
+    SHIPMENT_AUTO_RETURNED: "Giao hàng thất bại quá số lần cho phép, hàng đã được hoàn về người bán và nhập kho",
+    SHIPMENT_RETURNED: "Hàng đã được hoàn về người bán và nhập kho",
+    COD_REMITTANCE_RECORDED: "Đã ghi nhận chuyển tiền thu hộ",
+
+    // Thanh toán
+    PAYMENT_STATUS_CHANGED: "Đã cập nhật trạng thái thanh toán thành {status}",
+    PAYMENT_REQUEST_CREATED: "Đã tạo yêu cầu thanh toán {method} thành công",
+    PAYMENT_TEST_REQUEST_CREATED: "Đã tạo yêu cầu thanh toán thử nghiệm",
+    PAYMENT_PAID_BY_VOUCHER: "Đã thanh toán bằng voucher",
+    PAYMENT_PAID_BY_CREDIT: "Đã thanh toán bằng tín dụng",
+  },
+};
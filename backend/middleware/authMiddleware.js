@@ -0,0 +1,129 @@
+// authMiddleware.js
+const jwt = require("jsonwebtoken");
+const { User } = require("../models");
+const { isSessionActive } = require("../services/sessionService");
+const { isLocked } = require("../services/accountLockService");
+const { permissionsFor, isStaff } = require("../config/permissions");
+const logger = require("../utils/logger");
+const createError = require("../utils/createError");
+
+/**
+ * Xác thực JWT trong header Authorization: Bearer <token>
+ * và gán thông tin người dùng vào req.user ({ id, role, staffRoles, permissions, username, sessionId, emailVerified, twoFactorEnabled }).
+ * Token của phiên đã đăng xuất / bị thu hồi hoặc cấp trước lần đặt lại mật khẩu gần nhất bị từ chối;
+ * vai trò, quyền và trạng thái khóa lấy từ cơ sở dữ liệu nên có hiệu lực ngay.
+ */
+const authMiddleware = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return next(createError(401, "TOKEN_MISSING"));
+  }
+
+  const token = authHeader.split(" ")[1];
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    logger.warn("Token không hợp lệ:", error.message);
+    return next(createError(401, "TOKEN_INVALID"));
+  }
+
+  if (!decoded.sid) {
+    return next(createError(401, "SESSION_EXPIRED"));
+  }
+
+  const [user, sessionActive] = await Promise.all([
+    User.findById(decoded.id).select("username role staffRoles action lockedUntil passwordChangedAt emailVerified twoFactor.enabled").lean(),
+    isSessionActive(decoded.sid),
+  ]);
+  if (!user) {
+    return next(createError(401, "TOKEN_INVALID"));
+  }
+  const changedAfterIssue = user.passwordChangedAt &&
+    decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000);
+  if (!sessionActive || changedAfterIssue) {
+    return next(createError(401, "SESSION_EXPIRED"));
+  }
+  if (isLocked(user)) {
+    return next(createError(403, "ACCOUNT_LOCKED"));
+  }
+
+  req.user = {
+    id: user._id.toString(),
+    role: user.role,
+    staffRoles: user.staffRoles || [],
+    permissions: permissionsFor(user),
+    username: user.username,
+    sessionId: decoded.sid.toString(),
+    emailVerified: user.emailVerified !== false,
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  };
+  next();
+};
+
+/**
+ * Chỉ cho phép các vai trò được liệt kê truy cập route
+ * @param  {...String} roles - Danh sách vai trò được phép (buyer, seller, admin)
+ */
+const authorizeRoles = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(createError(403, "FORBIDDEN"));
+  }
+  next();
+};
+
+/**
+ * Chỉ cho admin và tài khoản có vai trò nhân viên vào khu vực quản trị. Phải đặt sau authMiddleware.
+ */
+const authorizeStaff = (req, res, next) => {
+  if (!isStaff(req.user)) {
+    return next(createError(403, "FORBIDDEN"));
+  }
+  next();
+};
+
+/**
+ * Yêu cầu có đủ các quyền được liệt kê (xem config/permissions.js). Phải đặt sau authMiddleware.
+ * @param  {...String} permissions - Ví dụ "orders:refund", "stores:approve"
+ */
+const requirePermission = (...permissions) => {
+  const middleware = (req, res, next) => {
+    const granted = (req.user && req.user.permissions) || [];
+    const missing = permissions.filter((permission) => !granted.includes(permission));
+    if (missing.length > 0) {
+      return next(createError(403, "PERMISSION_DENIED", { missingPermissions: missing }));
+    }
+    next();
+  };
+  middleware.permissions = permissions; // utils/openapi.js ghi vào tài liệu
+  return middleware;
+};
+
+/**
+ * Chặn chức năng cần email đã xác minh (đặt hàng, mở cửa hàng, nhắn tin). Phải đặt sau authMiddleware.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return next(createError(403, "EMAIL_NOT_VERIFIED"));
+  }
+  next();
+};
+
+/**
+ * Bắt buộc đã bật xác thực hai lớp (tài khoản quản trị). Phải đặt sau authMiddleware.
+ */
+const requireTwoFactor = (req, res, next) => {
+  if (!req.user || !req.user.twoFactorEnabled) {
+    return next(createError(403, "TWO_FACTOR_REQUIRED"));
+  }
+  next();
+};
+
+module.exports = {
+  authMiddleware,
+  authorizeRoles,
+  authorizeStaff,
+  requirePermission,
+  requireVerifiedEmail,
+  requireTwoFactor,
+};
@@ -0,0 +1,84 @@
+// errorMiddleware.js
+// Nơi duy nhất dựng phản hồi lỗi: { success: false, code, message, ...details }.
+// Controller, service và middleware chỉ cần throw / next(createError(status, code, details)).
+const logger = require("../utils/logger");
+const createError = require("../utils/createError");
+const { resolveLocale, translate } = require("../utils/i18n");
+
+// Lỗi kiểm tra của Mongoose → cùng dạng danh sách lỗi với validateMiddleware
+const MONGOOSE_VALIDATOR_CODES = {
+  required: "REQUIRED",
+  enum: "INVALID_ENUM",
+  min: "MINIMUM",
+  max: "MAXIMUM",
+  minlength: "MIN_LENGTH",
+  maxlength: "MAX_LENGTH",
+};
+
+const mongooseParams = ({ min, max, minlength, maxlength, enumValues }) => ({
+  min: min !== undefined ? min : minlength,
+  max: max !== undefined ? max : maxlength,
+  values: enumValues ? enumValues.join(", ") : undefined,
+});
+
+const fromMongooseValidation = (err) =>
+  createError(400, "VALIDATION_ERROR", {
+    errors: Object.values(err.errors).map((fieldError) => ({
+      field: fieldError.path,
+      code: MONGOOSE_VALIDATOR_CODES[fieldError.kind] || "INVALID",
+      params: mongooseParams(fieldError.properties || {}),
+    })),
+  });
+
+/**
+ * Quy mọi lỗi về dạng createError; lỗi không nhận ra là lỗi server
+ */
+const normalizeError = (err) => {
+  if (err.statusCode && typeof err.code === "string" && !err.type) return err;
+
+  if (err.name === "CastError") return createError(400, "INVALID_ID", { field: err.path });
+  if (err.name === "ValidationError" && err.errors) return fromMongooseValidation(err);
+  if (err.code === 11000) return createError(409, "DUPLICATE_VALUE", { fields: Object.keys(err.keyValue || {}) });
+  if (err.name === "MulterError") return createError(400, "UPLOAD_FAILED", { reason: err.code });
+  if (err.type === "entity.parse.failed") return createError(400, "INVALID_JSON");
+  if (err.type === "entity.too.large") return createError(413, "PAYLOAD_TOO_LARGE");
+  if (err.statusCode && err.statusCode < 500) return createError(err.statusCode, "BAD_REQUEST");
+  return createError(500, "INTERNAL_ERROR");
+};
+
+// Dịch thông báo của từng trường trong danh sách lỗi kiểm tra dữ liệu
+const translateFieldErrors = (locale, errors) =>
+  errors.map(({ field, code, params }) => ({
+    field,
+    code,
+    message: translate(locale, `validation.${code}`, params),
+  }));
+
+// Trả 404 cho các route không tồn tại
+const notFound = (req, res, next) => {
+  next(createError(404, "ROUTE_NOT_FOUND", { method: req.method, path: req.originalUrl }));
+};
+
+// Xử lý lỗi được chuyển tiếp qua next(error) hoặc throw trong handler async (Express 5 tự chuyển tiếp)
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+  if (error.statusCode >= 500) {
+    logger.error(`${req.method} ${req.originalUrl}:`, err);
+  }
+  if (res.headersSent) return;
+
+  const locale = req.locale || resolveLocale(req.get("accept-language"));
+  const { errors, ...details } = error.details || {};
+  res.status(error.statusCode).json({
+    ...details,
+    ...(Array.isArray(errors) ? { errors: translateFieldErrors(locale, errors) } : {}),
+    success: false,
+    code: error.code,
+    message: translate(locale, `errors.${error.code}`, error.details),
+  });
+};
+
+module.exports = {
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,124 @@
+// idempotencyMiddleware.js
+const crypto = require("crypto");
+const { IdempotencyKey } = require("../models");
+const logger = require("../utils/logger");
+const createError = require("../utils/createError");
+
+// Thời gian lưu giữ key để phát lại phản hồi
+const RETENTION_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Trong lúc handler còn chạy, bản ghi "processing" được làm mới định kỳ (giữ khóa)
+const HEARTBEAT_MS = 15 * 1000;
+// Bản ghi "processing" không được làm mới quá thời gian này mới được coi là bị bỏ dở (server crash) và có thể xử lý lại
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// JSON.stringify với key được sắp xếp để fingerprint không phụ thuộc thứ tự trường
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const fingerprintRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest("hex");
+
+/**
+ * Hỗ trợ header Idempotency-Key: yêu cầu lặp lại với cùng key sẽ nhận lại phản hồi đã lưu
+ * thay vì xử lý lần nữa. Phải đặt sau authMiddleware.
+ * @param {String} scope - Tên thao tác, ví dụ "orders:create"
+ */
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return next(createError(400, "IDEMPOTENCY_KEY_TOO_LONG", { max: MAX_KEY_LENGTH }));
+  }
+
+  const userId = req.user.id;
+  const fingerprint = fingerprintRequest(req);
+  const now = Date.now();
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      userId,
+      scope,
+      fingerprint,
+      expiresAt: new Date(now + RETENTION_MS),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    const existing = await IdempotencyKey.findOne({ userId, scope, key });
+    if (!existing) {
+      // Bản ghi vừa hết hạn giữa hai lần truy vấn, để client thử lại
+      return next(createError(409, "IDEMPOTENCY_REQUEST_IN_PROGRESS"));
+    }
+    if (existing.fingerprint !== fingerprint) {
+      return next(createError(422, "IDEMPOTENCY_KEY_REUSED"));
+    }
+    if (existing.status === "completed") {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Chiếm lại bản ghi "processing" bị bỏ dở
+    record = await IdempotencyKey.findOneAndUpdate(
+      {
+        _id: existing._id,
+        status: "processing",
+        updatedAt: { $lt: new Date(now - STALE_PROCESSING_MS) },
+      },
+      { $set: { expiresAt: new Date(now + RETENTION_MS) } },
+      { new: true }
+    );
+    if (!record) {
+      return next(createError(409, "IDEMPOTENCY_REQUEST_IN_PROGRESS"));
+    }
+  }
+
+  // Giữ khóa khi handler chạy lâu (cổng thanh toán chậm) để lần thử lại không chiếm bản ghi đang xử lý
+  const heartbeat = setInterval(() => {
+    IdempotencyKey.updateOne({ _id: record._id, status: "processing" }, { $set: { updatedAt: new Date() } })
+      .catch((error) => logger.error("Failed to refresh idempotency lock:", error));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  res.once("close", () => clearInterval(heartbeat));
+
+  // Lưu lại phản hồi thành công để phát lại cho các lần thử sau
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    clearInterval(heartbeat);
+    const statusCode = res.statusCode;
+    const persist =
+      statusCode < 200 || statusCode >= 300
+        ? IdempotencyKey.deleteOne({ _id: record._id }) // Lỗi (4xx / 5xx): cho phép sửa rồi thử lại với cùng key
+        : IdempotencyKey.updateOne(
+            { _id: record._id },
+            { $set: { status: "completed", responseStatus: statusCode, responseBody: body } }
+          );
+    persist.catch((error) => logger.error("Failed to store idempotent response:", error));
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotency,
+};
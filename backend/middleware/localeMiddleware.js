@@ -0,0 +1,15 @@
+// localeMiddleware.js
+const { resolveLocale, translate } = require("../utils/i18n");
+
+/**
+ * Chọn ngôn ngữ phản hồi theo Accept-Language, gán req.locale và req.t(key, params) để controller dịch thông báo
+ */
+const localeMiddleware = (req, res, next) => {
+  req.locale = resolveLocale(req.get("accept-language"));
+  req.t = (key, params) => translate(req.locale, key, params);
+  res.set("Content-Language", req.locale);
+  res.vary("Accept-Language");
+  next();
+};
+
+module.exports = { localeMiddleware };
@@ -0,0 +1,45 @@
+// rateLimitMiddleware.js
+const { RateLimit } = require("../models");
+const logger = require("../utils/logger");
+const createError = require("../utils/createError");
+
+/**
+ * Giới hạn số lần gọi route trong một cửa sổ thời gian cố định, đếm trong MongoDB
+ * @param {Object} options
+ * @param {String} options.scope - Tên thao tác, ví dụ "auth:forgot-password:ip"
+ * @param {Number} options.max - Số lần tối đa trong một cửa sổ
+ * @param {Number} options.windowMinutes - Độ dài cửa sổ (phút)
+ * @param {Function} [options.by] - (req) => định danh cần giới hạn, mặc định là IP; trả về rỗng thì bỏ qua
+ */
+const rateLimit = ({ scope, max, windowMinutes, by = (req) => req.ip }) => async (req, res, next) => {
+  const identity = by(req);
+  if (!identity) {
+    return next();
+  }
+
+  const windowMs = windowMinutes * 60 * 1000;
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const resetAt = windowStart + windowMs;
+
+  try {
+    const counter = await RateLimit.findOneAndUpdate(
+      { key: `${scope}:${String(identity).toLowerCase()}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+      { new: true, upsert: true }
+    );
+
+    if (counter.count > max) {
+      const retryAfter = Math.ceil((resetAt - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return next(createError(429, "TOO_MANY_REQUESTS", { retryAfter }));
+    }
+  } catch (error) {
+    // Lỗi bộ đếm không được chặn người dùng hợp lệ
+    logger.error(`Rate limit ${scope} failed:`, error.message);
+  }
+  next();
+};
+
+module.exports = {
+  rateLimit,
+};
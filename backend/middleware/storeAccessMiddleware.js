@@ -0,0 +1,42 @@
+// storeAccessMiddleware.js
+const { resolveStoreAccess } = require("../services/storeMemberService");
+const createError = require("../utils/createError");
+
+/**
+ * Xác định cửa hàng đang thao tác và gán req.store ({ storeId, sellerId, isOwner, roles }).
+ * Chủ cửa hàng (seller) thao tác trên cửa hàng của mình; nhân viên thao tác trên cửa hàng mình được mời,
+ * chọn bằng header X-Store-Id nếu là nhân viên của nhiều cửa hàng. Phải đặt sau authMiddleware.
+ * @param {Object} [options] - { optional: true } chỉ xác định khi có header X-Store-Id (dùng cho chat)
+ */
+const storeAccess = ({ optional = false } = {}) => async (req, res, next) => {
+  const requestedStoreId = req.get("x-store-id");
+  if (optional && !requestedStoreId) return next();
+
+  try {
+    req.store = await resolveStoreAccess(req.user, requestedStoreId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Chỉ cho chủ cửa hàng hoặc nhân viên có một trong các vai trò được liệt kê. Phải đặt sau storeAccess.
+ * @param  {...String} roles - inventory, fulfilment, customer_service, finance (bỏ trống = chỉ chủ cửa hàng)
+ */
+const requireStoreRole = (...roles) => {
+  const middleware = (req, res, next) => {
+    const store = req.store;
+    if (store && (store.isOwner || roles.some((role) => store.roles.includes(role)))) {
+      return next();
+    }
+    next(createError(403, "STORE_PERMISSION_DENIED"));
+  };
+  middleware.storeRoles = roles; // utils/openapi.js ghi vào tài liệu
+  return middleware;
+};
+
+module.exports = {
+  storeAccess,
+  requireStoreRole,
+};
@@ -0,0 +1,47 @@
+// validateMiddleware.js
+const { check } = require("../utils/schema");
+const createError = require("../utils/createError");
+
+/**
+ * Kiểm tra params / query / body theo schema khai báo (xem utils/schema.js và thư mục schemas/).
+ * Sai thì trả 400 VALIDATION_ERROR với danh sách lỗi theo từng trường; body hợp lệ được thay bằng bản đã bỏ trường
+ * không khai báo.
+ * Schema được gắn vào middleware để utils/openapi.js sinh tài liệu.
+ * @param {Object} schema - { summary, params, query, body, form } (params / query là map tên trường → schema;
+ *   form mô tả body multipart/form-data, chỉ dùng cho tài liệu)
+ */
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    ["params", "query"].forEach((location) => {
+      if (!schema[location]) return;
+      const values = req[location] || {};
+      Object.entries(schema[location]).forEach(([name, fieldSchema]) => {
+        const value = values[name];
+        if (value === undefined || value === "") {
+          if (location === "params" || fieldSchema.required) {
+            errors.push({ field: `${location}.${name}`, code: "REQUIRED" });
+          }
+          return;
+        }
+        check(fieldSchema, value, `${location}.${name}`, errors, { coerce: true });
+      });
+    });
+
+    let body;
+    if (schema.body) {
+      body = check(schema.body, req.body === undefined ? {} : req.body, "body", errors);
+    }
+
+    if (errors.length > 0) {
+      return next(createError(400, "VALIDATION_ERROR", { errors }));
+    }
+    if (schema.body) req.body = body;
+    next();
+  };
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = { validate };
@@ -12,4 +12,7 @@ const bidSchema = new Schema(
   { timestamps: true }
 );
 
+bidSchema.index({ productId: 1, bidAmount: -1 });
+bidSchema.index({ userId: 1 });
+
 module.exports = mongoose.model("Bid", bidSchema);
@@ -4,7 +4,8 @@ const Schema = mongoose.Schema;
 const categorySchema = new Schema(
   {
     name: { type: String, required: true, unique: true },
-    description: { type: String }
+    description: { type: String },
+    commissionRate: { type: Number, min: 0, max: 1, default: null } // Phí sàn (0-1), null = dùng PLATFORM_COMMISSION_RATE
   },
   { timestamps: true }
 );
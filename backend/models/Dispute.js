@@ -12,6 +12,8 @@ const disputeSchema = new Schema(
       default: "open",
     },
     resolution: { type: String },
+    resolvedInFavorOf: { type: String, enum: ["buyer", "seller"] },
+    refundIds: [{ type: Schema.Types.ObjectId, ref: "Refund" }],
   },
   { timestamps: true }
 );
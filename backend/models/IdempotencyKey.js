@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const idempotencyKeySchema = new Schema(
+  {
+    key: { type: String, required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    scope: { type: String, required: true }, // Ví dụ: "orders:create", "payments:create"
+    fingerprint: { type: String, required: true }, // SHA-256 của body request
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: { type: Number },
+    responseBody: { type: Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ userId: 1, scope: 1, key: 1 }, { unique: true });
+// MongoDB tự xóa bản ghi khi hết thời gian lưu giữ
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Một dòng bút toán kép: mỗi nghiệp vụ (journal) gồm nhiều dòng có tổng nợ = tổng có.
+// Số dư tài khoản của người bán / tín dụng của người mua = tổng có - tổng nợ.
+const LEDGER_ACCOUNTS = [
+  "seller_pending", // Tiền bán hàng đang tạm giữ trong thời gian trả hàng / khiếu nại
+  "seller_available", // Tiền người bán có thể rút
+  "seller_payout", // Tiền đang chờ admin duyệt rút
+  "platform_commission", // Phí sàn
+  "platform_clearing", // Tiền sàn đang giữ hộ (thu từ người mua, chi ra khi hoàn / rút)
+  "buyer_credit", // Tín dụng của người mua, dùng để trả một phần / toàn bộ đơn hàng
+];
+
+const ledgerEntrySchema = new Schema(
+  {
+    journalId: { type: Schema.Types.ObjectId, required: true },
+    type: {
+      type: String,
+      enum: ["sale", "release", "refund", "payout_request", "payout_paid", "payout_rejected", "tender", "adjustment"],
+      required: true,
+    },
+    account: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+    sellerId: { type: Schema.Types.ObjectId, ref: "User", default: null }, // null với tài khoản của sàn
+    buyerId: { type: Schema.Types.ObjectId, ref: "User", default: null }, // Chỉ với buyer_credit
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+    description: { type: String },
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", default: null },
+    orderItemId: { type: Schema.Types.ObjectId, ref: "OrderItem", default: null },
+    refundId: { type: Schema.Types.ObjectId, ref: "Refund", default: null },
+    payoutId: { type: Schema.Types.ObjectId, ref: "Payout", default: null },
+    paymentId: { type: Schema.Types.ObjectId, ref: "Payment", default: null },
+    commissionRate: { type: Number }, // Tỷ lệ phí áp dụng cho dòng bán hàng
+    releaseAt: { type: Date }, // Dòng tạm giữ: thời điểm được giải phóng
+    releasedAt: { type: Date }, // Dòng tạm giữ: đã giải phóng sang seller_available
+    dedupeKey: { type: String }, // journalKey:index, chặn ghi một nghiệp vụ hai lần
+  },
+  { timestamps: true }
+);
+
+ledgerEntrySchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+ledgerEntrySchema.index({ sellerId: 1, account: 1, createdAt: 1 });
+ledgerEntrySchema.index({ orderItemId: 1, account: 1 });
+ledgerEntrySchema.index({ buyerId: 1, createdAt: 1 });
+ledgerEntrySchema.index({ account: 1, releasedAt: 1, releaseAt: 1 });
+
+const LedgerEntry = mongoose.model("LedgerEntry", ledgerEntrySchema);
+LedgerEntry.ACCOUNTS = LEDGER_ACCOUNTS;
+
+module.exports = LedgerEntry;
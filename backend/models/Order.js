@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { ORDER_STATUSES } = require("../config/orderStatus");
 
 const orderSchema = new Schema(
   {
@@ -7,13 +8,26 @@ const orderSchema = new Schema(
     addressId: { type: Schema.Types.ObjectId, ref: "Address", required: true },
     orderDate: { type: Date, default: Date.now },
     totalPrice: { type: Number, required: true },
+    voucherId: { type: Schema.Types.ObjectId, ref: "Voucher", default: null },
+    discountAmount: { type: Number, default: 0 },
     status: {
       type: String,
-      enum: ["pending", "processing", "shipping", "shipped", "failed to ship", "rejected"],
+      enum: ORDER_STATUSES,
       default: "pending",
     },
   },
   { timestamps: true }
 );
 
+// Mọi lần thanh toán của đơn (kể cả lần đã hủy / thất bại), mỗi Payment là một hình thức trả một phần hoặc toàn bộ
+// Job hủy đơn quá hạn thanh toán quét các đơn "pending" theo thời gian tạo
+orderSchema.index({ status: 1, createdAt: 1 });
+
+orderSchema.virtual("payments", {
+  ref: "Payment",
+  localField: "_id",
+  foreignField: "orderId",
+  options: { sort: { createdAt: 1 } },
+});
+
 module.exports = mongoose.model("Order", orderSchema);
@@ -1,13 +1,15 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { ORDER_STATUSES } = require("../config/orderStatus");
 
 const orderItemSchema = new Schema(
   {
     orderId: { type: Schema.Types.ObjectId, ref: "Order", required: true },
+    sellerOrderId: { type: Schema.Types.ObjectId, ref: "SellerOrder" },
     productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
     status: {
       type: String,
-      enum: ["pending", "shipping", "shipped", "failed to ship", "rejected"],
+      enum: ORDER_STATUSES,
       default: "pending",
     },
     quantity: { type: Number, required: true },
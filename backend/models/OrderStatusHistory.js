@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Lịch sử chuyển trạng thái của Order, SellerOrder và OrderItem
+const orderStatusHistorySchema = new Schema(
+  {
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", required: true },
+    entityType: {
+      type: String,
+      enum: ["Order", "SellerOrder", "OrderItem"],
+      required: true,
+    },
+    entityId: { type: Schema.Types.ObjectId, required: true },
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    changedBy: { type: Schema.Types.ObjectId, ref: "User", default: null }, // null = hệ thống
+    actorRole: {
+      type: String,
+      enum: ["buyer", "seller", "admin", "staff", "system"],
+      default: "system",
+    },
+    note: { type: String },
+  },
+  { timestamps: true }
+);
+
+orderStatusHistorySchema.index({ orderId: 1, createdAt: 1 });
+orderStatusHistorySchema.index({ entityId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("OrderStatusHistory", orderStatusHistorySchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Token đặt lại mật khẩu: chỉ lưu SHA-256 của token, dùng một lần và hết hạn sau một khoảng ngắn
+const passwordResetTokenSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    requestedIp: { type: String },
+  },
+  { timestamps: true }
+);
+
+passwordResetTokenSchema.index({ userId: 1, usedAt: 1 });
+// MongoDB tự xóa token đã hết hạn
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordResetToken", passwordResetTokenSchema);
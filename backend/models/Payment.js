@@ -10,18 +10,25 @@ const paymentSchema = new Schema(
     status: {
       type: String,
       required: true,
-      enum: ["pending", "paid", "failed"],
+      enum: ["pending", "paid", "failed", "cancelled", "partially_refunded", "refunded"],
       default: "pending",
     },
     transactionId: { type: String }, // ID giao dịch từ cổng thanh toán
+    gatewayTransactionId: { type: String }, // Mã giao dịch ngân hàng do webhook báo về
     paidAt: { type: Date },
+    expiresAt: { type: Date }, // Hạn thanh toán của VietQR/PayOS, quá hạn đơn bị hủy tự động
+    refundedAmount: { type: Number, default: 0 }, // Tổng tiền đã hoàn thành công (xem Refund)
+    cancelledAt: { type: Date },
+    attempt: { type: Number, default: 1 }, // Thứ tự lần thanh toán trong đơn
+    replacedBy: { type: Schema.Types.ObjectId, ref: "Payment", default: null }, // Lần thanh toán thay thế lần này
   },
   { timestamps: true }
 );
 
 // Tạo index để tăng tốc độ tìm kiếm
-paymentSchema.index({ orderId: 1 });
+paymentSchema.index({ orderId: 1, createdAt: 1 });
 paymentSchema.index({ transactionId: 1 });
 paymentSchema.index({ userId: 1 });
+paymentSchema.index({ status: 1, expiresAt: 1 });
 
 module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Yêu cầu rút tiền của người bán, admin duyệt rồi chuyển khoản
+const payoutSchema = new Schema(
+  {
+    sellerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    amount: { type: Number, required: true, min: 1 },
+    status: {
+      type: String,
+      enum: ["pending", "paid", "rejected"],
+      default: "pending",
+    },
+    bankName: { type: String, required: true },
+    accountNumber: { type: String, required: true },
+    accountName: { type: String, required: true },
+    note: { type: String },
+    transferReference: { type: String }, // Mã giao dịch chuyển khoản admin nhập khi duyệt
+    rejectionReason: { type: String },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ sellerId: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+// Mỗi người bán chỉ có một yêu cầu chờ duyệt tại một thời điểm
+payoutSchema.index({ sellerId: 1 }, { unique: true, partialFilterExpression: { status: "pending" } });
+
+module.exports = mongoose.model("Payout", payoutSchema);
@@ -15,8 +15,21 @@ const productSchema = new Schema(
     sellerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
     isAuction: { type: Boolean, default: false },
     auctionEndTime: { type: Date },
+    // Các trường dành cho đấu giá (chỉ có ý nghĩa khi isAuction = true)
+    reservePrice: { type: Number, default: 0 }, // Giá sàn, dưới mức này sản phẩm không được bán
+    bidIncrement: { type: Number, min: 1 }, // Bước giá tối thiểu, bỏ trống để dùng bước giá mặc định
+    currentBid: { type: Number, default: null },
+    highestBidderId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    auctionStatus: {
+      type: String,
+      enum: ["active", "ended", "unsold", "awaiting_address"], // awaiting_address: người thắng chưa có địa chỉ giao hàng
+      default: "active",
+    },
+    auctionOrderId: { type: Schema.Types.ObjectId, ref: "Order", default: null },
   },
   { timestamps: true }
 );
 
+productSchema.index({ isAuction: 1, auctionStatus: 1, auctionEndTime: 1 });
+
 module.exports = mongoose.model("Product", productSchema);
\ No newline at end of file
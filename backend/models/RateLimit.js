@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Bộ đếm số lần gọi trong một cửa sổ thời gian cố định, dùng chung cho mọi instance server
+const rateLimitSchema = new Schema({
+  key: { type: String, required: true, unique: true }, // <scope>:<định danh>:<mốc cửa sổ>
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+});
+
+// MongoDB tự xóa bộ đếm khi hết cửa sổ
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Sai lệch phát hiện khi đối soát thanh toán, chờ admin xử lý
+const reconciliationIssueSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        "amount_mismatch", // Payment.amount lệch Order.totalPrice, hoặc cổng báo số tiền khác
+        "refund_mismatch", // Payment.refundedAmount lệch tổng các Refund thành công
+        "orphaned_transaction", // Cổng báo giao dịch hợp lệ nhưng không khớp thanh toán nào
+        "paid_unfulfilled", // Đã thanh toán nhưng người bán chưa xử lý đơn quá lâu
+        "paid_cancelled", // Đơn đã hủy / từ chối nhưng tiền chưa được hoàn
+      ],
+      required: true,
+    },
+    status: { type: String, enum: ["open", "resolved"], default: "open" },
+    paymentId: { type: Schema.Types.ObjectId, ref: "Payment", default: null },
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", default: null },
+    webhookLogId: { type: Schema.Types.ObjectId, ref: "WebhookLog", default: null },
+    provider: { type: String },
+    expected: { type: Number },
+    actual: { type: Number },
+    message: { type: String },
+    dedupeKey: { type: String, required: true }, // type:id, mỗi sai lệch chỉ ghi một lần
+    resolvedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    resolvedAt: { type: Date },
+    resolutionNote: { type: String },
+  },
+  { timestamps: true }
+);
+
+reconciliationIssueSchema.index({ dedupeKey: 1 }, { unique: true });
+reconciliationIssueSchema.index({ status: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ReconciliationIssue", reconciliationIssueSchema);
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Một lần hoàn tiền cho đơn hàng (hoặc một mặt hàng trong đơn)
+const refundSchema = new Schema(
+  {
+    paymentId: { type: Schema.Types.ObjectId, ref: "Payment", required: true },
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", required: true },
+    orderItemId: { type: Schema.Types.ObjectId, ref: "OrderItem", default: null }, // null = hoàn theo cả đơn
+    amount: { type: Number, required: true, min: 1 },
+    type: { type: String, enum: ["full", "partial"], required: true },
+    reason: { type: String },
+    source: {
+      type: String,
+      enum: ["cancellation", "return", "dispute", "manual"],
+      required: true,
+    },
+    sourceId: { type: Schema.Types.ObjectId, default: null }, // Order / ReturnRequest / Dispute tương ứng
+    method: { type: String, enum: ["gateway", "manual", "credit"], required: true }, // manual = chuyển khoản tay (COD, cổng không hỗ trợ), credit = hoàn về tín dụng
+    provider: { type: String }, // Payment.method
+    status: {
+      type: String,
+      enum: ["pending", "processing", "awaiting_transfer", "succeeded", "failed"],
+      default: "pending",
+    },
+    providerReference: { type: String },
+    failureReason: { type: String },
+    requestedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    processedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ paymentId: 1, status: 1 });
+refundSchema.index({ orderItemId: 1, status: 1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Refund", refundSchema);
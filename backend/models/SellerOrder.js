@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { ORDER_STATUSES } = require("../config/orderStatus");
+
+// Đơn con theo từng người bán: mỗi Order có một SellerOrder cho mỗi seller trong giỏ hàng
+const sellerOrderSchema = new Schema(
+  {
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", required: true },
+    sellerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    subtotal: { type: Number, required: true },
+    discountAmount: { type: Number, default: 0 }, // Phần voucher phân bổ cho đơn con này
+    shippingFee: { type: Number, default: 0 },
+    totalPrice: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      default: "pending",
+    },
+    confirmedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+sellerOrderSchema.index({ orderId: 1, sellerId: 1 }, { unique: true });
+sellerOrderSchema.index({ sellerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SellerOrder", sellerOrderSchema);
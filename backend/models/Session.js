@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Phiên đăng nhập trên một thiết bị: giữ hash của refresh token hiện tại, token được xoay vòng mỗi lần làm mới
+const sessionSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true },
+    // Token vừa bị thay thế; dùng lại nó nghĩa là token đã lộ nên cả phiên bị thu hồi
+    previousTokenHash: { type: String },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout_all", "revoked", "password_reset", "password_change", "locked", "token_reuse", "role_change"],
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB tự xóa phiên khi refresh token hết hạn
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -3,17 +3,46 @@ const Schema = mongoose.Schema;
 
 const shippingInfoSchema = new Schema(
   {
-    orderItemId: { type: Schema.Types.ObjectId, ref: "OrderItem", required: true },
+    // Vận đơn gắn với cả đơn con (sellerOrderId) hoặc với một mặt hàng lẻ (orderItemId, dữ liệu cũ)
+    orderItemId: { type: Schema.Types.ObjectId, ref: "OrderItem" },
+    sellerOrderId: { type: Schema.Types.ObjectId, ref: "SellerOrder" },
+    orderId: { type: Schema.Types.ObjectId, ref: "Order" },
+    sellerId: { type: Schema.Types.ObjectId, ref: "User" },
     carrier: { type: String, required: true, default: "GHTK" },
     trackingNumber: { type: String, default: 123456789 },
     status: {
       type: String,
-      enum: ["shipping", "shipped", "failed to ship"],
+      enum: ["shipping", "delivered", "failed to ship"],
       default: "shipping",
     },
     estimatedArrival: { type: Date, default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) },
+    deliveryAttempts: { type: Number, default: 1 },
+    failureReason: { type: String },
+    // Thu hộ COD: số tiền bưu tá phải thu khi giao, xác nhận khi giao thành công
+    // và theo dõi việc hãng vận chuyển chuyển lại tiền cho người bán
+    codAmount: { type: Number, default: 0 },
+    codStatus: {
+      type: String,
+      enum: ["none", "pending", "collected", "failed", "returned", "remitted"],
+      default: "none",
+    },
+    collectedAmount: { type: Number },
+    collectedAt: { type: Date },
+    remittedAt: { type: Date },
+    remittanceReference: { type: String },
   },
   { timestamps: true }
 );
 
+shippingInfoSchema.index({ sellerId: 1, codStatus: 1 });
+shippingInfoSchema.index({ orderId: 1 });
+shippingInfoSchema.index({ trackingNumber: 1 });
+
+shippingInfoSchema.pre("validate", function (next) {
+  if (!this.orderItemId && !this.sellerOrderId) {
+    return next(new Error("ShippingInfo requires either orderItemId or sellerOrderId"));
+  }
+  next();
+});
+
 module.exports = mongoose.model("ShippingInfo", shippingInfoSchema);
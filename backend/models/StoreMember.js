@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { STORE_ROLES } = require("../config/permissions");
+const Schema = mongoose.Schema;
+
+// Nhân viên cửa hàng: chủ cửa hàng mời qua email, người được mời chấp nhận bằng tài khoản có cùng email
+const storeMemberSchema = new Schema(
+  {
+    storeId: { type: Schema.Types.ObjectId, ref: "Store", required: true },
+    sellerId: { type: Schema.Types.ObjectId, ref: "User", required: true }, // chủ cửa hàng
+    email: { type: String, required: true, lowercase: true, trim: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", default: null }, // gán khi chấp nhận lời mời
+    roles: {
+      type: [{ type: String, enum: Object.keys(STORE_ROLES) }],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["invited", "active", "removed"],
+      default: "invited",
+    },
+    // Chỉ lưu SHA-256 của token mời
+    inviteTokenHash: { type: String, select: false },
+    inviteExpiresAt: { type: Date },
+    invitedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    acceptedAt: { type: Date },
+    removedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+storeMemberSchema.index({ storeId: 1, email: 1 }, { unique: true });
+storeMemberSchema.index({ userId: 1, status: 1 });
+storeMemberSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model("StoreMember", storeMemberSchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { STAFF_ROLES } = require("../config/permissions");
 const Schema = mongoose.Schema;
 
 const userSchema = new Schema(
@@ -13,16 +14,59 @@ const userSchema = new Schema(
       enum: ["buyer", "seller", "admin"],
       default: "buyer",
     },
+    // Vai trò nhân viên (support, finance, ...) cấp quyền quản trị theo config/permissions.js
+    staffRoles: {
+      type: [{ type: String, enum: Object.keys(STAFF_ROLES) }],
+      default: [],
+    },
     avatarURL: { type: String },
     action: {
       type: String,
       enum: ["lock", "unlock"],
       default: "unlock",
     },
+    // Thông tin khóa tài khoản: lockedUntil rỗng là khóa vô thời hạn, có giá trị là tạm đình chỉ
+    lockReason: { type: String },
+    lockedAt: { type: Date },
+    lockedUntil: { type: Date },
+    lockedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    lockAppeal: {
+      note: { type: String },
+      submittedAt: { type: Date },
+    },
+    // Tài khoản có từ trước khi bật xác minh được coi là đã xác minh; đăng ký mới bắt đầu với false
+    emailVerified: { type: Boolean, default: true },
+    emailVerifiedAt: { type: Date },
+    // Xác thực hai lớp bằng ứng dụng TOTP; secret được mã hóa, mã khôi phục chỉ lưu hash
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      lastUsedStep: { type: Number },
+      recoveryCodes: { type: [String], select: false },
+      enabledAt: { type: Date },
+    },
+    // Token cấp trước thời điểm này bị từ chối (đặt lại mật khẩu đăng xuất mọi phiên)
+    passwordChangedAt: { type: Date },
   },
   { timestamps: true }
 );
 
+userSchema.index({ action: 1, lockedUntil: 1 });
+
+// Không bao giờ đưa hash mật khẩu và bí mật 2FA ra JSON, kể cả khi document được populate vào model khác
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.recoveryCodes;
+    }
+    return ret;
+  },
+});
+
 // Mã hóa mật khẩu trước khi lưu
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
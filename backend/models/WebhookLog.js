@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Nhật ký mọi webhook / callback thanh toán nhận được, phục vụ đối soát
+const webhookLogSchema = new Schema(
+  {
+    provider: { type: String, required: true }, // Payment.method của cổng
+    endpoint: { type: String, required: true },
+    headers: { type: Schema.Types.Mixed },
+    rawBody: { type: String },
+    payload: { type: Schema.Types.Mixed },
+    eventId: { type: String }, // Mã giao dịch phía cổng
+    dedupeKey: { type: String }, // provider:eventId, chỉ gán khi sự kiện được xử lý
+    signatureValid: { type: Boolean, default: null },
+    outcome: {
+      type: String,
+      enum: ["received", "processed", "duplicate", "rejected", "ignored", "orphaned", "error"],
+      default: "received",
+    },
+    reason: { type: String },
+    paymentId: { type: Schema.Types.ObjectId, ref: "Payment", default: null },
+    amount: { type: Number },
+  },
+  { timestamps: true }
+);
+
+// Chặn xử lý lại cùng một sự kiện (replay)
+webhookLogSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+webhookLogSchema.index({ provider: 1, createdAt: -1 });
+webhookLogSchema.index({ paymentId: 1 });
+
+module.exports = mongoose.model("WebhookLog", webhookLogSchema);
@@ -4,18 +4,31 @@ const Category = require("./Category");
 const Product = require("./Product");
 const Order = require("./Order");
 const OrderItem = require("./OrderItem");
+const SellerOrder = require("./SellerOrder");
+const OrderStatusHistory = require("./OrderStatusHistory");
 const Payment = require("./Payment");
+const WebhookLog = require("./WebhookLog");
+const ReconciliationIssue = require("./ReconciliationIssue");
+const Refund = require("./Refund");
+const LedgerEntry = require("./LedgerEntry");
+const Payout = require("./Payout");
 const ShippingInfo = require("./ShippingInfo");
 const ReturnRequest = require("./ReturnRequest");
 const Bid = require("./Bid");
 const Review = require("./Review");
 const Coupon = require("./Coupon");
+const Voucher = require("./Voucher");
 const Inventory = require("./Inventory");
 const Feedback = require("./Feedback");
 const Dispute = require("./Dispute");
 const Store = require("./Store");
 const Message = require("./Message");
 const Conversation = require("./Conversation");
+const IdempotencyKey = require("./IdempotencyKey");
+const PasswordResetToken = require("./PasswordResetToken");
+const RateLimit = require("./RateLimit");
+const Session = require("./Session");
+const StoreMember = require("./StoreMember");
 
 module.exports = {
   User,
@@ -24,16 +37,29 @@ module.exports = {
   Product,
   Order,
   OrderItem,
+  SellerOrder,
+  OrderStatusHistory,
   Payment,
+  WebhookLog,
+  ReconciliationIssue,
+  Refund,
+  LedgerEntry,
+  Payout,
   ShippingInfo,
   ReturnRequest,
   Bid,
   Review,
   Coupon,
+  Voucher,
   Inventory,
   Feedback,
   Dispute,
   Store,
   Message,
   Conversation,
+  IdempotencyKey,
+  PasswordResetToken,
+  RateLimit,
+  Session,
+  StoreMember,
 };
@@ -0,0 +1,59 @@
+const express = require("express");
+const router = express.Router();
+const adminController = require("../controllers/adminController");
+const { authMiddleware, authorizeStaff, requirePermission, requireTwoFactor } = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validateMiddleware");
+const adminSchemas = require("../schemas/adminSchemas");
+
+// Admin và nhân viên (staffRoles) đã bật 2FA; từng route kiểm tra quyền cụ thể
+router.use(authMiddleware, authorizeStaff, requireTwoFactor);
+
+// Người dùng
+router.get("/users", requirePermission("users:read"), validate(adminSchemas.getAllUsers), adminController.getAllUsers);
+router.get("/users/:userId", requirePermission("users:read"), validate(adminSchemas.getUserDetails), adminController.getUserDetails);
+router.put("/users/:userId", requirePermission("users:read"), validate(adminSchemas.updateUserByAdmin), adminController.updateUserByAdmin);
+router.delete("/users/:userId", requirePermission("users:delete"), validate(adminSchemas.deleteUserByAdmin), adminController.deleteUserByAdmin);
+router.post("/users/:userId/credit", requirePermission("users:credit"), validate(adminSchemas.adjustBuyerCreditAdmin), adminController.adjustBuyerCreditAdmin);
+
+// Vai trò nhân viên và quyền
+router.get("/roles", requirePermission("roles:manage"), validate(adminSchemas.getStaffRoles), adminController.getStaffRoles);
+router.put("/users/:userId/staff-roles", requirePermission("roles:manage"), validate(adminSchemas.updateUserStaffRoles), adminController.updateUserStaffRoles);
+
+// Cửa hàng
+router.get("/stores", requirePermission("stores:read"), validate(adminSchemas.getAllStoresAdmin), adminController.getAllStoresAdmin);
+router.get("/stores/:storeId", requirePermission("stores:read"), validate(adminSchemas.getStoreDetails), adminController.getStoreDetails);
+router.put("/stores/:storeId", requirePermission("stores:update"), validate(adminSchemas.updateStoreByAdmin), adminController.updateStoreByAdmin);
+router.put("/stores/:storeId/status", requirePermission("stores:approve"), validate(adminSchemas.updateStoreStatusByAdmin), adminController.updateStoreStatusByAdmin);
+
+// Sản phẩm (route /stats phải đứng trước /:id)
+router.get("/products", requirePermission("products:read"), validate(adminSchemas.getAllProductsAdmin), adminController.getAllProductsAdmin);
+router.get("/products/stats", requirePermission("products:read"), validate(adminSchemas.getProductStatsAdmin), adminController.getProductStatsAdmin);
+router.get("/products/:id", requirePermission("products:read"), validate(adminSchemas.getProductDetailsAdmin), adminController.getProductDetailsAdmin);
+router.put("/products/:id/status", requirePermission("products:moderate"), validate(adminSchemas.updateProductStatusAdmin), adminController.updateProductStatusAdmin);
+router.delete("/products/:id", requirePermission("products:moderate"), validate(adminSchemas.deleteProductAdmin), adminController.deleteProductAdmin);
+router.get("/products/:id/reviews", requirePermission("reviews:read"), validate(adminSchemas.getProductReviewsAndStats), adminController.getProductReviewsAndStats);
+
+// Đánh giá
+router.get("/reviews", requirePermission("reviews:read"), validate(adminSchemas.getAllReviewsAdmin), adminController.getAllReviewsAdmin);
+router.delete("/reviews/:id", requirePermission("reviews:moderate"), validate(adminSchemas.deleteReviewAdmin), adminController.deleteReviewAdmin);
+
+// Hoàn tiền
+router.get("/refunds", requirePermission("refunds:read"), validate(adminSchemas.getRefundsAdmin), adminController.getRefundsAdmin);
+router.post("/refunds", requirePermission("orders:refund"), validate(adminSchemas.createRefundAdmin), adminController.createRefundAdmin);
+router.put("/refunds/:id/complete", requirePermission("orders:refund"), validate(adminSchemas.completeRefundAdmin), adminController.completeRefundAdmin);
+router.put("/refunds/:id/retry", requirePermission("orders:refund"), validate(adminSchemas.retryRefundAdmin), adminController.retryRefundAdmin);
+
+// Ví người bán, rút tiền và phí sàn
+router.get("/payouts", requirePermission("payouts:read"), validate(adminSchemas.getPayoutsAdmin), adminController.getPayoutsAdmin);
+router.put("/payouts/:id/approve", requirePermission("payouts:manage"), validate(adminSchemas.approvePayoutAdmin), adminController.approvePayoutAdmin);
+router.put("/payouts/:id/reject", requirePermission("payouts:manage"), validate(adminSchemas.rejectPayoutAdmin), adminController.rejectPayoutAdmin);
+router.get("/sellers/:sellerId/statement", requirePermission("payouts:read"), validate(adminSchemas.getSellerStatementAdmin), adminController.getSellerStatementAdmin);
+router.put("/categories/:id/commission", requirePermission("commissions:manage"), validate(adminSchemas.updateCategoryCommissionAdmin), adminController.updateCategoryCommissionAdmin);
+
+// Báo cáo và đối soát
+router.get("/report", requirePermission("reports:read"), validate(adminSchemas.getAdminReport), adminController.getAdminReport);
+router.get("/reconciliation", requirePermission("reconciliation:read"), validate(adminSchemas.getReconciliationReport), adminController.getReconciliationReport);
+router.post("/reconciliation/run", requirePermission("reconciliation:manage"), validate(adminSchemas.runReconciliationAdmin), adminController.runReconciliationAdmin);
+router.put("/reconciliation/:id/resolve", requirePermission("reconciliation:manage"), validate(adminSchemas.resolveReconciliationIssueAdmin), adminController.resolveReconciliationIssueAdmin);
+
+module.exports = router;
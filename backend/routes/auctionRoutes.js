@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const auctionController = require("../controllers/auctionController");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validateMiddleware");
+const catalogSchemas = require("../schemas/catalogSchemas");
+
+// Route /my-bids phải đứng trước /:productId
+router.get("/my-bids", authMiddleware, validate(catalogSchemas.getMyBids), auctionController.getMyBids);
+router.get("/:productId", validate(catalogSchemas.getAuction), auctionController.getAuction);
+router.get("/:productId/bids", validate(catalogSchemas.getBids), auctionController.getBids);
+router.post("/:productId/bids", authMiddleware, validate(catalogSchemas.placeBid), auctionController.placeBid);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require("express");
+const router = express.Router();
+const authController = require("../controllers/authController");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { rateLimit } = require("../middleware/rateLimitMiddleware");
+const { validate } = require("../middleware/validateMiddleware");
+const authSchemas = require("../schemas/authSchemas");
+
+// Giới hạn yêu cầu đặt lại mật khẩu theo IP và theo email
+const forgotPasswordLimits = [
+  rateLimit({ scope: "auth:forgot-password:ip", max: 10, windowMinutes: 60 }),
+  rateLimit({
+    scope: "auth:forgot-password:email",
+    max: 3,
+    windowMinutes: 60,
+    by: (req) => req.body && typeof req.body.email === "string" && req.body.email.trim()
+  })
+];
+
+router.post("/register", validate(authSchemas.register), authController.register);
+router.post("/login", validate(authSchemas.login), authController.login);
+router.post("/forgot-password", ...forgotPasswordLimits, validate(authSchemas.forgotPassword), authController.forgotPassword);
+router.post(
+  "/2fa/verify",
+  rateLimit({ scope: "auth:2fa-verify:ip", max: 10, windowMinutes: 15 }),
+  validate(authSchemas.verifyTwoFactorLogin),
+  authController.verifyTwoFactorLogin
+);
+router.post("/appeal", rateLimit({ scope: "auth:appeal:ip", max: 5, windowMinutes: 60 }), validate(authSchemas.submitLockAppeal), authController.submitLockAppeal);
+router.post("/verify-email", validate(authSchemas.verifyEmail), authController.verifyEmail);
+router.get("/verify-email", validate(authSchemas.verifyEmail), authController.verifyEmail);
+router.post("/refresh", rateLimit({ scope: "auth:refresh:ip", max: 60, windowMinutes: 15 }), validate(authSchemas.refreshToken), authController.refreshToken);
+router.post("/reset-password", rateLimit({ scope: "auth:reset-password:ip", max: 20, windowMinutes: 60 }), validate(authSchemas.resetPassword), authController.resetPassword);
+
+router.get("/profile", authMiddleware, validate(authSchemas.getProfile), authController.getProfile);
+router.put("/profile", authMiddleware, validate(authSchemas.updateProfile), authController.updateProfile);
+router.put("/password", authMiddleware, validate(authSchemas.updatePassword), authController.updatePassword);
+
+router.post(
+  "/resend-verification",
+  authMiddleware,
+  rateLimit({ scope: "auth:resend-verification:user", max: 3, windowMinutes: 60, by: (req) => req.user.id }),
+  validate(authSchemas.resendVerification),
+  authController.resendVerification
+);
+
+// Xác thực hai lớp
+router.get("/2fa", authMiddleware, validate(authSchemas.getTwoFactorStatus), authController.getTwoFactorStatus);
+router.post("/2fa/setup", authMiddleware, validate(authSchemas.setupTwoFactor), authController.setupTwoFactor);
+router.post("/2fa/enable", authMiddleware, validate(authSchemas.enableTwoFactor), authController.enableTwoFactor);
+router.post("/2fa/disable", authMiddleware, validate(authSchemas.disableTwoFactor), authController.disableTwoFactor);
+router.post("/2fa/recovery-codes", authMiddleware, validate(authSchemas.regenerateRecoveryCodes), authController.regenerateRecoveryCodes);
+
+// Phiên đăng nhập
+router.post("/logout", authMiddleware, validate(authSchemas.logout), authController.logout);
+router.post("/logout-all", authMiddleware, validate(authSchemas.logoutAll), authController.logoutAll);
+router.get("/sessions", authMiddleware, validate(authSchemas.getSessions), authController.getSessions);
+router.delete("/sessions/:sessionId", authMiddleware, validate(authSchemas.revokeSession), authController.revokeSession);
+
+module.exports = router;
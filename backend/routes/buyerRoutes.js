@@ -0,0 +1,71 @@
+const express = require("express");
+const router = express.Router();
+const cartController = require("../controllers/cartController");
+const addressController = require("../controllers/addressController");
+const orderController = require("../controllers/orderController");
+const paymentController = require("../controllers/paymentController");
+const reviewController = require("../controllers/reviewController");
+const disputeController = require("../controllers/disputeController");
+const returnRequestController = require("../controllers/returnRequestController");
+const { authMiddleware, requireVerifiedEmail } = require("../middleware/authMiddleware");
+const { idempotency } = require("../middleware/idempotencyMiddleware");
+const { validate } = require("../middleware/validateMiddleware");
+const buyerSchemas = require("../schemas/buyerSchemas");
+
+// Callback từ cổng thanh toán - không yêu cầu đăng nhập
+router.post("/payments/vietqr/token", validate(buyerSchemas.vietQRToken), paymentController.vietQRToken);
+router.post("/payments/vietqr/callback", validate(buyerSchemas.paymentWebhook), paymentController.handleWebhook("VietQR"));
+router.post("/payments/payos/webhook", validate(buyerSchemas.paymentWebhook), paymentController.handleWebhook("PayOS"));
+router.post("/payments/fake/webhook", validate(buyerSchemas.paymentWebhook), paymentController.handleWebhook("Fake"));
+router.get("/payments/payos/callback", validate(buyerSchemas.payosCallback), paymentController.payosCallback);
+router.get("/payments/payos/cancel", validate(buyerSchemas.payosCallback), paymentController.payosCallback);
+
+router.use(authMiddleware);
+
+// Giỏ hàng
+router.get("/cart", validate(buyerSchemas.viewCart), cartController.viewCart);
+router.post("/cart", validate(buyerSchemas.addToCart), cartController.addToCart);
+router.post("/cart/remove-multiple", validate(buyerSchemas.removeMultipleItems), cartController.removeMultipleItems);
+router.put("/cart/:productId", validate(buyerSchemas.updateCartItem), cartController.updateCartItem);
+router.delete("/cart/:productId", validate(buyerSchemas.deleteCartItem), cartController.deleteCartItem);
+
+// Địa chỉ
+router.get("/addresses", validate(buyerSchemas.getAddresses), addressController.getAddresses);
+router.post("/addresses", validate(buyerSchemas.createAddress), addressController.createAddress);
+router.put("/addresses/:id", validate(buyerSchemas.updateAddress), addressController.updateAddress);
+router.delete("/addresses/:id", validate(buyerSchemas.deleteAddress), addressController.deleteAddress);
+router.put("/addresses/:id/default", validate(buyerSchemas.setDefaultAddress), addressController.setDefaultAddress);
+
+// Đơn hàng
+router.post("/orders", requireVerifiedEmail, validate(buyerSchemas.createOrder), idempotency("orders:create"), orderController.createOrder);
+router.get("/orders", validate(buyerSchemas.getBuyerOrders), orderController.getBuyerOrders);
+router.get("/orders/:id", validate(buyerSchemas.getOrderDetails), orderController.getOrderDetails);
+router.post("/orders/:id/cancel", validate(buyerSchemas.cancelOrder), orderController.cancelOrder);
+router.put("/order-items/:id/status", validate(buyerSchemas.updateOrderItemStatus), orderController.updateOrderItemStatus);
+
+// Thanh toán
+router.post("/payments", requireVerifiedEmail, validate(buyerSchemas.createPayment), idempotency("payments:create"), paymentController.createPayment);
+router.get("/payments/credit", validate(buyerSchemas.getCredit), paymentController.getCredit);
+router.get("/payments/:orderId/status", validate(buyerSchemas.checkPaymentStatus), paymentController.checkPaymentStatus);
+
+// Đánh giá
+router.post("/reviews", validate(buyerSchemas.createReview), reviewController.createReview);
+router.get("/reviews", validate(buyerSchemas.getBuyerReviews), reviewController.getBuyerReviews);
+router.put("/reviews/:id", validate(buyerSchemas.updateReview), reviewController.updateReview);
+router.delete("/reviews/:id", validate(buyerSchemas.deleteReview), reviewController.deleteReview);
+
+// Khiếu nại
+router.get("/disputes/eligibility/:orderItemId", validate(buyerSchemas.checkDisputeEligibility), disputeController.checkDisputeEligibility);
+router.post("/disputes", validate(buyerSchemas.createDispute), disputeController.createDispute);
+router.get("/disputes", validate(buyerSchemas.getBuyerDisputes), disputeController.getBuyerDisputes);
+router.get("/disputes/:id", validate(buyerSchemas.getDisputeDetails), disputeController.getDisputeDetails);
+router.put("/disputes/:id", validate(buyerSchemas.updateDispute), disputeController.updateDispute);
+router.put("/disputes/:id/cancel", validate(buyerSchemas.cancelDispute), disputeController.cancelDispute);
+
+// Yêu cầu trả hàng
+router.post("/return-requests", validate(buyerSchemas.createReturnRequest), returnRequestController.createReturnRequest);
+router.get("/return-requests", validate(buyerSchemas.getUserReturnRequests), returnRequestController.getUserReturnRequests);
+router.get("/return-requests/:id", validate(buyerSchemas.getReturnRequestDetail), returnRequestController.getReturnRequestDetail);
+router.delete("/return-requests/:id", validate(buyerSchemas.cancelReturnRequest), returnRequestController.cancelReturnRequest);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const categoryController = require("../controllers/categoryController");
+const { validate } = require("../middleware/validateMiddleware");
+const catalogSchemas = require("../schemas/catalogSchemas");
+
+router.get("/", validate(catalogSchemas.listAllCategories), categoryController.listAllCategories);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const chatController = require("../controllers/chatController");
+const { authMiddleware, requireVerifiedEmail } = require("../middleware/authMiddleware");
+const { storeAccess, requireStoreRole } = require("../middleware/storeAccessMiddleware");
+const { validate } = require("../middleware/validateMiddleware");
+const chatSchemas = require("../schemas/chatSchemas");
+
+router.use(authMiddleware, requireVerifiedEmail);
+
+// Gửi kèm header X-Store-Id để nhân viên chăm sóc khách hàng xem hội thoại thay cửa hàng
+router.use(storeAccess({ optional: true }), (req, res, next) =>
+  req.store ? requireStoreRole("customer_service")(req, res, next) : next()
+);
+
+router.get("/conversations", validate(chatSchemas.getConversations), chatController.getConversations);
+router.get("/conversations/:conversationId/messages", validate(chatSchemas.getMessages), chatController.getMessages);
+router.post("/conversations/with/:recipientId", validate(chatSchemas.findOrCreateConversation), chatController.findOrCreateConversation);
+
+module.exports = router;
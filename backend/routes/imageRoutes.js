@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const imageController = require("../controllers/imageController");
+const { upload } = require("../config/cloudinary");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validateMiddleware");
+const imageSchemas = require("../schemas/imageSchemas");
+
+router.use(authMiddleware);
+
+router.post("/upload", upload.single("image"), validate(imageSchemas.uploadImage), imageController.uploadImage);
+router.post("/upload-multiple", upload.array("images", 10), validate(imageSchemas.uploadMultipleImages), imageController.uploadMultipleImages);
+router.delete("/", validate(imageSchemas.deleteImage), imageController.deleteImage);
+
+module.exports = router;
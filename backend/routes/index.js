@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const { buildOpenApiDocument } = require("../utils/openapi");
+
+// Đường dẫn gắn từng nhóm route; utils/openapi.js cũng đọc danh sách này để sinh tài liệu
+const MOUNTS = [
+  ["/auth", require("./authRoutes")],
+  ["/users", require("./userRoutes")],
+  ["/products", require("./productRoutes")],
+  ["/categories", require("./categoryRoutes")],
+  ["/auctions", require("./auctionRoutes")],
+  ["/buyers", require("./buyerRoutes")],
+  ["/sellers", require("./sellerRoutes")],
+  ["/admin", require("./adminRoutes")],
+  ["/vouchers", require("./voucherRoutes")],
+  ["/chat", require("./chatRoutes")],
+  ["/images", require("./imageRoutes")],
+  ["/shipping", require("./shippingRoutes")],
+];
+
+MOUNTS.forEach(([path, subRouter]) => router.use(path, subRouter));
+
+// Tài liệu OpenAPI sinh từ schema kiểm tra request (schemas/), dựng một lần khi có request đầu tiên
+let openApiDocument;
+router.get("/docs/openapi.json", (req, res) => {
+  if (!openApiDocument) openApiDocument = JSON.stringify(buildOpenApiDocument(MOUNTS), null, 2);
+  // Gửi chuỗi đã dựng sẵn: "json replacer" của app sẽ xóa các thuộc tính tên password trong schema
+  res.type("application/json").send(openApiDocument);
+});
+
+module.exports = router;
+module.exports.MOUNTS = MOUNTS;
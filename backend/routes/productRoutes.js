@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const productController = require("../controllers/productController");
+const reviewController = require("../controllers/reviewController");
+const { validate } = require("../middleware/validateMiddleware");
+const catalogSchemas = require("../schemas/catalogSchemas");
+
+router.get("/", validate(catalogSchemas.listAllProducts), productController.listAllProducts);
+router.get("/:productId", validate(catalogSchemas.getProductDetail), productController.getProductDetail);
+router.get("/:productId/reviews", validate(catalogSchemas.getProductReviews), reviewController.getProductReviews);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require("express");
+const router = express.Router();
+const sellerController = require("../controllers/sellerController");
+const walletController = require("../controllers/walletController");
+const storeMemberController = require("../controllers/storeMemberController");
+const { authMiddleware, requireVerifiedEmail } = require("../middleware/authMiddleware");
+const { storeAccess, requireStoreRole } = require("../middleware/storeAccessMiddleware");
+const { validate } = require("../middleware/validateMiddleware");
+const sellerSchemas = require("../schemas/sellerSchemas");
+
+router.post("/login", validate(sellerSchemas.loginAndSwitch), sellerController.loginAndSwitch);
+
+router.use(authMiddleware);
+
+// Lời mời làm nhân viên (không cần là seller)
+router.get("/my-stores", validate(sellerSchemas.getMyStores), storeMemberController.getMyStores);
+router.post("/store-invitations/accept", validate(sellerSchemas.acceptInvitation), storeMemberController.acceptInvitation);
+
+// Chủ cửa hàng hoặc nhân viên; từng route giới hạn theo vai trò trong cửa hàng (requireStoreRole() = chỉ chủ cửa hàng)
+router.use(storeAccess());
+
+// Cửa hàng và hồ sơ
+router.post("/store", requireStoreRole(), requireVerifiedEmail, validate(sellerSchemas.createStore), sellerController.createStore);
+router.get("/store/profile", validate(sellerSchemas.getProfileStoreAndSeller), sellerController.getProfileStoreAndSeller);
+router.put("/store/profile", requireStoreRole(), validate(sellerSchemas.updateStoreProfile), sellerController.updateStoreProfile);
+router.put("/profile", requireStoreRole(), validate(sellerSchemas.updateSellerProfile), sellerController.updateSellerProfile);
+
+// Nhân viên cửa hàng
+router.get("/store/members", requireStoreRole(), validate(sellerSchemas.getMembers), storeMemberController.getMembers);
+router.post("/store/members", requireStoreRole(), validate(sellerSchemas.inviteMember), storeMemberController.inviteMember);
+router.put("/store/members/:memberId", requireStoreRole(), validate(sellerSchemas.updateMember), storeMemberController.updateMember);
+router.delete("/store/members/:memberId", requireStoreRole(), validate(sellerSchemas.removeMember), storeMemberController.removeMember);
+
+// Danh mục
+router.get("/categories", validate(sellerSchemas.getAllCategories), sellerController.getAllCategories);
+router.post("/categories", requireStoreRole("inventory"), validate(sellerSchemas.addNewCategory), sellerController.addNewCategory);
+
+// Sản phẩm
+router.post("/products", requireStoreRole("inventory"), validate(sellerSchemas.createProduct), sellerController.createProduct);
+router.get("/products", validate(sellerSchemas.getProducts), sellerController.getProducts);
+router.get("/products/:id", validate(sellerSchemas.getProductById), sellerController.getProductById);
+router.put("/products/:id", requireStoreRole("inventory"), validate(sellerSchemas.updateProduct), sellerController.updateProduct);
+router.delete("/products/:id", requireStoreRole("inventory"), validate(sellerSchemas.deleteProduct), sellerController.deleteProduct);
+router.get("/products/:id/reviews", requireStoreRole("customer_service", "inventory"), validate(sellerSchemas.getReviewsByProductId), sellerController.getReviewsByProductId);
+router.post("/products/:productId/reviews/:reviewId/reply", requireStoreRole("customer_service"), validate(sellerSchemas.replyToReview), sellerController.replyToReview);
+
+// Tồn kho
+router.get("/inventory", requireStoreRole("inventory", "fulfilment"), validate(sellerSchemas.getInventory), sellerController.getInventory);
+router.put("/inventory/:productId", requireStoreRole("inventory"), validate(sellerSchemas.updateInventory), sellerController.updateInventory);
+
+// Đơn con (mỗi seller chỉ thấy và xử lý phần đơn của mình)
+router.get("/sub-orders", requireStoreRole("fulfilment", "customer_service"), validate(sellerSchemas.getSellerOrders), sellerController.getSellerOrders);
+router.get("/sub-orders/:id", requireStoreRole("fulfilment", "customer_service"), validate(sellerSchemas.getSellerOrderDetail), sellerController.getSellerOrderDetail);
+router.put("/sub-orders/:id/confirm", requireStoreRole("fulfilment"), validate(sellerSchemas.confirmSellerOrder), sellerController.confirmSellerOrder);
+router.put("/sub-orders/:id/reject", requireStoreRole("fulfilment"), validate(sellerSchemas.rejectSellerOrder), sellerController.rejectSellerOrder);
+
+// Đơn hàng, vận chuyển và thanh toán
+router.get("/orders", requireStoreRole("fulfilment", "customer_service", "finance"), validate(sellerSchemas.getOrderHistory), sellerController.getOrderHistory);
+router.put("/orders/:orderId/confirm", requireStoreRole("fulfilment"), validate(sellerSchemas.confirmOrder), sellerController.confirmOrder);
+router.get("/orders/:orderId/payment", requireStoreRole("fulfilment", "finance"), validate(sellerSchemas.getOrderPayment), sellerController.getOrderPayment);
+router.put("/order-items/:orderItemId/status", requireStoreRole("fulfilment"), validate(sellerSchemas.updateOrderItemStatus), sellerController.updateOrderItemStatus);
+router.get("/shipping", requireStoreRole("fulfilment", "customer_service"), validate(sellerSchemas.getShippingInfo), sellerController.getShippingInfo);
+router.put("/shipping/:shippingInfoId/status", requireStoreRole("fulfilment"), validate(sellerSchemas.updateShippingStatus), sellerController.updateShippingStatus);
+router.put("/shipping/:shippingInfoId/return", requireStoreRole("fulfilment"), validate(sellerSchemas.returnShipment), sellerController.returnShipment);
+router.get("/cod-remittances", requireStoreRole("finance"), validate(sellerSchemas.getCodRemittances), sellerController.getCodRemittances);
+router.post("/cod-remittances", requireStoreRole("finance"), validate(sellerSchemas.confirmCodRemittance), sellerController.confirmCodRemittance);
+router.put("/payments/:paymentId/status", requireStoreRole("finance"), validate(sellerSchemas.updatePaymentStatus), sellerController.updatePaymentStatus);
+
+// Đánh giá, phản hồi và báo cáo
+router.get("/reviews", requireStoreRole("customer_service"), validate(sellerSchemas.getProductReviews), sellerController.getProductReviews);
+router.post("/feedback", requireStoreRole("customer_service"), validate(sellerSchemas.submitFeedback), sellerController.submitFeedback);
+router.get("/report", requireStoreRole("finance"), validate(sellerSchemas.getSalesReport), sellerController.getSalesReport);
+
+// Ví và rút tiền
+router.get("/wallet", requireStoreRole("finance"), validate(sellerSchemas.getWallet), walletController.getWallet);
+router.get("/wallet/statement", requireStoreRole("finance"), validate(sellerSchemas.getStatement), walletController.getStatement);
+router.get("/payouts", requireStoreRole("finance"), validate(sellerSchemas.getPayouts), walletController.getPayouts);
+router.post("/payouts", requireStoreRole(), validate(sellerSchemas.requestPayout), walletController.requestPayout);
+
+// Trả hàng và khiếu nại
+router.get("/return-requests", requireStoreRole("customer_service", "fulfilment"), validate(sellerSchemas.getReturnRequests), sellerController.getReturnRequests);
+router.put("/return-requests/:id", requireStoreRole("customer_service"), validate(sellerSchemas.updateReturnRequest), sellerController.updateReturnRequest);
+router.get("/disputes", requireStoreRole("customer_service"), validate(sellerSchemas.getDisputes), sellerController.getDisputes);
+router.put("/disputes/:id/resolve", requireStoreRole("customer_service"), validate(sellerSchemas.resolveDispute), sellerController.resolveDispute);
+
+module.exports = router;
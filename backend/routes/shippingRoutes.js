@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const shippingController = require("../controllers/shippingController");
+const { validate } = require("../middleware/validateMiddleware");
+const shippingSchemas = require("../schemas/shippingSchemas");
+
+// Hãng vận chuyển gọi vào, xác thực bằng chữ ký x-carrier-signature
+router.post("/carrier/webhook", validate(shippingSchemas.carrierWebhook), shippingController.carrierWebhook);
+
+module.exports = router;
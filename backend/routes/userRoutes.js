@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const userController = require("../controllers/userController");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validateMiddleware");
+const userSchemas = require("../schemas/userSchemas");
+
+router.use(authMiddleware);
+
+router.get("/search", validate(userSchemas.searchUsers), userController.searchUsers);
+router.get("/profile", validate(userSchemas.getProfile), userController.getProfile);
+router.put("/profile", validate(userSchemas.updateProfile), userController.updateProfile);
+router.get("/:id", validate(userSchemas.getUserById), userController.getUserById);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const voucherController = require("../controllers/voucherController");
+const { authMiddleware, authorizeStaff, requirePermission, requireTwoFactor } = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validateMiddleware");
+const voucherSchemas = require("../schemas/voucherSchemas");
+
+router.use(authMiddleware);
+
+// Buyer tra cứu voucher khi thanh toán
+router.get("/code/:code", validate(voucherSchemas.getVoucherByCode), voucherController.getVoucherByCode);
+
+router.use(authorizeStaff, requireTwoFactor, requirePermission("vouchers:manage"));
+
+router.post("/", validate(voucherSchemas.createVoucher), voucherController.createVoucher);
+router.get("/", validate(voucherSchemas.getVouchers), voucherController.getVouchers);
+router.get("/:id", validate(voucherSchemas.getVoucherById), voucherController.getVoucherById);
+router.put("/:id", validate(voucherSchemas.updateVoucher), voucherController.updateVoucher);
+router.delete("/:id", validate(voucherSchemas.deleteVoucher), voucherController.deleteVoucher);
+router.put("/:id/toggle-active", validate(voucherSchemas.toggleVoucherActive), voucherController.toggleVoucherActive);
+
+module.exports = router;
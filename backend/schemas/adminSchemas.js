@@ -0,0 +1,181 @@
+// adminSchemas.js
+const {
+  object,
+  string,
+  email,
+  dateTime,
+  number,
+  boolean,
+  oneOf,
+  array,
+  objectId,
+  pagination,
+  objectIdParams,
+} = require("../utils/schema");
+const { STAFF_ROLES } = require("../config/permissions");
+const { Refund, Payout, ReconciliationIssue } = require("../models");
+
+// Giá trị hợp lệ lấy từ enum của model để không phải khai báo hai nơi
+const enumOf = (model, path) => oneOf(model.schema.path(path).enumValues);
+
+const STORE_STATUSES = ["pending", "approved", "rejected"];
+const PRODUCT_STATUSES = ["available", "out_of_stock", "pending"];
+
+const statementQuery = () => ({ from: dateTime(), to: dateTime(), format: oneOf(["json", "csv"]) });
+
+module.exports = {
+  // Người dùng
+  getAllUsers: {
+    summary: "Danh sách người dùng",
+    query: {
+      search: string({ maxLength: 100 }),
+      role: oneOf(["buyer", "seller", "admin"]),
+      action: oneOf(["lock", "unlock"]),
+      staffRole: oneOf([...Object.keys(STAFF_ROLES), "any"]),
+      appealPending: boolean("Chỉ tài khoản bị khóa đang có kháng nghị"),
+      emailVerified: boolean(),
+      ...pagination(),
+    },
+  },
+  getUserDetails: { summary: "Chi tiết người dùng", params: objectIdParams("userId") },
+  updateUserByAdmin: {
+    summary: "Sửa tài khoản, đổi vai trò hoặc khóa / mở khóa",
+    params: objectIdParams("userId"),
+    body: object({
+      username: string({ minLength: 3, maxLength: 50 }),
+      email: email(),
+      role: oneOf(["buyer", "seller", "admin"]),
+      action: oneOf(["lock", "unlock"]),
+      lockReason: string({ maxLength: 500 }),
+      lockedUntil: dateTime("Khóa đến thời điểm này; bỏ trống là khóa vô thời hạn"),
+      lockDays: number({ minimum: 0, description: "Khóa trong số ngày (dùng khi không có lockedUntil)" }),
+    }),
+  },
+  deleteUserByAdmin: { summary: "Xóa người dùng", params: objectIdParams("userId") },
+  adjustBuyerCreditAdmin: {
+    summary: "Cộng / trừ credit của người mua",
+    params: objectIdParams("userId"),
+    body: object({ amount: number({ description: "Số âm để trừ" }), reason: string({ maxLength: 500 }) }, { required: ["amount"] }),
+  },
+
+  // Vai trò nhân viên và quyền
+  getStaffRoles: { summary: "Danh sách vai trò nhân viên và quyền" },
+  updateUserStaffRoles: {
+    summary: "Gán vai trò nhân viên",
+    params: objectIdParams("userId"),
+    body: object({ staffRoles: array(oneOf(Object.keys(STAFF_ROLES))) }, { required: ["staffRoles"] }),
+  },
+
+  // Cửa hàng
+  getAllStoresAdmin: {
+    summary: "Danh sách cửa hàng",
+    query: { status: oneOf(STORE_STATUSES), withRatings: boolean(), ...pagination() },
+  },
+  getStoreDetails: { summary: "Chi tiết cửa hàng", params: objectIdParams("storeId") },
+  updateStoreByAdmin: {
+    summary: "Sửa cửa hàng",
+    params: objectIdParams("storeId"),
+    body: object({
+      storeName: string({ minLength: 1, maxLength: 100 }),
+      description: string({ maxLength: 2000 }),
+      bannerImageURL: string({ maxLength: 2000 }),
+      status: oneOf(STORE_STATUSES),
+    }),
+  },
+  updateStoreStatusByAdmin: {
+    summary: "Duyệt / từ chối cửa hàng",
+    params: objectIdParams("storeId"),
+    body: object({ status: oneOf(STORE_STATUSES) }, { required: ["status"] }),
+  },
+
+  // Sản phẩm
+  getAllProductsAdmin: {
+    summary: "Danh sách sản phẩm",
+    query: { sellerId: objectId(), categoryId: objectId(), status: oneOf(PRODUCT_STATUSES), ...pagination() },
+  },
+  getProductStatsAdmin: { summary: "Thống kê sản phẩm" },
+  getProductDetailsAdmin: { summary: "Chi tiết sản phẩm", params: objectIdParams("id") },
+  updateProductStatusAdmin: {
+    summary: "Kiểm duyệt sản phẩm",
+    params: objectIdParams("id"),
+    body: object({
+      title: string({ minLength: 1, maxLength: 200 }),
+      description: string({ minLength: 1, maxLength: 5000 }),
+      price: number({ minimum: 0 }),
+      isAuction: boolean(),
+      status: oneOf(PRODUCT_STATUSES),
+    }),
+  },
+  deleteProductAdmin: { summary: "Xóa sản phẩm", params: objectIdParams("id") },
+  getProductReviewsAndStats: { summary: "Đánh giá và thống kê của sản phẩm", params: objectIdParams("id") },
+
+  // Đánh giá
+  getAllReviewsAdmin: {
+    summary: "Danh sách đánh giá",
+    query: { productId: objectId(), reviewerId: objectId(), storeId: objectId(), ...pagination() },
+  },
+  deleteReviewAdmin: { summary: "Xóa đánh giá", params: objectIdParams("id") },
+
+  // Hoàn tiền
+  getRefundsAdmin: {
+    summary: "Danh sách hoàn tiền",
+    query: { status: enumOf(Refund, "status"), source: enumOf(Refund, "source"), orderId: objectId(), ...pagination() },
+  },
+  createRefundAdmin: {
+    summary: "Hoàn tiền thủ công cho đơn hoặc một sản phẩm trong đơn",
+    body: object(
+      {
+        orderId: objectId(),
+        orderItemId: objectId("Bỏ trống để hoàn theo cả đơn"),
+        amount: number({ minimum: 1 }),
+        reason: string({ maxLength: 500 }),
+      },
+      { required: ["orderId"] }
+    ),
+  },
+  completeRefundAdmin: {
+    summary: "Xác nhận đã chuyển khoản hoàn tiền",
+    params: objectIdParams("id"),
+    body: object({ reference: string({ maxLength: 200 }) }),
+  },
+  retryRefundAdmin: { summary: "Thử lại hoàn tiền qua cổng thanh toán", params: objectIdParams("id") },
+
+  // Ví người bán, rút tiền và phí sàn
+  getPayoutsAdmin: {
+    summary: "Danh sách yêu cầu rút tiền",
+    query: { status: enumOf(Payout, "status"), sellerId: objectId(), ...pagination() },
+  },
+  approvePayoutAdmin: {
+    summary: "Duyệt rút tiền",
+    params: objectIdParams("id"),
+    body: object({ reference: string({ minLength: 1, maxLength: 200 }) }),
+  },
+  rejectPayoutAdmin: {
+    summary: "Từ chối rút tiền",
+    params: objectIdParams("id"),
+    body: object({ reason: string({ maxLength: 500 }) }),
+  },
+  getSellerStatementAdmin: {
+    summary: "Sao kê ví người bán",
+    params: objectIdParams("sellerId"),
+    query: statementQuery(),
+  },
+  updateCategoryCommissionAdmin: {
+    summary: "Đặt phí sàn cho danh mục (null = dùng mức mặc định)",
+    params: objectIdParams("id"),
+    body: object({ commissionRate: number({ minimum: 0, maximum: 1, nullable: true }) }),
+  },
+
+  // Báo cáo và đối soát
+  getAdminReport: { summary: "Báo cáo tổng quan", query: { period: oneOf(["week", "month", "year"]) } },
+  getReconciliationReport: {
+    summary: "Các sai lệch đối soát",
+    query: { status: enumOf(ReconciliationIssue, "status"), type: enumOf(ReconciliationIssue, "type"), ...pagination() },
+  },
+  runReconciliationAdmin: { summary: "Chạy đối soát ngay" },
+  resolveReconciliationIssueAdmin: {
+    summary: "Đánh dấu sai lệch đã xử lý",
+    params: objectIdParams("id"),
+    body: object({ note: string({ maxLength: 1000 }) }),
+  },
+};
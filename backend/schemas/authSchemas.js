@@ -0,0 +1,87 @@
+// authSchemas.js
+const { object, string, email, oneOf, objectIdParams } = require("../utils/schema");
+
+const password = () => string({ minLength: 6, maxLength: 128 });
+const totpCode = () => string({ pattern: "^\\s*\\d{3}\\s*\\d{3}\\s*$", description: "Mã 6 chữ số từ ứng dụng xác thực" });
+
+module.exports = {
+  register: {
+    summary: "Đăng ký tài khoản",
+    body: object(
+      {
+        username: string({ minLength: 3, maxLength: 50 }),
+        fullname: string({ maxLength: 100 }),
+        email: email(),
+        password: password(),
+        role: oneOf(["buyer", "seller"]),
+      },
+      { required: ["username", "email", "password"] }
+    ),
+  },
+  login: {
+    summary: "Đăng nhập bằng email và mật khẩu",
+    body: object({ email: string({ maxLength: 254 }), password: string({ maxLength: 128 }) }, { required: ["email", "password"] }),
+  },
+  forgotPassword: {
+    summary: "Gửi link đặt lại mật khẩu",
+    body: object({ email: string({ maxLength: 254 }) }, { required: ["email"] }),
+  },
+  resetPassword: {
+    summary: "Đặt mật khẩu mới bằng token trong email",
+    body: object({ token: string({ maxLength: 200 }), newPassword: password() }, { required: ["token", "newPassword"] }),
+  },
+  verifyTwoFactorLogin: {
+    summary: "Bước hai của đăng nhập (mã TOTP hoặc mã khôi phục)",
+    body: object(
+      { challengeToken: string({ maxLength: 2000 }), code: totpCode(), recoveryCode: string({ maxLength: 20 }) },
+      { required: ["challengeToken"] }
+    ),
+  },
+  submitLockAppeal: {
+    summary: "Gửi kháng nghị khi tài khoản bị khóa",
+    body: object({ appealToken: string({ maxLength: 2000 }), note: string({ minLength: 1, maxLength: 2000 }) }, { required: ["appealToken", "note"] }),
+  },
+  verifyEmail: {
+    summary: "Xác minh email (token trong body hoặc query)",
+    query: { token: string({ maxLength: 2000 }) },
+    body: object({ token: string({ maxLength: 2000 }) }),
+  },
+  refreshToken: {
+    summary: "Đổi refresh token lấy cặp token mới",
+    body: object({ refreshToken: string({ maxLength: 300 }) }, { required: ["refreshToken"] }),
+  },
+  getProfile: { summary: "Thông tin tài khoản đang đăng nhập" },
+  resendVerification: { summary: "Gửi lại email xác minh" },
+  logout: { summary: "Đăng xuất phiên hiện tại" },
+  logoutAll: { summary: "Đăng xuất mọi thiết bị" },
+  getSessions: { summary: "Các phiên đăng nhập đang hoạt động" },
+  updateProfile: {
+    summary: "Cập nhật hồ sơ",
+    body: object({ fullname: string({ maxLength: 100 }), email: email(), avatarURL: string({ maxLength: 2000 }) }),
+  },
+  updatePassword: {
+    summary: "Đổi mật khẩu",
+    body: object({ currentPassword: string({ maxLength: 128 }), newPassword: password() }, { required: ["currentPassword", "newPassword"] }),
+  },
+  getTwoFactorStatus: { summary: "Trạng thái 2FA" },
+  setupTwoFactor: { summary: "Tạo secret và mã QR để bật 2FA" },
+  enableTwoFactor: {
+    summary: "Xác nhận mã đầu tiên và bật 2FA",
+    body: object({ code: totpCode() }, { required: ["code"] }),
+  },
+  disableTwoFactor: {
+    summary: "Tắt 2FA",
+    body: object(
+      { password: string({ maxLength: 128 }), code: totpCode(), recoveryCode: string({ maxLength: 20 }) },
+      { required: ["password"] }
+    ),
+  },
+  regenerateRecoveryCodes: {
+    summary: "Tạo bộ mã khôi phục mới",
+    body: object({ code: totpCode() }, { required: ["code"] }),
+  },
+  revokeSession: {
+    summary: "Đăng xuất một thiết bị",
+    params: objectIdParams("sessionId"),
+  },
+};
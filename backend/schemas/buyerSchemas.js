@@ -0,0 +1,159 @@
+// buyerSchemas.js
+const {
+  object,
+  string,
+  integer,
+  number,
+  boolean,
+  oneOf,
+  array,
+  objectId,
+  pagination,
+  objectIdParams,
+} = require("../utils/schema");
+const { ORDER_STATUSES } = require("../config/orderStatus");
+
+const quantity = () => integer({ minimum: 1, maximum: 1000 });
+
+const addressFields = () => ({
+  fullName: string({ minLength: 1, maxLength: 100 }),
+  phone: string({ pattern: "^\\+?[0-9\\s.-]{8,15}$" }),
+  street: string({ minLength: 1, maxLength: 200 }),
+  city: string({ minLength: 1, maxLength: 100 }),
+  state: string({ minLength: 1, maxLength: 100 }),
+  country: string({ minLength: 1, maxLength: 100 }),
+  isDefault: boolean(),
+});
+
+module.exports = {
+  // Callback từ cổng thanh toán: nội dung do từng cổng quy định, chữ ký được kiểm tra trong provider
+  vietQRToken: { summary: "VietQR lấy token để gọi callback" },
+  paymentWebhook: { summary: "Webhook báo kết quả thanh toán từ cổng (VietQR, PayOS, Fake)" },
+  payosCallback: { summary: "PayOS chuyển người mua về sau khi thanh toán hoặc hủy" },
+
+  // Giỏ hàng
+  viewCart: { summary: "Xem giỏ hàng" },
+  addToCart: {
+    summary: "Thêm sản phẩm vào giỏ",
+    body: object({ productId: objectId(), quantity: quantity() }, { required: ["productId"] }),
+  },
+  removeMultipleItems: {
+    summary: "Xóa nhiều sản phẩm khỏi giỏ",
+    body: object({ productIds: array(objectId(), { minItems: 1, maxItems: 100 }) }, { required: ["productIds"] }),
+  },
+  updateCartItem: {
+    summary: "Đổi số lượng sản phẩm trong giỏ",
+    params: objectIdParams("productId"),
+    body: object({ quantity: quantity() }, { required: ["quantity"] }),
+  },
+  deleteCartItem: {
+    summary: "Xóa một sản phẩm khỏi giỏ",
+    params: objectIdParams("productId"),
+  },
+
+  // Địa chỉ
+  getAddresses: { summary: "Danh sách địa chỉ giao hàng" },
+  createAddress: {
+    summary: "Thêm địa chỉ giao hàng",
+    body: object(addressFields(), { required: ["fullName", "phone", "street", "city", "state", "country"] }),
+  },
+  updateAddress: {
+    summary: "Sửa địa chỉ giao hàng",
+    params: objectIdParams("id"),
+    body: object(addressFields()),
+  },
+  deleteAddress: { summary: "Xóa địa chỉ", params: objectIdParams("id") },
+  setDefaultAddress: { summary: "Đặt địa chỉ mặc định", params: objectIdParams("id") },
+
+  // Đơn hàng
+  createOrder: {
+    summary: "Đặt hàng từ các sản phẩm đã chọn trong giỏ",
+    body: object(
+      {
+        selectedItems: array(object({ productId: objectId(), quantity: quantity() }, { required: ["productId", "quantity"] }), {
+          minItems: 1,
+          maxItems: 100,
+        }),
+        selectedAddressId: objectId(),
+        couponCode: string({ maxLength: 50 }),
+      },
+      { required: ["selectedItems", "selectedAddressId"] }
+    ),
+  },
+  getBuyerOrders: {
+    summary: "Đơn hàng của tôi",
+    query: { status: oneOf(ORDER_STATUSES), ...pagination() },
+  },
+  getOrderDetails: { summary: "Chi tiết đơn hàng", params: objectIdParams("id") },
+  cancelOrder: {
+    summary: "Hủy cả đơn hoặc một số sản phẩm chưa giao",
+    params: objectIdParams("id"),
+    body: object({ itemIds: array(objectId(), { minItems: 1 }), reason: string({ maxLength: 500 }) }),
+  },
+  updateOrderItemStatus: {
+    summary: "Xác nhận đã nhận hàng / hoàn tất",
+    params: objectIdParams("id"),
+    body: object({ status: oneOf(["delivered", "completed"]) }, { required: ["status"] }),
+  },
+
+  // Thanh toán: mỗi cổng có thể cần thêm tham số riêng nên giữ lại trường không khai báo
+  createPayment: {
+    summary: "Tạo thanh toán cho đơn hàng",
+    body: object(
+      {
+        orderId: objectId(),
+        method: string({ minLength: 1, maxLength: 30, description: "Phương thức đã đăng ký (cod, payos, vietqr, ...)" }),
+        amount: number({ minimum: 0 }),
+        replaceExisting: boolean(),
+      },
+      { required: ["orderId", "method"], additionalProperties: true }
+    ),
+  },
+  getCredit: { summary: "Số dư credit" },
+  checkPaymentStatus: { summary: "Trạng thái thanh toán của đơn", params: objectIdParams("orderId") },
+
+  // Đánh giá
+  createReview: {
+    summary: "Đánh giá sản phẩm hoặc trả lời một đánh giá",
+    body: object(
+      {
+        productId: objectId(),
+        rating: integer({ minimum: 1, maximum: 5 }),
+        comment: string({ minLength: 1, maxLength: 2000 }),
+        parentId: objectId("Đánh giá được trả lời"),
+      },
+      { required: ["productId", "comment"] }
+    ),
+  },
+  getBuyerReviews: { summary: "Đánh giá của tôi", query: pagination() },
+  updateReview: {
+    summary: "Sửa đánh giá",
+    params: objectIdParams("id"),
+    body: object({ rating: integer({ minimum: 1, maximum: 5 }), comment: string({ minLength: 1, maxLength: 2000 }) }),
+  },
+  deleteReview: { summary: "Xóa đánh giá", params: objectIdParams("id") },
+
+  // Khiếu nại
+  checkDisputeEligibility: { summary: "Kiểm tra có thể khiếu nại sản phẩm đã mua", params: objectIdParams("orderItemId") },
+  createDispute: {
+    summary: "Mở khiếu nại",
+    body: object({ orderItemId: objectId(), description: string({ minLength: 1, maxLength: 2000 }) }, { required: ["orderItemId", "description"] }),
+  },
+  getBuyerDisputes: { summary: "Khiếu nại của tôi" },
+  getDisputeDetails: { summary: "Chi tiết khiếu nại", params: objectIdParams("id") },
+  updateDispute: {
+    summary: "Bổ sung nội dung khiếu nại",
+    params: objectIdParams("id"),
+    body: object({ description: string({ minLength: 1, maxLength: 2000 }) }, { required: ["description"] }),
+  },
+  cancelDispute: { summary: "Hủy khiếu nại", params: objectIdParams("id") },
+
+  // Yêu cầu trả hàng
+  createReturnRequest: {
+    summary: "Gửi yêu cầu trả hàng",
+    body: object({ orderItemId: objectId(), reason: string({ minLength: 1, maxLength: 1000 }) }, { required: ["orderItemId", "reason"] }),
+  },
+  getUserReturnRequests: { summary: "Yêu cầu trả hàng của tôi" },
+  getReturnRequestDetail: { summary: "Chi tiết yêu cầu trả hàng", params: objectIdParams("id") },
+  cancelReturnRequest: { summary: "Hủy yêu cầu trả hàng", params: objectIdParams("id") },
+};
@@ -0,0 +1,26 @@
+// catalogSchemas.js
+// Sản phẩm, danh mục và đấu giá: các route xem công khai
+const { object, integer, number, array, objectId, pagination, objectIdParams } = require("../utils/schema");
+
+module.exports = {
+  // Sản phẩm
+  listAllProducts: {
+    summary: "Danh sách sản phẩm đang bán",
+    query: { categories: array(objectId(), { description: "Danh sách ID danh mục, phân cách bằng dấu phẩy" }) },
+  },
+  getProductDetail: { summary: "Chi tiết sản phẩm", params: objectIdParams("productId") },
+  getProductReviews: { summary: "Đánh giá của sản phẩm", params: objectIdParams("productId"), query: pagination() },
+
+  // Danh mục
+  listAllCategories: { summary: "Danh sách danh mục" },
+
+  // Đấu giá
+  getMyBids: { summary: "Các phiên đấu giá tôi đã đặt giá" },
+  getAuction: { summary: "Thông tin phiên đấu giá", params: objectIdParams("productId") },
+  getBids: { summary: "Lịch sử đặt giá", params: objectIdParams("productId"), query: { limit: integer({ minimum: 1, maximum: 200 }) } },
+  placeBid: {
+    summary: "Đặt giá",
+    params: objectIdParams("productId"),
+    body: object({ amount: number({ minimum: 1 }) }, { required: ["amount"] }),
+  },
+};
@@ -0,0 +1,12 @@
+// chatSchemas.js
+const { pagination, objectIdParams } = require("../utils/schema");
+
+module.exports = {
+  getConversations: { summary: "Danh sách hội thoại" },
+  getMessages: {
+    summary: "Tin nhắn trong hội thoại",
+    params: objectIdParams("conversationId"),
+    query: pagination(),
+  },
+  findOrCreateConversation: { summary: "Mở hội thoại với một người dùng", params: objectIdParams("recipientId") },
+};
@@ -0,0 +1,20 @@
+// imageSchemas.js
+// Ảnh tải lên dạng multipart/form-data: "form" chỉ dùng để sinh tài liệu, multer đã kiểm tra file
+const { object, string, array } = require("../utils/schema");
+
+const file = () => string({ format: "binary" });
+
+module.exports = {
+  uploadImage: {
+    summary: "Tải lên một ảnh",
+    form: object({ image: file() }, { required: ["image"] }),
+  },
+  uploadMultipleImages: {
+    summary: "Tải lên tối đa 10 ảnh",
+    form: object({ images: array(file(), { maxItems: 10 }) }, { required: ["images"] }),
+  },
+  deleteImage: {
+    summary: "Xóa ảnh đã tải lên",
+    body: object({ public_id: string({ minLength: 1, maxLength: 300 }) }, { required: ["public_id"] }),
+  },
+};
@@ -0,0 +1,230 @@
+// sellerSchemas.js
+const {
+  object,
+  string,
+  email,
+  dateTime,
+  integer,
+  number,
+  boolean,
+  oneOf,
+  array,
+  objectId,
+  pagination,
+  objectIdParams,
+} = require("../utils/schema");
+const { ORDER_STATUSES } = require("../config/orderStatus");
+const { STORE_ROLES } = require("../config/permissions");
+
+const storeFields = () => ({
+  storeName: string({ minLength: 1, maxLength: 100 }),
+  description: string({ maxLength: 2000 }),
+  bannerImageURL: string({ maxLength: 2000 }),
+});
+
+const productFields = () => ({
+  title: string({ minLength: 1, maxLength: 200 }),
+  description: string({ minLength: 1, maxLength: 5000 }),
+  price: number({ minimum: 0 }),
+  image: string({ maxLength: 2000 }),
+  categoryId: objectId(),
+  isAuction: boolean(),
+  auctionEndTime: dateTime("Thời điểm kết thúc đấu giá"),
+  reservePrice: number({ minimum: 0, description: "Giá sàn" }),
+  bidIncrement: number({ minimum: 1, description: "Bước giá tối thiểu" }),
+  quantity: integer({ minimum: 0 }),
+});
+
+const storeRoles = () => array(oneOf(Object.keys(STORE_ROLES)), { minItems: 1 });
+
+const reportPeriod = () => ({
+  period: oneOf(["week", "month", "year"]),
+  from: dateTime(),
+  to: dateTime(),
+});
+
+module.exports = {
+  loginAndSwitch: {
+    summary: "Đăng nhập và chuyển sang vai trò seller",
+    body: object({ username: string({ maxLength: 254 }), password: string({ maxLength: 128 }) }, { required: ["username", "password"] }),
+  },
+
+  // Lời mời làm nhân viên
+  getMyStores: { summary: "Các cửa hàng tôi sở hữu hoặc làm nhân viên" },
+  acceptInvitation: {
+    summary: "Nhận lời mời làm nhân viên cửa hàng",
+    body: object({ token: string({ minLength: 1, maxLength: 200 }) }, { required: ["token"] }),
+  },
+
+  // Cửa hàng và hồ sơ
+  createStore: {
+    summary: "Tạo cửa hàng",
+    body: object(storeFields(), { required: ["storeName"] }),
+  },
+  getProfileStoreAndSeller: { summary: "Hồ sơ cửa hàng và chủ cửa hàng" },
+  updateStoreProfile: { summary: "Cập nhật cửa hàng", body: object(storeFields()) },
+  updateSellerProfile: {
+    summary: "Cập nhật hồ sơ người bán và địa chỉ",
+    body: object({
+      username: string({ minLength: 3, maxLength: 50 }),
+      fullname: string({ maxLength: 100 }),
+      email: email(),
+      avatar: string({ maxLength: 2000 }),
+      phone: string({ maxLength: 20 }),
+      street: string({ maxLength: 200 }),
+      city: string({ maxLength: 100 }),
+      state: string({ maxLength: 100 }),
+      country: string({ maxLength: 100 }),
+    }),
+  },
+
+  // Nhân viên cửa hàng
+  getMembers: { summary: "Nhân viên của cửa hàng" },
+  inviteMember: {
+    summary: "Mời nhân viên qua email",
+    body: object({ email: email(), roles: storeRoles() }, { required: ["email", "roles"] }),
+  },
+  updateMember: {
+    summary: "Đổi vai trò nhân viên",
+    params: objectIdParams("memberId"),
+    body: object({ roles: storeRoles() }, { required: ["roles"] }),
+  },
+  removeMember: { summary: "Xóa nhân viên", params: objectIdParams("memberId") },
+
+  // Danh mục
+  getAllCategories: { summary: "Danh sách danh mục" },
+  addNewCategory: {
+    summary: "Thêm danh mục",
+    body: object({ name: string({ minLength: 1, maxLength: 100 }), description: string({ maxLength: 1000 }) }, { required: ["name"] }),
+  },
+
+  // Sản phẩm
+  createProduct: {
+    summary: "Đăng sản phẩm",
+    body: object(productFields(), { required: ["title", "description", "price", "categoryId"] }),
+  },
+  getProducts: { summary: "Sản phẩm của cửa hàng" },
+  getProductById: { summary: "Chi tiết sản phẩm", params: objectIdParams("id") },
+  updateProduct: {
+    summary: "Sửa sản phẩm (giá và thông số đấu giá bị khóa khi đã có người đặt giá)",
+    params: objectIdParams("id"),
+    body: object(productFields()),
+  },
+  deleteProduct: { summary: "Xóa sản phẩm", params: objectIdParams("id") },
+  getReviewsByProductId: { summary: "Đánh giá của một sản phẩm", params: objectIdParams("id") },
+  replyToReview: {
+    summary: "Trả lời đánh giá",
+    params: objectIdParams("productId", "reviewId"),
+    body: object({ comment: string({ minLength: 1, maxLength: 2000 }) }, { required: ["comment"] }),
+  },
+
+  // Tồn kho
+  getInventory: { summary: "Tồn kho" },
+  updateInventory: {
+    summary: "Cập nhật số lượng tồn kho",
+    params: objectIdParams("productId"),
+    body: object({ quantity: integer({ minimum: 0 }) }, { required: ["quantity"] }),
+  },
+
+  // Đơn con
+  getSellerOrders: {
+    summary: "Đơn con của cửa hàng",
+    query: { status: oneOf(ORDER_STATUSES), ...pagination() },
+  },
+  getSellerOrderDetail: { summary: "Chi tiết đơn con", params: objectIdParams("id") },
+  confirmSellerOrder: { summary: "Xác nhận đơn con", params: objectIdParams("id") },
+  rejectSellerOrder: {
+    summary: "Từ chối đơn con",
+    params: objectIdParams("id"),
+    body: object({ reason: string({ maxLength: 500 }) }),
+  },
+
+  // Đơn hàng, vận chuyển và thanh toán
+  getOrderHistory: { summary: "Lịch sử đơn hàng" },
+  confirmOrder: { summary: "Xác nhận đơn hàng", params: objectIdParams("orderId") },
+  getOrderPayment: { summary: "Thanh toán của đơn hàng", params: objectIdParams("orderId") },
+  updateOrderItemStatus: {
+    summary: "Giao hoặc từ chối một sản phẩm trong đơn",
+    params: objectIdParams("orderItemId"),
+    body: object({ status: oneOf(["shipping", "rejected"]) }, { required: ["status"] }),
+  },
+  getShippingInfo: { summary: "Thông tin vận chuyển" },
+  updateShippingStatus: {
+    summary: "Cập nhật trạng thái vận chuyển",
+    params: objectIdParams("shippingInfoId"),
+    body: object(
+      {
+        status: oneOf(["shipping", "delivered", "failed to ship"]),
+        collectedAmount: number({ minimum: 0, description: "Số tiền COD đã thu" }),
+        reason: string({ maxLength: 500 }),
+      },
+      { required: ["status"] }
+    ),
+  },
+  returnShipment: {
+    summary: "Ghi nhận hàng hoàn về",
+    params: objectIdParams("shippingInfoId"),
+    body: object({ reason: string({ maxLength: 500 }) }),
+  },
+  getCodRemittances: { summary: "Tiền COD chờ đối soát" },
+  confirmCodRemittance: {
+    summary: "Xác nhận đã nhận tiền COD từ đơn vị vận chuyển",
+    body: object(
+      { shippingInfoIds: array(objectId(), { minItems: 1, maxItems: 500 }), reference: string({ maxLength: 200 }) },
+      { required: ["shippingInfoIds"] }
+    ),
+  },
+  updatePaymentStatus: {
+    summary: "Cập nhật trạng thái thanh toán",
+    params: objectIdParams("paymentId"),
+    body: object({ status: oneOf(["paid", "failed"]) }, { required: ["status"] }),
+  },
+
+  // Đánh giá, phản hồi và báo cáo
+  getProductReviews: { summary: "Đánh giá sản phẩm của cửa hàng" },
+  submitFeedback: {
+    summary: "Gửi phản hồi cho sàn",
+    body: object({ content: string({ minLength: 1, maxLength: 5000 }) }, { required: ["content"] }),
+  },
+  getSalesReport: { summary: "Báo cáo doanh thu", query: reportPeriod() },
+
+  // Ví và rút tiền
+  getWallet: { summary: "Số dư ví" },
+  getStatement: {
+    summary: "Sao kê ví (JSON hoặc CSV)",
+    query: { from: dateTime(), to: dateTime(), format: oneOf(["json", "csv"]) },
+  },
+  getPayouts: { summary: "Lịch sử rút tiền" },
+  requestPayout: {
+    summary: "Yêu cầu rút tiền",
+    body: object(
+      {
+        amount: number({ minimum: 1 }),
+        bankName: string({ minLength: 1, maxLength: 100 }),
+        accountNumber: string({ minLength: 1, maxLength: 50 }),
+        accountName: string({ minLength: 1, maxLength: 100 }),
+        note: string({ maxLength: 500 }),
+      },
+      { required: ["amount", "bankName", "accountNumber", "accountName"] }
+    ),
+  },
+
+  // Trả hàng và khiếu nại
+  getReturnRequests: { summary: "Yêu cầu trả hàng" },
+  updateReturnRequest: {
+    summary: "Xử lý yêu cầu trả hàng",
+    params: objectIdParams("id"),
+    body: object({ status: oneOf(["pending", "approved", "rejected", "completed"]) }, { required: ["status"] }),
+  },
+  getDisputes: { summary: "Khiếu nại" },
+  resolveDispute: {
+    summary: "Xử lý khiếu nại",
+    params: objectIdParams("id"),
+    body: object({
+      resolution: string({ maxLength: 2000 }),
+      status: oneOf(["open", "under_review", "resolved", "closed"]),
+      resolvedInFavorOf: oneOf(["buyer", "seller"]),
+      refundAmount: number({ minimum: 0 }),
+    }),
+  },
+};
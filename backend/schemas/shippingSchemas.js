@@ -0,0 +1,4 @@
+// shippingSchemas.js
+module.exports = {
+  carrierWebhook: { summary: "Đơn vị vận chuyển báo trạng thái giao hàng (xác thực bằng chữ ký)" },
+};
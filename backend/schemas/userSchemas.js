@@ -0,0 +1,19 @@
+// userSchemas.js
+const { object, string, objectIdParams } = require("../utils/schema");
+
+module.exports = {
+  searchUsers: {
+    summary: "Tìm người dùng theo tên",
+    query: { query: string({ minLength: 2, maxLength: 100, required: true }) },
+  },
+  getProfile: { summary: "Hồ sơ của tôi" },
+  updateProfile: {
+    summary: "Cập nhật ảnh đại diện, họ tên hoặc mật khẩu",
+    body: object({
+      avatarURL: string({ maxLength: 2000 }),
+      password: string({ minLength: 6, maxLength: 128 }),
+      fullname: string({ maxLength: 100 }),
+    }),
+  },
+  getUserById: { summary: "Thông tin công khai của người dùng", params: objectIdParams("id") },
+};
@@ -0,0 +1,31 @@
+// voucherSchemas.js
+const { object, string, dateTime, integer, number, boolean, objectIdParams } = require("../utils/schema");
+
+const voucherFields = () => ({
+  code: string({ minLength: 1, maxLength: 50 }),
+  discount: number({ minimum: 0 }),
+  expirationDate: dateTime(),
+  minOrderValue: number({ minimum: 0 }),
+  usageLimit: integer({ minimum: 1 }),
+  maxDiscount: number({ minimum: 0, description: "Giảm tối đa khi giảm theo phần trăm" }),
+});
+
+module.exports = {
+  getVoucherByCode: {
+    summary: "Tra cứu voucher theo mã",
+    params: { code: string({ minLength: 1, maxLength: 50 }) },
+  },
+  createVoucher: {
+    summary: "Tạo voucher",
+    body: object(voucherFields(), { required: ["code", "discount", "expirationDate"] }),
+  },
+  getVouchers: { summary: "Danh sách voucher" },
+  getVoucherById: { summary: "Chi tiết voucher", params: objectIdParams("id") },
+  updateVoucher: {
+    summary: "Sửa voucher",
+    params: objectIdParams("id"),
+    body: object({ ...voucherFields(), isActive: boolean() }),
+  },
+  deleteVoucher: { summary: "Xóa voucher", params: objectIdParams("id") },
+  toggleVoucherActive: { summary: "Bật / tắt voucher", params: objectIdParams("id") },
+};
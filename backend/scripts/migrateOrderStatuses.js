@@ -0,0 +1,25 @@
+// Chuyển dữ liệu cũ sang bộ trạng thái mới của máy trạng thái đơn hàng:
+// "shipped" -> "delivered" cho Order, SellerOrder, OrderItem và ShippingInfo.
+// Chạy một lần: npm run migrate:order-statuses
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { Order, OrderItem, SellerOrder, ShippingInfo } = require("../models");
+
+const migrate = async () => {
+  await connectDB();
+
+  for (const Model of [Order, SellerOrder, OrderItem, ShippingInfo]) {
+    const result = await Model.updateMany(
+      { status: "shipped" },
+      { $set: { status: "delivered" } }
+    );
+    console.log(`${Model.modelName}: ${result.modifiedCount} documents shipped -> delivered`);
+  }
+
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error("Migration failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,15 @@
+const { SENSITIVE_KEYS, stripSensitiveKeys } = require("./serialize");
+const { toPublicUser, toOwnerUser, toAdminUser, serializeUser } = require("./userSerializer");
+const { serializeStore } = require("./storeSerializer");
+const { serializeProduct } = require("./productSerializer");
+
+module.exports = {
+  SENSITIVE_KEYS,
+  stripSensitiveKeys,
+  toPublicUser,
+  toOwnerUser,
+  toAdminUser,
+  serializeUser,
+  serializeStore,
+  serializeProduct,
+};
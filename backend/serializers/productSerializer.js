@@ -0,0 +1,16 @@
+// productSerializer.js
+const { isReference, toPlain } = require('./serialize');
+const { serializeUser } = require('./userSerializer');
+
+/**
+ * Sản phẩm kèm người bán (sellerId); người mua chỉ thấy thông tin công khai của người bán
+ * @param {Object} product
+ * @param {String} [view] - "public" | "owner" | "admin"
+ */
+const serializeProduct = (product, view = 'public') => {
+  if (isReference(product)) return product;
+  const plain = toPlain(product);
+  return { ...plain, sellerId: serializeUser(plain.sellerId, view) };
+};
+
+module.exports = { serializeProduct };
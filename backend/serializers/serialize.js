@@ -0,0 +1,43 @@
+// serialize.js
+// Tiện ích chung cho các serializer: chuyển document về object thường và chọn trường theo danh sách cho phép
+const mongoose = require('mongoose');
+
+// Các khóa không bao giờ được xuất hiện trong phản hồi JSON (lọc lần cuối ở res.json)
+const SENSITIVE_KEYS = ['password', 'tokenHash', 'previousTokenHash', 'inviteTokenHash', 'pendingSecret'];
+
+/**
+ * Document Mongoose → object thường (object đã lean giữ nguyên)
+ */
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+/**
+ * Tham chiếu chưa populate (ObjectId / chuỗi id) hoặc rỗng thì không cần serialize
+ */
+const isReference = (value) =>
+  !value || value instanceof mongoose.Types.ObjectId || typeof value !== 'object';
+
+/**
+ * Chỉ giữ các trường có trong danh sách (bỏ qua trường không tồn tại)
+ * @param {Object} doc
+ * @param {Array<String>} fields
+ */
+const pick = (doc, fields) => {
+  const plain = toPlain(doc);
+  return fields.reduce((result, field) => {
+    if (plain[field] !== undefined) result[field] = plain[field];
+    return result;
+  }, {});
+};
+
+/**
+ * Dùng cho app.set('json replacer'): xóa các khóa nhạy cảm ở mọi cấp của phản hồi
+ */
+const stripSensitiveKeys = (key, value) => (SENSITIVE_KEYS.includes(key) ? undefined : value);
+
+module.exports = {
+  SENSITIVE_KEYS,
+  toPlain,
+  isReference,
+  pick,
+  stripSensitiveKeys
+};
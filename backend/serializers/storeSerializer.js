@@ -0,0 +1,16 @@
+// storeSerializer.js
+const { isReference, toPlain } = require('./serialize');
+const { serializeUser } = require('./userSerializer');
+
+/**
+ * Cửa hàng kèm chủ cửa hàng (sellerId) theo người xem
+ * @param {Object} store
+ * @param {String} [view] - "public" | "owner" | "admin"
+ */
+const serializeStore = (store, view = 'public') => {
+  if (isReference(store)) return store;
+  const plain = toPlain(store);
+  return { ...plain, sellerId: serializeUser(plain.sellerId, view) };
+};
+
+module.exports = { serializeStore };
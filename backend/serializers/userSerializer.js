@@ -0,0 +1,55 @@
+// userSerializer.js
+// Dữ liệu người dùng trả về theo người xem: public (người khác), owner (chính chủ), admin
+const { isReference, pick, toPlain } = require('./serialize');
+
+const PUBLIC_FIELDS = ['_id', 'username', 'fullname', 'avatarURL', 'role', 'createdAt'];
+const OWNER_FIELDS = [
+  ...PUBLIC_FIELDS,
+  'email',
+  'emailVerified',
+  'emailVerifiedAt',
+  'staffRoles',
+  'action',
+  'lockReason',
+  'lockedUntil',
+  'updatedAt'
+];
+const ADMIN_FIELDS = [...OWNER_FIELDS, 'lockedAt', 'lockedBy', 'lockAppeal', 'passwordChangedAt'];
+
+// Chỉ trạng thái 2FA, không bao giờ trả secret / mã khôi phục
+const twoFactorSummary = (user) => {
+  const twoFactor = toPlain(user).twoFactor || {};
+  return { enabled: Boolean(twoFactor.enabled), enabledAt: twoFactor.enabledAt };
+};
+
+/**
+ * Người dùng khác nhìn thấy (người bán trên trang sản phẩm, người tham gia chat, ...)
+ */
+const toPublicUser = (user) => (isReference(user) ? user : pick(user, PUBLIC_FIELDS));
+
+/**
+ * Chính người dùng xem hồ sơ của mình
+ */
+const toOwnerUser = (user) =>
+  (isReference(user) ? user : { ...pick(user, OWNER_FIELDS), twoFactor: twoFactorSummary(user) });
+
+/**
+ * Admin / nhân viên quản trị xem
+ */
+const toAdminUser = (user) =>
+  (isReference(user) ? user : { ...pick(user, ADMIN_FIELDS), twoFactor: twoFactorSummary(user) });
+
+const VIEWS = { public: toPublicUser, owner: toOwnerUser, admin: toAdminUser };
+
+/**
+ * @param {Object} user - Document, object lean hoặc ObjectId chưa populate
+ * @param {String} [view] - "public" | "owner" | "admin"
+ */
+const serializeUser = (user, view = 'public') => VIEWS[view](user);
+
+module.exports = {
+  toPublicUser,
+  toOwnerUser,
+  toAdminUser,
+  serializeUser
+};
@@ -1,13 +1,10 @@
-const express = require("express");
-const app = express();
-
+require("dotenv").config(); // Nạp .env trước khi các module đọc biến môi trường lúc khởi tạo
+const app = require("./app");
 const connectDB = require("./config/db");
-const cors = require("cors");
-app.use(cors()); // Enable CORS for all routes
-app.use(express.urlencoded({ extended: true })); // Middleware to parse URL-encoded bodies
-app.use(express.json()); // Middleware to parse JSON bodies
+const { initScheduler } = require("./config/scheduler");
 
 const PORT = process.env.PORT || 9999;
 connectDB().then(() => {
+  initScheduler();
   app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
 });
@@ -0,0 +1,158 @@
+// accountLockService.js
+// Khóa / tạm đình chỉ tài khoản: kiểm tra khi đăng nhập, tự mở khóa khi hết hạn, kháng nghị và email thông báo
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { sendEmail } = require('./emailService');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const APPEAL_PURPOSE = 'lock-appeal';
+const APPEAL_TOKEN_TTL = '1h';
+const MAX_APPEAL_LENGTH = 2000;
+
+/**
+ * Tài khoản đang bị khóa (khóa vô thời hạn hoặc đình chỉ chưa hết hạn)
+ * @param {Object} user - Cần các trường action, lockedUntil
+ */
+const isLocked = (user) =>
+  user.action === 'lock' && (!user.lockedUntil || new Date(user.lockedUntil) > new Date());
+
+const formatDate = (date) => new Date(date).toLocaleString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' });
+
+/**
+ * Gửi email khi trạng thái khóa thay đổi (gồm lý do, thời hạn và cách kháng nghị)
+ * @param {Object} user
+ */
+const notifyStatusChange = async (user) => {
+  const locked = user.action === 'lock';
+  const subject = locked ? 'Tài khoản của bạn đã bị khóa' : 'Tài khoản của bạn đã được mở khóa';
+  const text = locked
+    ? `Kính gửi ${user.username},\n\nTài khoản của bạn đã bị khóa bởi quản trị viên.\n` +
+      (user.lockReason ? `Lý do: ${user.lockReason}\n` : '') +
+      (user.lockedUntil ? `Thời hạn: đến ${formatDate(user.lockedUntil)}\n` : 'Thời hạn: vô thời hạn\n') +
+      '\nNếu cho rằng đây là nhầm lẫn, bạn có thể gửi kháng nghị khi đăng nhập.\n\nTrân trọng,\nShopii Team'
+    : `Kính gửi ${user.username},\n\nTài khoản của bạn đã được mở khóa. Bạn có thể tiếp tục sử dụng dịch vụ của chúng tôi.\n\nTrân trọng,\nShopii Team`;
+  try {
+    await sendEmail(user.email, subject, text);
+  } catch (error) {
+    logger.error(`Failed to send account status email to ${user._id}: ${error.message}`);
+  }
+};
+
+/**
+ * Khóa tài khoản (chưa lưu)
+ * @param {Object} user - Document User
+ * @param {Object} params - { reason, until, lockedBy }
+ */
+const setLock = (user, { reason, until, lockedBy } = {}) => {
+  if (until && new Date(until) <= new Date()) {
+    throw createError(400, 'LOCK_UNTIL_IN_PAST');
+  }
+  user.action = 'lock';
+  user.lockReason = reason || undefined;
+  user.lockedUntil = until ? new Date(until) : undefined;
+  user.lockedAt = new Date();
+  user.lockedBy = lockedBy;
+  user.lockAppeal = undefined;
+};
+
+/**
+ * Mở khóa tài khoản (chưa lưu); lý do và kháng nghị cũ được xóa
+ */
+const clearLock = (user) => {
+  user.action = 'unlock';
+  user.lockReason = undefined;
+  user.lockedUntil = undefined;
+  user.lockedAt = undefined;
+  user.lockedBy = undefined;
+  user.lockAppeal = undefined;
+};
+
+const createAppealToken = (user) => jwt.sign(
+  { sub: user._id.toString(), purpose: APPEAL_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: APPEAL_TOKEN_TTL }
+);
+
+/**
+ * Chặn đăng nhập khi tài khoản bị khóa; đình chỉ đã hết hạn thì mở khóa luôn
+ * @param {Object} user - Document User
+ */
+const ensureActive = async (user) => {
+  if (user.action !== 'lock') return;
+  if (!isLocked(user)) {
+    clearLock(user);
+    await user.save();
+    await notifyStatusChange(user);
+    return;
+  }
+  throw createError(403, 'ACCOUNT_LOCKED', {
+    lockReason: user.lockReason || null,
+    lockedUntil: user.lockedUntil || null,
+    appealSubmitted: Boolean(user.lockAppeal && user.lockAppeal.submittedAt),
+    appealToken: createAppealToken(user)
+  });
+};
+
+/**
+ * Người dùng bị khóa gửi kháng nghị bằng appealToken nhận được khi đăng nhập
+ * @param {String} appealToken
+ * @param {String} note
+ */
+const submitAppeal = async (appealToken, note) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(appealToken || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    throw createError(401, 'APPEAL_TOKEN_EXPIRED');
+  }
+  if (payload.purpose !== APPEAL_PURPOSE) {
+    throw createError(401, 'APPEAL_TOKEN_EXPIRED');
+  }
+
+  const text = String(note || '').trim();
+  if (!text) {
+    throw createError(400, 'APPEAL_NOTE_REQUIRED');
+  }
+  if (text.length > MAX_APPEAL_LENGTH) {
+    throw createError(400, 'APPEAL_NOTE_TOO_LONG', { max: MAX_APPEAL_LENGTH });
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || !isLocked(user)) {
+    throw createError(400, 'ACCOUNT_NOT_LOCKED');
+  }
+  user.lockAppeal = { note: text, submittedAt: new Date() };
+  await user.save();
+  logger.info(`User ${user._id} submitted a lock appeal`);
+  return user;
+};
+
+/**
+ * Mở khóa các tài khoản hết thời hạn đình chỉ (chạy định kỳ)
+ */
+const releaseExpiredLocks = async () => {
+  try {
+    const users = await User.find({ action: 'lock', lockedUntil: { $lte: new Date() } }).limit(200);
+    for (const user of users) {
+      clearLock(user);
+      await user.save();
+      await notifyStatusChange(user);
+    }
+    if (users.length > 0) {
+      logger.info(`Released ${users.length} expired account suspensions`);
+    }
+  } catch (error) {
+    logger.error('Error releasing expired account locks:', error.message);
+  }
+};
+
+module.exports = {
+  isLocked,
+  setLock,
+  clearLock,
+  ensureActive,
+  notifyStatusChange,
+  submitAppeal,
+  releaseExpiredLocks
+};
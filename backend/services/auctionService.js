@@ -0,0 +1,269 @@
+// auctionService.js
+const mongoose = require("mongoose");
+const { Product, Bid, Order, Address, User } = require("../models");
+const { planSellerOrders, createSellerOrders } = require("./sellerOrderService");
+const { reserveInventory } = require("./orderService");
+const { sendEmail } = require("./emailService");
+const createError = require("../utils/createError");
+const logger = require("../utils/logger");
+
+// Chống "bắn tỉa" phút chót: bid trong khoảng này trước giờ kết thúc sẽ gia hạn phiên
+const ANTI_SNIPING_WINDOW_MS = (parseInt(process.env.AUCTION_ANTI_SNIPING_MINUTES) || 2) * 60 * 1000;
+const ANTI_SNIPING_EXTENSION_MS = (parseInt(process.env.AUCTION_EXTENSION_MINUTES) || 2) * 60 * 1000;
+
+// Bước giá mặc định: 5% giá hiện tại, làm tròn lên bội số 1.000đ, tối thiểu 1.000đ
+const DEFAULT_INCREMENT_RATE = 0.05;
+const MIN_INCREMENT = 1000;
+
+/**
+ * Tính bước giá tối thiểu của một phiên đấu giá
+ * @param {Object} product - Sản phẩm đấu giá
+ */
+const getBidIncrement = (product) => {
+  if (product.bidIncrement) return product.bidIncrement;
+  const base = product.currentBid || product.price;
+  return Math.max(MIN_INCREMENT, Math.ceil((base * DEFAULT_INCREMENT_RATE) / MIN_INCREMENT) * MIN_INCREMENT);
+};
+
+/**
+ * Giá thấp nhất được chấp nhận cho lượt bid tiếp theo
+ * @param {Object} product - Sản phẩm đấu giá
+ */
+const getMinimumBid = (product) => {
+  if (product.currentBid === null || product.currentBid === undefined) {
+    return product.price; // Lượt bid đầu tiên chỉ cần bằng giá khởi điểm
+  }
+  return product.currentBid + getBidIncrement(product);
+};
+
+const isAuctionOpen = (product, now = new Date()) =>
+  product.isAuction &&
+  product.auctionStatus === "active" &&
+  product.auctionEndTime &&
+  product.auctionEndTime > now;
+
+/**
+ * Đặt giá cho một sản phẩm đấu giá
+ * @param {String} productId - ID sản phẩm
+ * @param {String} userId - ID người đặt giá
+ * @param {Number} amount - Số tiền đặt
+ * @returns {{ bid, product, extended }}
+ */
+const placeBid = async (productId, userId, amount) => {
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+    throw createError(400, "BID_AMOUNT_INVALID");
+  }
+
+  const product = await Product.findById(productId);
+  if (!product || !product.isAuction) {
+    throw createError(404, "AUCTION_NOT_FOUND");
+  }
+
+  const now = new Date();
+  if (!isAuctionOpen(product, now)) {
+    throw createError(400, "AUCTION_ENDED");
+  }
+  if (product.sellerId.toString() === userId) {
+    throw createError(403, "BID_ON_OWN_PRODUCT");
+  }
+  if (product.highestBidderId && product.highestBidderId.toString() === userId) {
+    throw createError(400, "BID_ALREADY_HIGHEST");
+  }
+
+  const minimumBid = getMinimumBid(product);
+  if (amount < minimumBid) {
+    throw createError(400, "BID_TOO_LOW", { minimumBid });
+  }
+
+  // Người thắng cần có địa chỉ giao hàng để hệ thống tự tạo đơn khi phiên kết thúc
+  const address = await Address.findOne({ userId });
+  if (!address) {
+    throw createError(400, "BID_ADDRESS_REQUIRED");
+  }
+
+  const update = { currentBid: amount, highestBidderId: userId };
+  const extended = product.auctionEndTime - now < ANTI_SNIPING_WINDOW_MS;
+  if (extended) {
+    update.auctionEndTime = new Date(now.getTime() + ANTI_SNIPING_EXTENSION_MS);
+  }
+
+  // Compare-and-set trên currentBid để hai lượt bid đồng thời không ghi đè nhau
+  const previousBidderId = product.highestBidderId;
+  const updatedProduct = await Product.findOneAndUpdate(
+    {
+      _id: productId,
+      auctionStatus: "active",
+      auctionEndTime: { $gt: now },
+      currentBid: product.currentBid,
+    },
+    { $set: update },
+    { new: true }
+  );
+  if (!updatedProduct) {
+    throw createError(409, "BID_CONFLICT");
+  }
+
+  const bid = await Bid.create({ productId, userId, bidAmount: amount, bidDate: now });
+
+  if (previousBidderId) {
+    notifyOutbid(previousBidderId, updatedProduct).catch((error) =>
+      logger.error("Failed to send outbid email:", error)
+    );
+  }
+
+  return { bid, product: updatedProduct, extended };
+};
+
+const notifyAddressRequired = async (winningBid, product) => {
+  const user = await User.findById(winningBid.userId);
+  if (!user) return;
+  await sendEmail(
+    user.email,
+    "Vui lòng thêm địa chỉ giao hàng cho sản phẩm đấu giá",
+    `Kính gửi ${user.username},\n\nBạn đã thắng phiên đấu giá "${product.title}" với giá ${winningBid.bidAmount} nhưng tài khoản chưa có địa chỉ giao hàng.\nVui lòng thêm địa chỉ, đơn hàng sẽ được tạo tự động ngay sau đó.\n\nTrân trọng,\nShopii Team`
+  );
+};
+
+const notifyOutbid = async (userId, product) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+  await sendEmail(
+    user.email,
+    "Bạn đã bị trả giá cao hơn",
+    `Kính gửi ${user.username},\n\nGiá của bạn cho sản phẩm "${product.title}" đã bị vượt qua. Giá hiện tại: ${product.currentBid}.\nPhiên đấu giá kết thúc lúc ${product.auctionEndTime.toLocaleString("vi-VN")}.\n\nTrân trọng,\nShopii Team`
+  );
+};
+
+/**
+ * Kết thúc một phiên đấu giá đã hết hạn: chọn bid thắng và tạo đơn hàng cho người thắng
+ * @param {Object} product - Sản phẩm đấu giá đã hết giờ (hoặc đang chờ người thắng thêm địa chỉ)
+ */
+const closeAuction = async (product) => {
+  const previousStatus = product.auctionStatus;
+  // Chiếm phiên trước khi xử lý để không có tiến trình nào khác đóng lại lần nữa
+  const claimed = await Product.findOneAndUpdate(
+    { _id: product._id, auctionStatus: previousStatus, auctionEndTime: { $lte: new Date() } },
+    { $set: { auctionStatus: "ended" } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    return await settleAuction(claimed, previousStatus);
+  } catch (error) {
+    // Trả phiên về trạng thái trước đó để lần chạy sau của scheduler xử lý lại
+    await Product.updateOne({ _id: claimed._id, auctionOrderId: null }, { $set: { auctionStatus: previousStatus } });
+    throw error;
+  }
+};
+
+const settleAuction = async (claimed, previousStatus) => {
+  const winningBid = await Bid.findOne({ productId: claimed._id }).sort({ bidAmount: -1, bidDate: 1 });
+  if (!winningBid || winningBid.bidAmount < (claimed.reservePrice || 0)) {
+    claimed.auctionStatus = "unsold";
+    await claimed.save();
+    logger.info(`Auction ${claimed._id} closed without a winner`);
+    return null;
+  }
+
+  const address =
+    (await Address.findOne({ userId: winningBid.userId, isDefault: true })) ||
+    (await Address.findOne({ userId: winningBid.userId }).sort({ createdAt: -1 }));
+
+  // Người thắng đã xóa hết địa chỉ sau khi đặt giá: giữ phiên chờ đến khi có địa chỉ mới
+  if (!address) {
+    claimed.auctionStatus = "awaiting_address";
+    await claimed.save();
+    if (previousStatus !== "awaiting_address") {
+      logger.info(`Auction ${claimed._id} won by ${winningBid.userId}, waiting for a shipping address`);
+      notifyAddressRequired(winningBid, claimed).catch((error) =>
+        logger.error("Failed to send auction address email:", error)
+      );
+    }
+    return null;
+  }
+
+  const session = await mongoose.startSession();
+  let order;
+  try {
+    await session.withTransaction(async () => {
+      await reserveInventory(claimed, 1, session);
+
+      const plans = planSellerOrders([{ product: claimed, quantity: 1, unitPrice: winningBid.bidAmount }]);
+      [order] = await Order.create([{
+        buyerId: winningBid.userId,
+        addressId: address._id,
+        totalPrice: plans[0].totalPrice,
+        status: "pending",
+      }], { session });
+      await createSellerOrders(order, plans, session);
+
+      winningBid.isWinningBid = true;
+      await winningBid.save({ session });
+
+      claimed.auctionOrderId = order._id;
+      await claimed.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`Auction ${claimed._id} won by ${winningBid.userId} at ${winningBid.bidAmount}, order ${order._id}`);
+
+  try {
+    const [winner, seller] = await Promise.all([
+      User.findById(winningBid.userId),
+      User.findById(claimed.sellerId),
+    ]);
+    if (winner) {
+      await sendEmail(
+        winner.email,
+        "Chúc mừng bạn đã thắng đấu giá",
+        `Kính gửi ${winner.username},\n\nBạn đã thắng phiên đấu giá "${claimed.title}" với giá ${winningBid.bidAmount}.\nMã đơn hàng: ${order._id}. Vui lòng thanh toán để hoàn tất đơn hàng.\n\nTrân trọng,\nShopii Team`
+      );
+    }
+    if (seller) {
+      await sendEmail(
+        seller.email,
+        "Phiên đấu giá của bạn đã kết thúc",
+        `Kính gửi ${seller.username},\n\nSản phẩm "${claimed.title}" đã được đấu giá thành công với giá ${winningBid.bidAmount}.\nMã đơn hàng: ${order._id}.\n\nTrân trọng,\nShopii Team`
+      );
+    }
+  } catch (emailError) {
+    logger.error("Failed to send auction result email:", emailError);
+  }
+
+  return order;
+};
+
+/**
+ * Đóng tất cả các phiên đấu giá đã hết giờ (chạy định kỳ bởi scheduler)
+ */
+const closeExpiredAuctions = async () => {
+  try {
+    const expired = await Product.find({
+      isAuction: true,
+      auctionStatus: { $in: ["active", "awaiting_address"] },
+      auctionEndTime: { $lte: new Date() },
+    });
+
+    for (const product of expired) {
+      try {
+        await closeAuction(product);
+      } catch (error) {
+        logger.error(`Failed to close auction ${product._id}:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error("Error closing expired auctions:", error);
+  }
+};
+
+module.exports = {
+  getBidIncrement,
+  getMinimumBid,
+  isAuctionOpen,
+  placeBid,
+  closeAuction,
+  closeExpiredAuctions,
+};
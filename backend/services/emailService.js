@@ -0,0 +1,35 @@
+// emailService.js
+const nodemailer = require("nodemailer");
+const logger = require("../utils/logger");
+
+// Transporter dùng chung, cấu hình qua biến môi trường EMAIL_*
+const transporter = nodemailer.createTransport({
+  host: process.env.EMAIL_HOST || "smtp.gmail.com",
+  port: parseInt(process.env.EMAIL_PORT) || 587,
+  secure: process.env.EMAIL_SECURE === "true",
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS,
+  },
+});
+
+/**
+ * Gửi email dạng text
+ * @param {String} to - Địa chỉ người nhận
+ * @param {String} subject - Tiêu đề email
+ * @param {String} text - Nội dung email
+ */
+const sendEmail = async (to, subject, text) => {
+  const info = await transporter.sendMail({
+    from: process.env.EMAIL_FROM || `"Shopii" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    text,
+  });
+  logger.info(`Email sent to ${to}: ${info.messageId}`);
+  return info;
+};
+
+module.exports = {
+  sendEmail,
+};
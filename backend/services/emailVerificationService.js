@@ -0,0 +1,110 @@
+// emailVerificationService.js
+// Xác minh email bằng link chứa token JWT ký riêng cho mục đích này (gắn với email tại thời điểm gửi)
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { sendEmail } = require('./emailService');
+const createError = require('../utils/createError');
+const validateEmail = require('../utils/validateEmail');
+const logger = require('../utils/logger');
+
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 24;
+const TOKEN_PURPOSE = 'email-verification';
+
+const getSecret = () => process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET;
+
+const createVerificationToken = (user) => jwt.sign(
+  { sub: user._id.toString(), email: user.email, purpose: TOKEN_PURPOSE },
+  getSecret(),
+  { expiresIn: `${EMAIL_VERIFICATION_HOURS}h` }
+);
+
+/**
+ * Gửi link xác minh tới email hiện tại của người dùng
+ * @param {Object} user - Document User
+ */
+const sendVerificationEmail = async (user) => {
+  const baseUrl = process.env.FRONTEND_URL || process.env.BASE_URL || '';
+  await sendEmail(
+    user.email,
+    'Xác minh email tài khoản Shopii',
+    `Xin chào ${user.username},\n\nCảm ơn bạn đã đăng ký Shopii. Bấm vào link sau để xác minh email ` +
+      `(hết hạn sau ${EMAIL_VERIFICATION_HOURS} giờ):\n${baseUrl}/verify-email?token=${createVerificationToken(user)}\n\n` +
+      'Bạn cần xác minh email trước khi đặt hàng, mở cửa hàng hoặc nhắn tin.'
+  );
+};
+
+/**
+ * Đổi email của người dùng (chưa lưu): kiểm tra định dạng, trùng lặp và đánh dấu chưa xác minh.
+ * Sau khi lưu, gọi sendVerificationEmail để gửi link tới email mới.
+ * @param {Object} user - Document User
+ * @param {String} [email] - Email mới, bỏ trống hoặc trùng email hiện tại thì không đổi
+ * @returns {Promise<Boolean>} true nếu email thay đổi
+ */
+const changeEmail = async (user, email) => {
+  if (!email || email === user.email) return false;
+  if (!validateEmail(email)) {
+    throw createError(400, 'EMAIL_INVALID');
+  }
+  if (await User.exists({ email, _id: { $ne: user._id } })) {
+    throw createError(400, 'EMAIL_IN_USE');
+  }
+
+  user.email = email;
+  user.emailVerified = false;
+  user.emailVerifiedAt = undefined;
+  return true;
+};
+
+/**
+ * Xác minh email từ token trong link; token của email cũ (đã đổi email) không còn dùng được
+ * @param {String} token
+ * @returns {Promise<Object>} User sau khi xác minh
+ */
+const verifyEmail = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), getSecret());
+  } catch (error) {
+    throw createError(400, 'EMAIL_VERIFICATION_LINK_INVALID');
+  }
+  if (payload.purpose !== TOKEN_PURPOSE) {
+    throw createError(400, 'EMAIL_VERIFICATION_LINK_INVALID');
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || user.email !== payload.email) {
+    throw createError(400, 'EMAIL_VERIFICATION_LINK_INVALID');
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    logger.info(`User ${user._id} verified email ${user.email}`);
+  }
+  return user;
+};
+
+/**
+ * Gửi lại link xác minh cho người dùng chưa xác minh
+ * @param {String} userId
+ */
+const resendVerification = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createError(404, 'USER_NOT_FOUND');
+  }
+  if (user.emailVerified) {
+    throw createError(400, 'EMAIL_ALREADY_VERIFIED');
+  }
+  await sendVerificationEmail(user);
+  return user;
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_HOURS,
+  sendVerificationEmail,
+  changeEmail,
+  verifyEmail,
+  resendVerification
+};
@@ -0,0 +1,15 @@
+// fileUploadService.js
+const { cloudinary } = require("../config/cloudinary");
+
+/**
+ * Xóa file trên Cloudinary theo public_id
+ * @param {String} publicId - public_id của file trên Cloudinary
+ * @returns {Object} Kết quả trả về từ Cloudinary ({ result: 'ok' } nếu thành công)
+ */
+const deleteFile = async (publicId) => {
+  return await cloudinary.uploader.destroy(publicId);
+};
+
+module.exports = {
+  deleteFile,
+};
@@ -0,0 +1,216 @@
+// orderLifecycle.js
+// Máy trạng thái đơn hàng: là con đường duy nhất để thay đổi status của Order, SellerOrder, OrderItem
+const { Order, OrderItem, SellerOrder, OrderStatusHistory } = require('../models');
+const { ORDER_STATUSES, ORDER_TRANSITIONS } = require('../config/orderStatus');
+const { creditDeliveredItem } = require('./walletService');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const SYSTEM_ACTOR = { userId: null, role: 'system' };
+
+/**
+ * Lấy người thực hiện từ request đã qua authMiddleware
+ * @param {Object} req
+ */
+const actorFromRequest = (req) => ({ userId: req.user.id, role: req.user.role });
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Tìm chuỗi bước ngắn nhất từ from tới to (không gồm from), null nếu không tới được
+ */
+const findPath = (from, to) => {
+  if (from === to) return [];
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const next of ORDER_TRANSITIONS[current] || []) {
+      if (previous.has(next)) continue;
+      previous.set(next, current);
+      if (next === to) {
+        const path = [];
+        for (let step = to; step !== from; step = previous.get(step)) path.unshift(step);
+        return path;
+      }
+      queue.push(next);
+    }
+  }
+  return null;
+};
+
+/**
+ * Chuyển trạng thái một Order / SellerOrder / OrderItem và ghi lịch sử
+ * @param {Object} doc - Document mongoose cần chuyển
+ * @param {String} to - Trạng thái đích
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - { userId, role }, mặc định là hệ thống
+ * @param {String} [options.note] - Ghi chú lưu vào lịch sử
+ * @param {Boolean} [options.viaPath] - Cho phép đi qua các bước trung gian hợp lệ (vd: pending -> processing -> shipping)
+ * @param {Object} [options.session] - MongoDB session khi chạy trong transaction
+ */
+const transition = async (doc, to, { actor = SYSTEM_ACTOR, note, viaPath = false, session } = {}) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw createError(400, 'ORDER_STATUS_INVALID', { status: to });
+  }
+
+  const from = doc.status;
+  if (from === to) return doc;
+
+  const steps = viaPath ? findPath(from, to) : (canTransition(from, to) ? [to] : null);
+  if (!steps) {
+    throw createError(409, 'ORDER_TRANSITION_NOT_ALLOWED', { from, to });
+  }
+
+  // Cập nhật có điều kiện để hai thao tác đồng thời không ghi đè nhau
+  const Model = doc.constructor;
+  const updated = await Model.findOneAndUpdate(
+    { _id: doc._id, status: from },
+    { $set: { status: to } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw createError(409, 'ORDER_STATUS_CONFLICT');
+  }
+
+  const entityType = Model.modelName;
+  const orderId = entityType === 'Order' ? doc._id : doc.orderId;
+  let previous = from;
+  const entries = steps.map(step => {
+    const entry = {
+      orderId,
+      entityType,
+      entityId: doc._id,
+      from: previous,
+      to: step,
+      changedBy: actor.userId || null,
+      actorRole: actor.role || 'system',
+      note
+    };
+    previous = step;
+    return entry;
+  });
+  await OrderStatusHistory.insertMany(entries, { session });
+
+  doc.status = to;
+
+  // Mặt hàng giao thành công thì ghi doanh thu vào ví người bán; ghi sổ lỗi thì chuyển trạng thái cũng lỗi
+  // để không có mặt hàng "delivered" mà thiếu doanh thu
+  if (entityType === 'OrderItem' && steps.includes('delivered')) {
+    await creditDeliveredItem(updated, { session });
+  }
+  return doc;
+};
+
+/**
+ * Chuyển nhiều document sang cùng một trạng thái, bỏ qua document đã ở trạng thái đích
+ */
+const transitionAll = async (docs, to, options) => {
+  for (const doc of docs) {
+    await transition(doc, to, options);
+  }
+  return docs;
+};
+
+/**
+ * Suy ra trạng thái tổng hợp từ trạng thái của các phần tử con
+ * (mặt hàng -> đơn con, đơn con -> đơn cha). Phần tử bị hủy / từ chối / hoàn trả không ảnh hưởng tới phần còn lại.
+ * @param {Array<String>} statuses
+ */
+const deriveStatus = (statuses) => {
+  const open = statuses.filter(status => !['cancelled', 'rejected'].includes(status));
+  if (open.length === 0) {
+    return statuses.every(status => status === 'rejected') ? 'rejected' : 'cancelled';
+  }
+  const active = open.filter(status => status !== 'returned');
+  if (active.length === 0) return 'returned';
+  if (active.every(status => status === 'completed')) return 'completed';
+  if (active.every(status => ['delivered', 'completed'].includes(status))) return 'delivered';
+  if (active.every(status => status === 'failed to ship')) return 'failed to ship';
+  if (active.some(status => ['shipping', 'delivered', 'completed', 'failed to ship'].includes(status))) return 'shipping';
+  if (active.some(status => status === 'processing')) return 'processing';
+  if (active.some(status => status === 'paid')) return 'paid';
+  return 'pending';
+};
+
+/**
+ * Đưa document tới trạng thái suy ra nếu có đường đi hợp lệ, không bao giờ lùi trạng thái
+ */
+const advanceTo = async (doc, target, options) => {
+  if (doc.status === target) return false;
+  if (!findPath(doc.status, target)) {
+    logger.warn(`${doc.constructor.modelName} ${doc._id}: bỏ qua đồng bộ "${doc.status}" -> "${target}"`);
+    return false;
+  }
+  await transition(doc, target, { ...options, viaPath: true });
+  return true;
+};
+
+/**
+ * Đồng bộ trạng thái đơn con từ mặt hàng và đơn cha từ đơn con
+ * (hoặc từ các mặt hàng với đơn cũ chưa có đơn con)
+ * @param {String} orderId
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Boolean>} true nếu trạng thái đơn cha thay đổi
+ */
+const syncOrderStatus = async (orderId, { session } = {}) => {
+  const order = await Order.findById(orderId).session(session || null);
+  if (!order) return false;
+
+  const sellerOrders = await SellerOrder.find({ orderId }).session(session || null);
+  for (const sellerOrder of sellerOrders) {
+    const items = await OrderItem.find({ sellerOrderId: sellerOrder._id }, 'status').session(session || null);
+    if (items.length === 0) continue;
+    await advanceTo(sellerOrder, deriveStatus(items.map(item => item.status)), { session });
+  }
+
+  const statuses = sellerOrders.length > 0
+    ? sellerOrders.map(sellerOrder => sellerOrder.status)
+    : (await OrderItem.find({ orderId }, 'status').session(session || null)).map(item => item.status);
+  if (statuses.length === 0) return false;
+
+  return advanceTo(order, deriveStatus(statuses), { session });
+};
+
+/**
+ * Đánh dấu đơn đã thanh toán: đơn cha, các đơn con và mặt hàng đang chờ chuyển sang "paid"
+ * @param {String} orderId
+ * @param {Object} [options] - { actor, note }
+ */
+const markOrderPaid = async (orderId, { actor = SYSTEM_ACTOR, note } = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw createError(404, 'ORDER_NOT_FOUND');
+  }
+
+  const options = { actor, note: note || 'Thanh toán thành công' };
+  if (order.status === 'pending') {
+    await transition(order, 'paid', options);
+  }
+  await transitionAll(await SellerOrder.find({ orderId, status: 'pending' }), 'paid', options);
+  await transitionAll(await OrderItem.find({ orderId, status: 'pending' }), 'paid', options);
+
+  return order;
+};
+
+/**
+ * Lịch sử trạng thái của một đơn hàng theo thứ tự thời gian
+ */
+const getOrderHistory = (orderId) =>
+  OrderStatusHistory.find({ orderId })
+    .populate('changedBy', 'username fullname')
+    .sort({ createdAt: 1 });
+
+module.exports = {
+  ORDER_STATUSES,
+  SYSTEM_ACTOR,
+  actorFromRequest,
+  canTransition,
+  findPath,
+  transition,
+  transitionAll,
+  deriveStatus,
+  syncOrderStatus,
+  markOrderPaid,
+  getOrderHistory
+};
@@ -0,0 +1,388 @@
+// orderService.js
+const mongoose = require('mongoose');
+const { Order, OrderItem, SellerOrder, Voucher, Inventory, Product, Address, Payment, User } = require('../models');
+const { planSellerOrders, createSellerOrders, calculateItemsAmount } = require('./sellerOrderService');
+const { SYSTEM_ACTOR, transitionAll, syncOrderStatus } = require('./orderLifecycle');
+const { sendEmail } = require('./emailService');
+const { createRefund, executeRefunds } = require('./refundService');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Chỉ hủy được khi hàng chưa được giao cho đơn vị vận chuyển
+const CANCELLABLE_STATUSES = ['pending', 'paid', 'processing'];
+
+/**
+ * Gộp các dòng trùng productId và kiểm tra số lượng hợp lệ
+ * @param {Array} selectedItems - [{ productId, quantity }]
+ */
+const normalizeItems = (selectedItems) => {
+  const quantities = new Map();
+  for (const item of selectedItems) {
+    const quantity = Number(item.quantity);
+    if (!item.productId || !mongoose.isValidObjectId(item.productId)) {
+      throw createError(400, 'INVALID_ID', { field: 'productId' });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createError(400, 'QUANTITY_INVALID', { productId: item.productId });
+    }
+    const key = item.productId.toString();
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  }
+  return Array.from(quantities, ([productId, quantity]) => ({ productId, quantity }));
+};
+
+const calculateDiscount = (voucher, subtotal) => {
+  if (voucher.discountType === 'fixed') {
+    return voucher.discount;
+  }
+  const calculatedDiscount = (subtotal * voucher.discount) / 100;
+  return voucher.maxDiscount > 0 ? Math.min(calculatedDiscount, voucher.maxDiscount) : calculatedDiscount;
+};
+
+/**
+ * Trừ tồn kho có điều kiện (chỉ khi còn đủ hàng) trong transaction
+ */
+const reserveInventory = async (product, quantity, session) => {
+  const inventory = await Inventory.findOneAndUpdate(
+    { productId: product._id, quantity: { $gte: quantity } },
+    {
+      $inc: { quantity: -quantity },
+      $set: { lastUpdated: new Date() }
+    },
+    { new: true, session }
+  );
+  if (!inventory) {
+    const current = await Inventory.findOne({ productId: product._id }).session(session);
+    throw createError(400, 'INSUFFICIENT_INVENTORY', {
+      productId: product._id,
+      title: product.title,
+      available: current ? current.quantity : 0,
+      requested: quantity
+    });
+  }
+  return inventory;
+};
+
+/**
+ * Sử dụng voucher một cách nguyên tử: chỉ tăng usedCount khi còn lượt
+ */
+const redeemVoucher = async (couponCode, subtotal, session) => {
+  const now = new Date();
+  const voucher = await Voucher.findOne({ code: couponCode }).session(session);
+  if (!voucher || !voucher.isActive || voucher.expirationDate < now) {
+    throw createError(400, 'VOUCHER_INVALID');
+  }
+  if (subtotal < voucher.minOrderValue) {
+    throw createError(400, 'VOUCHER_MIN_ORDER_VALUE', { minOrderValue: voucher.minOrderValue });
+  }
+
+  const redeemed = await Voucher.findOneAndUpdate(
+    {
+      _id: voucher._id,
+      isActive: true,
+      expirationDate: { $gte: now },
+      $expr: { $lt: ['$usedCount', '$usageLimit'] }
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!redeemed) {
+    throw createError(400, 'VOUCHER_USAGE_LIMIT_REACHED');
+  }
+
+  // findOneAndUpdate không chạy hook pre-save nên tự tắt voucher khi đã hết lượt
+  if (redeemed.usedCount >= redeemed.usageLimit) {
+    await Voucher.updateOne({ _id: redeemed._id }, { $set: { isActive: false } }, { session });
+  }
+
+  return redeemed;
+};
+
+/**
+ * Tạo đơn hàng trong một MongoDB transaction: trừ kho, dùng voucher, tạo Order/SellerOrder/OrderItem.
+ * Bất kỳ lỗi nào cũng rollback toàn bộ.
+ * @param {Object} params
+ * @param {String} params.buyerId
+ * @param {Array} params.selectedItems - [{ productId, quantity }]
+ * @param {String} params.selectedAddressId
+ * @param {String} [params.couponCode]
+ * @returns {Promise<{ order, sellerOrders, orderItems }>}
+ */
+const placeOrder = async ({ buyerId, selectedItems, selectedAddressId, couponCode }) => {
+  const items = normalizeItems(selectedItems);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const address = await Address.findOne({ _id: selectedAddressId, userId: buyerId }).session(session);
+      if (!address) {
+        throw createError(404, 'ADDRESS_NOT_FOUND');
+      }
+
+      // Bước 1: Tính tạm tính và giữ hàng trong kho
+      let subtotal = 0;
+      const lines = [];
+      for (const item of items) {
+        const product = await Product.findById(item.productId).session(session);
+        if (!product) {
+          throw createError(404, 'PRODUCT_NOT_FOUND', { productId: item.productId });
+        }
+        if (product.sellerId.toString() === buyerId) {
+          throw createError(400, 'BUY_OWN_PRODUCT', { title: product.title });
+        }
+        // Sản phẩm đấu giá chỉ bán cho người thắng qua đơn do settleAuction tạo
+        if (product.isAuction) {
+          throw createError(400, 'PRODUCT_AUCTION_ONLY', { title: product.title });
+        }
+
+        await reserveInventory(product, item.quantity, session);
+
+        subtotal += product.price * item.quantity;
+        lines.push({ product, quantity: item.quantity, unitPrice: product.price });
+      }
+
+      // Bước 2: Áp dụng voucher
+      let discount = 0;
+      let voucherId = null;
+      if (couponCode) {
+        const voucher = await redeemVoucher(couponCode, subtotal, session);
+        discount = calculateDiscount(voucher, subtotal);
+        voucherId = voucher._id;
+      }
+
+      // Bước 3: Chia đơn theo người bán (mỗi seller một đơn con với phí vận chuyển riêng)
+      const plans = planSellerOrders(lines, discount);
+      const totalPrice = plans.reduce((sum, plan) => sum + plan.totalPrice, 0);
+
+      // Bước 4: Tạo Order, SellerOrders và OrderItems
+      const [order] = await Order.create([{
+        buyerId,
+        addressId: selectedAddressId,
+        totalPrice,
+        voucherId,
+        discountAmount: plans.reduce((sum, plan) => sum + plan.discountAmount, 0),
+        status: 'pending'
+      }], { session });
+
+      const { sellerOrders, orderItems } = await createSellerOrders(order, plans, session);
+
+      result = { order, sellerOrders, orderItems };
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Trả lại tồn kho cho các mặt hàng bị hủy
+ */
+const restockItems = async (items, session) => {
+  for (const item of items) {
+    await Inventory.updateOne(
+      { productId: item.productId._id || item.productId },
+      {
+        $inc: { quantity: item.quantity },
+        $set: { lastUpdated: new Date() }
+      },
+      { session }
+    );
+  }
+};
+
+/**
+ * Trả lại một lượt dùng voucher; lưu bằng save() để hook pre-save bật lại isActive khi còn lượt
+ */
+const releaseVoucher = async (voucherId, session) => {
+  const voucher = await Voucher.findById(voucherId).session(session);
+  if (!voucher || voucher.usedCount <= 0) return null;
+  voucher.usedCount -= 1;
+  await voucher.save({ session });
+  return voucher;
+};
+
+/**
+ * Hủy / giảm các thanh toán chưa trả, rồi tạo yêu cầu hoàn tiền cho phần đã trả (thực hiện sau khi commit)
+ * @returns {Promise<{ payments, refunds }>}
+ */
+const settlePaymentOnCancel = async ({ order, amount, fullyCancelled, paymentStatus, reason, actor, session }) => {
+  // Hủy một phần thì trừ vào phần chưa trả trước (COD), phần còn lại mới hoàn tiền
+  let toRefund = amount;
+  const pendingPayments = await Payment.find({ orderId: order._id, status: 'pending' }).session(session);
+  for (const payment of pendingPayments) {
+    if (fullyCancelled) {
+      payment.status = paymentStatus;
+      payment.cancelledAt = new Date();
+    } else {
+      const reduction = Math.min(payment.amount, toRefund);
+      payment.amount -= reduction;
+      toRefund -= reduction;
+      if (payment.amount <= 0) {
+        payment.status = 'cancelled';
+        payment.cancelledAt = new Date();
+      }
+    }
+    await payment.save({ session });
+  }
+
+  let refunds = [];
+  const paid = await Payment.exists({ orderId: order._id, status: { $in: ['paid', 'partially_refunded'] } }).session(session);
+  if (paid && (fullyCancelled || toRefund > 0)) {
+    try {
+      refunds = await createRefund({
+        orderId: order._id,
+        amount: fullyCancelled ? undefined : toRefund,
+        cap: true,
+        source: 'cancellation',
+        sourceId: order._id,
+        reason,
+        actor,
+        session
+      });
+    } catch (error) {
+      // Đã hoàn hết trước đó thì vẫn cho hủy, chỉ không tạo thêm hoàn tiền
+      if (error.statusCode !== 400) throw error;
+      logger.warn(`No refund created for cancelled order ${order._id}: ${error.message}`);
+    }
+  }
+
+  const payments = await Payment.find({ orderId: order._id }).sort({ createdAt: 1 }).session(session);
+  return { payments, refunds };
+};
+
+/**
+ * Báo cho các người bán có mặt hàng bị hủy
+ */
+const notifySellersOfCancellation = async (order, items, reason) => {
+  const itemsBySeller = new Map();
+  for (const item of items) {
+    const sellerId = item.productId.sellerId.toString();
+    if (!itemsBySeller.has(sellerId)) itemsBySeller.set(sellerId, []);
+    itemsBySeller.get(sellerId).push(item);
+  }
+
+  const sellers = await User.find({ _id: { $in: Array.from(itemsBySeller.keys()) } }, 'email username');
+  for (const seller of sellers) {
+    if (!seller.email) continue;
+    const lines = itemsBySeller.get(seller._id.toString())
+      .map(item => `- ${item.productId.title} x ${item.quantity}`)
+      .join('\n');
+    try {
+      await sendEmail(
+        seller.email,
+        `Đơn hàng #${order._id} đã bị hủy`,
+        `Xin chào ${seller.username},\n\nCác sản phẩm sau trong đơn hàng #${order._id} đã bị hủy:\n${lines}\n` +
+          (reason ? `Lý do: ${reason}\n` : '') +
+          '\nTồn kho của các sản phẩm này đã được hoàn lại tự động.'
+      );
+    } catch (error) {
+      logger.error(`Failed to send cancellation email to seller ${seller._id}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Hủy toàn bộ đơn hoặc một số mặt hàng chưa giao: hoàn kho, trả lượt voucher (khi hủy cả đơn),
+ * hủy/hoàn thanh toán rồi báo cho người bán. Chạy trong một MongoDB transaction.
+ * @param {Object} params
+ * @param {String} params.orderId
+ * @param {String} [params.buyerId] - Giới hạn theo người mua (bỏ trống khi hệ thống tự hủy)
+ * @param {Array<String>} [params.itemIds] - Mặt hàng cần hủy, bỏ trống để hủy cả đơn
+ * @param {String} [params.reason]
+ * @param {Object} [params.actor] - Người thực hiện, mặc định là hệ thống
+ * @param {String} [params.paymentStatus] - Trạng thái gán cho thanh toán chưa trả khi hủy cả đơn ("cancelled" | "failed")
+ * @param {Array<String>} [params.allowedStatuses] - Trạng thái mặt hàng được phép hủy (vd: hàng giao thất bại bị hoàn về)
+ * @returns {Promise<{ order, cancelledItems, payments, refunds }>}
+ */
+const cancelOrderItems = async ({
+  orderId,
+  buyerId,
+  itemIds,
+  reason,
+  actor = SYSTEM_ACTOR,
+  paymentStatus = 'cancelled',
+  allowedStatuses = CANCELLABLE_STATUSES
+}) => {
+  if (!mongoose.isValidObjectId(orderId)) {
+    throw createError(400, 'INVALID_ID', { field: 'orderId' });
+  }
+  const requestedIds = itemIds && itemIds.length > 0 ? [...new Set(itemIds.map(String))] : null;
+  if (requestedIds && !requestedIds.every(id => mongoose.isValidObjectId(id))) {
+    throw createError(400, 'INVALID_ID', { field: 'itemIds' });
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      const order = await Order.findOne(buyerId ? { _id: orderId, buyerId } : { _id: orderId }).session(session);
+      if (!order) {
+        throw createError(404, 'ORDER_NOT_FOUND');
+      }
+
+      const filter = { orderId, status: { $nin: ['cancelled', 'rejected'] } };
+      if (requestedIds) filter._id = { $in: requestedIds };
+      const items = await OrderItem.find(filter)
+        .populate('productId', 'title sellerId')
+        .session(session);
+      if (items.length === 0 || (requestedIds && items.length !== requestedIds.length)) {
+        throw createError(404, 'ORDER_ITEMS_NOT_CANCELLABLE');
+      }
+
+      const blocked = items.filter(item => !allowedStatuses.includes(item.status));
+      if (blocked.length > 0) {
+        throw createError(400, 'ORDER_ITEMS_ALREADY_PROCESSED', {
+          status: blocked[0].status,
+          itemIds: blocked.map(item => item._id)
+        });
+      }
+
+      const remaining = await OrderItem.countDocuments({
+        orderId,
+        status: { $nin: ['cancelled', 'rejected'] },
+        _id: { $nin: items.map(item => item._id) }
+      }).session(session);
+      const fullyCancelled = remaining === 0;
+
+      // Đơn thanh toán online chưa trả tiền: mã QR đã tạo theo số tiền cố định nên chỉ cho hủy cả đơn
+      const pendingOnline = await Payment.exists({ orderId, status: 'pending', method: { $ne: 'COD' } }).session(session);
+      if (!fullyCancelled && pendingOnline) {
+        throw createError(400, 'ORDER_PARTIAL_CANCEL_UNPAID');
+      }
+
+      await transitionAll(items, 'cancelled', { actor, note: reason, session });
+      await restockItems(items, session);
+      await syncOrderStatus(orderId, { session });
+
+      if (fullyCancelled && order.voucherId) {
+        await releaseVoucher(order.voucherId, session);
+      }
+
+      const sellerOrders = await SellerOrder.find({ orderId }).session(session);
+      const amount = calculateItemsAmount(items, order, sellerOrders);
+      const settled = await settlePaymentOnCancel({ order, amount, fullyCancelled, paymentStatus, reason, actor, session });
+
+      result = {
+        order: await Order.findById(orderId).session(session),
+        cancelledItems: items,
+        payments: settled.payments,
+        refunds: settled.refunds
+      };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Gọi cổng hoàn tiền sau khi commit để không giữ transaction trong lúc chờ mạng
+  result.refunds = await executeRefunds(result.refunds);
+
+  await notifySellersOfCancellation(result.order, result.cancelledItems, reason);
+  return result;
+};
+
+module.exports = {
+  placeOrder,
+  reserveInventory,
+  cancelOrderItems
+};
@@ -0,0 +1,101 @@
+// passwordResetService.js
+// Đặt lại mật khẩu bằng token ngẫu nhiên gửi qua email: chỉ lưu hash, dùng một lần, hết hạn sau vài chục phút
+const crypto = require('crypto');
+const { User, PasswordResetToken } = require('../models');
+const { sendEmail } = require('./emailService');
+const { revokeAllSessions } = require('./sessionService');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 30;
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Tạo token đặt lại mật khẩu và gửi link qua email.
+ * Không báo email có tồn tại hay không để tránh dò tài khoản.
+ * @param {String} email
+ * @param {Object} [options] - { ip }
+ */
+const requestPasswordReset = async (email, { ip } = {}) => {
+  const user = await User.findOne({ email });
+  if (!user) {
+    logger.info(`Password reset requested for unknown email ${email}`);
+    return;
+  }
+
+  // Mỗi người dùng chỉ có một token còn hiệu lực
+  await PasswordResetToken.updateMany({ userId: user._id, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000),
+    requestedIp: ip
+  });
+
+  const baseUrl = process.env.FRONTEND_URL || process.env.BASE_URL || '';
+  try {
+    await sendEmail(
+      user.email,
+      'Đặt lại mật khẩu Shopii',
+      `Xin chào ${user.username},\n\nBấm vào link sau để đặt lại mật khẩu (hết hạn sau ${RESET_TOKEN_MINUTES} phút):\n` +
+        `${baseUrl}/reset-password?token=${token}\n\n` +
+        'Nếu bạn không yêu cầu đặt lại mật khẩu, hãy bỏ qua email này.'
+    );
+  } catch (error) {
+    // Không trả lỗi cho người gọi để phản hồi không để lộ email có tồn tại hay không
+    logger.error(`Failed to send password reset email to ${user._id}: ${error.message}`);
+  }
+};
+
+/**
+ * Đặt mật khẩu mới bằng token; mọi token đăng nhập cấp trước đó bị vô hiệu
+ * @param {String} token
+ * @param {String} newPassword
+ */
+const resetPassword = async (token, newPassword) => {
+  if (!token || !newPassword) {
+    throw createError(400, 'PASSWORD_RESET_FIELDS_REQUIRED');
+  }
+  if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+    throw createError(400, 'PASSWORD_TOO_SHORT', { min: MIN_PASSWORD_LENGTH });
+  }
+
+  // Đánh dấu đã dùng trước khi đổi mật khẩu để token không thể dùng hai lần
+  const resetToken = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!resetToken) {
+    throw createError(400, 'PASSWORD_RESET_LINK_INVALID');
+  }
+
+  const user = await User.findById(resetToken.userId);
+  if (!user) {
+    throw createError(400, 'PASSWORD_RESET_LINK_INVALID');
+  }
+
+  user.password = newPassword; // Sẽ được mã hóa bởi hook pre-save
+  user.passwordChangedAt = new Date();
+  await user.save();
+  await revokeAllSessions(user._id, { reason: 'password_reset' });
+
+  try {
+    await sendEmail(user.email, 'Mật khẩu Shopii đã được thay đổi',
+      `Xin chào ${user.username},\n\nMật khẩu tài khoản của bạn vừa được đặt lại và mọi phiên đăng nhập cũ đã bị đăng xuất.\n` +
+      'Nếu không phải bạn thực hiện, hãy liên hệ hỗ trợ ngay.');
+  } catch (error) {
+    logger.error(`Failed to send password changed email to ${user._id}: ${error.message}`);
+  }
+  return user;
+};
+
+module.exports = {
+  RESET_TOKEN_MINUTES,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,24 @@
+// codProvider.js
+// Thanh toán khi nhận hàng: không qua cổng, tiền được thu khi giao
+const createError = require('../../utils/createError');
+
+module.exports = {
+  method: 'COD',
+  online: false,
+
+  isConfigured: () => true,
+
+  createIntent: async () => ({
+    messageKey: 'PAYMENT_REQUEST_CREATED',
+    data: {}
+  }),
+
+  handleWebhook: async () => {
+    throw createError(404, 'PAYMENT_WEBHOOK_UNSUPPORTED', { method: 'cod' });
+  },
+
+  queryStatus: async (payment) => ({ status: payment.status, amount: payment.amount }),
+
+  // Tiền mặt đã thu thì hoàn bằng chuyển khoản thủ công
+  refund: async () => ({ status: 'manual', reference: null })
+};
@@ -0,0 +1,77 @@
+// fakeProvider.js
+// Cổng giả chạy trong tiến trình cho môi trường dev/test: không gọi mạng, trạng thái lưu trong bộ nhớ
+const crypto = require('crypto');
+const createError = require('../../utils/createError');
+const safeEqual = require('../../utils/safeEqual');
+
+const transactions = new Map(); // transactionId -> { amount, status, refunded }
+
+const getSecret = () => process.env.FAKE_PAYMENT_SECRET || 'fake-payment-secret';
+
+const sign = ({ transactionId, amount, status }) =>
+  crypto.createHmac('sha256', getSecret()).update(`${transactionId}|${amount}|${status}`).digest('hex');
+
+module.exports = {
+  method: 'Fake',
+  online: true,
+
+  isConfigured: () => true,
+
+  createIntent: async ({ payment, baseUrl }) => {
+    payment.transactionId = `FAKE-${payment._id}`;
+    await payment.save();
+    transactions.set(payment.transactionId, { amount: Math.round(payment.amount), status: 'pending', refunded: 0 });
+
+    return {
+      messageKey: 'PAYMENT_TEST_REQUEST_CREATED',
+      data: { paymentUrl: `${baseUrl}/fake-checkout/${payment.transactionId}` }
+    };
+  },
+
+  handleWebhook: async ({ headers, payload = {} }) => {
+    if (!safeEqual(headers['x-fake-signature'] || '', sign(payload))) {
+      throw createError(401, 'WEBHOOK_SIGNATURE_INVALID');
+    }
+    return {
+      status: payload.status,
+      eventId: payload.eventId || `${payload.transactionId}:${payload.status}`,
+      reference: payload.transactionId,
+      amount: Number(payload.amount),
+      occurredAt: payload.occurredAt ? new Date(payload.occurredAt) : new Date(),
+      paymentFilter: { transactionId: payload.transactionId }
+    };
+  },
+
+  queryStatus: async (payment) => {
+    const transaction = transactions.get(payment.transactionId);
+    if (!transaction) return { status: 'pending', amount: 0 };
+    return { status: transaction.status, amount: transaction.amount };
+  },
+
+  refund: async (payment, amount) => {
+    const transaction = transactions.get(payment.transactionId);
+    if (!transaction || transaction.status !== 'paid') {
+      throw createError(400, 'FAKE_TRANSACTION_UNPAID');
+    }
+    transaction.refunded += amount;
+    return { status: 'succeeded', reference: `FAKE-REFUND-${Date.now()}` };
+  },
+
+  /**
+   * Giả lập người mua thanh toán / hủy trên cổng giả, trả về webhook đã ký để gửi tới /payments/fake/webhook
+   * @param {String} transactionId
+   * @param {String} status - "paid" | "failed"
+   * @param {Number} [amount] - Mặc định bằng số tiền của giao dịch
+   */
+  simulate: (transactionId, status, amount) => {
+    const transaction = transactions.get(transactionId);
+    if (!transaction) {
+      throw createError(404, 'FAKE_TRANSACTION_NOT_FOUND');
+    }
+    transaction.status = status;
+    const payload = { transactionId, amount: amount === undefined ? transaction.amount : amount, status };
+    return { headers: { 'x-fake-signature': sign(payload) }, payload };
+  },
+
+  reset: () => transactions.clear()
+};
@@ -0,0 +1,59 @@
+// paymentProviders/index.js
+// Danh sách cổng thanh toán. Thêm cổng mới (MoMo, ZaloPay, VNPay...) = viết một adapter rồi đăng ký ở đây.
+//
+// Mỗi adapter là một object:
+//   method                 - giá trị lưu ở Payment.method
+//   online                 - true nếu người mua trả tiền qua cổng (có hạn thanh toán, cần đối soát)
+//   instant                - true nếu tiền được trừ ngay khi tạo (tín dụng, voucher); dùng để trả một phần đơn
+//   isConfigured()         - đủ biến môi trường để gọi cổng chưa
+//   createIntent({ payment, order, baseUrl, params }) -> { messageKey, data }
+//                          - tạo yêu cầu thanh toán cho payment.amount, có thể gán payment.transactionId
+//                            (cổng instant có thể giảm payment.amount về số tiền thực trừ); lỗi ném bằng createError.
+//                            messageKey là khóa nhóm "messages" trong locales/*.js (nhận tham số {method})
+//   handleWebhook({ headers, rawBody, payload }) -> { status, eventId, reference, amount, occurredAt, paymentFilter, reason }
+//                          - xác thực và chuẩn hóa webhook; status là "paid" | "failed" | "ignored"
+//   queryStatus(payment)   -> { status: "pending" | "paid" | "failed", amount }
+//   refund(payment, amount, reason, refund) -> { status: "succeeded" | "pending" | "manual", reference }
+//   formatWebhookResponse(statusCode, message, payment)  (tùy chọn) - body trả về cho cổng, message đã dịch
+//   parseReturn(query)     (tùy chọn) - filter tìm Payment từ trang trả về của cổng
+const codProvider = require('./codProvider');
+const vietQRProvider = require('./vietQRProvider');
+const payosProvider = require('./payosProvider');
+const walletCreditProvider = require('./walletCreditProvider');
+const voucherProvider = require('./voucherProvider');
+const fakeProvider = require('./fakeProvider');
+
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.method, provider);
+};
+
+[codProvider, vietQRProvider, payosProvider, walletCreditProvider, voucherProvider].forEach(registerProvider);
+
+// Cổng giả chỉ bật khi chạy test hoặc được bật rõ ràng
+if (process.env.NODE_ENV === 'test' || process.env.PAYMENT_FAKE_PROVIDER === 'true') {
+  registerProvider(fakeProvider);
+}
+
+/**
+ * @param {String} method - Payment.method
+ * @returns {Object|null} Adapter hoặc null nếu không hỗ trợ
+ */
+const getProvider = (method) => providers.get(method) || null;
+
+const getMethods = () => Array.from(providers.keys());
+
+const getOnlineMethods = () =>
+  Array.from(providers.values()).filter(provider => provider.online).map(provider => provider.method);
+
+const getInstantMethods = () =>
+  Array.from(providers.values()).filter(provider => provider.instant).map(provider => provider.method);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getMethods,
+  getOnlineMethods,
+  getInstantMethods
+};
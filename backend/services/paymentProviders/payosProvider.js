@@ -0,0 +1,162 @@
+// payosProvider.js
+const axios = require('axios');
+const crypto = require('crypto');
+const createError = require('../../utils/createError');
+const safeEqual = require('../../utils/safeEqual');
+const logger = require('../../utils/logger');
+
+const PAYOS_API_URL = 'https://api-merchant.payos.vn/v2/payment-requests';
+
+const headers = () => ({
+  'x-client-id': process.env.PAYOS_CLIENT_ID,
+  'x-api-key': process.env.PAYOS_API_KEY,
+  'Content-Type': 'application/json'
+});
+
+const sortObject = (value) =>
+  Object.keys(value)
+    .sort()
+    .reduce((sorted, key) => ({ ...sorted, [key]: value[key] }), {});
+
+/**
+ * Chuỗi ký theo tài liệu PayOS: các trường của data sắp theo key, nối dạng key=value&...
+ */
+const buildSignatureData = (data) =>
+  Object.keys(data)
+    .sort()
+    .map((key) => {
+      let value = data[key];
+      if (value === null || value === undefined || value === 'null' || value === 'undefined') {
+        value = '';
+      } else if (Array.isArray(value)) {
+        value = JSON.stringify(value.map((entry) => (entry && typeof entry === 'object' ? sortObject(entry) : entry)));
+      } else if (typeof value === 'object') {
+        value = JSON.stringify(sortObject(value));
+      }
+      return `${key}=${value}`;
+    })
+    .join('&');
+
+const sign = (raw) =>
+  crypto.createHmac('sha256', process.env.PAYOS_CHECKSUM_KEY).update(raw).digest('hex');
+
+const verifySignature = (data, signature) => {
+  if (!process.env.PAYOS_CHECKSUM_KEY || !signature) return false;
+  return safeEqual(sign(buildSignatureData(data)), signature);
+};
+
+// PayOS gửi thời gian theo giờ Việt Nam, dạng "YYYY-MM-DD HH:mm:ss"
+const parsePayOSTime = (value) =>
+  value ? new Date(`${String(value).replace(' ', 'T')}+07:00`) : null;
+
+/**
+ * Hỏi PayOS thông tin của một yêu cầu thanh toán
+ * @param {String} orderCode - Mã orderCode đã gửi cho PayOS (lưu ở Payment.transactionId)
+ */
+const fetchPayment = async (orderCode) => {
+  const response = await axios.get(`${PAYOS_API_URL}/${orderCode}`, { headers: headers() });
+  if (response.data.code !== '00' || !response.data.data) {
+    throw new Error(`PayOS status query failed: ${response.data.desc}`);
+  }
+  return response.data.data;
+};
+
+module.exports = {
+  method: 'PayOS',
+  online: true,
+
+  isConfigured: () =>
+    Boolean(process.env.PAYOS_CLIENT_ID && process.env.PAYOS_API_KEY && process.env.PAYOS_CHECKSUM_KEY),
+
+  createIntent: async ({ payment, order, baseUrl }) => {
+    if (!module.exports.isConfigured()) {
+      logger.error('Thiếu cấu hình PayOS. Vui lòng kiểm tra các biến môi trường PAYOS_CLIENT_ID, PAYOS_API_KEY, PAYOS_CHECKSUM_KEY');
+      throw createError(500, 'PAYMENT_GATEWAY_NOT_CONFIGURED', { gateway: 'PayOS' });
+    }
+
+    const returnUrl = `${baseUrl}/api/v1/buyers/payments/payos/callback`;
+    const cancelUrl = `${baseUrl}/api/v1/buyers/payments/payos/cancel`;
+
+    // orderCode phải là số nguyên dương, description tối đa 25 ký tự
+    const orderCode = Date.now();
+    const description = `Thanh toán #${orderCode % 10000}`;
+    const amount = Math.round(payment.amount);
+
+    const paymentData = {
+      orderCode,
+      amount,
+      description,
+      returnUrl,
+      cancelUrl,
+      expiredAt: Math.floor(payment.expiresAt.getTime() / 1000), // Link PayOS hết hạn cùng lúc với đơn
+      signature: sign(`amount=${amount}&cancelUrl=${cancelUrl}&description=${description}&orderCode=${orderCode}&returnUrl=${returnUrl}`)
+    };
+
+    // Lưu orderCode vào payment để có thể tra cứu sau này
+    payment.transactionId = orderCode.toString();
+    await payment.save();
+
+    let responseData;
+    try {
+      const response = await axios.post(PAYOS_API_URL, paymentData, { headers: headers() });
+      responseData = response.data;
+    } catch (apiError) {
+      logger.error('Lỗi gọi API PayOS:', apiError.response ? apiError.response.data : apiError.message);
+      throw createError(502, 'PAYMENT_GATEWAY_UNREACHABLE', { gateway: 'PayOS' });
+    }
+
+    if (responseData.code !== '00') {
+      throw createError(500, 'PAYMENT_GATEWAY_REJECTED', { gateway: 'PayOS', reason: responseData.desc });
+    }
+    if (!responseData.data || !responseData.data.checkoutUrl) {
+      throw createError(500, 'PAYMENT_GATEWAY_BAD_RESPONSE', { gateway: 'PayOS' });
+    }
+
+    return {
+      messageKey: 'PAYMENT_REQUEST_CREATED',
+      data: { paymentUrl: responseData.data.checkoutUrl }
+    };
+  },
+
+  handleWebhook: async ({ payload }) => {
+    const { data, signature } = payload || {};
+    if (!data || !signature) {
+      throw createError(400, 'WEBHOOK_PAYLOAD_INVALID');
+    }
+    if (!verifySignature(data, signature)) {
+      throw createError(401, 'WEBHOOK_SIGNATURE_INVALID');
+    }
+
+    return {
+      status: payload.code === '00' && data.code === '00' ? 'paid' : 'ignored',
+      reason: data.desc,
+      eventId: data.reference || `${data.orderCode}:${data.paymentLinkId}`,
+      reference: data.reference,
+      amount: data.amount,
+      occurredAt: parsePayOSTime(data.transactionDateTime),
+      paymentFilter: { transactionId: String(data.orderCode) }
+    };
+  },
+
+  // Trang trả về / hủy: query string không có chữ ký, chỉ dùng để tìm thanh toán
+  parseReturn: (query) => {
+    if (!query.orderCode) {
+      throw createError(400, 'ORDER_CODE_REQUIRED');
+    }
+    return { transactionId: String(query.orderCode) };
+  },
+
+  queryStatus: async (payment) => {
+    const data = await fetchPayment(payment.transactionId);
+    const status = data.status === 'PAID'
+      ? 'paid'
+      : ['CANCELLED', 'EXPIRED'].includes(data.status) ? 'failed' : 'pending';
+    return { status, amount: data.amountPaid };
+  },
+
+  // PayOS không có API hoàn tiền: hoàn bằng chuyển khoản thủ công
+  refund: async () => ({ status: 'manual', reference: null }),
+
+  buildSignatureData,
+  verifySignature
+};
@@ -0,0 +1,153 @@
+// vietQRProvider.js
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const createError = require('../../utils/createError');
+const safeEqual = require('../../utils/safeEqual');
+const logger = require('../../utils/logger');
+
+const VIETQR_API_URL = 'https://api.vietqr.io/v2/generate';
+const TOKEN_TTL_SECONDS = 300;
+const TOKEN_AUDIENCE = 'vietqr-transaction-sync';
+
+const getTokenSecret = () => process.env.VIETQR_WEBHOOK_SECRET || process.env.JWT_SECRET;
+
+const verifyToken = (authorization) => {
+  const [scheme, token] = (authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return false;
+  try {
+    jwt.verify(token, getTokenSecret(), { audience: TOKEN_AUDIENCE });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Lấy orderId từ trường orderId hoặc từ nội dung chuyển khoản (addInfo của mã QR)
+const extractOrderId = ({ orderId, content }) => {
+  if (orderId && mongoose.isValidObjectId(orderId)) return String(orderId);
+  const match = String(content || '').match(/[a-f0-9]{24}/i);
+  return match ? match[0] : null;
+};
+
+module.exports = {
+  method: 'VietQR',
+  online: true,
+
+  isConfigured: () =>
+    Boolean(process.env.BANK_ACCOUNT_NO && process.env.BANK_ACCOUNT_NAME && process.env.BANK_ACQ_ID &&
+      process.env.VIETQR_CLIENT_ID && process.env.VIETQR_API_KEY),
+
+  createIntent: async ({ payment, order }) => {
+    if (!module.exports.isConfigured()) {
+      logger.error('Thiếu cấu hình VietQR. Vui lòng kiểm tra các biến môi trường BANK_* và VIETQR_*');
+      throw createError(500, 'PAYMENT_GATEWAY_NOT_CONFIGURED', { gateway: 'VietQR' });
+    }
+
+    // Nội dung chuyển khoản là orderId để đối chiếu giao dịch
+    payment.transactionId = order._id.toString();
+    await payment.save();
+
+    let responseData;
+    try {
+      const response = await axios.post(VIETQR_API_URL, {
+        accountNo: process.env.BANK_ACCOUNT_NO,
+        accountName: process.env.BANK_ACCOUNT_NAME,
+        acqId: parseInt(process.env.BANK_ACQ_ID),
+        amount: Math.round(payment.amount), // Số nguyên VND
+        addInfo: order._id.toString(),
+        format: 'text',
+        template: 'compact'
+      }, {
+        headers: {
+          'x-client-id': process.env.VIETQR_CLIENT_ID,
+          'x-api-key': process.env.VIETQR_API_KEY,
+          'Content-Type': 'application/json'
+        }
+      });
+      responseData = response.data;
+    } catch (apiError) {
+      logger.error('Lỗi gọi API VietQR:', apiError.response ? apiError.response.data : apiError.message);
+      throw createError(502, 'PAYMENT_GATEWAY_UNREACHABLE', { gateway: 'VietQR' });
+    }
+
+    if (responseData.code !== '00') {
+      throw createError(500, 'PAYMENT_GATEWAY_REJECTED', { gateway: 'VietQR', reason: responseData.desc });
+    }
+    if (!responseData.data || !responseData.data.qrDataURL) {
+      throw createError(500, 'PAYMENT_GATEWAY_BAD_RESPONSE', { gateway: 'VietQR' });
+    }
+
+    return {
+      messageKey: 'PAYMENT_REQUEST_CREATED',
+      data: { qrData: responseData.data }
+    };
+  },
+
+  /**
+   * Cấp access token cho VietQR (bước token_generate của luồng transaction-sync), xác thực bằng Basic auth
+   * @param {String} authorization - Header Authorization
+   */
+  issueToken: (authorization) => {
+    const username = process.env.VIETQR_WEBHOOK_USERNAME;
+    const password = process.env.VIETQR_WEBHOOK_PASSWORD;
+    if (!username || !password) {
+      throw createError(503, 'WEBHOOK_NOT_CONFIGURED');
+    }
+
+    const [scheme, encoded] = (authorization || '').split(' ');
+    if (scheme !== 'Basic' || !encoded) {
+      throw createError(401, 'WEBHOOK_CREDENTIALS_MISSING');
+    }
+    const [givenUsername, ...rest] = Buffer.from(encoded, 'base64').toString().split(':');
+    if (!safeEqual(givenUsername, username) || !safeEqual(rest.join(':'), password)) {
+      throw createError(401, 'WEBHOOK_CREDENTIALS_INVALID');
+    }
+
+    const accessToken = jwt.sign({ sub: givenUsername }, getTokenSecret(), {
+      audience: TOKEN_AUDIENCE,
+      expiresIn: TOKEN_TTL_SECONDS
+    });
+    return { access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS };
+  },
+
+  // Giao dịch VietQR đẩy về (transaction-sync)
+  handleWebhook: async ({ headers, payload = {} }) => {
+    if (!verifyToken(headers.authorization)) {
+      throw createError(401, 'TOKEN_INVALID');
+    }
+
+    const { bankaccount, amount, transType, transactionid, transactiontime, referencenumber } = payload;
+    if (!transactionid || amount === undefined || !transactiontime) {
+      throw createError(400, 'WEBHOOK_PAYLOAD_INVALID');
+    }
+    if (process.env.BANK_ACCOUNT_NO && bankaccount && String(bankaccount) !== process.env.BANK_ACCOUNT_NO) {
+      throw createError(400, 'PAYMENT_ACCOUNT_MISMATCH');
+    }
+
+    const orderId = extractOrderId(payload);
+    return {
+      status: transType && transType !== 'C' ? 'ignored' : 'paid',
+      reason: transType && transType !== 'C' ? 'Giao dịch ghi nợ' : undefined,
+      eventId: String(transactionid),
+      reference: referencenumber || transactionid,
+      amount: Number(amount),
+      occurredAt: new Date(Number(transactiontime)),
+      paymentFilter: orderId ? { orderId } : null
+    };
+  },
+
+  // Phản hồi theo định dạng VietQR yêu cầu
+  formatWebhookResponse: (statusCode, message, payment) => ({
+    error: statusCode >= 400,
+    errorReason: statusCode >= 400 ? `E${statusCode}` : null,
+    toastMessage: message,
+    object: payment ? { reftransactionid: payment._id } : null
+  }),
+
+  // VietQR không có API tra cứu cho mã QR tĩnh: chỉ cập nhật qua webhook
+  queryStatus: async (payment) => ({ status: payment.status, amount: payment.amount }),
+
+  // Hoàn tiền chuyển khoản thủ công
+  refund: async () => ({ status: 'manual', reference: null })
+};
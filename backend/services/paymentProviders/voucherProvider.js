@@ -0,0 +1,68 @@
+// voucherProvider.js
+// Trả bằng voucher mệnh giá cố định (thẻ quà tặng): dùng ngay một lượt voucher, phần còn lại trả bằng hình thức khác
+const { Voucher } = require('../../models');
+const createError = require('../../utils/createError');
+const { creditBuyer } = require('../walletService');
+
+module.exports = {
+  method: 'Voucher',
+  online: false,
+  instant: true,
+
+  isConfigured: () => true,
+
+  createIntent: async ({ payment, order, params = {} }) => {
+    const code = params.voucherCode && String(params.voucherCode).trim();
+    if (!code) {
+      throw createError(400, 'VOUCHER_CODE_REQUIRED');
+    }
+
+    const now = new Date();
+    // Giữ một lượt dùng theo điều kiện để hai thanh toán đồng thời không dùng vượt giới hạn
+    const voucher = await Voucher.findOneAndUpdate(
+      {
+        code,
+        discountType: 'fixed',
+        isActive: true,
+        expirationDate: { $gt: now },
+        minOrderValue: { $lte: order.totalPrice },
+        $expr: { $lt: ['$usedCount', '$usageLimit'] }
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+    if (!voucher) {
+      throw createError(400, 'VOUCHER_UNAVAILABLE');
+    }
+    // Lưu lại để hook pre-save cập nhật isActive
+    await voucher.save();
+
+    payment.amount = Math.min(voucher.discount, Math.round(payment.amount));
+    payment.transactionId = voucher.code;
+    await payment.save();
+
+    return {
+      messageKey: 'PAYMENT_PAID_BY_VOUCHER',
+      data: { voucherCode: voucher.code, voucherValue: voucher.discount }
+    };
+  },
+
+  handleWebhook: async () => {
+    throw createError(404, 'PAYMENT_WEBHOOK_UNSUPPORTED', { method: 'voucher' });
+  },
+
+  queryStatus: async (payment) => ({ status: payment.status, amount: payment.amount }),
+
+  // Lượt voucher đã dùng không trả lại được, hoàn phần tiền tương ứng vào tín dụng
+  refund: async (payment, amount, reason, refund) => {
+    await creditBuyer(payment.userId, amount, {
+      key: `refund:${refund ? refund._id : `${payment._id}:${Date.now()}`}:credit`,
+      type: 'refund',
+      description: reason || 'Hoàn tiền voucher về tín dụng',
+      orderId: payment.orderId,
+      paymentId: payment._id,
+      refundId: refund ? refund._id : null
+    });
+    return { status: 'succeeded', reference: `CREDIT-REFUND-${payment._id}` };
+  }
+};
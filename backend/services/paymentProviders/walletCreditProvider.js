@@ -0,0 +1,50 @@
+// walletCreditProvider.js
+// Trả bằng tín dụng của người mua: trừ ngay khi tạo thanh toán, phần còn lại trả bằng hình thức khác
+const createError = require('../../utils/createError');
+const { getBuyerCredit, spendBuyerCredit, creditBuyer } = require('../walletService');
+
+module.exports = {
+  method: 'WalletCredit',
+  online: false,
+  instant: true,
+
+  isConfigured: () => true,
+
+  createIntent: async ({ payment }) => {
+    // Dùng tối đa số dư hiện có, không vượt số tiền cần trả
+    const available = await getBuyerCredit(payment.userId);
+    const amount = Math.min(available, Math.round(payment.amount));
+    if (amount <= 0) {
+      throw createError(400, 'CREDIT_UNAVAILABLE', { available });
+    }
+
+    payment.amount = amount;
+    payment.transactionId = `CREDIT-${payment._id}`;
+    await payment.save();
+    await spendBuyerCredit(payment.userId, amount, payment);
+
+    return {
+      messageKey: 'PAYMENT_PAID_BY_CREDIT',
+      data: { creditUsed: amount, creditRemaining: available - amount }
+    };
+  },
+
+  handleWebhook: async () => {
+    throw createError(404, 'PAYMENT_WEBHOOK_UNSUPPORTED', { method: 'wallet_credit' });
+  },
+
+  queryStatus: async (payment) => ({ status: payment.status, amount: payment.amount }),
+
+  // Hoàn lại vào tín dụng
+  refund: async (payment, amount, reason, refund) => {
+    await creditBuyer(payment.userId, amount, {
+      key: `refund:${refund ? refund._id : `${payment._id}:${Date.now()}`}:credit`,
+      type: 'refund',
+      description: reason || 'Hoàn tiền về tín dụng',
+      orderId: payment.orderId,
+      paymentId: payment._id,
+      refundId: refund ? refund._id : null
+    });
+    return { status: 'succeeded', reference: `CREDIT-REFUND-${payment._id}` };
+  }
+};
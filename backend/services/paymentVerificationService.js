@@ -0,0 +1,252 @@
+// paymentVerificationService.js
+const { Payment, Order } = require("../models");
+const { markOrderPaid } = require("./orderLifecycle");
+const { cancelOrderItems } = require("./orderService");
+const { getProvider, getOnlineMethods, getInstantMethods } = require("./paymentProviders");
+const createError = require("../utils/createError");
+const logger = require("../utils/logger");
+
+// Thời gian giữ hàng cho đơn thanh toán online chưa trả tiền
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 15;
+
+/**
+ * Thời điểm hết hạn thanh toán tính từ lúc tạo yêu cầu
+ * @param {Date} [from]
+ */
+const getPaymentExpiry = (from = new Date()) =>
+  new Date(from.getTime() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000);
+
+const PAID_STATUSES = ["paid", "partially_refunded", "refunded"];
+
+/**
+ * Tất cả các lần thanh toán của đơn và số tiền đã trả / đang chờ / còn thiếu
+ * @param {String} orderId
+ * @param {Object} [options] - { session }
+ * @returns {Promise<{ payments, totalPrice, paidAmount, pendingAmount, remainingAmount }>}
+ */
+const getOrderPayments = async (orderId, { session } = {}) => {
+  const order = await Order.findById(orderId, "totalPrice").session(session || null);
+  const payments = await Payment.find({ orderId }).sort({ createdAt: 1 }).session(session || null);
+  const sum = (statuses) => payments
+    .filter((payment) => statuses.includes(payment.status))
+    .reduce((total, payment) => total + payment.amount, 0);
+
+  const totalPrice = order ? order.totalPrice : 0;
+  const paidAmount = sum(PAID_STATUSES);
+  const pendingAmount = sum(["pending"]);
+  return {
+    payments,
+    totalPrice,
+    paidAmount,
+    pendingAmount,
+    remainingAmount: Math.max(0, Math.round(totalPrice - paidAmount - pendingAmount)),
+  };
+};
+
+/**
+ * Cập nhật đơn hàng sau khi thanh toán thành công: khi các lần thanh toán đã trả đủ tổng tiền,
+ * đơn cha, các đơn con và mặt hàng đang chờ chuyển sang "paid" để từng người bán xác nhận và giao hàng.
+ * @param {String} orderId - ID đơn hàng
+ * @param {Object} [actor] - Người xác nhận thanh toán, mặc định là hệ thống
+ * @returns {Promise<Object|null>} Đơn hàng, null nếu chưa trả đủ
+ */
+const updateOrderAfterPayment = async (orderId, actor) => {
+  const { totalPrice, paidAmount } = await getOrderPayments(orderId);
+  if (Math.round(paidAmount) < Math.round(totalPrice)) {
+    logger.info(`Order ${orderId} partially paid: ${paidAmount}/${totalPrice}`);
+    return null;
+  }
+
+  const order = await markOrderPaid(orderId, { actor });
+  logger.info(`Order ${orderId} marked as paid`);
+  return order;
+};
+
+/**
+ * Tiền về cho lần thanh toán không còn hiệu lực: đã bị hủy / thay thế, hoặc đã thất bại mà đơn không còn chờ
+ * thanh toán (đơn bị hủy do quá hạn). Khoản này không được ghi nhận mà để đối soát hoàn tiền.
+ * @param {Object} payment - Document Payment
+ * @returns {Promise<Boolean>}
+ */
+const isLatePayment = async (payment) => {
+  if (payment.status === "cancelled") return true;
+  if (payment.status !== "failed") return false;
+  const order = await Order.findById(payment.orderId, "status");
+  return !order || order.status !== "pending";
+};
+
+/**
+ * Ghi nhận thanh toán đã được cổng xác thực: số tiền phải khớp Payment.amount.
+ * Thanh toán đã thất bại chỉ được chuyển sang "paid" khi đơn vẫn còn chờ thanh toán.
+ * @param {Object} payment - Document Payment
+ * @param {Object} params
+ * @param {Number} params.amount - Số tiền cổng báo đã nhận
+ * @param {String} [params.transactionId] - Mã giao dịch phía cổng / ngân hàng
+ * @returns {Promise<Boolean>} true nếu lần này chuyển payment sang "paid"
+ */
+const confirmPayment = async (payment, { amount, transactionId }) => {
+  if (Math.round(Number(amount)) !== Math.round(payment.amount)) {
+    throw createError(400, 'PAYMENT_AMOUNT_MISMATCH', {
+      expected: Math.round(payment.amount),
+      received: amount,
+    });
+  }
+
+  if (payment.status === "failed" && (await isLatePayment(payment))) {
+    throw createError(409, "PAYMENT_ORDER_CLOSED");
+  }
+
+  // Chỉ một tiến trình được chuyển pending/failed -> paid
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["pending", "failed"] } },
+    {
+      $set: {
+        status: "paid",
+        paidAt: new Date(),
+        ...(transactionId ? { gatewayTransactionId: String(transactionId) } : {}),
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return false;
+
+  payment.status = updated.status;
+  payment.paidAt = updated.paidAt;
+  await updateOrderAfterPayment(payment.orderId);
+  return true;
+};
+
+/**
+ * Hỏi cổng thanh toán trạng thái thực tế của một thanh toán đang chờ và cập nhật theo đó
+ * @param {Object} payment - Document Payment
+ * @returns {Promise<String>} Trạng thái payment sau khi đồng bộ
+ */
+const syncPaymentStatus = async (payment) => {
+  const provider = getProvider(payment.method);
+  if (!provider || !provider.online || !provider.isConfigured() || !payment.transactionId) {
+    return payment.status;
+  }
+
+  const { status, amount } = await provider.queryStatus(payment);
+  if (status === "paid") {
+    await confirmPayment(payment, { amount });
+  } else if (status === "failed" && payment.status === "pending") {
+    payment.status = "failed";
+    await payment.save();
+  }
+  return payment.status;
+};
+
+/**
+ * Kiểm tra các thanh toán online đang chờ và cập nhật theo trạng thái thực tế từ cổng thanh toán
+ */
+const verifyPendingPayments = async () => {
+  try {
+    const pendingPayments = await Payment.find({
+      method: { $in: getOnlineMethods() },
+      status: "pending",
+      transactionId: { $exists: true },
+    });
+
+    for (const payment of pendingPayments) {
+      try {
+        await syncPaymentStatus(payment);
+      } catch (error) {
+        logger.error(`Failed to verify payment ${payment._id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    logger.error("Error verifying pending payments:", error);
+  }
+};
+
+// Mỗi lượt chỉ xét tối đa số đơn này (lượt sau xử lý tiếp)
+const EXPIRE_BATCH_SIZE = 200;
+
+/**
+ * Lần thanh toán đã quá hạn (thanh toán tạo trước khi có expiresAt tính từ lúc tạo)
+ */
+const isPaymentExpired = (payment, now) => (payment.expiresAt
+  ? payment.expiresAt <= now
+  : payment.createdAt <= new Date(now.getTime() - PAYMENT_TIMEOUT_MINUTES * 60 * 1000));
+
+/**
+ * Đơn đã quá hạn thanh toán: có lần trả qua cổng online quá hạn mà chưa trả, hoặc tín dụng / voucher đã trừ
+ * mà phần còn lại không được thanh toán đúng hạn; và không còn lần thanh toán đang chờ nào chưa hết hạn
+ * (COD, hoặc người mua vừa tạo lại thanh toán)
+ * @param {Array<Object>} payments - Mọi lần thanh toán của đơn
+ * @param {Date} [now]
+ * @returns {Boolean}
+ */
+const isOrderPaymentExpired = (payments, now = new Date()) => {
+  const onlineMethods = getOnlineMethods();
+  const instantMethods = getInstantMethods();
+
+  const expired = payments.some((payment) =>
+    (onlineMethods.includes(payment.method) && ["pending", "failed"].includes(payment.status) &&
+      isPaymentExpired(payment, now)) ||
+    (instantMethods.includes(payment.method) && payment.status === "paid" &&
+      payment.expiresAt && payment.expiresAt <= now)
+  );
+  const waiting = payments.some((payment) => payment.status === "pending" &&
+    (!onlineMethods.includes(payment.method) || !isPaymentExpired(payment, now)));
+  return expired && !waiting;
+};
+
+/**
+ * Hủy các đơn thanh toán online quá hạn mà chưa trả tiền: hoàn kho, trả lượt voucher
+ * và đánh dấu thanh toán thất bại. Chỉ xét đơn còn chờ thanh toán; đơn còn lần thanh toán đang chờ
+ * chưa hết hạn (COD, hoặc người mua vừa tạo lại thanh toán) thì giữ nguyên.
+ */
+const expireUnpaidOrders = async () => {
+  const now = new Date();
+  try {
+    // Hạn thanh toán tính từ lần thanh toán đầu tiên nên đơn chưa quá thời gian giữ hàng thì chưa cần xét
+    const orders = await Order.find(
+      { status: "pending", createdAt: { $lte: new Date(now.getTime() - PAYMENT_TIMEOUT_MINUTES * 60 * 1000) } },
+      "_id"
+    )
+      .sort({ createdAt: 1 })
+      .limit(EXPIRE_BATCH_SIZE);
+    const payments = await Payment.find({ orderId: { $in: orders.map((order) => order._id) } });
+
+    for (const order of orders) {
+      const orderId = order._id;
+      try {
+        const orderPayments = payments.filter((payment) => payment.orderId.equals(orderId));
+        if (!isOrderPaymentExpired(orderPayments, now)) continue;
+
+        // Người mua có thể vừa trả tiền nhưng webhook chưa tới: hỏi lại cổng trước khi hủy
+        let paid = false;
+        for (const payment of orderPayments.filter((item) => item.status === "pending")) {
+          if ((await syncPaymentStatus(payment)) === "paid") paid = true;
+        }
+        if (paid) continue;
+
+        await cancelOrderItems({
+          orderId,
+          reason: `Quá ${PAYMENT_TIMEOUT_MINUTES} phút chưa thanh toán`,
+          paymentStatus: "failed",
+        });
+        logger.info(`Order ${orderId} cancelled after payment timeout`);
+      } catch (error) {
+        logger.error(`Failed to expire order ${orderId}:`, error.message);
+      }
+    }
+  } catch (error) {
+    logger.error("Error expiring unpaid orders:", error);
+  }
+};
+
+module.exports = {
+  PAYMENT_TIMEOUT_MINUTES,
+  getPaymentExpiry,
+  getOrderPayments,
+  isLatePayment,
+  confirmPayment,
+  syncPaymentStatus,
+  updateOrderAfterPayment,
+  isOrderPaymentExpired,
+  verifyPendingPayments,
+  expireUnpaidOrders,
+};
@@ -0,0 +1,166 @@
+// paymentWebhookService.js
+// Luồng xử lý chung cho webhook của mọi cổng thanh toán: lưu log, xác thực qua adapter,
+// chống phát lại, kiểm tra thời gian và số tiền rồi ghi nhận thanh toán
+const { Payment, WebhookLog } = require("../models");
+const { confirmPayment, syncPaymentStatus, isLatePayment } = require("./paymentVerificationService");
+const createError = require("../utils/createError");
+const logger = require("../utils/logger");
+
+// Sự kiện lệch quá ngưỡng này so với giờ server bị coi là cũ / phát lại
+const WEBHOOK_TOLERANCE_MINUTES = parseInt(process.env.WEBHOOK_TOLERANCE_MINUTES) || 15;
+const REDACTED_HEADERS = ["authorization", "cookie"];
+
+const isStale = (eventTime) => {
+  const time = eventTime instanceof Date ? eventTime.getTime() : Number(eventTime);
+  if (!Number.isFinite(time)) return true;
+  return Math.abs(Date.now() - time) > WEBHOOK_TOLERANCE_MINUTES * 60 * 1000;
+};
+
+/**
+ * Lưu nguyên văn webhook nhận được (ẩn các header nhạy cảm)
+ */
+const createLog = (provider, endpoint, { headers = {}, rawBody, payload }) => {
+  const safeHeaders = { ...headers };
+  REDACTED_HEADERS.forEach((name) => {
+    if (safeHeaders[name]) safeHeaders[name] = "[redacted]";
+  });
+  return WebhookLog.create({ provider, endpoint, headers: safeHeaders, rawBody, payload });
+};
+
+const finishLog = async (log, outcome, reason) => {
+  log.outcome = outcome;
+  log.reason = reason;
+  // Lỗi hệ thống thì nhả khóa để cổng gửi lại vẫn được xử lý
+  if (outcome === "error") log.dedupeKey = undefined;
+  await log.save();
+};
+
+/**
+ * Giữ quyền xử lý một sự kiện; false nếu sự kiện đã được xử lý trước đó (replay)
+ */
+const claimEvent = async (log, eventId) => {
+  log.eventId = eventId;
+  log.dedupeKey = `${log.provider}:${eventId}`;
+  try {
+    await log.save();
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    log.dedupeKey = undefined;
+    return false;
+  }
+};
+
+// Body phản hồi cho cổng, theo định dạng riêng của adapter nếu có
+const respond = (provider, statusCode, message, payment) => ({
+  statusCode,
+  body: provider.formatWebhookResponse
+    ? provider.formatWebhookResponse(statusCode, message, payment)
+    : { success: statusCode < 400, message, status: payment ? payment.status : undefined },
+});
+
+/**
+ * Chạy handler và luôn ghi kết quả vào log; lỗi nghiệp vụ (statusCode) trả về cho cổng,
+ * lỗi khác được ghi lại rồi ném tiếp
+ */
+const runWithLog = async (provider, log, handler) => {
+  try {
+    const { outcome, reason, result } = await handler();
+    await finishLog(log, outcome, reason);
+    return result;
+  } catch (error) {
+    if (error.statusCode) {
+      if (error.statusCode === 401) log.signatureValid = false;
+      await finishLog(log, "rejected", error.message);
+      return respond(provider, error.statusCode, error.message);
+    }
+    await finishLog(log, "error", error.message);
+    throw error;
+  }
+};
+
+/**
+ * Xử lý webhook của một cổng thanh toán
+ * @param {Object} provider - Adapter trong services/paymentProviders
+ * @param {Object} params - { headers, rawBody, payload }
+ * @returns {Promise<{ statusCode, body }>}
+ */
+const processWebhook = async (provider, params) => {
+  const log = await createLog(provider.method, `${provider.method}/webhook`, params);
+
+  return runWithLog(provider, log, async () => {
+    const event = await provider.handleWebhook(params);
+    log.signatureValid = true;
+    log.amount = event.amount;
+
+    if (event.status === "ignored") {
+      return { outcome: "ignored", reason: event.reason, result: respond(provider, 200, "Ignored") };
+    }
+
+    // Một đơn có thể có nhiều lần thanh toán cùng cổng: lấy lần mới nhất
+    const payment = event.paymentFilter
+      && (await Payment.findOne({ method: provider.method, ...event.paymentFilter }).sort({ createdAt: -1 }));
+    if (!payment) {
+      // Cổng thường gửi một webhook thử khi đăng ký URL; giao dịch thật không khớp thanh toán nào sẽ được đối soát
+      return { outcome: "orphaned", reason: "Không tìm thấy thanh toán", result: respond(provider, 200, "Ignored") };
+    }
+    log.paymentId = payment._id;
+
+    if (isStale(event.occurredAt)) {
+      throw createError(400, "WEBHOOK_EVENT_STALE");
+    }
+
+    if (!(await claimEvent(log, event.eventId))) {
+      return { outcome: "duplicate", reason: "Sự kiện đã được xử lý", result: respond(provider, 200, "Already processed", payment) };
+    }
+
+    // Người mua trả tiền cho lần thanh toán đã bị thay thế hoặc đơn đã hủy: không ghi nhận, để đối soát hoàn tiền
+    if (event.status === "paid" && (await isLatePayment(payment))) {
+      return { outcome: "orphaned", reason: "Thanh toán đã bị hủy, thay thế hoặc đơn đã hủy", result: respond(provider, 200, "Payment cancelled", payment) };
+    }
+
+    let reason;
+    if (event.status === "paid") {
+      const applied = await confirmPayment(payment, { amount: event.amount, transactionId: event.reference });
+      if (!applied) reason = "Thanh toán đã được ghi nhận trước đó";
+    } else if (event.status === "failed" && payment.status === "pending") {
+      payment.status = "failed";
+      await payment.save();
+    }
+
+    logger.info(`${provider.method} webhook ${event.eventId} processed for payment ${payment._id}`);
+    return { outcome: "processed", reason, result: respond(provider, 200, "Webhook processed", payment) };
+  });
+};
+
+/**
+ * Trang trả về / hủy của cổng: query string không được ký nên luôn hỏi lại cổng trước khi cập nhật
+ * @param {Object} provider - Adapter có parseReturn
+ * @param {Object} params - { headers, query }
+ * @returns {Promise<{ statusCode, body }>}
+ */
+const processReturn = async (provider, { headers, query }) => {
+  const log = await createLog(provider.method, `${provider.method}/return`, { headers, payload: query });
+
+  return runWithLog(provider, log, async () => {
+    const payment = await Payment.findOne({ method: provider.method, ...provider.parseReturn(query) }).sort({ createdAt: -1 });
+    if (!payment) {
+      throw createError(404, "PAYMENT_NOT_FOUND");
+    }
+    log.paymentId = payment._id;
+
+    const previous = payment.status;
+    if (["pending", "failed"].includes(previous)) {
+      await syncPaymentStatus(payment);
+    }
+    return {
+      outcome: payment.status !== previous ? "processed" : "ignored",
+      result: respond(provider, 200, "Payment status checked", payment),
+    };
+  });
+};
+
+module.exports = {
+  processWebhook,
+  processReturn,
+};
@@ -0,0 +1,321 @@
+// reconciliationService.js
+// Đối soát thanh toán: hỏi lại cổng cho các thanh toán đang chờ, so số tiền với đơn hàng và hoàn tiền,
+// phát hiện giao dịch không khớp thanh toán nào và đơn đã trả tiền nhưng chưa được xử lý
+const { Payment, Order, Refund, WebhookLog, ReconciliationIssue } = require('../models');
+const { verifyPendingPayments } = require('./paymentVerificationService');
+const { SYSTEM_ACTOR } = require('./orderLifecycle');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Chỉ đối soát các thanh toán / webhook phát sinh trong khoảng này
+const RECONCILE_LOOKBACK_DAYS = parseInt(process.env.RECONCILE_LOOKBACK_DAYS) || 7;
+// Đơn đã thanh toán mà người bán chưa xử lý quá số giờ này bị đánh dấu
+const RECONCILE_FULFILLMENT_HOURS = parseInt(process.env.RECONCILE_FULFILLMENT_HOURS) || 48;
+
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const COMMITTED_REFUND_STATUSES = ['pending', 'processing', 'awaiting_transfer', 'succeeded'];
+
+// Kết quả lần chạy gần nhất, hiển thị trong báo cáo
+let lastRun = null;
+
+/**
+ * Ghi nhận một sai lệch; sai lệch đã ghi (kể cả đã xử lý) không bị ghi lại
+ * @returns {Promise<Boolean>} true nếu là sai lệch mới
+ */
+const flagIssue = async ({ key, ...fields }) => {
+  const dedupeKey = `${fields.type}:${key}`;
+  const result = await ReconciliationIssue.updateOne(
+    { dedupeKey },
+    { $setOnInsert: { ...fields, dedupeKey } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+/**
+ * Tổng tiền hoàn theo từng thanh toán
+ */
+const sumRefundsByPayment = async (paymentIds, statuses) => {
+  const rows = await Refund.aggregate([
+    { $match: { paymentId: { $in: paymentIds }, status: { $in: statuses } } },
+    { $group: { _id: '$paymentId', amount: { $sum: '$amount' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.amount]));
+};
+
+/**
+ * So tổng các lần thanh toán của đơn với Order.totalPrice và Payment.refundedAmount với các Refund thành công
+ */
+const checkPaymentAmounts = async (since) => {
+  const recent = await Payment.find({ updatedAt: { $gte: since } }, 'orderId').lean();
+  const orderIds = [...new Set(recent.map(payment => payment.orderId.toString()))];
+  const payments = await Payment.find({
+    orderId: { $in: orderIds },
+    status: { $in: ['pending', ...PAID_STATUSES] }
+  }).lean();
+  const orders = await Order.find({ _id: { $in: orderIds } }, 'totalPrice').lean();
+  const orderMap = new Map(orders.map(order => [order._id.toString(), order]));
+  const paid = payments.filter(payment => PAID_STATUSES.includes(payment.status));
+  const refunded = await sumRefundsByPayment(paid.map(payment => payment._id), ['succeeded']);
+
+  // Gom các lần thanh toán (tín dụng, voucher, COD, cổng online...) theo đơn
+  const byOrder = new Map();
+  payments.forEach(payment => {
+    const key = payment.orderId.toString();
+    byOrder.set(key, [...(byOrder.get(key) || []), payment]);
+  });
+
+  let flagged = 0;
+  for (const [orderId, tenders] of byOrder) {
+    const order = orderMap.get(orderId);
+    if (!order) {
+      for (const payment of tenders) {
+        if (await flagIssue({ key: payment._id, type: 'orphaned_transaction', paymentId: payment._id, orderId: payment.orderId, provider: payment.method, actual: payment.amount, message: 'Thanh toán không gắn với đơn hàng nào' })) flagged++;
+      }
+      continue;
+    }
+
+    // Hủy một phần đơn COD chưa thu tiền sẽ giảm Payment.amount, nên đơn còn thanh toán chờ chỉ lệch khi vượt tổng đơn
+    const expected = Math.round(order.totalPrice);
+    const amount = Math.round(tenders.reduce((sum, payment) => sum + payment.amount, 0));
+    const hasPending = tenders.some(payment => payment.status === 'pending');
+    const mismatch = hasPending ? amount > expected : amount !== expected;
+    if (mismatch && await flagIssue({
+      key: orderId,
+      type: 'amount_mismatch',
+      orderId: order._id,
+      paymentId: tenders[tenders.length - 1]._id,
+      provider: tenders.map(payment => payment.method).join('+'),
+      expected,
+      actual: amount,
+      message: 'Tổng các lần thanh toán lệch tổng tiền đơn hàng'
+    })) {
+      flagged++;
+    }
+
+    for (const payment of tenders.filter(tender => PAID_STATUSES.includes(tender.status))) {
+      const succeeded = refunded.get(payment._id.toString()) || 0;
+      const recorded = payment.refundedAmount || 0;
+      if (succeeded !== recorded && await flagIssue({ key: `${payment._id}:${recorded}`, type: 'refund_mismatch', paymentId: payment._id, orderId: payment.orderId, provider: payment.method, expected: succeeded, actual: recorded, message: 'Số tiền đã hoàn lệch tổng các lần hoàn thành công' })) {
+        flagged++;
+      }
+    }
+  }
+  return flagged;
+};
+
+/**
+ * Webhook hợp lệ bị từ chối vì cổng báo số tiền khác thanh toán, và giao dịch không khớp thanh toán nào
+ */
+const checkWebhooks = async (since) => {
+  let flagged = 0;
+
+  const rejected = await WebhookLog.find({
+    createdAt: { $gte: since },
+    outcome: 'rejected',
+    signatureValid: true,
+    paymentId: { $ne: null },
+    amount: { $exists: true }
+  }).populate('paymentId', 'amount orderId');
+  for (const log of rejected) {
+    const payment = log.paymentId;
+    if (!payment || Math.round(log.amount) === Math.round(payment.amount)) continue;
+    if (await flagIssue({
+      key: `webhook:${log._id}`,
+      type: 'amount_mismatch',
+      paymentId: payment._id,
+      orderId: payment.orderId,
+      webhookLogId: log._id,
+      provider: log.provider,
+      expected: Math.round(payment.amount),
+      actual: log.amount,
+      message: 'Cổng báo số tiền khác số tiền cần thanh toán'
+    })) flagged++;
+  }
+
+  const orphaned = await WebhookLog.find({ createdAt: { $gte: since }, outcome: 'orphaned', amount: { $gt: 0 } });
+  for (const log of orphaned) {
+    if (await flagIssue({
+      key: log._id,
+      type: 'orphaned_transaction',
+      webhookLogId: log._id,
+      paymentId: log.paymentId,
+      provider: log.provider,
+      actual: log.amount,
+      message: log.reason || 'Cổng báo giao dịch nhưng không khớp thanh toán nào'
+    })) flagged++;
+  }
+
+  return flagged;
+};
+
+/**
+ * Số tiền còn phải hoàn cho đơn đã hủy / bị từ chối (0 nếu không có)
+ */
+const getUnrefundedAmount = async (orderId) => {
+  const payments = await Payment.find({ orderId, status: { $in: PAID_STATUSES } }).lean();
+  if (payments.length === 0) return { payment: null, remaining: 0 };
+  const committed = await sumRefundsByPayment(payments.map(payment => payment._id), COMMITTED_REFUND_STATUSES);
+  const remaining = payments.reduce(
+    (sum, payment) => sum + payment.amount - (committed.get(payment._id.toString()) || 0),
+    0
+  );
+  return { payment: payments[0], remaining };
+};
+
+/**
+ * Đơn đã trả tiền nhưng người bán chưa xử lý quá lâu, và đơn đã hủy / từ chối mà tiền chưa được hoàn
+ */
+const checkPaidOrders = async (since) => {
+  let flagged = 0;
+  const cutoff = new Date(Date.now() - RECONCILE_FULFILLMENT_HOURS * 60 * 60 * 1000);
+
+  const unfulfilled = await Order.find({ status: 'paid', updatedAt: { $lte: cutoff } }, '_id').lean();
+  const payments = await Payment.find({ orderId: { $in: unfulfilled.map(order => order._id) }, status: 'paid' }).lean();
+  for (const payment of payments) {
+    if (await flagIssue({
+      key: payment.orderId,
+      type: 'paid_unfulfilled',
+      paymentId: payment._id,
+      orderId: payment.orderId,
+      provider: payment.method,
+      actual: payment.amount,
+      message: `Đã thanh toán nhưng chưa được xử lý sau ${RECONCILE_FULFILLMENT_HOURS} giờ`
+    })) flagged++;
+  }
+
+  const closed = await Order.find({ status: { $in: ['cancelled', 'rejected'] }, updatedAt: { $gte: since } }, '_id status').lean();
+  for (const order of closed) {
+    const { payment, remaining } = await getUnrefundedAmount(order._id);
+    if (remaining <= 0) continue;
+    if (await flagIssue({
+      key: order._id,
+      type: 'paid_cancelled',
+      paymentId: payment._id,
+      orderId: order._id,
+      provider: payment.method,
+      expected: 0,
+      actual: remaining,
+      message: `Đơn ${order.status === 'rejected' ? 'bị từ chối' : 'đã hủy'} nhưng còn ${remaining} chưa hoàn`
+    })) flagged++;
+  }
+
+  return flagged;
+};
+
+/**
+ * Tự đóng các sai lệch về đơn hàng đã được xử lý kể từ lần chạy trước
+ */
+const autoResolveOrderIssues = async () => {
+  const issues = await ReconciliationIssue.find({ status: 'open', type: { $in: ['paid_unfulfilled', 'paid_cancelled'] } });
+  let resolved = 0;
+  for (const issue of issues) {
+    const settled = issue.type === 'paid_unfulfilled'
+      ? !(await Order.exists({ _id: issue.orderId, status: 'paid' }))
+      : (await getUnrefundedAmount(issue.orderId)).remaining <= 0;
+    if (!settled) continue;
+
+    issue.status = 'resolved';
+    issue.resolvedAt = new Date();
+    issue.resolutionNote = 'Tự động đóng khi đối soát lại';
+    await issue.save();
+    resolved++;
+  }
+  return resolved;
+};
+
+/**
+ * Chạy một lượt đối soát đầy đủ
+ * @returns {Promise<Object>} { startedAt, finishedAt, detected, autoResolved }
+ */
+const runReconciliation = async () => {
+  const startedAt = new Date();
+  const since = new Date(startedAt.getTime() - RECONCILE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  // Cập nhật các thanh toán đang chờ theo cổng trước khi so sánh
+  await verifyPendingPayments();
+
+  const detected = {
+    payments: await checkPaymentAmounts(since),
+    webhooks: await checkWebhooks(since),
+    orders: await checkPaidOrders(since)
+  };
+  const autoResolved = await autoResolveOrderIssues();
+
+  lastRun = { startedAt, finishedAt: new Date(), detected, autoResolved };
+  const total = detected.payments + detected.webhooks + detected.orders;
+  if (total > 0) {
+    logger.warn(`Payment reconciliation flagged ${total} new issues`);
+  }
+  return lastRun;
+};
+
+/**
+ * Báo cáo đối soát cho admin: thống kê theo loại / trạng thái và danh sách sai lệch
+ * @param {Object} [filters] - { status, type, page, limit }
+ */
+const getReconciliationReport = async ({ status = 'open', type, page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (status !== 'all') query.status = status;
+  if (type) query.type = type;
+
+  const [summaryRows, issues, total] = await Promise.all([
+    ReconciliationIssue.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 }, amount: { $sum: '$actual' } } }
+    ]),
+    ReconciliationIssue.find(query)
+      .populate('orderId', 'status totalPrice buyerId')
+      .populate('paymentId', 'method status amount refundedAmount')
+      .populate('resolvedBy', 'username')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    ReconciliationIssue.countDocuments(query)
+  ]);
+
+  const summary = {};
+  summaryRows.forEach(row => {
+    const entry = summary[row._id.type] || { open: 0, resolved: 0, openAmount: 0 };
+    entry[row._id.status] = row.count;
+    if (row._id.status === 'open') entry.openAmount = row.amount;
+    summary[row._id.type] = entry;
+  });
+
+  return {
+    lastRun,
+    summary,
+    issues,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page)
+  };
+};
+
+/**
+ * Admin đánh dấu đã xử lý một sai lệch
+ * @param {String} issueId
+ * @param {Object} params - { note, actor }
+ */
+const resolveIssue = async (issueId, { note, actor = SYSTEM_ACTOR }) => {
+  const issue = await ReconciliationIssue.findOneAndUpdate(
+    { _id: issueId, status: 'open' },
+    { $set: { status: 'resolved', resolvedAt: new Date(), resolvedBy: actor.userId || null, resolutionNote: note } },
+    { new: true }
+  );
+  if (!issue) {
+    throw createError(404, 'RECONCILIATION_ISSUE_NOT_OPEN');
+  }
+  return issue;
+};
+
+module.exports = {
+  RECONCILE_LOOKBACK_DAYS,
+  RECONCILE_FULFILLMENT_HOURS,
+  checkPaymentAmounts,
+  checkWebhooks,
+  checkPaidOrders,
+  autoResolveOrderIssues,
+  runReconciliation,
+  getReconciliationReport,
+  resolveIssue
+};
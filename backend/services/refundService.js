@@ -0,0 +1,270 @@
+// refundService.js
+// Tạo và thực hiện hoàn tiền: qua cổng thanh toán nếu hỗ trợ, nếu không thì chờ chuyển khoản thủ công
+const mongoose = require('mongoose');
+const { Refund, Payment, OrderItem } = require('../models');
+const { getProvider } = require('./paymentProviders');
+const { getItemPaidAmount } = require('./sellerOrderService');
+const { debitRefund } = require('./walletService');
+const { SYSTEM_ACTOR } = require('./orderLifecycle');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+// Các khoản đã hoàn hoặc đang hoàn, tính vào hạn mức còn lại
+const COMMITTED_REFUND_STATUSES = ['pending', 'processing', 'awaiting_transfer', 'succeeded'];
+
+const sumCommitted = async (filter, session) => {
+  const refunds = await Refund.find({ ...filter, status: { $in: COMMITTED_REFUND_STATUSES } }, 'amount')
+    .session(session || null);
+  return refunds.reduce((sum, refund) => sum + refund.amount, 0);
+};
+
+const refundMethodOf = (provider) => {
+  if (!provider) return 'manual';
+  if (provider.instant) return 'credit';
+  return provider.online ? 'gateway' : 'manual';
+};
+
+// Hạn mức được tính và Refund được tạo trong cùng transaction
+const createRefundInSession = async ({ orderId, orderItemId, amount, cap = false, source, sourceId, reason, actor = SYSTEM_ACTOR, session }) => {
+  const payments = await Payment.find({ orderId, status: { $in: REFUNDABLE_PAYMENT_STATUSES } })
+    .sort({ createdAt: 1 })
+    .session(session || null);
+  if (payments.length === 0) {
+    throw createError(400, 'REFUND_NOTHING_PAID');
+  }
+  // Ghi vào các thanh toán để hai lần hoàn tiền đồng thời xung đột với nhau, lần sau được thử lại với hạn mức mới
+  await Payment.updateMany(
+    { _id: { $in: payments.map(payment => payment._id) } },
+    { $set: { updatedAt: new Date() } },
+    { session }
+  );
+
+  const tenders = [];
+  for (const payment of payments) {
+    const provider = getProvider(payment.method);
+    const remaining = payment.amount - (await sumCommitted({ paymentId: payment._id }, session));
+    if (remaining > 0) tenders.push({ payment, provider, remaining });
+  }
+  tenders.sort((a, b) => Number(Boolean(a.provider && a.provider.instant)) - Number(Boolean(b.provider && b.provider.instant)));
+
+  let limit = tenders.reduce((sum, tender) => sum + tender.remaining, 0);
+  let fullAmount = payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+  if (orderItemId) {
+    const orderItem = await OrderItem.findOne({ _id: orderItemId, orderId }).session(session || null);
+    if (!orderItem) {
+      throw createError(404, 'ORDER_ITEM_NOT_FOUND');
+    }
+    fullAmount = await getItemPaidAmount(orderItem, session);
+    limit = Math.min(limit, fullAmount - (await sumCommitted({ orderItemId }, session)));
+  }
+
+  let refundAmount = amount === undefined || amount === null ? limit : Math.round(Number(amount));
+  if (cap) refundAmount = Math.min(refundAmount, limit);
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw createError(400, 'REFUND_AMOUNT_INVALID');
+  }
+  if (refundAmount > limit) {
+    throw createError(400, 'REFUND_AMOUNT_EXCEEDED', { limit });
+  }
+
+  const type = refundAmount >= fullAmount ? 'full' : 'partial';
+  const docs = [];
+  let left = refundAmount;
+  for (const { payment, provider, remaining } of tenders) {
+    if (left <= 0) break;
+    const part = Math.min(left, remaining);
+    left -= part;
+    docs.push({
+      paymentId: payment._id,
+      orderId,
+      orderItemId: orderItemId || null,
+      amount: part,
+      type,
+      reason,
+      source,
+      sourceId: sourceId || null,
+      method: refundMethodOf(provider),
+      provider: payment.method,
+      requestedBy: actor.userId || null
+    });
+  }
+
+  return Refund.create(docs, { session, ordered: true });
+};
+
+/**
+ * Tạo yêu cầu hoàn tiền (chưa thực hiện). Số tiền không vượt quá phần còn lại của các thanh toán / mặt hàng.
+ * Đơn trả bằng nhiều hình thức được chia thành nhiều Refund: hoàn qua cổng / tiền mặt trước, tín dụng / voucher sau.
+ * @param {Object} params
+ * @param {String} params.orderId
+ * @param {String} [params.orderItemId] - Bỏ trống để hoàn theo cả đơn
+ * @param {Number} [params.amount] - Bỏ trống để hoàn toàn bộ phần còn lại
+ * @param {Boolean} [params.cap] - Tự giảm số tiền về hạn mức thay vì báo lỗi
+ * @param {String} params.source - cancellation | return | dispute | manual
+ * @param {String} [params.sourceId]
+ * @param {String} [params.reason]
+ * @param {Object} [params.actor]
+ * @param {Object} [params.session] - MongoDB session khi chạy trong transaction của bên gọi, bỏ trống để tự mở transaction
+ * @returns {Promise<Array>} Các Refund đã tạo
+ */
+const createRefund = async (params) => {
+  if (params.session) return createRefundInSession(params);
+
+  const session = await mongoose.startSession();
+  try {
+    let refunds;
+    await session.withTransaction(async () => {
+      refunds = await createRefundInSession({ ...params, session });
+    });
+    return refunds;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Cộng số tiền đã hoàn vào Payment và cập nhật trạng thái refunded / partially_refunded
+ */
+const applyToPayment = async (refund, session) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: refund.paymentId },
+    { $inc: { refundedAmount: refund.amount } },
+    { new: true, session }
+  );
+  const status = payment.refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded';
+  if (payment.status !== status) {
+    payment.status = status;
+    await payment.save({ session });
+  }
+  return payment;
+};
+
+/**
+ * Đánh dấu hoàn tiền thành công (cổng xác nhận hoặc admin xác nhận đã chuyển khoản)
+ * @param {Object} refund - Document Refund
+ * @param {Object} [options] - { reference, actor }
+ */
+const completeRefund = async (refund, { reference, actor = SYSTEM_ACTOR } = {}) => {
+  // Trạng thái, số tiền đã hoàn của Payment và bút toán trừ ví người bán cùng thành công hoặc cùng thất bại;
+  // chỉ một tiến trình được chuyển sang "succeeded" để không cộng tiền hai lần
+  const session = await mongoose.startSession();
+  try {
+    let updated;
+    await session.withTransaction(async () => {
+      updated = await Refund.findOneAndUpdate(
+        { _id: refund._id, status: { $in: ['pending', 'processing', 'awaiting_transfer'] } },
+        {
+          $set: {
+            status: 'succeeded',
+            processedAt: new Date(),
+            processedBy: actor.userId || null,
+            ...(reference ? { providerReference: reference } : {})
+          }
+        },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw createError(409, 'REFUND_NOT_COMPLETABLE', { status: refund.status });
+      }
+
+      await applyToPayment(updated, session);
+      await debitRefund(updated, { session });
+    });
+    logger.info(`Refund ${updated._id} succeeded: ${updated.amount}`);
+    return updated;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Thực hiện hoàn tiền qua adapter của cổng thanh toán
+ * @param {Object} refund - Document Refund ở trạng thái pending
+ */
+const executeRefund = async (refund) => {
+  if (refund.status !== 'pending') return refund;
+
+  const payment = await Payment.findById(refund.paymentId);
+  const provider = getProvider(payment.method);
+  let result;
+  try {
+    result = provider
+      ? await provider.refund(payment, refund.amount, refund.reason, refund)
+      : { status: 'manual', reference: null };
+  } catch (error) {
+    logger.error(`Refund ${refund._id} failed:`, error.message);
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+    await refund.save();
+    return refund;
+  }
+
+  if (result.status === 'succeeded') {
+    try {
+      return await completeRefund(refund, { reference: result.reference });
+    } catch (error) {
+      // Cổng đã hoàn tiền: giữ "processing" để admin hoàn tất lại, không đánh dấu thất bại vì thử lại sẽ hoàn hai lần
+      logger.error(`Refund ${refund._id} refunded by provider but not recorded:`, error.message);
+      refund.method = 'gateway';
+      refund.status = 'processing';
+      refund.providerReference = result.reference || undefined;
+      await refund.save();
+      throw error;
+    }
+  }
+
+  refund.method = result.status === 'manual' ? 'manual' : 'gateway';
+  refund.status = result.status === 'manual' ? 'awaiting_transfer' : 'processing';
+  refund.providerReference = result.reference || undefined;
+  await refund.save();
+  return refund;
+};
+
+/**
+ * Thực hiện lại một lần hoàn tiền thất bại
+ */
+const retryRefund = async (refund) => {
+  if (refund.status !== 'failed') {
+    throw createError(400, 'REFUND_NOT_RETRYABLE');
+  }
+  refund.status = 'pending';
+  refund.failureReason = undefined;
+  await refund.save();
+  return executeRefund(refund);
+};
+
+/**
+ * Thực hiện lần lượt các Refund vừa tạo
+ */
+const executeRefunds = async (refunds) => {
+  const results = [];
+  let failure = null;
+  for (const refund of refunds) {
+    try {
+      results.push(await executeRefund(refund));
+    } catch (error) {
+      // Vẫn thực hiện các Refund còn lại rồi mới báo lỗi
+      failure = failure || error;
+      results.push(refund);
+    }
+  }
+  if (failure) throw failure;
+  return results;
+};
+
+/**
+ * Tạo rồi thực hiện ngay hoàn tiền (dùng ngoài transaction)
+ * @returns {Promise<Array>} Các Refund sau khi thực hiện
+ */
+const issueRefund = async (params) => executeRefunds(await createRefund(params));
+
+module.exports = {
+  createRefund,
+  executeRefund,
+  executeRefunds,
+  completeRefund,
+  retryRefund,
+  issueRefund
+};
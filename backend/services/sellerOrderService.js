@@ -0,0 +1,121 @@
+// sellerOrderService.js
+const { Order, OrderItem, SellerOrder } = require('../models');
+
+// Phí vận chuyển cho mỗi đơn con (mỗi người bán giao riêng)
+const SHIPPING_FEE_PER_SELLER = parseInt(process.env.SHIPPING_FEE_PER_SELLER) || 0;
+
+/**
+ * Chia các dòng hàng theo người bán và phân bổ giảm giá theo tỷ lệ tạm tính
+ * @param {Array} lines - [{ product, quantity, unitPrice }]
+ * @param {Number} discount - Tổng giảm giá của đơn
+ * @returns {Array} [{ sellerId, lines, subtotal, discountAmount, shippingFee, totalPrice }]
+ */
+const planSellerOrders = (lines, discount = 0) => {
+  const groups = new Map();
+  for (const line of lines) {
+    const sellerId = line.product.sellerId.toString();
+    if (!groups.has(sellerId)) {
+      groups.set(sellerId, { sellerId, lines: [], subtotal: 0 });
+    }
+    const group = groups.get(sellerId);
+    group.lines.push(line);
+    group.subtotal += line.unitPrice * line.quantity;
+  }
+
+  const plans = Array.from(groups.values());
+  const subtotal = plans.reduce((sum, plan) => sum + plan.subtotal, 0);
+  const appliedDiscount = Math.min(discount, subtotal);
+
+  // Đơn con cuối cùng nhận phần dư để tổng giảm giá khớp tuyệt đối
+  let allocated = 0;
+  plans.forEach((plan, index) => {
+    plan.discountAmount = index === plans.length - 1
+      ? appliedDiscount - allocated
+      : Math.round((appliedDiscount * plan.subtotal) / subtotal);
+    allocated += plan.discountAmount;
+    plan.shippingFee = SHIPPING_FEE_PER_SELLER;
+    plan.totalPrice = plan.subtotal - plan.discountAmount + plan.shippingFee;
+  });
+
+  return plans;
+};
+
+/**
+ * Tạo SellerOrder và OrderItem cho một đơn hàng đã được tạo
+ * @param {Object} order - Order cha
+ * @param {Array} plans - Kết quả của planSellerOrders
+ * @param {Object} [session] - MongoDB session khi chạy trong transaction
+ */
+const createSellerOrders = async (order, plans, session) => {
+  const sellerOrders = await SellerOrder.create(
+    plans.map(plan => ({
+      orderId: order._id,
+      sellerId: plan.sellerId,
+      subtotal: plan.subtotal,
+      discountAmount: plan.discountAmount,
+      shippingFee: plan.shippingFee,
+      totalPrice: plan.totalPrice,
+      status: 'pending'
+    })),
+    { session, ordered: true }
+  );
+
+  const orderItems = await OrderItem.create(
+    plans.flatMap((plan, index) =>
+      plan.lines.map(line => ({
+        orderId: order._id,
+        sellerOrderId: sellerOrders[index]._id,
+        productId: line.product._id,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        status: 'pending'
+      }))
+    ),
+    { session, ordered: true }
+  );
+
+  return { sellerOrders, orderItems };
+};
+
+/**
+ * Số tiền thực trả của các mặt hàng: trừ phần giảm giá phân bổ theo đơn con (hoặc theo đơn cha với đơn cũ),
+ * cộng phí vận chuyển của đơn con bị hủy toàn bộ
+ */
+const calculateItemsAmount = (items, order, sellerOrders) => {
+  const sellerOrderMap = new Map(sellerOrders.map(so => [so._id.toString(), so]));
+  const orderSubtotal = order.totalPrice + (order.discountAmount || 0);
+
+  let amount = 0;
+  for (const item of items) {
+    const line = item.unitPrice * item.quantity;
+    const sellerOrder = item.sellerOrderId && sellerOrderMap.get(item.sellerOrderId.toString());
+    const discount = sellerOrder
+      ? (sellerOrder.subtotal > 0 ? (line * sellerOrder.discountAmount) / sellerOrder.subtotal : 0)
+      : (orderSubtotal > 0 ? (line * (order.discountAmount || 0)) / orderSubtotal : 0);
+    amount += line - Math.round(discount);
+  }
+  const touched = new Set(items.filter(item => item.sellerOrderId).map(item => item.sellerOrderId.toString()));
+  sellerOrders
+    .filter(so => so.status === 'cancelled' && touched.has(so._id.toString()))
+    .forEach(so => { amount += so.shippingFee || 0; });
+  return amount;
+};
+
+/**
+ * Số tiền người mua phải trả cho một mặt hàng (sau giảm giá phân bổ).
+ * Không kiểm tra thanh toán thực tế; ghi doanh thu phải nhân thêm phần đơn đã trả (xem walletService)
+ */
+const getItemPaidAmount = async (orderItem, session) => {
+  const order = await Order.findById(orderItem.orderId).session(session || null);
+  const sellerOrders = orderItem.sellerOrderId
+    ? await SellerOrder.find({ _id: orderItem.sellerOrderId }).session(session || null)
+    : [];
+  return calculateItemsAmount([orderItem], order, sellerOrders);
+};
+
+module.exports = {
+  planSellerOrders,
+  createSellerOrders,
+  calculateItemsAmount,
+  getItemPaidAmount
+};
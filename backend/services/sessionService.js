@@ -0,0 +1,180 @@
+// sessionService.js
+// Phiên đăng nhập: access token JWT ngắn hạn + refresh token xoay vòng lưu phía server (chỉ lưu hash)
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { Session } = require('../models');
+const { isLocked } = require('./accountLockService');
+const createError = require('../utils/createError');
+const safeEqual = require('../utils/safeEqual');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Access token gắn với một phiên; authMiddleware từ chối khi phiên đã bị thu hồi
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user._id, username: user.username, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh token dạng <sessionId>.<chuỗi ngẫu nhiên>
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    throw createError(401, 'REFRESH_TOKEN_INVALID');
+  }
+  return { sessionId, secret };
+};
+
+const issueTokens = (user, session, secret) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id
+});
+
+/**
+ * Thiết bị và IP của request, lưu vào phiên để người dùng nhận ra
+ */
+const sessionContext = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+/**
+ * Tạo phiên mới khi đăng nhập
+ * @param {Object} user - Document User
+ * @param {Object} [context] - { userAgent, ip }
+ * @returns {Promise<{ token, refreshToken, expiresIn, sessionId }>}
+ */
+const createSession = async (user, { userAgent, ip } = {}) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(secret),
+    userAgent,
+    ip,
+    expiresAt: refreshExpiry()
+  });
+  return issueTokens(user, session, secret);
+};
+
+/**
+ * Đổi refresh token lấy cặp token mới. Refresh token cũ hết hiệu lực ngay;
+ * dùng lại token đã bị thay thế thì thu hồi cả phiên.
+ * @param {String} refreshToken
+ * @param {Object} [context] - { userAgent, ip }
+ */
+const refreshSession = async (refreshToken, { userAgent, ip } = {}) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const presentedHash = hashToken(secret);
+
+  const session = await Session.findById(sessionId).populate('userId', 'username role action lockedUntil');
+  if (!session || session.revokedAt || session.expiresAt <= new Date() || !session.userId) {
+    throw createError(401, 'SESSION_EXPIRED');
+  }
+  const user = session.userId;
+
+  if (!safeEqual(presentedHash, session.tokenHash)) {
+    if (session.previousTokenHash && safeEqual(presentedHash, session.previousTokenHash)) {
+      await revokeSession(session._id, { reason: 'token_reuse' });
+      logger.warn(`Refresh token reuse detected for session ${session._id}, session revoked`);
+    }
+    throw createError(401, 'REFRESH_TOKEN_INVALID');
+  }
+  if (isLocked(user)) {
+    await revokeSession(session._id, { reason: 'locked' });
+    throw createError(403, 'ACCOUNT_LOCKED');
+  }
+
+  // Chỉ một yêu cầu được xoay vòng với cùng token
+  const nextSecret = crypto.randomBytes(48).toString('hex');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextSecret),
+        previousTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...(userAgent ? { userAgent } : {}),
+        ...(ip ? { ip } : {})
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    throw createError(401, 'REFRESH_TOKEN_INVALID');
+  }
+  return issueTokens(user, rotated, nextSecret);
+};
+
+/**
+ * Thu hồi một phiên (chỉ trong phạm vi userId nếu truyền vào)
+ * @returns {Promise<Boolean>} true nếu có phiên bị thu hồi
+ */
+const revokeSession = async (sessionId, { userId, reason = 'revoked' } = {}) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.userId = userId;
+  const result = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Thu hồi mọi phiên của người dùng (đăng xuất mọi thiết bị, khóa tài khoản, đặt lại mật khẩu)
+ * @param {String} userId
+ * @param {Object} [options] - { exceptSessionId, reason }
+ * @returns {Promise<Number>} Số phiên bị thu hồi
+ */
+const revokeAllSessions = async (userId, { exceptSessionId, reason = 'logout_all' } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  if (result.modifiedCount > 0) {
+    logger.info(`Revoked ${result.modifiedCount} sessions of user ${userId} (${reason})`);
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Phiên còn hiệu lực của người dùng, phiên hiện tại được đánh dấu current
+ */
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+  return sessions.map(session => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+  }));
+};
+
+/**
+ * Phiên của access token còn hiệu lực không (dùng trong authMiddleware)
+ */
+const isSessionActive = (sessionId) =>
+  Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_DAYS,
+  sessionContext,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  isSessionActive
+};
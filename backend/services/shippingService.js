@@ -0,0 +1,329 @@
+// shippingService.js
+// Vận đơn và thu hộ COD: số tiền bưu tá phải thu, xác nhận thu tiền khi giao, xử lý giao thất bại / hoàn hàng
+// và đối soát tiền hãng vận chuyển chuyển lại cho người bán
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Order, OrderItem, SellerOrder, Product, Payment, ShippingInfo } = require('../models');
+const { transitionAll, syncOrderStatus, SYSTEM_ACTOR } = require('./orderLifecycle');
+const { confirmPayment } = require('./paymentVerificationService');
+const { creditOrderDeliveredItems } = require('./walletService');
+const { calculateItemsAmount } = require('./sellerOrderService');
+const { cancelOrderItems } = require('./orderService');
+const createError = require('../utils/createError');
+const safeEqual = require('../utils/safeEqual');
+const logger = require('../utils/logger');
+
+// Giao thất bại đủ số lần này thì hàng tự động được hoàn về người bán
+const COD_MAX_DELIVERY_ATTEMPTS = parseInt(process.env.COD_MAX_DELIVERY_ATTEMPTS) || 3;
+
+const SHIPPING_STATUSES = ['shipping', 'delivered', 'failed to ship'];
+const ACTIVE_ITEM_FILTER = { status: { $nin: ['cancelled', 'rejected'] } };
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+/**
+ * Các mặt hàng thuộc vận đơn (cả đơn con hoặc một mặt hàng lẻ với dữ liệu cũ)
+ */
+const getShipmentItems = (shippingInfo, filter = ACTIVE_ITEM_FILTER) => (shippingInfo.sellerOrderId
+  ? OrderItem.find({ sellerOrderId: shippingInfo.sellerOrderId, ...filter })
+  : OrderItem.find({ _id: shippingInfo.orderItemId, ...filter }));
+
+/**
+ * Người bán sở hữu vận đơn
+ * @returns {Promise<String|null>}
+ */
+const getShipmentSellerId = async (shippingInfo) => {
+  if (shippingInfo.sellerId) return shippingInfo.sellerId.toString();
+  if (shippingInfo.sellerOrderId) {
+    const sellerOrder = await SellerOrder.findById(shippingInfo.sellerOrderId, 'sellerId');
+    return sellerOrder ? sellerOrder.sellerId.toString() : null;
+  }
+  const orderItem = await OrderItem.findById(shippingInfo.orderItemId, 'productId');
+  const product = orderItem && await Product.findById(orderItem.productId, 'sellerId');
+  return product ? product.sellerId.toString() : null;
+};
+
+/**
+ * Số tiền bưu tá phải thu cho vận đơn: giá trị các mặt hàng (cộng phí ship của đơn con)
+ * nhân với tỷ lệ phần đơn còn trả bằng COD (người mua có thể đã trả trước một phần bằng hình thức khác)
+ */
+const calculateCodAmount = async (shippingInfo, items) => {
+  const order = await Order.findById(shippingInfo.orderId);
+  const payments = await Payment.find({ orderId: shippingInfo.orderId });
+  const codPending = payments
+    .filter(payment => payment.method === 'COD' && payment.status === 'pending')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  if (!order || codPending <= 0 || items.length === 0) return 0;
+
+  const prepaid = payments
+    .filter(payment => payment.method !== 'COD' && PAID_STATUSES.includes(payment.status))
+    .reduce((sum, payment) => sum + payment.amount - (payment.refundedAmount || 0), 0);
+
+  const sellerOrders = shippingInfo.sellerOrderId ? await SellerOrder.find({ _id: shippingInfo.sellerOrderId }) : [];
+  const value = calculateItemsAmount(items, order, sellerOrders) +
+    sellerOrders.reduce((sum, sellerOrder) => sum + (sellerOrder.shippingFee || 0), 0);
+
+  // Không thu quá phần COD chưa được giao cho các vận đơn khác của cùng đơn hàng
+  const assigned = await ShippingInfo.find({
+    orderId: shippingInfo.orderId,
+    _id: { $ne: shippingInfo._id },
+    codStatus: { $in: ['pending', 'failed', 'collected', 'remitted'] }
+  }, 'codAmount');
+  const unassigned = codPending - assigned.reduce((sum, info) => sum + info.codAmount, 0);
+
+  return Math.max(0, Math.min(Math.round((value * codPending) / (codPending + prepaid)), unassigned));
+};
+
+/**
+ * Gắn người bán, đơn hàng và số tiền thu hộ vào vận đơn mới tạo / gửi lại rồi lưu
+ * @param {Object} shippingInfo - Document ShippingInfo
+ */
+const prepareShipment = async (shippingInfo) => {
+  const items = await getShipmentItems(shippingInfo);
+  if (!shippingInfo.orderId && items.length > 0) shippingInfo.orderId = items[0].orderId;
+  if (!shippingInfo.sellerId) shippingInfo.sellerId = await getShipmentSellerId(shippingInfo);
+
+  if (['none', 'pending', 'failed'].includes(shippingInfo.codStatus) && shippingInfo.orderId) {
+    shippingInfo.codAmount = await calculateCodAmount(shippingInfo, items);
+    shippingInfo.codStatus = shippingInfo.codAmount > 0 ? 'pending' : 'none';
+  }
+  await shippingInfo.save();
+  return shippingInfo;
+};
+
+/**
+ * Khi mọi mặt hàng của đơn đã giao và mọi vận đơn COD đã thu tiền thì ghi nhận thanh toán COD
+ * và ghi doanh thu đã tạm hoãn cho người bán
+ */
+const settleCodPayments = async (orderId) => {
+  const pendingItems = await OrderItem.exists({
+    orderId,
+    status: { $nin: ['cancelled', 'rejected', 'delivered', 'completed', 'returned'] }
+  });
+  const uncollected = await ShippingInfo.exists({ orderId, codStatus: { $in: ['pending', 'failed'] } });
+  if (pendingItems || uncollected) return [];
+
+  const payments = await Payment.find({ orderId, method: 'COD', status: 'pending' });
+  for (const payment of payments) {
+    await confirmPayment(payment, { amount: payment.amount });
+    logger.info(`COD payment ${payment._id} collected for order ${orderId}`);
+  }
+  if (payments.length > 0) await creditOrderDeliveredItems(orderId);
+  return payments;
+};
+
+/**
+ * Hoàn hàng về người bán sau khi giao thất bại: hủy các mặt hàng, trả tồn kho
+ * và giảm / hoàn thanh toán tương ứng (qua luồng hủy đơn chung)
+ * @param {Object} shippingInfo - Document ShippingInfo ở trạng thái "failed to ship"
+ * @param {Object} [options] - { actor, reason }
+ */
+const returnToSender = async (shippingInfo, { actor = SYSTEM_ACTOR, reason } = {}) => {
+  if (shippingInfo.status !== 'failed to ship') {
+    throw createError(400, 'SHIPMENT_NOT_RETURNABLE');
+  }
+  const items = await getShipmentItems(shippingInfo, { status: 'failed to ship' });
+  if (items.length === 0) {
+    throw createError(400, 'SHIPMENT_NO_ITEMS_TO_RETURN');
+  }
+
+  const note = reason || shippingInfo.failureReason || 'Giao hàng thất bại, hoàn về người bán';
+  const result = await cancelOrderItems({
+    orderId: items[0].orderId,
+    itemIds: items.map(item => item._id),
+    reason: note,
+    actor,
+    allowedStatuses: ['failed to ship']
+  });
+
+  if (shippingInfo.codStatus !== 'none') shippingInfo.codStatus = 'returned';
+  await shippingInfo.save();
+  logger.info(`Shipment ${shippingInfo._id} returned to sender, ${items.length} items restocked`);
+  return { shippingInfo, ...result };
+};
+
+/**
+ * Cập nhật trạng thái vận đơn và các mặt hàng của nó.
+ * Giao thành công với vận đơn COD cần số tiền thu được khớp codAmount; giao thất bại quá số lần cho phép thì hoàn hàng.
+ * @param {Object} shippingInfo - Document ShippingInfo
+ * @param {String} status - shipping | delivered | failed to ship
+ * @param {Object} [options]
+ * @param {Object} [options.actor]
+ * @param {Number} [options.collectedAmount] - Số tiền bưu tá báo đã thu (mặc định bằng codAmount)
+ * @param {String} [options.reason] - Lý do giao thất bại
+ * @returns {Promise<{ shippingInfo, items, returned }>}
+ */
+const updateShipmentStatus = async (shippingInfo, status, { actor = SYSTEM_ACTOR, collectedAmount, reason } = {}) => {
+  if (!SHIPPING_STATUSES.includes(status)) {
+    throw createError(400, 'SHIPPING_STATUS_INVALID', { values: SHIPPING_STATUSES.join(', ') });
+  }
+
+  const collectsCod = status === 'delivered' && ['pending', 'failed'].includes(shippingInfo.codStatus);
+  if (collectsCod && collectedAmount !== undefined && collectedAmount !== null &&
+    Math.round(Number(collectedAmount)) !== Math.round(shippingInfo.codAmount)) {
+    throw createError(400, 'COD_AMOUNT_MISMATCH', {
+      expected: shippingInfo.codAmount,
+      received: collectedAmount
+    });
+  }
+
+  const retrying = status === 'shipping' && shippingInfo.status === 'failed to ship';
+  const items = await getShipmentItems(shippingInfo, { status: { $nin: ['rejected', 'cancelled', status] } });
+  // đơn COD chưa xác nhận đi qua "processing"
+  await transitionAll(items, status, { actor, viaPath: status === 'shipping', note: reason });
+
+  shippingInfo.status = status;
+  if (collectsCod) {
+    shippingInfo.codStatus = 'collected';
+    shippingInfo.collectedAmount = shippingInfo.codAmount;
+    shippingInfo.collectedAt = new Date();
+  } else if (status === 'failed to ship') {
+    shippingInfo.failureReason = reason;
+    if (shippingInfo.codStatus === 'pending') shippingInfo.codStatus = 'failed';
+  } else if (retrying) {
+    shippingInfo.deliveryAttempts += 1;
+    shippingInfo.failureReason = undefined;
+  }
+
+  if (retrying) {
+    await prepareShipment(shippingInfo);
+  } else {
+    await shippingInfo.save();
+  }
+
+  const orderId = shippingInfo.orderId || (items[0] && items[0].orderId);
+  if (orderId) await syncOrderStatus(orderId);
+  if (collectsCod && orderId) await settleCodPayments(orderId);
+
+  let returned = null;
+  if (status === 'failed to ship' && shippingInfo.deliveryAttempts >= COD_MAX_DELIVERY_ATTEMPTS) {
+    returned = await returnToSender(shippingInfo, {
+      actor,
+      reason: `Giao thất bại ${shippingInfo.deliveryAttempts} lần, hoàn hàng về người bán`
+    });
+  }
+
+  return { shippingInfo, items, returned };
+};
+
+/**
+ * Tiền thu hộ hãng vận chuyển còn nợ người bán, theo từng hãng
+ * @param {String} sellerId
+ */
+const getCodRemittanceSummary = async (sellerId) => {
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+  const totals = await ShippingInfo.aggregate([
+    { $match: { sellerId: sellerObjectId, codStatus: { $in: ['pending', 'failed', 'collected', 'remitted'] } } },
+    {
+      $group: {
+        _id: { carrier: '$carrier', codStatus: '$codStatus' },
+        amount: { $sum: { $ifNull: ['$collectedAmount', '$codAmount'] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const carriers = {};
+  for (const { _id, amount, count } of totals) {
+    if (!carriers[_id.carrier]) {
+      carriers[_id.carrier] = { carrier: _id.carrier, toCollect: 0, owed: 0, remitted: 0, owedShipments: 0 };
+    }
+    const summary = carriers[_id.carrier];
+    if (_id.codStatus === 'collected') {
+      summary.owed += amount;
+      summary.owedShipments += count;
+    } else if (_id.codStatus === 'remitted') {
+      summary.remitted += amount;
+    } else {
+      summary.toCollect += amount;
+    }
+  }
+
+  const outstanding = await ShippingInfo.find({ sellerId: sellerObjectId, codStatus: 'collected' })
+    .select('orderId sellerOrderId orderItemId carrier trackingNumber collectedAmount collectedAt')
+    .sort({ collectedAt: 1 })
+    .lean();
+
+  const byCarrier = Object.values(carriers);
+  return {
+    owed: byCarrier.reduce((sum, summary) => sum + summary.owed, 0),
+    byCarrier,
+    outstanding
+  };
+};
+
+/**
+ * Đánh dấu hãng vận chuyển đã chuyển tiền thu hộ cho người bán
+ * @param {Object} params
+ * @param {String} [params.sellerId] - Giới hạn theo người bán (bỏ trống khi admin / hãng vận chuyển xác nhận)
+ * @param {Array<String>} params.shippingInfoIds
+ * @param {String} [params.reference] - Mã chuyển khoản của hãng
+ */
+const markCodRemitted = async ({ sellerId, shippingInfoIds, reference }) => {
+  if (!Array.isArray(shippingInfoIds) || shippingInfoIds.length === 0 ||
+    !shippingInfoIds.every(id => mongoose.isValidObjectId(id))) {
+    throw createError(400, 'INVALID_ID', { field: 'shippingInfoIds' });
+  }
+
+  const filter = { _id: { $in: shippingInfoIds }, codStatus: 'collected' };
+  if (sellerId) filter.sellerId = sellerId;
+  const result = await ShippingInfo.updateMany(filter, {
+    $set: { codStatus: 'remitted', remittedAt: new Date(), ...(reference ? { remittanceReference: reference } : {}) }
+  });
+  if (result.modifiedCount === 0) {
+    throw createError(404, 'COD_NOTHING_TO_REMIT');
+  }
+  return ShippingInfo.find({ _id: { $in: shippingInfoIds } });
+};
+
+const signCarrierPayload = (rawBody) =>
+  crypto.createHmac('sha256', process.env.CARRIER_WEBHOOK_SECRET).update(rawBody || '').digest('hex');
+
+/**
+ * Webhook của hãng vận chuyển: bưu tá xác nhận giao / thu tiền, giao thất bại, hoàn hàng hoặc đã chuyển tiền thu hộ.
+ * Chữ ký là HMAC-SHA256 của body gốc với CARRIER_WEBHOOK_SECRET, gửi trong header x-carrier-signature.
+ * @param {Object} params - { headers, rawBody, payload }
+ */
+const handleCarrierWebhook = async ({ headers = {}, rawBody, payload = {} }) => {
+  if (!process.env.CARRIER_WEBHOOK_SECRET) {
+    throw createError(503, 'WEBHOOK_NOT_CONFIGURED');
+  }
+  if (!safeEqual(headers['x-carrier-signature'] || '', signCarrierPayload(rawBody))) {
+    throw createError(401, 'WEBHOOK_SIGNATURE_INVALID');
+  }
+
+  const { event, trackingNumber, carrier, collectedAmount, reason, reference } = payload;
+  const shippingInfo = await ShippingInfo.findOne({ trackingNumber, ...(carrier ? { carrier } : {}) });
+  if (!shippingInfo) {
+    throw createError(404, 'SHIPPING_INFO_NOT_FOUND');
+  }
+
+  const actor = SYSTEM_ACTOR;
+  switch (event) {
+    case 'delivered':
+      if (shippingInfo.status === 'delivered') return { shippingInfo };
+      return updateShipmentStatus(shippingInfo, 'delivered', { actor, collectedAmount });
+    case 'failed':
+      if (shippingInfo.status === 'failed to ship') return { shippingInfo };
+      return updateShipmentStatus(shippingInfo, 'failed to ship', { actor, reason });
+    case 'returned':
+      if (shippingInfo.codStatus === 'returned') return { shippingInfo };
+      return returnToSender(shippingInfo, { actor, reason });
+    case 'remitted':
+      if (shippingInfo.codStatus === 'remitted') return { shippingInfo };
+      return { shippingInfo: (await markCodRemitted({ shippingInfoIds: [shippingInfo._id], reference }))[0] };
+    default:
+      throw createError(400, 'CARRIER_EVENT_UNSUPPORTED', { event });
+  }
+};
+
+module.exports = {
+  COD_MAX_DELIVERY_ATTEMPTS,
+  SHIPPING_STATUSES,
+  getShipmentSellerId,
+  prepareShipment,
+  updateShipmentStatus,
+  returnToSender,
+  getCodRemittanceSummary,
+  markCodRemitted,
+  handleCarrierWebhook
+};
@@ -0,0 +1,242 @@
+// storeMemberService.js
+// Nhân viên cửa hàng: mời qua email, gán vai trò và xác định cửa hàng mà người dùng đang thao tác
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { User, Store, StoreMember } = require('../models');
+const { STORE_ROLES } = require('../config/permissions');
+const { isLocked } = require('./accountLockService');
+const { sendEmail } = require('./emailService');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const STORE_INVITE_DAYS = parseInt(process.env.STORE_INVITE_DAYS) || 7;
+const ALL_STORE_ROLES = Object.keys(STORE_ROLES);
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeRoles = (roles) => {
+  if (!Array.isArray(roles) || roles.length === 0) {
+    throw createError(400, 'STORE_ROLES_REQUIRED');
+  }
+  const invalid = roles.filter(role => !STORE_ROLES[role]);
+  if (invalid.length > 0) {
+    throw createError(400, 'STORE_ROLES_INVALID', { roles: invalid.join(', ') });
+  }
+  return [...new Set(roles)];
+};
+
+const findOwnedStore = async (ownerId) => {
+  const store = await Store.findOne({ sellerId: ownerId });
+  if (!store) {
+    throw createError(404, 'STORE_NOT_CREATED');
+  }
+  return store;
+};
+
+const ownerContext = (ownerId, store) => ({
+  storeId: store ? store._id.toString() : null,
+  sellerId: ownerId.toString(),
+  isOwner: true,
+  roles: ALL_STORE_ROLES
+});
+
+const memberContext = (member) => ({
+  storeId: member.storeId.toString(),
+  sellerId: (member.sellerId._id || member.sellerId).toString(),
+  isOwner: false,
+  roles: member.roles,
+  memberId: member._id.toString()
+});
+
+/**
+ * Xác định cửa hàng người dùng đang thao tác: cửa hàng của chính mình (seller) hoặc cửa hàng mình là nhân viên.
+ * Người là nhân viên của nhiều cửa hàng phải chọn bằng storeId (header X-Store-Id).
+ * @param {Object} user - req.user
+ * @param {String} [requestedStoreId]
+ * @returns {Promise<{ storeId, sellerId, isOwner, roles, memberId }>}
+ */
+const resolveStoreAccess = async (user, requestedStoreId) => {
+  if (requestedStoreId) {
+    if (!mongoose.isValidObjectId(requestedStoreId)) {
+      throw createError(400, 'INVALID_ID', { field: 'storeId' });
+    }
+    const store = await Store.findById(requestedStoreId);
+    if (!store) {
+      throw createError(404, 'STORE_NOT_FOUND');
+    }
+    if (store.sellerId.toString() === user.id && user.role === 'seller') {
+      return ownerContext(user.id, store);
+    }
+  } else if (user.role === 'seller') {
+    return ownerContext(user.id, await Store.findOne({ sellerId: user.id }));
+  }
+
+  const filter = { userId: user.id, status: 'active' };
+  if (requestedStoreId) filter.storeId = requestedStoreId;
+  const memberships = await StoreMember.find(filter).populate('sellerId', 'action lockedUntil');
+  if (memberships.length === 0) {
+    throw createError(403, 'STORE_ACCESS_DENIED');
+  }
+  if (memberships.length > 1) {
+    throw createError(400, 'STORE_SELECTION_REQUIRED', {
+      stores: memberships.map(member => member.storeId)
+    });
+  }
+
+  const member = memberships[0];
+  // Chủ cửa hàng bị khóa thì nhân viên cũng không thao tác được
+  if (!member.sellerId || isLocked(member.sellerId)) {
+    throw createError(403, 'STORE_SUSPENDED');
+  }
+  return memberContext(member);
+};
+
+/**
+ * Cửa hàng mà người dùng là nhân viên
+ */
+const listMyStores = async (userId) => {
+  const memberships = await StoreMember.find({ userId, status: 'active' })
+    .populate('storeId', 'storeName bannerImageURL status')
+    .lean();
+  return memberships.map(member => ({
+    memberId: member._id,
+    store: member.storeId,
+    roles: member.roles,
+    acceptedAt: member.acceptedAt
+  }));
+};
+
+/**
+ * Mời nhân viên bằng email (mời lại người đã bị xóa hoặc chưa chấp nhận sẽ cấp token mới)
+ * @param {String} ownerId
+ * @param {Object} params - { email, roles }
+ */
+const inviteMember = async (ownerId, { email, roles }) => {
+  const store = await findOwnedStore(ownerId);
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  if (!normalizedEmail) {
+    throw createError(400, 'EMAIL_REQUIRED');
+  }
+  const owner = await User.findById(ownerId).select('email username');
+  if (owner && owner.email.toLowerCase() === normalizedEmail) {
+    throw createError(400, 'STORE_INVITE_SELF');
+  }
+  const memberRoles = normalizeRoles(roles);
+
+  const existing = await StoreMember.findOne({ storeId: store._id, email: normalizedEmail });
+  if (existing && existing.status === 'active') {
+    throw createError(400, 'STORE_MEMBER_EXISTS');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const member = existing || new StoreMember({ storeId: store._id, sellerId: store.sellerId, email: normalizedEmail });
+  member.set({
+    roles: memberRoles,
+    status: 'invited',
+    userId: null,
+    inviteTokenHash: hashToken(token),
+    inviteExpiresAt: new Date(Date.now() + STORE_INVITE_DAYS * 24 * 60 * 60 * 1000),
+    invitedBy: ownerId,
+    acceptedAt: undefined,
+    removedAt: undefined
+  });
+  await member.save();
+
+  const baseUrl = process.env.FRONTEND_URL || process.env.BASE_URL || '';
+  try {
+    await sendEmail(
+      normalizedEmail,
+      `Lời mời tham gia cửa hàng ${store.storeName}`,
+      `Xin chào,\n\n${owner ? owner.username : 'Chủ cửa hàng'} mời bạn làm nhân viên cửa hàng ${store.storeName} ` +
+        `(${memberRoles.map(role => STORE_ROLES[role].label).join(', ')}).\n` +
+        `Đăng nhập bằng tài khoản dùng email này rồi bấm vào link sau (hết hạn sau ${STORE_INVITE_DAYS} ngày):\n` +
+        `${baseUrl}/store-invitations?token=${token}\n\nTrân trọng,\nShopii Team`
+    );
+  } catch (error) {
+    logger.error(`Failed to send store invitation ${member._id}: ${error.message}`);
+  }
+
+  member.inviteTokenHash = undefined;
+  return member;
+};
+
+/**
+ * Chấp nhận lời mời; email tài khoản phải trùng email được mời
+ * @param {String} token
+ * @param {String} userId
+ */
+const acceptInvitation = async (token, userId) => {
+  const member = await StoreMember.findOne({
+    inviteTokenHash: hashToken(token),
+    status: 'invited',
+    inviteExpiresAt: { $gt: new Date() }
+  });
+  if (!member) {
+    throw createError(400, 'STORE_INVITATION_INVALID');
+  }
+  const user = await User.findById(userId).select('email');
+  if (!user || user.email.toLowerCase() !== member.email) {
+    throw createError(403, 'STORE_INVITATION_EMAIL_MISMATCH');
+  }
+  if (member.sellerId.toString() === userId) {
+    throw createError(400, 'STORE_INVITATION_OWN_STORE');
+  }
+
+  member.set({ userId, status: 'active', acceptedAt: new Date(), inviteTokenHash: undefined, inviteExpiresAt: undefined });
+  await member.save();
+  logger.info(`User ${userId} joined store ${member.storeId} as ${member.roles.join(', ')}`);
+  return member;
+};
+
+/**
+ * Nhân viên và lời mời của cửa hàng
+ */
+const listMembers = async (ownerId) => {
+  const store = await findOwnedStore(ownerId);
+  return StoreMember.find({ storeId: store._id, status: { $ne: 'removed' } })
+    .populate('userId', 'username fullname avatarURL')
+    .sort({ createdAt: -1 });
+};
+
+const findMemberOfOwner = async (ownerId, memberId) => {
+  if (!mongoose.isValidObjectId(memberId)) {
+    throw createError(404, 'STORE_MEMBER_NOT_FOUND');
+  }
+  const member = await StoreMember.findOne({ _id: memberId, sellerId: ownerId, status: { $ne: 'removed' } });
+  if (!member) {
+    throw createError(404, 'STORE_MEMBER_NOT_FOUND');
+  }
+  return member;
+};
+
+/**
+ * Đổi vai trò của nhân viên (có hiệu lực ở request kế tiếp)
+ */
+const updateMemberRoles = async (ownerId, memberId, roles) => {
+  const member = await findMemberOfOwner(ownerId, memberId);
+  member.roles = normalizeRoles(roles);
+  await member.save();
+  return member;
+};
+
+/**
+ * Xóa nhân viên hoặc hủy lời mời
+ */
+const removeMember = async (ownerId, memberId) => {
+  const member = await findMemberOfOwner(ownerId, memberId);
+  member.set({ status: 'removed', removedAt: new Date(), inviteTokenHash: undefined, inviteExpiresAt: undefined });
+  await member.save();
+  logger.info(`Store member ${member._id} removed by owner ${ownerId}`);
+  return member;
+};
+
+module.exports = {
+  STORE_INVITE_DAYS,
+  resolveStoreAccess,
+  listMyStores,
+  inviteMember,
+  acceptInvitation,
+  listMembers,
+  updateMemberRoles,
+  removeMember
+};
@@ -0,0 +1,246 @@
+// twoFactorService.js
+// Xác thực hai lớp (TOTP) cho đăng nhập: bật / tắt, mã khôi phục và bước xác minh sau khi nhập đúng mật khẩu
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Shopii';
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_PURPOSE = '2fa-challenge';
+const RECOVERY_CODE_COUNT = 10;
+// Vai trò bắt buộc bật 2FA trước khi dùng các chức năng quản trị (nhân viên có staffRoles cũng bắt buộc)
+const ENFORCED_ROLES = ['admin'];
+
+// Secret lưu trong DB được mã hóa AES-256-GCM với khóa từ TWO_FACTOR_ENCRYPTION_KEY (mặc định JWT_SECRET)
+const getKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+/**
+ * Tài khoản bắt buộc dùng 2FA: admin hoặc có vai trò nhân viên
+ * @param {Object} user - Cần role và staffRoles
+ */
+const isEnforcedFor = (user) => ENFORCED_ROLES.includes(user.role) || (user.staffRoles || []).length > 0;
+
+// Các trường bí mật không được select mặc định
+const findWithSecrets = (userId) =>
+  User.findById(userId).select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes');
+
+/**
+ * Kiểm tra mã TOTP với secret đang bật và chặn dùng lại cùng một mã
+ * @returns {Promise<Boolean>}
+ */
+const consumeTotp = async (user, code) => {
+  const step = verifyCode(decrypt(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  // Cập nhật có điều kiện để mỗi bước thời gian chỉ dùng được một lần
+  const updated = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': { $exists: false } }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return updated.modifiedCount > 0;
+};
+
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  const updated = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+    { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } }
+  );
+  return updated.modifiedCount > 0;
+};
+
+/**
+ * Xác minh mã TOTP hoặc mã khôi phục của người dùng đã bật 2FA
+ * @param {Object} user - Document User (có twoFactor)
+ * @param {Object} params - { code, recoveryCode }
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const valid = recoveryCode
+    ? await consumeRecoveryCode(user, recoveryCode)
+    : await consumeTotp(user, code);
+  if (!valid) {
+    throw createError(401, 'TWO_FACTOR_CODE_INVALID');
+  }
+  if (recoveryCode) {
+    logger.info(`User ${user._id} signed in with a recovery code`);
+  }
+};
+
+/**
+ * Trạng thái 2FA của người dùng
+ */
+const getStatus = (user) => ({
+  enabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  required: isEnforcedFor(user),
+  enabledAt: user.twoFactor && user.twoFactor.enabledAt,
+  recoveryCodesRemaining: user.twoFactor && user.twoFactor.recoveryCodes ? user.twoFactor.recoveryCodes.length : 0
+});
+
+/**
+ * Bắt đầu bật 2FA: tạo secret chờ xác nhận và URL otpauth cho ứng dụng xác thực
+ * @param {String} userId
+ */
+const startSetup = async (userId) => {
+  const user = await findWithSecrets(userId);
+  if (!user) {
+    throw createError(404, 'USER_NOT_FOUND');
+  }
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw createError(400, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  user.set('twoFactor.pendingSecret', encrypt(secret));
+  await user.save();
+  return { secret, otpauthUrl: buildOtpAuthUrl(secret, { issuer: ISSUER, account: user.email }) };
+};
+
+/**
+ * Xác nhận mã đầu tiên từ ứng dụng xác thực rồi bật 2FA
+ * @returns {Promise<Array<String>>} Mã khôi phục (chỉ hiển thị một lần)
+ */
+const enable = async (userId, code) => {
+  const user = await findWithSecrets(userId);
+  if (!user) {
+    throw createError(404, 'USER_NOT_FOUND');
+  }
+  if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+    throw createError(400, 'TWO_FACTOR_SETUP_NOT_STARTED');
+  }
+
+  const secret = decrypt(user.twoFactor.pendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    throw createError(400, 'TWO_FACTOR_CODE_INCORRECT');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: user.twoFactor.pendingSecret,
+    pendingSecret: undefined,
+    lastUsedStep: step,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    enabledAt: new Date()
+  };
+  await user.save();
+  logger.info(`User ${user._id} enabled two-factor authentication`);
+  return recoveryCodes;
+};
+
+/**
+ * Tắt 2FA sau khi xác minh mật khẩu và mã; vai trò bắt buộc 2FA không được tắt
+ */
+const disable = async (userId, { password, code, recoveryCode }) => {
+  const user = await findWithSecrets(userId);
+  if (!user) {
+    throw createError(404, 'USER_NOT_FOUND');
+  }
+  if (!user.twoFactor || !user.twoFactor.enabled) {
+    throw createError(400, 'TWO_FACTOR_NOT_ENABLED');
+  }
+  if (isEnforcedFor(user)) {
+    throw createError(403, 'TWO_FACTOR_ENFORCED');
+  }
+  if (!password || !(await user.comparePassword(password))) {
+    throw createError(400, 'PASSWORD_INCORRECT');
+  }
+  await verifySecondFactor(user, { code, recoveryCode });
+
+  await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+  logger.info(`User ${user._id} disabled two-factor authentication`);
+};
+
+/**
+ * Tạo bộ mã khôi phục mới (bộ cũ hết hiệu lực)
+ * @returns {Promise<Array<String>>}
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await findWithSecrets(userId);
+  if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+    throw createError(400, 'TWO_FACTOR_NOT_ENABLED');
+  }
+  await verifySecondFactor(user, { code });
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } });
+  return recoveryCodes;
+};
+
+/**
+ * Token tạm thời sau khi nhập đúng mật khẩu, đổi lấy phiên đăng nhập khi nhập đúng mã 2FA
+ * @param {Object} user
+ * @param {String} [mode] - "login" | "seller" (đăng nhập qua /sellers/login)
+ */
+const createLoginChallenge = (user, mode = 'login') => jwt.sign(
+  { sub: user._id.toString(), purpose: CHALLENGE_PURPOSE, mode },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+/**
+ * Hoàn tất đăng nhập hai bước
+ * @param {String} challengeToken
+ * @param {Object} params - { code, recoveryCode }
+ * @returns {Promise<{ user, mode }>}
+ */
+const completeLoginChallenge = async (challengeToken, { code, recoveryCode }) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(challengeToken || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    throw createError(401, 'TWO_FACTOR_CHALLENGE_EXPIRED');
+  }
+  if (payload.purpose !== CHALLENGE_PURPOSE) {
+    throw createError(401, 'TWO_FACTOR_CHALLENGE_EXPIRED');
+  }
+
+  const user = await findWithSecrets(payload.sub);
+  if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+    throw createError(401, 'TWO_FACTOR_CHALLENGE_EXPIRED');
+  }
+  await verifySecondFactor(user, { code, recoveryCode });
+  return { user, mode: payload.mode };
+};
+
+module.exports = {
+  ENFORCED_ROLES,
+  isEnforcedFor,
+  getStatus,
+  startSetup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  completeLoginChallenge
+};
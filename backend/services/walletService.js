@@ -0,0 +1,516 @@
+// walletService.js
+// Ví người bán trên sổ cái bút toán kép: doanh thu khi giao hàng, phí sàn, tạm giữ, hoàn tiền và rút tiền.
+// Tín dụng của người mua (buyer_credit) cũng nằm trên cùng sổ cái.
+const mongoose = require('mongoose');
+const {
+  LedgerEntry, Payout, Order, OrderItem, Product, Category, Payment, ReturnRequest, Dispute, Refund
+} = require('../models');
+const { getItemPaidAmount } = require('./sellerOrderService');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const parseRate = (value, fallback) => {
+  const rate = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(rate) && rate >= 0 && rate <= 1 ? rate : fallback;
+};
+
+// Phí sàn mặc định khi danh mục không đặt riêng
+const DEFAULT_COMMISSION_RATE = parseRate(process.env.PLATFORM_COMMISSION_RATE, 0.05);
+// Số ngày tạm giữ doanh thu sau khi giao để người mua trả hàng / khiếu nại
+const SELLER_HOLD_DAYS = parseInt(process.env.SELLER_HOLD_DAYS) || 7;
+
+const ACCOUNT_BALANCE_KEYS = {
+  seller_pending: 'pending',
+  seller_available: 'available',
+  seller_payout: 'payoutPending'
+};
+
+const sumLines = (lines, field) => lines.reduce((sum, line) => sum + (line[field] || 0), 0);
+
+/**
+ * Ghi một nghiệp vụ vào sổ cái. Mỗi journalKey chỉ được ghi một lần.
+ * @param {String} journalKey - Khóa nghiệp vụ, vd: sale:<orderItemId>
+ * @param {String} type - Loại nghiệp vụ (LedgerEntry.type)
+ * @param {Array<Object>} lines - Các dòng { account, sellerId, debit, credit, ... }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Array|null>} Các dòng đã ghi, null nếu nghiệp vụ đã được ghi trước đó
+ */
+const postJournal = async (journalKey, type, lines, { session } = {}) => {
+  const debit = sumLines(lines, 'debit');
+  const credit = sumLines(lines, 'credit');
+  if (debit !== credit) {
+    throw createError(500, 'LEDGER_UNBALANCED', { journalKey, debit, credit });
+  }
+
+  const dedupeKey = `${journalKey}:0`;
+  if (await LedgerEntry.exists({ dedupeKey }).session(session || null)) return null;
+
+  const journalId = new mongoose.Types.ObjectId();
+  const entries = lines
+    .filter(line => (line.debit || 0) > 0 || (line.credit || 0) > 0)
+    .map((line, index) => ({ ...line, journalId, type, dedupeKey: `${journalKey}:${index}` }));
+  if (entries.length === 0) return null;
+
+  try {
+    return await LedgerEntry.insertMany(entries, { session, ordered: true });
+  } catch (error) {
+    // Trong transaction lỗi trùng khóa đã hủy transaction nên phải báo cho bên gọi
+    if (error.code === 11000 && !session) {
+      logger.info(`Ledger journal ${journalKey} already posted`);
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Tỷ lệ phí sàn theo danh mục của sản phẩm
+ */
+const getCommissionRate = async (categoryId, session) => {
+  if (!categoryId) return DEFAULT_COMMISSION_RATE;
+  const category = await Category.findById(categoryId, 'commissionRate').session(session || null);
+  return category && category.commissionRate !== null && category.commissionRate !== undefined
+    ? category.commissionRate
+    : DEFAULT_COMMISSION_RATE;
+};
+
+/**
+ * Số dư tạm giữ còn lại của một mặt hàng
+ */
+const getItemPendingBalance = async (orderItemId, session) => {
+  const entries = await LedgerEntry.find({ orderItemId, account: 'seller_pending' }, 'debit credit')
+    .session(session || null);
+  return sumLines(entries, 'credit') - sumLines(entries, 'debit');
+};
+
+// Thanh toán đã thực sự nhận tiền (hoàn tiền sau đó được trừ riêng qua debitRefund)
+const SETTLED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+/**
+ * Phần giá trị đơn hàng đã thực sự được trả: tiền các hình thức đã thanh toán và tiền COD đã thu
+ * @returns {Promise<{ paidShare, codShare, awaitingCod }>} Tỷ lệ trên tổng đơn; awaitingCod khi còn COD chưa thu
+ */
+const getOrderPaidShare = async (orderId, session) => {
+  const [order, payments] = await Promise.all([
+    Order.findById(orderId, 'totalPrice').session(session || null),
+    Payment.find({ orderId }, 'amount method status').session(session || null)
+  ]);
+  const awaitingCod = payments.some(payment => payment.method === 'COD' && payment.status === 'pending');
+  const settled = payments.filter(payment => SETTLED_PAYMENT_STATUSES.includes(payment.status));
+  const paid = settled.reduce((sum, payment) => sum + payment.amount, 0);
+  const cod = settled
+    .filter(payment => payment.method === 'COD')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+
+  const total = order && order.totalPrice > 0 ? order.totalPrice : 0;
+  if (total === 0) return { paidShare: 0, codShare: 0, awaitingCod };
+  return { paidShare: Math.min(1, paid / total), codShare: Math.min(1, cod / total), awaitingCod };
+};
+
+/**
+ * Ghi doanh thu khi mặt hàng được giao: sàn giữ tiền hàng, người bán nhận phần sau phí (tạm giữ).
+ * Chỉ ghi theo số tiền người mua đã thực trả; đơn còn COD chưa thu thì tạm hoãn đến khi hãng vận chuyển
+ * xác nhận thu tiền (xem creditOrderDeliveredItems).
+ * Với COD tiền thu hộ được hãng vận chuyển chuyển thẳng cho người bán nên ví bị trừ lại đúng số tiền đó,
+ * còn lại là phí sàn phải nộp.
+ * @param {Object} orderItem - Document OrderItem
+ * @param {Object} [options] - { session }
+ */
+const creditDeliveredItem = async (orderItem, { session } = {}) => {
+  const product = await Product.findById(orderItem.productId, 'sellerId categoryId').session(session || null);
+  if (!product) {
+    logger.warn(`Skip ledger credit for item ${orderItem._id}: product not found`);
+    return null;
+  }
+
+  const { paidShare, codShare, awaitingCod } = await getOrderPaidShare(orderItem.orderId, session);
+  if (awaitingCod) {
+    logger.info(`Hold ledger credit for item ${orderItem._id}: COD not collected yet`);
+    return null;
+  }
+
+  const gross = Math.round((await getItemPaidAmount(orderItem, session)) * paidShare);
+  if (gross <= 0) {
+    logger.warn(`Skip ledger credit for item ${orderItem._id}: nothing paid`);
+    return null;
+  }
+
+  const rate = await getCommissionRate(product.categoryId, session);
+  const commission = Math.round(gross * rate);
+  const refs = { orderId: orderItem.orderId, orderItemId: orderItem._id };
+  const seller = { ...refs, sellerId: product.sellerId };
+
+  const lines = [
+    { ...refs, account: 'platform_clearing', debit: gross, description: 'Tiền hàng người mua đã trả' },
+    {
+      ...seller,
+      account: 'seller_pending',
+      credit: gross - commission,
+      commissionRate: rate,
+      releaseAt: new Date(Date.now() + SELLER_HOLD_DAYS * 24 * 60 * 60 * 1000),
+      description: 'Doanh thu bán hàng (tạm giữ)'
+    },
+    { ...refs, account: 'platform_commission', credit: commission, commissionRate: rate, description: 'Phí sàn' }
+  ];
+
+  // Phần đơn trả bằng COD (có thể chỉ là một phần nếu người mua chia nhiều hình thức thanh toán)
+  if (codShare > 0) {
+    const cash = Math.min(gross, Math.round(gross * (codShare / paidShare)));
+    lines.push(
+      { ...seller, account: 'seller_available', debit: cash, description: 'Tiền COD thu hộ chuyển cho người bán' },
+      { ...refs, account: 'platform_clearing', credit: cash, description: 'Tiền COD thu hộ chuyển cho người bán' }
+    );
+  }
+
+  return postJournal(`sale:${orderItem._id}`, 'sale', lines, { session });
+};
+
+/**
+ * Ghi doanh thu đã tạm hoãn cho các mặt hàng đã giao của đơn sau khi thu được tiền COD
+ * @param {String} orderId
+ */
+const creditOrderDeliveredItems = async (orderId) => {
+  const items = await OrderItem.find({ orderId, status: { $in: ['delivered', 'completed'] } });
+  for (const item of items) {
+    await creditDeliveredItem(item);
+  }
+  return items;
+};
+
+/**
+ * Mặt hàng còn yêu cầu trả hàng, khiếu nại hoặc hoàn tiền chưa xong thì tiếp tục tạm giữ
+ */
+const isItemOnHold = async (orderItemId) => {
+  const [returnRequest, dispute, refund] = await Promise.all([
+    ReturnRequest.exists({ orderItemId, status: { $in: ['pending', 'approved'] } }),
+    Dispute.exists({ orderItemId, status: { $in: ['open', 'under_review'] } }),
+    Refund.exists({ orderItemId, status: { $in: ['pending', 'processing', 'awaiting_transfer'] } })
+  ]);
+  return Boolean(returnRequest || dispute || refund);
+};
+
+/**
+ * Chuyển doanh thu hết hạn tạm giữ sang số dư có thể rút (chạy định kỳ)
+ */
+const releaseHeldFunds = async () => {
+  try {
+    const held = await LedgerEntry.find({
+      type: 'sale',
+      account: 'seller_pending',
+      releasedAt: null,
+      releaseAt: { $lte: new Date() }
+    })
+      .sort({ releaseAt: 1 })
+      .limit(200);
+
+    let released = 0;
+    const session = await mongoose.startSession();
+    try {
+      for (const entry of held) {
+        if (await isItemOnHold(entry.orderItemId)) continue;
+
+        // Đánh dấu và ghi bút toán trong cùng transaction: hai tiến trình không cùng giải phóng một dòng,
+        // ghi bút toán lỗi thì dòng vẫn chưa được giải phóng để lần chạy sau thử lại
+        try {
+          let claimed = null;
+          await session.withTransaction(async () => {
+            claimed = await LedgerEntry.findOneAndUpdate(
+              { _id: entry._id, releasedAt: null },
+              { $set: { releasedAt: new Date() } },
+              { session }
+            );
+            if (!claimed) return;
+
+            const amount = await getItemPendingBalance(entry.orderItemId, session);
+            if (amount > 0) {
+              const refs = { sellerId: entry.sellerId, orderId: entry.orderId, orderItemId: entry.orderItemId };
+              await postJournal(`release:${entry.orderItemId}`, 'release', [
+                { ...refs, account: 'seller_pending', debit: amount, description: 'Hết thời gian tạm giữ' },
+                { ...refs, account: 'seller_available', credit: amount, description: 'Hết thời gian tạm giữ' }
+              ], { session });
+            }
+          });
+          if (claimed) released++;
+        } catch (error) {
+          logger.error(`Failed to release held funds for item ${entry.orderItemId}:`, error.message);
+        }
+      }
+    } finally {
+      await session.endSession();
+    }
+
+    if (released > 0) {
+      logger.info(`Released held funds for ${released} order items`);
+    }
+  } catch (error) {
+    logger.error('Error releasing held seller funds:', error.message);
+  }
+};
+
+/**
+ * Trừ ví người bán khi hoàn tiền cho một mặt hàng đã ghi doanh thu (phí sàn tương ứng cũng được hoàn lại).
+ * Trừ vào phần tạm giữ trước, thiếu thì trừ vào số dư có thể rút.
+ * @param {Object} refund - Document Refund đã thành công
+ * @param {Object} [options] - { session }
+ */
+const debitRefund = async (refund, { session } = {}) => {
+  if (!refund.orderItemId) return null;
+
+  const sale = await LedgerEntry.findOne({ orderItemId: refund.orderItemId, type: 'sale', account: 'seller_pending' })
+    .session(session || null);
+  if (!sale) return null; // Chưa giao hàng thì chưa ghi doanh thu, không có gì để trừ
+
+  const commission = Math.round(refund.amount * (sale.commissionRate || 0));
+  const sellerShare = refund.amount - commission;
+  const fromPending = Math.min(Math.max(0, await getItemPendingBalance(refund.orderItemId, session)), sellerShare);
+  const refs = { orderId: refund.orderId, orderItemId: refund.orderItemId, refundId: refund._id };
+  const seller = { ...refs, sellerId: sale.sellerId };
+
+  return postJournal(`refund:${refund._id}`, 'refund', [
+    { ...seller, account: 'seller_pending', debit: fromPending, description: 'Hoàn tiền cho người mua' },
+    { ...seller, account: 'seller_available', debit: sellerShare - fromPending, description: 'Hoàn tiền cho người mua' },
+    { ...refs, account: 'platform_commission', debit: commission, description: 'Hoàn phí sàn' },
+    { ...refs, account: 'platform_clearing', credit: refund.amount, description: 'Hoàn tiền cho người mua' }
+  ], { session });
+};
+
+/**
+ * Số dư ví của người bán
+ * @returns {Promise<{ pending, available, payoutPending }>}
+ */
+const getWalletBalance = async (sellerId) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { sellerId: new mongoose.Types.ObjectId(sellerId) } },
+    { $group: { _id: '$account', debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+  ]);
+
+  const balance = { pending: 0, available: 0, payoutPending: 0 };
+  rows.forEach(row => {
+    const key = ACCOUNT_BALANCE_KEYS[row._id];
+    if (key) balance[key] = row.credit - row.debit;
+  });
+  return balance;
+};
+
+/**
+ * Người bán tạo yêu cầu rút tiền từ số dư có thể rút
+ * @param {String} sellerId
+ * @param {Object} params - { amount, bankName, accountNumber, accountName, note }
+ */
+const requestPayout = async (sellerId, { amount, bankName, accountNumber, accountName, note }) => {
+  const payoutAmount = Math.round(Number(amount));
+  if (!Number.isFinite(payoutAmount) || payoutAmount <= 0) {
+    throw createError(400, 'PAYOUT_AMOUNT_INVALID');
+  }
+  if (!bankName || !accountNumber || !accountName) {
+    throw createError(400, 'PAYOUT_BANK_INFO_REQUIRED');
+  }
+
+  const { available } = await getWalletBalance(sellerId);
+  if (payoutAmount > available) {
+    throw createError(400, 'PAYOUT_INSUFFICIENT_BALANCE', { available });
+  }
+
+  let payout;
+  try {
+    payout = await Payout.create({ sellerId, amount: payoutAmount, bankName, accountNumber, accountName, note });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createError(409, 'PAYOUT_ALREADY_PENDING');
+    }
+    throw error;
+  }
+
+  const refs = { sellerId, payoutId: payout._id };
+  await postJournal(`payout:${payout._id}:request`, 'payout_request', [
+    { ...refs, account: 'seller_available', debit: payoutAmount, description: 'Yêu cầu rút tiền' },
+    { ...refs, account: 'seller_payout', credit: payoutAmount, description: 'Yêu cầu rút tiền' }
+  ]);
+  return payout;
+};
+
+/**
+ * Chuyển yêu cầu rút tiền đang chờ sang trạng thái mới (chỉ một admin xử lý được)
+ */
+const reviewPayout = async (payoutId, status, fields, actor) => {
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: 'pending' },
+    { $set: { ...fields, status, reviewedBy: actor.userId || null, reviewedAt: new Date() } },
+    { new: true }
+  );
+  if (!payout) {
+    throw createError(409, 'PAYOUT_NOT_PENDING');
+  }
+  return payout;
+};
+
+/**
+ * Admin xác nhận đã chuyển khoản cho người bán
+ * @param {String} payoutId
+ * @param {Object} params - { reference, actor }
+ */
+const approvePayout = async (payoutId, { reference, actor }) => {
+  if (!reference) {
+    throw createError(400, 'PAYOUT_REFERENCE_REQUIRED');
+  }
+  const payout = await reviewPayout(payoutId, 'paid', { transferReference: reference }, actor);
+
+  await postJournal(`payout:${payout._id}:paid`, 'payout_paid', [
+    { sellerId: payout.sellerId, payoutId: payout._id, account: 'seller_payout', debit: payout.amount, description: `Đã chuyển khoản (${reference})` },
+    { payoutId: payout._id, account: 'platform_clearing', credit: payout.amount, description: `Chi trả người bán (${reference})` }
+  ]);
+  return payout;
+};
+
+/**
+ * Admin từ chối yêu cầu rút tiền, tiền trở lại số dư có thể rút
+ * @param {String} payoutId
+ * @param {Object} params - { reason, actor }
+ */
+const rejectPayout = async (payoutId, { reason, actor }) => {
+  const payout = await reviewPayout(payoutId, 'rejected', { rejectionReason: reason }, actor);
+
+  const refs = { sellerId: payout.sellerId, payoutId: payout._id };
+  await postJournal(`payout:${payout._id}:rejected`, 'payout_rejected', [
+    { ...refs, account: 'seller_payout', debit: payout.amount, description: 'Từ chối rút tiền' },
+    { ...refs, account: 'seller_available', credit: payout.amount, description: 'Từ chối rút tiền' }
+  ]);
+  return payout;
+};
+
+/**
+ * Sao kê ví người bán trong khoảng thời gian: số dư đầu kỳ, các dòng phát sinh (kèm số dư lũy kế), số dư cuối kỳ
+ * @param {String} sellerId
+ * @param {Object} [range] - { from, to }
+ */
+const getStatement = async (sellerId, { from, to } = {}) => {
+  if (!mongoose.isValidObjectId(sellerId)) {
+    throw createError(400, 'INVALID_ID', { field: 'sellerId' });
+  }
+  const start = from ? new Date(from) : new Date(0);
+  const end = to ? new Date(to) : new Date();
+  if (isNaN(start) || isNaN(end)) {
+    throw createError(400, 'DATE_RANGE_INVALID');
+  }
+
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+  const openingRows = await LedgerEntry.aggregate([
+    { $match: { sellerId: sellerObjectId, createdAt: { $lt: start } } },
+    { $group: { _id: '$account', debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+  ]);
+  const opening = { pending: 0, available: 0, payoutPending: 0 };
+  openingRows.forEach(row => {
+    const key = ACCOUNT_BALANCE_KEYS[row._id];
+    if (key) opening[key] = row.credit - row.debit;
+  });
+
+  const entries = await LedgerEntry.find({ sellerId: sellerObjectId, createdAt: { $gte: start, $lte: end } })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  const running = { ...opening };
+  const lines = entries.map(entry => {
+    const key = ACCOUNT_BALANCE_KEYS[entry.account];
+    running[key] += entry.credit - entry.debit;
+    return { ...entry, balance: running[key] };
+  });
+
+  return { sellerId, from: start, to: end, opening, closing: running, entries: lines };
+};
+
+/**
+ * Xuất sao kê dạng CSV
+ */
+const statementToCsv = (statement) => {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const header = ['date', 'type', 'account', 'description', 'orderId', 'orderItemId', 'debit', 'credit', 'balance'];
+  const rows = statement.entries.map(entry => [
+    entry.createdAt.toISOString(),
+    entry.type,
+    entry.account,
+    entry.description,
+    entry.orderId,
+    entry.orderItemId,
+    entry.debit,
+    entry.credit,
+    entry.balance
+  ]);
+  return [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+};
+
+/**
+ * Số dư tín dụng của người mua
+ */
+const getBuyerCredit = async (buyerId) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { buyerId: new mongoose.Types.ObjectId(buyerId), account: 'buyer_credit' } },
+    { $group: { _id: null, debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+  ]);
+  return row ? row.credit - row.debit : 0;
+};
+
+/**
+ * Cộng tín dụng cho người mua (hoàn tiền về tín dụng, admin điều chỉnh)
+ * @param {String} buyerId
+ * @param {Number} amount
+ * @param {Object} params - { key, type, description, orderId, paymentId, refundId }
+ */
+const creditBuyer = async (buyerId, amount, { key, type = 'adjustment', description, orderId, paymentId, refundId }) => {
+  const refs = { orderId: orderId || null, paymentId: paymentId || null, refundId: refundId || null };
+  return postJournal(key, type, [
+    { ...refs, account: 'platform_clearing', debit: amount, description },
+    { ...refs, buyerId, account: 'buyer_credit', credit: amount, description }
+  ]);
+};
+
+/**
+ * Trừ tín dụng khi người mua dùng để trả cho một thanh toán
+ * @param {String} buyerId
+ * @param {Number} amount
+ * @param {Object} payment - Document Payment dùng tín dụng
+ */
+const spendBuyerCredit = async (buyerId, amount, payment) => {
+  const available = await getBuyerCredit(buyerId);
+  if (amount <= 0 || amount > available) {
+    throw createError(400, 'CREDIT_INSUFFICIENT', { available });
+  }
+
+  const refs = { orderId: payment.orderId, paymentId: payment._id };
+  const description = 'Thanh toán đơn hàng bằng tín dụng';
+  await postJournal(`tender:${payment._id}`, 'tender', [
+    { ...refs, buyerId, account: 'buyer_credit', debit: amount, description },
+    { ...refs, account: 'platform_clearing', credit: amount, description }
+  ]);
+
+  // Hai thanh toán đồng thời cùng vượt số dư: hoàn lại lần này
+  if ((await getBuyerCredit(buyerId)) < 0) {
+    await creditBuyer(buyerId, amount, {
+      key: `tender:${payment._id}:reversal`,
+      description: 'Hủy thanh toán bằng tín dụng (vượt số dư)',
+      ...refs
+    });
+    throw createError(409, 'CREDIT_CONFLICT');
+  }
+};
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  SELLER_HOLD_DAYS,
+  postJournal,
+  creditDeliveredItem,
+  creditOrderDeliveredItems,
+  releaseHeldFunds,
+  debitRefund,
+  getWalletBalance,
+  requestPayout,
+  approvePayout,
+  rejectPayout,
+  getStatement,
+  statementToCsv,
+  getBuyerCredit,
+  creditBuyer,
+  spendBuyerCredit
+};
@@ -0,0 +1,176 @@
+// Dữ liệu và model giả dùng chung cho các bài test không cần MongoDB
+const mongoose = require('mongoose');
+
+/**
+ * Payment tối thiểu cho adapter và service: có _id, orderId, amount và save() đếm số lần lưu
+ */
+const buildPayment = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderId: new mongoose.Types.ObjectId(),
+  amount: 150000,
+  method: 'Fake',
+  status: 'pending',
+  saved: 0,
+  async save() {
+    this.saved += 1;
+    return this;
+  },
+  ...fields
+});
+
+const same = (value, expected) => {
+  if (expected === null) return value === null || value === undefined;
+  // Như MongoDB: điều kiện bằng trên trường mảng khớp khi mảng chứa giá trị đó
+  if (Array.isArray(value) && !Array.isArray(expected)) return value.some(item => same(item, expected));
+  return String(value) === String(expected);
+};
+
+// Đọc / ghi theo đường dẫn "a.b", dùng get / set của document Mongoose nếu có
+const getPath = (doc, path) => (typeof doc.get === 'function'
+  ? doc.get(path)
+  : path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc));
+
+const setPath = (doc, path, value) => {
+  if (typeof doc.set === 'function') {
+    doc.set(path, value);
+    return;
+  }
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((object, key) => {
+    if (!object[key]) object[key] = {};
+    return object[key];
+  }, doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+const OPERATORS = {
+  $in: (value, list) => list.some(item => same(value, item)),
+  $nin: (value, list) => !list.some(item => same(value, item)),
+  $ne: (value, expected) => !same(value, expected),
+  $gt: (value, expected) => value > expected,
+  $gte: (value, expected) => value >= expected,
+  $lt: (value, expected) => value < expected,
+  $lte: (value, expected) => value <= expected,
+  $exists: (value, expected) => (value !== undefined) === expected
+};
+
+const isOperatorObject = (condition) =>
+  condition !== null && typeof condition === 'object' && Object.keys(condition).every(key => key in OPERATORS);
+
+// Toán hạng "$field" trong $expr là giá trị của trường đó
+const resolveField = (doc, operand) => (typeof operand === 'string' && operand.startsWith('$') ? getPath(doc, operand.slice(1)) : operand);
+
+/**
+ * So một document với điều kiện truy vấn (chỉ các toán tử trong OPERATORS, kể cả trong $expr, và $or)
+ */
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(doc, branch));
+  if (key === '$expr') {
+    return Object.entries(condition).every(([operator, [left, right]]) =>
+      OPERATORS[operator](resolveField(doc, left), resolveField(doc, right)));
+  }
+  const value = getPath(doc, key);
+  return isOperatorObject(condition)
+    ? Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand))
+    : same(value, condition);
+});
+
+/**
+ * Áp dụng $set / $inc / $pull / $setOnInsert (khi tạo mới) lên document
+ */
+const applyUpdate = (doc, update, inserting = false) => {
+  const { $set = {}, $inc = {}, $pull = {}, $setOnInsert = {}, ...fields } = update;
+  Object.entries({ ...fields, ...$set, ...(inserting ? $setOnInsert : {}) }).forEach(([path, value]) => setPath(doc, path, value));
+  Object.entries($inc).forEach(([path, amount]) => setPath(doc, path, (getPath(doc, path) || 0) + amount));
+  Object.entries($pull).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || []).filter(item => !same(item, value))));
+  return doc;
+};
+
+/**
+ * Query giả: các hàm nối chuỗi của Mongoose trả lại chính nó, await thì nhận kết quả
+ */
+const query = (result) => {
+  const chain = {
+    lean: () => chain,
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    session: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * Thay các hàm đọc / ghi của model bằng bản làm việc trên mảng docs (không có MongoDB).
+ * Document mới được tạo bằng chính Model nên vẫn có constructor và save() như document thật.
+ * @param {Object} mock - mock của node:test
+ * @param {Object} Model - Model Mongoose
+ * @param {Array} docs - Các document giả
+ * @returns {Array} docs
+ */
+const stubModel = (mock, Model, docs) => {
+  const findDoc = (filter) => docs.find(doc => matches(doc, filter)) || null;
+  const insert = (data) => {
+    const doc = new Model(data);
+    doc.isNew = false;
+    docs.push(doc);
+    return doc;
+  };
+
+  mock.method(Model, 'find', (filter) => query(docs.filter(doc => matches(doc, filter))));
+  mock.method(Model, 'findOne', (filter) => query(findDoc(filter)));
+  mock.method(Model, 'findById', (id) => query(findDoc({ _id: id })));
+  mock.method(Model, 'exists', (filter) => {
+    const doc = findDoc(filter);
+    return query(doc ? { _id: doc._id } : null);
+  });
+  mock.method(Model, 'countDocuments', (filter) => query(docs.filter(doc => matches(doc, filter)).length));
+  mock.method(Model, 'findOneAndUpdate', (filter, update) => {
+    const doc = findDoc(filter);
+    return query(doc ? applyUpdate(doc, update) : null);
+  });
+  mock.method(Model, 'updateOne', (filter, update, options = {}) => {
+    const doc = findDoc(filter);
+    if (doc) applyUpdate(doc, update);
+    else if (options.upsert) applyUpdate(insert(filter), update, true);
+    return query({ matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0, upsertedCount: !doc && options.upsert ? 1 : 0 });
+  });
+  mock.method(Model, 'updateMany', (filter, update) => {
+    const matched = docs.filter(doc => matches(doc, filter));
+    matched.forEach(doc => applyUpdate(doc, update));
+    return query({ matchedCount: matched.length, modifiedCount: matched.length });
+  });
+  mock.method(Model, 'create', async (data) => (Array.isArray(data) ? data.map(insert) : insert(data)));
+  mock.method(Model, 'insertMany', async (data) => data.map(insert));
+  mock.method(Model.prototype, 'save', async function save() {
+    if (!docs.includes(this)) docs.push(this);
+    this.isNew = false;
+    return this;
+  });
+  return docs;
+};
+
+/**
+ * Thay mongoose.startSession bằng session giả: withTransaction chạy thẳng hàm truyền vào
+ * (rollback là việc của MongoDB; test kiểm tra các thao tác ghi có mang session này)
+ * @param {Object} mock - mock của node:test
+ * @returns {Object} session giả, endSession là mock để đếm số lần gọi
+ */
+const stubSession = (mock) => {
+  const session = {
+    withTransaction: async (fn) => fn(),
+    endSession: mock.fn(async () => {})
+  };
+  mock.method(mongoose, 'startSession', async () => session);
+  return session;
+};
+
+module.exports = {
+  buildPayment,
+  matches,
+  query,
+  stubModel,
+  stubSession
+};
@@ -0,0 +1,163 @@
+// Máy trạng thái đơn hàng: bảng chuyển trạng thái, tìm đường đi, suy ra trạng thái tổng hợp và ghi lịch sử
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { Order, OrderStatusHistory } = require('../models');
+const { ORDER_STATUSES, ORDER_TRANSITIONS } = require('../config/orderStatus');
+const { canTransition, findPath, deriveStatus, transition } = require('../services/orderLifecycle');
+
+describe('bảng chuyển trạng thái', () => {
+  it('mọi trạng thái đều có trong bảng và chỉ chuyển tới trạng thái hợp lệ', () => {
+    assert.deepEqual(Object.keys(ORDER_TRANSITIONS).sort(), [...ORDER_STATUSES].sort());
+    for (const targets of Object.values(ORDER_TRANSITIONS)) {
+      targets.forEach(target => assert.ok(ORDER_STATUSES.includes(target), target));
+    }
+  });
+
+  it('trạng thái kết thúc không chuyển tiếp được', () => {
+    for (const status of ['cancelled', 'returned', 'rejected']) {
+      assert.deepEqual(ORDER_TRANSITIONS[status], [], status);
+    }
+  });
+
+  it('canTransition chỉ cho phép một bước trong bảng', () => {
+    assert.equal(canTransition('pending', 'paid'), true);
+    assert.equal(canTransition('pending', 'shipping'), false);
+    assert.equal(canTransition('delivered', 'processing'), false);
+    assert.equal(canTransition('unknown', 'paid'), false);
+  });
+});
+
+describe('findPath', () => {
+  it('trả đường đi ngắn nhất, không gồm trạng thái xuất phát', () => {
+    assert.deepEqual(findPath('pending', 'shipping'), ['processing', 'shipping']);
+    assert.deepEqual(findPath('paid', 'completed'), ['processing', 'shipping', 'delivered', 'completed']);
+    assert.deepEqual(findPath('failed to ship', 'delivered'), ['shipping', 'delivered']);
+  });
+
+  it('trả mảng rỗng khi đã ở trạng thái đích', () => {
+    assert.deepEqual(findPath('processing', 'processing'), []);
+  });
+
+  it('trả null khi không tới được (không lùi trạng thái, không ra khỏi trạng thái kết thúc)', () => {
+    assert.equal(findPath('shipping', 'processing'), null);
+    assert.equal(findPath('delivered', 'cancelled'), null);
+    assert.equal(findPath('cancelled', 'pending'), null);
+  });
+});
+
+describe('deriveStatus', () => {
+  it('bỏ qua phần tử đã hủy / từ chối khi còn phần tử khác', () => {
+    assert.equal(deriveStatus(['cancelled', 'shipping']), 'shipping');
+    assert.equal(deriveStatus(['rejected', 'paid']), 'paid');
+  });
+
+  it('toàn bộ bị từ chối thì từ chối, lẫn hủy thì hủy', () => {
+    assert.equal(deriveStatus(['rejected', 'rejected']), 'rejected');
+    assert.equal(deriveStatus(['rejected', 'cancelled']), 'cancelled');
+  });
+
+  it('suy ra trạng thái giao hàng từ các mặt hàng còn lại', () => {
+    assert.equal(deriveStatus(['returned', 'completed']), 'completed');
+    assert.equal(deriveStatus(['returned', 'returned']), 'returned');
+    assert.equal(deriveStatus(['delivered', 'completed']), 'delivered');
+    assert.equal(deriveStatus(['processing', 'delivered']), 'shipping');
+    assert.equal(deriveStatus(['failed to ship', 'failed to ship']), 'failed to ship');
+    assert.equal(deriveStatus(['pending', 'processing']), 'processing');
+    assert.equal(deriveStatus(['pending', 'paid']), 'paid');
+    assert.equal(deriveStatus(['pending']), 'pending');
+  });
+});
+
+describe('transition', () => {
+  let stored;
+  let history;
+
+  const buildOrder = (status) => {
+    const order = new Order({ buyerId: new mongoose.Types.ObjectId(), totalPrice: 300000, status });
+    order.isNew = false;
+    return order;
+  };
+
+  beforeEach(() => {
+    stored = null;
+    history = [];
+    // Cập nhật có điều kiện như MongoDB: chỉ khớp khi trạng thái trong DB vẫn là trạng thái đã đọc
+    mock.method(Order, 'findOneAndUpdate', async (filter, { $set }) => {
+      if (!stored || stored.status !== filter.status) return null;
+      stored.status = $set.status;
+      return stored;
+    });
+    mock.method(OrderStatusHistory, 'insertMany', async (entries) => {
+      history.push(...entries);
+      return entries;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('chuyển một bước hợp lệ và ghi lịch sử kèm người thực hiện', async () => {
+    const order = buildOrder('pending');
+    stored = { status: 'pending' };
+    const actor = { userId: new mongoose.Types.ObjectId(), role: 'buyer' };
+
+    await transition(order, 'cancelled', { actor, note: 'Đổi ý' });
+
+    assert.equal(order.status, 'cancelled');
+    assert.equal(history.length, 1);
+    assert.equal(history[0].from, 'pending');
+    assert.equal(history[0].to, 'cancelled');
+    assert.equal(history[0].entityType, 'Order');
+    assert.equal(history[0].changedBy, actor.userId);
+    assert.equal(history[0].actorRole, 'buyer');
+    assert.equal(history[0].note, 'Đổi ý');
+  });
+
+  it('viaPath ghi lịch sử cho từng bước trung gian', async () => {
+    const order = buildOrder('pending');
+    stored = { status: 'pending' };
+
+    await transition(order, 'shipping', { viaPath: true });
+
+    assert.equal(order.status, 'shipping');
+    assert.deepEqual(history.map(entry => [entry.from, entry.to]), [['pending', 'processing'], ['processing', 'shipping']]);
+    assert.equal(history[0].actorRole, 'system');
+  });
+
+  it('từ chối bước không có trong bảng nếu không đi qua đường trung gian', async () => {
+    const order = buildOrder('pending');
+    stored = { status: 'pending' };
+
+    await assert.rejects(transition(order, 'shipping'), {
+      statusCode: 409,
+      code: 'ORDER_TRANSITION_NOT_ALLOWED',
+      details: { from: 'pending', to: 'shipping' }
+    });
+    await assert.rejects(transition(buildOrder('delivered'), 'processing', { viaPath: true }), {
+      code: 'ORDER_TRANSITION_NOT_ALLOWED'
+    });
+    assert.equal(stored.status, 'pending');
+    assert.equal(history.length, 0);
+  });
+
+  it('từ chối trạng thái không tồn tại', async () => {
+    await assert.rejects(transition(buildOrder('pending'), 'lost'), { statusCode: 400, code: 'ORDER_STATUS_INVALID' });
+  });
+
+  it('báo xung đột khi trạng thái trong DB đã bị thao tác khác đổi', async () => {
+    const order = buildOrder('pending');
+    stored = { status: 'paid' };
+
+    await assert.rejects(transition(order, 'cancelled'), { statusCode: 409, code: 'ORDER_STATUS_CONFLICT' });
+    assert.equal(order.status, 'pending');
+    assert.equal(history.length, 0);
+  });
+
+  it('không làm gì khi đã ở trạng thái đích', async () => {
+    const order = buildOrder('processing');
+
+    assert.equal(await transition(order, 'processing'), order);
+    assert.equal(history.length, 0);
+  });
+});
@@ -0,0 +1,319 @@
+// Đặt hàng: giữ hàng trong kho và dùng voucher có điều kiện, chia đơn theo người bán, tất cả trong một transaction;
+// hủy một phần / cả đơn: hoàn kho, trả lượt voucher, giảm thanh toán chưa trả và hoàn tiền phần đã trả
+// (model được thay bằng dữ liệu trong bộ nhớ, hoàn tiền qua cổng giả)
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const {
+  Address, Product, Inventory, Voucher, Order, SellerOrder, OrderItem, OrderStatusHistory, Payment, Refund, User
+} = require('../models');
+const { placeOrder, cancelOrderItems } = require('../services/orderService');
+const fakeProvider = require('../services/paymentProviders/fakeProvider');
+const { buildPayment, stubModel, stubSession } = require('./fixtures');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('placeOrder', () => {
+  const buyerId = id().toString();
+  const sellerA = id();
+  const sellerB = id();
+  let session;
+  let address;
+  let shirt;
+  let shoes;
+  let inventories;
+  let vouchers;
+  let orders;
+  let sellerOrders;
+  let orderItems;
+
+  const buildProduct = (fields) => ({ _id: id(), isAuction: false, ...fields });
+  const buildVoucher = (fields = {}) => ({
+    _id: id(),
+    code: 'GIAM30K',
+    discountType: 'fixed',
+    discount: 30000,
+    maxDiscount: 0,
+    minOrderValue: 0,
+    usedCount: 0,
+    usageLimit: 10,
+    isActive: true,
+    expirationDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...fields
+  });
+  const stockOf = (product) => inventories.find(inventory => inventory.productId === product._id).quantity;
+  const order = (selectedItems, couponCode) =>
+    placeOrder({ buyerId, selectedItems, selectedAddressId: address._id, couponCode });
+
+  beforeEach(() => {
+    session = stubSession(mock);
+    address = { _id: id(), userId: buyerId };
+    shirt = buildProduct({ title: 'Áo thun', price: 100000, sellerId: sellerA });
+    shoes = buildProduct({ title: 'Giày', price: 200000, sellerId: sellerB });
+
+    stubModel(mock, Address, [address]);
+    stubModel(mock, Product, [shirt, shoes]);
+    inventories = stubModel(mock, Inventory, [
+      { productId: shirt._id, quantity: 5 },
+      { productId: shoes._id, quantity: 1 }
+    ]);
+    vouchers = stubModel(mock, Voucher, [buildVoucher()]);
+    orders = stubModel(mock, Order, []);
+    sellerOrders = stubModel(mock, SellerOrder, []);
+    orderItems = stubModel(mock, OrderItem, []);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('trừ kho, dùng voucher và chia đơn theo người bán trong cùng transaction', async () => {
+    const result = await order([
+      { productId: shirt._id, quantity: 2 },
+      { productId: shoes._id, quantity: 1 },
+      { productId: shirt._id, quantity: 1 }
+    ], 'GIAM30K');
+
+    assert.equal(stockOf(shirt), 2);
+    assert.equal(stockOf(shoes), 0);
+    assert.equal(vouchers[0].usedCount, 1);
+
+    assert.equal(orders.length, 1);
+    assert.equal(result.order.totalPrice, 470000);
+    assert.equal(result.order.discountAmount, 30000);
+    assert.equal(result.order.status, 'pending');
+    assert.equal(sellerOrders.length, 2);
+    // Giảm giá chia theo tạm tính của từng người bán (300.000 và 200.000)
+    assert.deepEqual(sellerOrders.map(sellerOrder => sellerOrder.discountAmount), [18000, 12000]);
+    assert.equal(sellerOrders.reduce((sum, sellerOrder) => sum + sellerOrder.totalPrice, 0), result.order.totalPrice);
+    assert.deepEqual(orderItems.map(item => item.quantity), [3, 1]);
+
+    for (const write of [Inventory.findOneAndUpdate, Voucher.findOneAndUpdate]) {
+      write.mock.calls.forEach(call => assert.equal(call.arguments[2].session, session));
+    }
+    for (const create of [Order.create, SellerOrder.create, OrderItem.create]) {
+      assert.equal(create.mock.calls[0].arguments[1].session, session);
+    }
+    assert.equal(session.endSession.mock.callCount(), 1);
+  });
+
+  it('chỉ trừ kho khi còn đủ hàng và báo số lượng còn lại', async () => {
+    await assert.rejects(order([{ productId: shirt._id, quantity: 1 }, { productId: shoes._id, quantity: 2 }]), {
+      statusCode: 400,
+      code: 'INSUFFICIENT_INVENTORY',
+      details: { productId: shoes._id, title: 'Giày', available: 1, requested: 2 }
+    });
+
+    const [, shoesUpdate] = Inventory.findOneAndUpdate.mock.calls;
+    assert.deepEqual(shoesUpdate.arguments[0], { productId: shoes._id, quantity: { $gte: 2 } });
+    assert.equal(stockOf(shoes), 1);
+    assert.equal(orders.length, 0);
+    assert.equal(session.endSession.mock.callCount(), 1);
+  });
+
+  it('lượt dùng cuối cùng tắt voucher', async () => {
+    vouchers[0].usedCount = 9;
+
+    await order([{ productId: shirt._id, quantity: 1 }], 'GIAM30K');
+
+    assert.equal(vouchers[0].usedCount, 10);
+    assert.equal(vouchers[0].isActive, false);
+  });
+
+  it('từ chối voucher hết lượt, hết hạn hoặc chưa đủ giá trị đơn', async () => {
+    vouchers[0].usedCount = 10;
+    await assert.rejects(order([{ productId: shirt._id, quantity: 1 }], 'GIAM30K'), { code: 'VOUCHER_USAGE_LIMIT_REACHED' });
+
+    vouchers[0] = buildVoucher({ expirationDate: new Date(Date.now() - 1000) });
+    await assert.rejects(order([{ productId: shirt._id, quantity: 1 }], 'GIAM30K'), { code: 'VOUCHER_INVALID' });
+
+    vouchers[0] = buildVoucher({ minOrderValue: 500000 });
+    await assert.rejects(order([{ productId: shirt._id, quantity: 1 }], 'GIAM30K'), {
+      code: 'VOUCHER_MIN_ORDER_VALUE',
+      details: { minOrderValue: 500000 }
+    });
+    await assert.rejects(order([{ productId: shirt._id, quantity: 1 }], 'KHONGCO'), { code: 'VOUCHER_INVALID' });
+    assert.equal(orders.length, 0);
+  });
+
+  it('voucher phần trăm bị giới hạn bởi mức giảm tối đa', async () => {
+    vouchers[0] = buildVoucher({ discountType: 'percentage', discount: 50, maxDiscount: 40000 });
+
+    const result = await order([{ productId: shirt._id, quantity: 1 }], 'GIAM30K');
+    assert.equal(result.order.discountAmount, 40000);
+    assert.equal(result.order.totalPrice, 60000);
+  });
+
+  it('từ chối số lượng không hợp lệ trước khi mở transaction', async () => {
+    await assert.rejects(order([{ productId: shirt._id, quantity: 0 }]), { code: 'QUANTITY_INVALID' });
+    await assert.rejects(order([{ productId: 'abc', quantity: 1 }]), { code: 'INVALID_ID', details: { field: 'productId' } });
+    assert.equal(mongoose.startSession.mock.callCount(), 0);
+  });
+
+  it('từ chối địa chỉ của người khác, sản phẩm của chính mình và sản phẩm đấu giá', async () => {
+    address.userId = id().toString();
+    await assert.rejects(order([{ productId: shirt._id, quantity: 1 }]), { statusCode: 404, code: 'ADDRESS_NOT_FOUND' });
+    address.userId = buyerId;
+
+    shirt.sellerId = buyerId;
+    await assert.rejects(order([{ productId: shirt._id, quantity: 1 }]), { code: 'BUY_OWN_PRODUCT' });
+    shirt.sellerId = sellerA;
+
+    shoes.isAuction = true;
+    await assert.rejects(order([{ productId: shoes._id, quantity: 1 }]), { code: 'PRODUCT_AUCTION_ONLY' });
+    assert.equal(Inventory.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
+
+describe('cancelOrderItems', () => {
+  const buyerId = id();
+  let order;
+  let shirtItem;
+  let shoesItem;
+  let sellerOrders;
+  let inventories;
+  let voucher;
+  let payments;
+  let refunds;
+  let history;
+
+  // Đơn 470.000 của hai người bán: áo 3 x 100.000 (giảm 18.000) và giày 1 x 200.000 (giảm 12.000)
+  const buildDoc = (Model, fields) => {
+    const doc = new Model(fields);
+    doc.isNew = false;
+    return doc;
+  };
+  const buildLine = (sellerOrder, title, unitPrice, quantity) => buildDoc(OrderItem, {
+    orderId: order._id,
+    sellerOrderId: sellerOrder._id,
+    productId: buildDoc(Product, { title, price: unitPrice, sellerId: sellerOrder.sellerId }),
+    quantity,
+    unitPrice,
+    status: 'paid'
+  });
+  const buildPaidPayment = async (fields = {}) => {
+    const payment = buildPayment({ orderId: order._id, amount: 470000, refundedAmount: 0, ...fields });
+    await fakeProvider.createIntent({ payment, baseUrl: 'http://localhost:9999' });
+    fakeProvider.simulate(payment.transactionId, 'paid');
+    payment.status = 'paid';
+    return payment;
+  };
+  const stockOf = (item) => inventories.find(inventory => inventory.productId.equals(item.productId._id)).quantity;
+
+  beforeEach(async () => {
+    fakeProvider.reset();
+    stubSession(mock);
+    voucher = { _id: id(), usedCount: 1, async save() { return this; } };
+    order = buildDoc(Order, { buyerId, totalPrice: 470000, discountAmount: 30000, voucherId: voucher._id, status: 'paid' });
+    const sellerOrderOf = (subtotal, discountAmount) => buildDoc(SellerOrder, {
+      orderId: order._id,
+      sellerId: id(),
+      subtotal,
+      discountAmount,
+      shippingFee: 0,
+      totalPrice: subtotal - discountAmount,
+      status: 'paid'
+    });
+    sellerOrders = stubModel(mock, SellerOrder, [sellerOrderOf(300000, 18000), sellerOrderOf(200000, 12000)]);
+    shirtItem = buildLine(sellerOrders[0], 'Áo thun', 100000, 3);
+    shoesItem = buildLine(sellerOrders[1], 'Giày', 200000, 1);
+
+    stubModel(mock, Order, [order]);
+    stubModel(mock, OrderItem, [shirtItem, shoesItem]);
+    inventories = stubModel(mock, Inventory, [
+      { productId: shirtItem.productId._id, quantity: 0 },
+      { productId: shoesItem.productId._id, quantity: 0 }
+    ]);
+    stubModel(mock, Voucher, [voucher]);
+    payments = stubModel(mock, Payment, [await buildPaidPayment()]);
+    refunds = stubModel(mock, Refund, []);
+    history = stubModel(mock, OrderStatusHistory, []);
+    stubModel(mock, User, []);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('hủy một mặt hàng của đơn đã trả: hoàn kho và hoàn đúng phần tiền sau giảm giá', async () => {
+    const result = await cancelOrderItems({ orderId: order._id, buyerId, itemIds: [shoesItem._id], reason: 'Đổi ý' });
+
+    assert.equal(shoesItem.status, 'cancelled');
+    assert.equal(shirtItem.status, 'paid');
+    assert.deepEqual(sellerOrders.map(sellerOrder => sellerOrder.status), ['paid', 'cancelled']);
+    assert.equal(order.status, 'paid');
+    assert.equal(stockOf(shoesItem), 1);
+    assert.equal(stockOf(shirtItem), 0);
+    assert.equal(voucher.usedCount, 1);
+
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].amount, 188000);
+    assert.equal(refunds[0].type, 'partial');
+    assert.equal(refunds[0].source, 'cancellation');
+    assert.equal(result.refunds[0].status, 'succeeded');
+    assert.equal(payments[0].refundedAmount, 188000);
+    assert.equal(payments[0].status, 'partially_refunded');
+    assert.deepEqual(history.map(entry => [entry.entityType, entry.to]), [['OrderItem', 'cancelled'], ['SellerOrder', 'cancelled']]);
+  });
+
+  it('hủy cả đơn: trả lượt voucher và hoàn toàn bộ số tiền đã trả', async () => {
+    await cancelOrderItems({ orderId: order._id, buyerId });
+
+    assert.equal(order.status, 'cancelled');
+    assert.equal(stockOf(shirtItem), 3);
+    assert.equal(stockOf(shoesItem), 1);
+    assert.equal(voucher.usedCount, 0);
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].amount, 470000);
+    assert.equal(refunds[0].type, 'full');
+    assert.equal(payments[0].status, 'refunded');
+  });
+
+  it('hủy một phần đơn COD chưa thu tiền chỉ giảm số tiền cần thu, không hoàn tiền', async () => {
+    order.status = 'pending';
+    payments[0] = buildPayment({ orderId: order._id, method: 'COD', amount: 470000 });
+
+    await cancelOrderItems({ orderId: order._id, buyerId, itemIds: [shirtItem._id] });
+
+    assert.equal(payments[0].amount, 188000);
+    assert.equal(payments[0].status, 'pending');
+    assert.equal(refunds.length, 0);
+  });
+
+  it('phần đã hoàn trước đó không được hoàn lại khi hủy tiếp', async () => {
+    await cancelOrderItems({ orderId: order._id, buyerId, itemIds: [shoesItem._id] });
+    await cancelOrderItems({ orderId: order._id, buyerId, itemIds: [shirtItem._id] });
+
+    assert.deepEqual(refunds.map(refund => refund.amount), [188000, 282000]);
+    assert.equal(payments[0].refundedAmount, 470000);
+    assert.equal(payments[0].status, 'refunded');
+    assert.equal(order.status, 'cancelled');
+  });
+
+  it('không cho hủy một phần khi thanh toán online chưa trả', async () => {
+    payments[0] = buildPayment({ orderId: order._id, amount: 470000 });
+
+    await assert.rejects(cancelOrderItems({ orderId: order._id, buyerId, itemIds: [shoesItem._id] }), {
+      statusCode: 400,
+      code: 'ORDER_PARTIAL_CANCEL_UNPAID'
+    });
+    assert.equal(shoesItem.status, 'paid');
+    assert.equal(stockOf(shoesItem), 0);
+  });
+
+  it('không hủy mặt hàng đã giao cho đơn vị vận chuyển hoặc không thuộc đơn', async () => {
+    shoesItem.status = 'shipping';
+    await assert.rejects(cancelOrderItems({ orderId: order._id, buyerId, itemIds: [shoesItem._id] }), {
+      code: 'ORDER_ITEMS_ALREADY_PROCESSED',
+      details: { status: 'shipping', itemIds: [shoesItem._id] }
+    });
+
+    await assert.rejects(cancelOrderItems({ orderId: order._id, buyerId, itemIds: [shirtItem._id, id()] }), {
+      statusCode: 404,
+      code: 'ORDER_ITEMS_NOT_CANCELLABLE'
+    });
+    await assert.rejects(cancelOrderItems({ orderId: order._id, buyerId: id(), itemIds: [shirtItem._id] }), {
+      statusCode: 404,
+      code: 'ORDER_NOT_FOUND'
+    });
+    assert.equal(shirtItem.status, 'paid');
+    assert.equal(refunds.length, 0);
+  });
+});
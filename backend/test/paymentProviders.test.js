@@ -0,0 +1,94 @@
+// Cổng thanh toán giả (Fake) và danh sách adapter
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getProvider, getMethods, getOnlineMethods, getInstantMethods } = require('../services/paymentProviders');
+const fakeProvider = require('../services/paymentProviders/fakeProvider');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
+const catalogs = { vi: require('../locales/vi'), en: require('../locales/en') };
+const { buildPayment } = require('./fixtures');
+
+const createIntent = async (payment) =>
+  fakeProvider.createIntent({ payment, baseUrl: 'http://localhost:9999' });
+
+describe('danh sách cổng thanh toán', () => {
+  it('đăng ký COD, VietQR, PayOS, tín dụng, voucher và cổng giả khi NODE_ENV=test', () => {
+    for (const method of ['COD', 'VietQR', 'PayOS', 'Fake']) {
+      assert.ok(getMethods().includes(method), method);
+    }
+    assert.equal(getProvider('Fake'), fakeProvider);
+    assert.equal(getProvider('MoMo'), null);
+  });
+
+  it('phân loại cổng online và cổng trừ tiền ngay', () => {
+    assert.ok(getOnlineMethods().includes('Fake'));
+    assert.ok(!getOnlineMethods().includes('COD'));
+    assert.ok(!getInstantMethods().includes('Fake'));
+  });
+
+  it('mọi adapter có đủ các hàm của interface', () => {
+    for (const method of getMethods()) {
+      const provider = getProvider(method);
+      for (const fn of ['isConfigured', 'createIntent', 'handleWebhook', 'queryStatus', 'refund']) {
+        assert.equal(typeof provider[fn], 'function', `${method}.${fn}`);
+      }
+    }
+  });
+});
+
+describe('cổng giả', () => {
+  beforeEach(() => fakeProvider.reset());
+
+  it('createIntent gán transactionId, lưu payment và trả link thanh toán', async () => {
+    const payment = buildPayment();
+    const result = await createIntent(payment);
+
+    assert.equal(payment.transactionId, `FAKE-${payment._id}`);
+    assert.equal(payment.saved, 1);
+    assert.equal(result.data.paymentUrl, `http://localhost:9999/fake-checkout/${payment.transactionId}`);
+  });
+
+  it('createIntent trả khóa thông báo có trong mọi ngôn ngữ', async () => {
+    const { messageKey } = await createIntent(buildPayment());
+    for (const locale of SUPPORTED_LOCALES) {
+      assert.equal(typeof catalogs[locale].messages[messageKey], 'string', `${locale}: ${messageKey}`);
+    }
+  });
+
+  it('webhook do simulate ký được chấp nhận và chuẩn hóa', async () => {
+    const payment = buildPayment();
+    await createIntent(payment);
+
+    const event = await fakeProvider.handleWebhook(fakeProvider.simulate(payment.transactionId, 'paid'));
+    assert.equal(event.status, 'paid');
+    assert.equal(event.amount, 150000);
+    assert.equal(event.reference, payment.transactionId);
+    assert.equal(event.eventId, `${payment.transactionId}:paid`);
+    assert.deepEqual(event.paymentFilter, { transactionId: payment.transactionId });
+  });
+
+  it('webhook bị sửa số tiền thì sai chữ ký', async () => {
+    const payment = buildPayment();
+    await createIntent(payment);
+
+    const { headers, payload } = fakeProvider.simulate(payment.transactionId, 'paid');
+    await assert.rejects(
+      fakeProvider.handleWebhook({ headers, payload: { ...payload, amount: 1000 } }),
+      { statusCode: 401, code: 'WEBHOOK_SIGNATURE_INVALID' }
+    );
+  });
+
+  it('simulate giao dịch không tồn tại trả 404', () => {
+    assert.throws(() => fakeProvider.simulate('FAKE-missing', 'paid'), { statusCode: 404, code: 'FAKE_TRANSACTION_NOT_FOUND' });
+  });
+
+  it('chỉ hoàn tiền được giao dịch đã thanh toán', async () => {
+    const payment = buildPayment();
+    await createIntent(payment);
+    await assert.rejects(fakeProvider.refund(payment, 50000), { code: 'FAKE_TRANSACTION_UNPAID' });
+
+    fakeProvider.simulate(payment.transactionId, 'paid');
+    const refund = await fakeProvider.refund(payment, 50000);
+    assert.equal(refund.status, 'succeeded');
+  });
+});
@@ -0,0 +1,297 @@
+// Job đối soát: đồng bộ thanh toán đang chờ với cổng (dùng cổng giả thay PayOS/VietQR) và các bước phát hiện /
+// tự đóng sai lệch (model được thay bằng dữ liệu trong bộ nhớ)
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { Payment, Order, Refund, WebhookLog, ReconciliationIssue } = require('../models');
+
+const { syncPaymentStatus, isOrderPaymentExpired } = require('../services/paymentVerificationService');
+const fakeProvider = require('../services/paymentProviders/fakeProvider');
+const {
+  checkPaymentAmounts,
+  checkWebhooks,
+  checkPaidOrders,
+  autoResolveOrderIssues
+} = require('../services/reconciliationService');
+const { buildPayment, matches, stubModel } = require('./fixtures');
+
+const createFakeTransaction = async (payment) => {
+  await fakeProvider.createIntent({ payment, baseUrl: 'http://localhost:9999' });
+  payment.saved = 0;
+  return payment;
+};
+
+describe('syncPaymentStatus với cổng giả', () => {
+  beforeEach(() => fakeProvider.reset());
+
+  it('cổng chưa ghi nhận giao dịch thì thanh toán vẫn chờ', async () => {
+    const payment = await createFakeTransaction(buildPayment());
+
+    assert.equal(await syncPaymentStatus(payment), 'pending');
+    assert.equal(payment.saved, 0);
+  });
+
+  it('cổng báo thất bại thì đánh dấu thanh toán thất bại', async () => {
+    const payment = await createFakeTransaction(buildPayment());
+    fakeProvider.simulate(payment.transactionId, 'failed');
+
+    assert.equal(await syncPaymentStatus(payment), 'failed');
+    assert.equal(payment.saved, 1);
+  });
+
+  it('không xác nhận khi số tiền cổng báo lệch Payment.amount', async () => {
+    const payment = await createFakeTransaction(buildPayment());
+    fakeProvider.simulate(payment.transactionId, 'paid');
+    payment.amount = 200000;
+
+    await assert.rejects(syncPaymentStatus(payment), {
+      statusCode: 400,
+      code: 'PAYMENT_AMOUNT_MISMATCH',
+      details: { expected: 200000, received: 150000 }
+    });
+    assert.equal(payment.status, 'pending');
+  });
+
+  it('bỏ qua thanh toán không qua cổng online hoặc chưa có mã giao dịch', async () => {
+    const cod = buildPayment({ method: 'COD' });
+    const noTransaction = buildPayment();
+
+    assert.equal(await syncPaymentStatus(cod), 'pending');
+    assert.equal(await syncPaymentStatus(noTransaction), 'pending');
+    assert.equal(cod.saved + noTransaction.saved, 0);
+  });
+});
+
+describe('isOrderPaymentExpired', () => {
+  const now = new Date('2026-01-01T10:00:00Z');
+  const past = new Date('2026-01-01T09:00:00Z');
+  const future = new Date('2026-01-01T11:00:00Z');
+
+  it('hủy đơn có thanh toán online quá hạn chưa trả', () => {
+    assert.equal(isOrderPaymentExpired([buildPayment({ expiresAt: past })], now), true);
+    assert.equal(isOrderPaymentExpired([buildPayment({ status: 'failed', expiresAt: past })], now), true);
+  });
+
+  it('giữ đơn còn thanh toán đang chờ chưa hết hạn hoặc thanh toán COD', () => {
+    assert.equal(isOrderPaymentExpired([buildPayment({ expiresAt: future })], now), false);
+    assert.equal(isOrderPaymentExpired([
+      buildPayment({ status: 'failed', expiresAt: past }),
+      buildPayment({ attempt: 2, expiresAt: future })
+    ], now), false);
+    assert.equal(isOrderPaymentExpired([
+      buildPayment({ method: 'Voucher', status: 'paid', expiresAt: past }),
+      buildPayment({ method: 'COD', expiresAt: past })
+    ], now), false);
+  });
+
+  it('hủy đơn đã trừ voucher mà phần còn lại không trả đúng hạn', () => {
+    assert.equal(isOrderPaymentExpired([buildPayment({ method: 'Voucher', status: 'paid', expiresAt: past })], now), true);
+    assert.equal(isOrderPaymentExpired([buildPayment({ method: 'Voucher', status: 'paid', expiresAt: future })], now), false);
+  });
+
+  it('không hủy đơn đã thanh toán', () => {
+    assert.equal(isOrderPaymentExpired([buildPayment({ status: 'paid', expiresAt: past })], now), false);
+  });
+});
+
+describe('các bước kiểm tra của job đối soát', () => {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const longAgo = new Date(Date.now() - 72 * 60 * 60 * 1000);
+  let payments;
+  let orders;
+  let refunds;
+  let webhookLogs;
+  let issues;
+
+  const buildOrder = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    totalPrice: 300000,
+    status: 'pending',
+    updatedAt: new Date(),
+    ...fields
+  });
+
+  const buildIssue = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    status: 'open',
+    async save() {
+      return this;
+    },
+    ...fields
+  });
+
+  beforeEach(() => {
+    payments = stubModel(mock, Payment, []);
+    orders = stubModel(mock, Order, []);
+    webhookLogs = stubModel(mock, WebhookLog, []);
+    issues = stubModel(mock, ReconciliationIssue, []);
+    refunds = [];
+
+    // Tổng tiền hoàn theo paymentId như pipeline $match / $group của service
+    mock.method(Refund, 'aggregate', async ([{ $match }]) => {
+      const totals = new Map();
+      refunds.filter(refund => matches(refund, $match)).forEach(refund => {
+        const key = refund.paymentId.toString();
+        totals.set(key, (totals.get(key) || 0) + refund.amount);
+      });
+      return [...totals].map(([id, amount]) => ({ _id: new mongoose.Types.ObjectId(id), amount }));
+    });
+    // Upsert theo dedupeKey: sai lệch đã ghi không được ghi lại
+    mock.method(ReconciliationIssue, 'updateOne', async ({ dedupeKey }, { $setOnInsert }) => {
+      if (issues.some(issue => issue.dedupeKey === dedupeKey)) return { upsertedCount: 0 };
+      issues.push(buildIssue($setOnInsert));
+      return { upsertedCount: 1 };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('checkPaymentAmounts', () => {
+    it('đánh dấu đơn có tổng các lần thanh toán lệch tổng tiền đơn, chỉ một lần', async () => {
+      const order = buildOrder();
+      orders.push(order);
+      payments.push(
+        buildPayment({ orderId: order._id, method: 'Voucher', status: 'paid', amount: 50000, updatedAt: new Date() }),
+        buildPayment({ orderId: order._id, status: 'paid', amount: 200000, updatedAt: new Date() })
+      );
+
+      assert.equal(await checkPaymentAmounts(since), 1);
+      assert.equal(await checkPaymentAmounts(since), 0);
+      assert.equal(issues.length, 1);
+      assert.equal(issues[0].type, 'amount_mismatch');
+      assert.equal(issues[0].expected, 300000);
+      assert.equal(issues[0].actual, 250000);
+      assert.equal(issues[0].provider, 'Voucher+Fake');
+    });
+
+    it('không đánh dấu đơn trả đủ hoặc còn thanh toán đang chờ chưa vượt tổng đơn', async () => {
+      const paidOrder = buildOrder();
+      const pendingOrder = buildOrder();
+      orders.push(paidOrder, pendingOrder);
+      payments.push(
+        buildPayment({ orderId: paidOrder._id, status: 'paid', amount: 300000, updatedAt: new Date() }),
+        buildPayment({ orderId: pendingOrder._id, method: 'COD', amount: 200000, updatedAt: new Date() })
+      );
+
+      assert.equal(await checkPaymentAmounts(since), 0);
+      assert.equal(issues.length, 0);
+    });
+
+    it('đánh dấu thanh toán không gắn với đơn nào', async () => {
+      const payment = buildPayment({ status: 'paid', updatedAt: new Date() });
+      payments.push(payment);
+
+      assert.equal(await checkPaymentAmounts(since), 1);
+      assert.equal(issues[0].type, 'orphaned_transaction');
+      assert.equal(issues[0].paymentId, payment._id);
+    });
+
+    it('đánh dấu số tiền đã hoàn lệch tổng các lần hoàn thành công', async () => {
+      const order = buildOrder();
+      const payment = buildPayment({
+        orderId: order._id,
+        status: 'partially_refunded',
+        amount: 300000,
+        refundedAmount: 100000,
+        updatedAt: new Date()
+      });
+      orders.push(order);
+      payments.push(payment);
+      refunds.push(
+        { paymentId: payment._id, amount: 50000, status: 'succeeded' },
+        { paymentId: payment._id, amount: 50000, status: 'failed' }
+      );
+
+      assert.equal(await checkPaymentAmounts(since), 1);
+      assert.equal(issues[0].type, 'refund_mismatch');
+      assert.equal(issues[0].expected, 50000);
+      assert.equal(issues[0].actual, 100000);
+    });
+  });
+
+  describe('checkWebhooks', () => {
+    it('đánh dấu webhook hợp lệ báo số tiền khác thanh toán', async () => {
+      const payment = buildPayment();
+      webhookLogs.push(
+        { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), outcome: 'rejected', signatureValid: true, provider: 'Fake', paymentId: payment, amount: 100000 },
+        { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), outcome: 'rejected', signatureValid: true, provider: 'Fake', paymentId: payment, amount: 150000 },
+        { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), outcome: 'rejected', signatureValid: false, provider: 'Fake', paymentId: payment, amount: 1 }
+      );
+
+      assert.equal(await checkWebhooks(since), 1);
+      assert.equal(issues[0].type, 'amount_mismatch');
+      assert.equal(issues[0].webhookLogId, webhookLogs[0]._id);
+      assert.equal(issues[0].expected, 150000);
+      assert.equal(issues[0].actual, 100000);
+    });
+
+    it('đánh dấu giao dịch không khớp thanh toán nào trong khoảng đối soát', async () => {
+      webhookLogs.push(
+        { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), outcome: 'orphaned', provider: 'Fake', amount: 80000, reason: 'Không tìm thấy giao dịch' },
+        { _id: new mongoose.Types.ObjectId(), createdAt: longAgo, outcome: 'orphaned', provider: 'Fake', amount: 80000 }
+      );
+
+      assert.equal(await checkWebhooks(since), 1);
+      assert.equal(issues[0].type, 'orphaned_transaction');
+      assert.equal(issues[0].actual, 80000);
+      assert.equal(issues[0].message, 'Không tìm thấy giao dịch');
+    });
+  });
+
+  describe('checkPaidOrders', () => {
+    it('đánh dấu đơn đã trả tiền mà người bán chưa xử lý quá hạn', async () => {
+      const stale = buildOrder({ status: 'paid', updatedAt: longAgo });
+      const fresh = buildOrder({ status: 'paid' });
+      orders.push(stale, fresh);
+      payments.push(
+        buildPayment({ orderId: stale._id, status: 'paid', amount: 300000 }),
+        buildPayment({ orderId: fresh._id, status: 'paid', amount: 300000 })
+      );
+
+      assert.equal(await checkPaidOrders(since), 1);
+      assert.equal(issues[0].type, 'paid_unfulfilled');
+      assert.equal(issues[0].orderId, stale._id);
+    });
+
+    it('đánh dấu đơn đã hủy còn tiền chưa hoàn, bỏ qua đơn đã hoàn hoặc đang hoàn đủ', async () => {
+      const unrefunded = buildOrder({ status: 'cancelled' });
+      const refunding = buildOrder({ status: 'rejected' });
+      orders.push(unrefunded, refunding);
+      const payment = buildPayment({ orderId: refunding._id, status: 'paid', amount: 300000 });
+      payments.push(buildPayment({ orderId: unrefunded._id, status: 'paid', amount: 300000 }), payment);
+      refunds.push(
+        { paymentId: payment._id, amount: 200000, status: 'succeeded' },
+        { paymentId: payment._id, amount: 100000, status: 'awaiting_transfer' }
+      );
+
+      assert.equal(await checkPaidOrders(since), 1);
+      assert.equal(issues[0].type, 'paid_cancelled');
+      assert.equal(issues[0].orderId, unrefunded._id);
+      assert.equal(issues[0].actual, 300000);
+    });
+  });
+
+  describe('autoResolveOrderIssues', () => {
+    it('tự đóng sai lệch của đơn đã được xử lý hoặc đã hoàn đủ, giữ sai lệch chưa xử lý', async () => {
+      const shipped = buildOrder({ status: 'processing' });
+      const waiting = buildOrder({ status: 'paid' });
+      const refunded = buildOrder({ status: 'cancelled' });
+      const unrefunded = buildOrder({ status: 'cancelled' });
+      orders.push(shipped, waiting, refunded, unrefunded);
+      const refundedPayment = buildPayment({ orderId: refunded._id, status: 'refunded', amount: 300000 });
+      payments.push(refundedPayment, buildPayment({ orderId: unrefunded._id, status: 'paid', amount: 300000 }));
+      refunds.push({ paymentId: refundedPayment._id, amount: 300000, status: 'succeeded' });
+      issues.push(
+        buildIssue({ type: 'paid_unfulfilled', orderId: shipped._id }),
+        buildIssue({ type: 'paid_unfulfilled', orderId: waiting._id }),
+        buildIssue({ type: 'paid_cancelled', orderId: refunded._id }),
+        buildIssue({ type: 'paid_cancelled', orderId: unrefunded._id })
+      );
+
+      assert.equal(await autoResolveOrderIssues(), 2);
+      assert.deepEqual(issues.map(issue => issue.status), ['resolved', 'open', 'resolved', 'open']);
+      assert.ok(issues[0].resolvedAt instanceof Date);
+    });
+  });
+});
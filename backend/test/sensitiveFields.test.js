@@ -0,0 +1,163 @@
+// Không phản hồi JSON nào được chứa hash mật khẩu, hash token hay bí mật 2FA
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const app = require('../app');
+const { User, Product, Store } = require('../models');
+const {
+  SENSITIVE_KEYS,
+  stripSensitiveKeys,
+  serializeUser,
+  serializeProduct,
+  serializeStore
+} = require('../serializers');
+
+// Các khóa của User.twoFactor chỉ được trả dưới dạng trạng thái bật / tắt
+const SECRET_KEYS = [...SENSITIVE_KEYS, 'secret', 'recoveryCodes'];
+
+/**
+ * Tất cả các khóa xuất hiện ở mọi cấp của một giá trị JSON
+ */
+const collectKeys = (value, keys = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectKeys(item, keys));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      keys.add(key);
+      collectKeys(child, keys);
+    });
+  }
+  return keys;
+};
+
+const assertNoSecrets = (json) => {
+  const keys = collectKeys(json);
+  const leaked = SECRET_KEYS.filter(key => keys.has(key));
+  assert.deepEqual(leaked, [], `Phản hồi chứa khóa nhạy cảm: ${leaked.join(', ')}`);
+};
+
+// Giống res.json: chuỗi hóa bằng json replacer của app rồi đọc lại như client
+const toResponseJson = (body) => JSON.parse(JSON.stringify(body, app.get('json replacer')));
+
+const buildUser = () => {
+  const user = new User({
+    username: 'seller01',
+    fullname: 'Nguyễn Văn A',
+    email: 'seller01@example.com',
+    password: '$2b$10$abcdefghijklmnopqrstuv',
+    role: 'seller',
+    twoFactor: {
+      enabled: true,
+      secret: 'encrypted-secret',
+      pendingSecret: 'encrypted-pending',
+      recoveryCodes: ['hash-1', 'hash-2']
+    }
+  });
+  user.isNew = false;
+  return user;
+};
+
+describe('serializer người dùng', () => {
+  for (const view of ['public', 'owner', 'admin']) {
+    it(`view ${view} không chứa mật khẩu và bí mật 2FA`, () => {
+      assertNoSecrets(toResponseJson(serializeUser(buildUser(), view)));
+    });
+  }
+
+  it('view public chỉ có thông tin công khai', () => {
+    const json = toResponseJson(serializeUser(buildUser(), 'public'));
+    assert.equal(json.username, 'seller01');
+    assert.equal(json.email, undefined);
+    assert.equal(json.twoFactor, undefined);
+  });
+
+  it('view owner chỉ trả trạng thái 2FA', () => {
+    const json = toResponseJson(serializeUser(buildUser(), 'owner'));
+    assert.equal(json.email, 'seller01@example.com');
+    Object.keys(json.twoFactor).forEach(key => assert.ok(['enabled', 'enabledAt'].includes(key), key));
+    assert.equal(json.twoFactor.enabled, true);
+  });
+
+  it('giữ nguyên tham chiếu chưa populate', () => {
+    const id = new mongoose.Types.ObjectId();
+    assert.equal(serializeUser(id), id);
+  });
+});
+
+describe('serializer sản phẩm và cửa hàng', () => {
+  it('người bán được populate vào sản phẩm không lộ mật khẩu / email', () => {
+    const product = new Product({
+      title: 'Áo thun',
+      description: 'Cotton',
+      price: 100000,
+      categoryId: new mongoose.Types.ObjectId(),
+      sellerId: new mongoose.Types.ObjectId()
+    });
+    const json = toResponseJson(serializeProduct({ ...product.toObject(), sellerId: buildUser() }));
+    assertNoSecrets(json);
+    assert.equal(json.sellerId.username, 'seller01');
+    assert.equal(json.sellerId.email, undefined);
+  });
+
+  it('chủ cửa hàng được populate vào cửa hàng không lộ mật khẩu', () => {
+    const store = new Store({ sellerId: new mongoose.Types.ObjectId(), storeName: 'Shop A' });
+    for (const view of ['public', 'owner', 'admin']) {
+      assertNoSecrets(toResponseJson(serializeStore({ ...store.toObject(), sellerId: buildUser() }, view)));
+    }
+  });
+});
+
+describe('json replacer của app', () => {
+  it('được cấu hình cho mọi phản hồi', () => {
+    assert.equal(app.get('json replacer'), stripSensitiveKeys);
+  });
+
+  it('xóa khóa nhạy cảm ở mọi cấp, kể cả trong mảng và document chưa serialize', () => {
+    const raw = buildUser().toObject({ transform: false });
+    const json = toResponseJson({
+      user: raw,
+      members: [{ inviteTokenHash: 'x', user: raw }],
+      session: { tokenHash: 'a', previousTokenHash: 'b' }
+    });
+    assert.equal(json.user.password, undefined);
+    assert.equal(json.user.twoFactor.pendingSecret, undefined);
+    assert.equal(json.members[0].inviteTokenHash, undefined);
+    assert.equal(json.members[0].user.password, undefined);
+    assert.deepEqual(json.session, {});
+  });
+});
+
+describe('phản hồi HTTP', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  // Các route trả lời được mà không cần MongoDB (tài liệu OpenAPI có khai báo trường password của request nên không kiểm tra)
+  const cases = [
+    ['GET', '/api/v1/nope'],
+    ['GET', '/api/v1/buyers/cart'],
+    ['GET', '/api/v1/admin/users'],
+    ['POST', '/api/v1/auth/login', '{}'],
+    ['POST', '/api/v1/auth/register', '{"password":"123"}'],
+    ['POST', '/api/v1/auth/login', '{bad json']
+  ];
+
+  for (const [method, path, body] of cases) {
+    it(`${method} ${path} không chứa khóa nhạy cảm`, async () => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body ? { 'content-type': 'application/json' } : {},
+        body
+      });
+      assertNoSecrets(await response.json());
+    });
+  }
+});
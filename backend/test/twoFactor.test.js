@@ -0,0 +1,126 @@
+// Xác thực hai bước: mã TOTP theo RFC 6238, chặn dùng lại mã theo lastUsedStep và mã khôi phục dùng một lần
+// (model User được thay bằng dữ liệu trong bộ nhớ)
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { User } = require('../models');
+const { generateCode, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
+const twoFactorService = require('../services/twoFactorService');
+const { stubModel } = require('./fixtures');
+
+// Secret ASCII "12345678901234567890" của RFC 6238 (SHA1) ở dạng base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+describe('TOTP theo RFC 6238', () => {
+  // Phụ lục B của RFC 6238 (mã 8 chữ số, ở đây lấy 6 chữ số cuối)
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ];
+
+  for (const [seconds, code] of vectors) {
+    it(`T = ${seconds}s cho mã ${code}`, () => {
+      assert.equal(generateCode(RFC_SECRET, Math.floor(seconds / 30)), code);
+      assert.equal(verifyCode(RFC_SECRET, code, { time: seconds * 1000 }), Math.floor(seconds / 30));
+    });
+  }
+
+  it('chấp nhận lệch một bước, từ chối lệch hai bước', () => {
+    const time = 1111111111 * 1000;
+    assert.equal(verifyCode(RFC_SECRET, '050471', { time: time + STEP_MS }), 37037037);
+    assert.equal(verifyCode(RFC_SECRET, '050471', { time: time - STEP_MS }), 37037037);
+    assert.equal(verifyCode(RFC_SECRET, '050471', { time: time + 2 * STEP_MS }), null);
+  });
+
+  it('bỏ khoảng trắng và từ chối mã sai định dạng', () => {
+    assert.equal(verifyCode(RFC_SECRET, '050 471', { time: 1111111111 * 1000 }), 37037037);
+    assert.equal(verifyCode(RFC_SECRET, '05047', { time: 1111111111 * 1000 }), null);
+    assert.equal(verifyCode(RFC_SECRET, 'abcdef', { time: 1111111111 * 1000 }), null);
+    assert.equal(verifyCode(RFC_SECRET, undefined), null);
+  });
+
+  it('URL otpauth có secret, issuer và tham số của thuật toán', () => {
+    const url = buildOtpAuthUrl(RFC_SECRET, { issuer: 'Shopii', account: 'a@example.com' });
+    assert.equal(url, `otpauth://totp/Shopii%3Aa%40example.com?secret=${RFC_SECRET}&issuer=Shopii&algorithm=SHA1&digits=6&period=30`);
+  });
+});
+
+describe('twoFactorService', () => {
+  let user;
+  let secret;
+  let recoveryCodes;
+  let step;
+
+  const login = (params) =>
+    twoFactorService.completeLoginChallenge(twoFactorService.createLoginChallenge(user), params);
+
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  beforeEach(async () => {
+    user = new User({ username: 'buyer01', email: 'buyer01@example.com', password: 'x', role: 'buyer' });
+    user.isNew = false;
+    stubModel(mock, User, [user]);
+
+    ({ secret } = await twoFactorService.startSetup(user._id));
+    step = Math.floor(Date.now() / STEP_MS);
+    recoveryCodes = await twoFactorService.enable(user._id, generateCode(secret, step));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('bật 2FA với mã đầu tiên, lưu secret đã mã hóa và băm mã khôi phục', () => {
+    assert.equal(user.twoFactor.enabled, true);
+    assert.notEqual(user.twoFactor.secret, secret);
+    assert.equal(user.twoFactor.pendingSecret, undefined);
+    assert.equal(user.twoFactor.lastUsedStep, step);
+    assert.equal(recoveryCodes.length, 10);
+    recoveryCodes.forEach(code => assert.ok(!user.twoFactor.recoveryCodes.includes(code)));
+  });
+
+  it('mã đã dùng để bật 2FA không dùng lại được để đăng nhập', async () => {
+    await assert.rejects(login({ code: generateCode(secret, step) }), { statusCode: 401, code: 'TWO_FACTOR_CODE_INVALID' });
+  });
+
+  it('mỗi bước thời gian chỉ đăng nhập được một lần và không quay lại bước cũ', async () => {
+    const next = generateCode(secret, step + 1);
+    const { user: signedIn, mode } = await login({ code: next });
+    assert.equal(signedIn, user);
+    assert.equal(mode, 'login');
+    assert.equal(user.twoFactor.lastUsedStep, step + 1);
+
+    await assert.rejects(login({ code: next }), { code: 'TWO_FACTOR_CODE_INVALID' });
+    await assert.rejects(login({ code: generateCode(secret, step) }), { code: 'TWO_FACTOR_CODE_INVALID' });
+  });
+
+  it('mã khôi phục dùng được một lần, không phân biệt hoa thường và dấu gạch', async () => {
+    const [first, second] = recoveryCodes;
+
+    await login({ recoveryCode: first });
+    assert.equal(user.twoFactor.recoveryCodes.length, 9);
+    await assert.rejects(login({ recoveryCode: first }), { code: 'TWO_FACTOR_CODE_INVALID' });
+
+    await login({ recoveryCode: second.replace('-', '').toUpperCase() });
+    assert.equal(twoFactorService.getStatus(user).recoveryCodesRemaining, 8);
+  });
+
+  it('tạo lại mã khôi phục làm bộ cũ hết hiệu lực', async () => {
+    const fresh = await twoFactorService.regenerateRecoveryCodes(user._id, generateCode(secret, step + 1));
+
+    await assert.rejects(login({ recoveryCode: recoveryCodes[0] }), { code: 'TWO_FACTOR_CODE_INVALID' });
+    await login({ recoveryCode: fresh[0] });
+  });
+
+  it('token thử thách sai hoặc không đúng mục đích bị từ chối', async () => {
+    await assert.rejects(
+      twoFactorService.completeLoginChallenge('invalid', { code: generateCode(secret, step + 1) }),
+      { statusCode: 401, code: 'TWO_FACTOR_CHALLENGE_EXPIRED' }
+    );
+  });
+});
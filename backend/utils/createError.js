@@ -0,0 +1,19 @@
+// createError.js
+// Tạo Error kèm statusCode và mã lỗi để service / controller báo lỗi nghiệp vụ;
+// middleware/errorMiddleware.js dịch mã sang thông báo theo ngôn ngữ của request
+const { DEFAULT_LOCALE, translate } = require("./i18n");
+
+/**
+ * @param {Number} statusCode - Mã HTTP trả về cho client
+ * @param {String} code - Mã lỗi ổn định, là khóa trong nhóm "errors" của locales/*.js (ví dụ "ORDER_NOT_FOUND")
+ * @param {Object} [details] - Tham số cho thông báo, đồng thời được đính kèm phản hồi
+ */
+const createError = (statusCode, code, details) => {
+  const error = new Error(translate(DEFAULT_LOCALE, `errors.${code}`, details));
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+module.exports = createError;
@@ -0,0 +1,3 @@
+// email.js
+// Giữ đường dẫn cũ cho các controller đang import từ utils
+module.exports = require("../services/emailService");
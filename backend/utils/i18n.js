@@ -0,0 +1,57 @@
+// i18n.js
+// Dịch thông báo API theo bộ thông điệp trong locales/ (vi, en); ngôn ngữ chọn theo header Accept-Language
+const catalogs = {
+  vi: require("../locales/vi"),
+  en: require("../locales/en"),
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : "vi";
+
+/**
+ * Chọn ngôn ngữ hỗ trợ có trọng số q cao nhất trong Accept-Language, ví dụ "en-US,en;q=0.9,vi;q=0.8" → "en"
+ * @param {String} [header]
+ * @returns {String}
+ */
+const resolveLocale = (header) => {
+  if (!header) return DEFAULT_LOCALE;
+  const candidates = header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...options] = part.trim().split(";");
+      const quality = options.map((option) => option.trim()).find((option) => option.startsWith("q="));
+      return { language: tag.toLowerCase().split("-")[0], q: quality ? Number(quality.slice(2)) : 1, index };
+    })
+    .filter((candidate) => candidate.q > 0 && SUPPORTED_LOCALES.includes(candidate.language))
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  return candidates.length > 0 ? candidates[0].language : DEFAULT_LOCALE;
+};
+
+const lookup = (locale, key) =>
+  key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalogs[locale]);
+
+/**
+ * Lấy thông điệp theo khóa "nhóm.MÃ" (ví dụ "errors.ORDER_NOT_FOUND") và thay {tham_số}.
+ * Thiếu bản dịch thì dùng ngôn ngữ mặc định, thiếu cả hai thì trả lại khóa.
+ * @param {String} locale
+ * @param {String} key
+ * @param {Object} [params]
+ * @returns {String}
+ */
+const translate = (locale, key, params = {}) => {
+  const template = lookup(locale, key) || lookup(DEFAULT_LOCALE, key);
+  if (typeof template !== "string") return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined || params[name] === null ? match : String(params[name])
+  );
+};
+
+const hasMessage = (key) => typeof lookup(DEFAULT_LOCALE, key) === "string";
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  translate,
+  hasMessage,
+};
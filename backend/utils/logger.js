@@ -0,0 +1,17 @@
+// logger.js
+// Ghi log ra console kèm thời gian và mức độ log
+
+const format = (level, args) => [`[${new Date().toISOString()}] [${level}]`, ...args];
+
+const logger = {
+  info: (...args) => console.log(...format("INFO", args)),
+  warn: (...args) => console.warn(...format("WARN", args)),
+  error: (...args) => console.error(...format("ERROR", args)),
+  debug: (...args) => {
+    if (process.env.NODE_ENV !== "production") {
+      console.debug(...format("DEBUG", args));
+    }
+  },
+};
+
+module.exports = logger;
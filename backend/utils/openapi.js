@@ -0,0 +1,190 @@
+// openapi.js
+// Sinh tài liệu OpenAPI 3.0 bằng cách duyệt các router: schema lấy từ validate(), bảo mật từ authMiddleware,
+// quyền từ requirePermission / requireStoreRole, nên tài liệu luôn khớp với những gì server thực sự kiểm tra
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { version } = require("../package.json");
+const messages = require("../locales/vi");
+
+const OBJECT_ID_PATTERN = "^[0-9a-fA-F]{24}$";
+// Mã lỗi ổn định trong trường "code" của phản hồi lỗi
+const ERROR_CODES = Object.keys(messages.errors);
+const VALIDATION_CODES = Object.keys(messages.validation);
+
+const mapValues = (object, fn) =>
+  Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+
+// Đổi schema nội bộ sang schema OpenAPI: format objectId thành pattern, bỏ cờ required đặt trên từng tham số
+const toOpenApiSchema = (schema) => {
+  const { required, format, ...result } = schema;
+  if (format === "objectId") result.pattern = OBJECT_ID_PATTERN;
+  else if (format) result.format = format;
+  if (Array.isArray(required)) result.required = required;
+  if (result.items) result.items = toOpenApiSchema(result.items);
+  if (result.properties) result.properties = mapValues(result.properties, toOpenApiSchema);
+  return result;
+};
+
+// /orders/:id/cancel → /orders/{id}/cancel
+const toOpenApiPath = (mountPath, routePath) =>
+  `${mountPath}${routePath === "/" ? "" : routePath}`.replace(/:(\w+)/g, "{$1}");
+
+const pathParamNames = (path) => Array.from(path.matchAll(/\{(\w+)\}/g), (match) => match[1]);
+
+const toParameters = (path, schema) => {
+  const params = schema.params || {};
+  const pathParameters = pathParamNames(path).map((name) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: params[name] ? toOpenApiSchema(params[name]) : { type: "string" },
+  }));
+  const queryParameters = Object.entries(schema.query || {}).map(([name, fieldSchema]) => ({
+    name,
+    in: "query",
+    required: Boolean(fieldSchema.required),
+    ...(fieldSchema.description ? { description: fieldSchema.description } : {}),
+    schema: toOpenApiSchema(fieldSchema),
+    // Mảng trong query viết dạng a,b,c
+    ...(fieldSchema.type === "array" ? { style: "form", explode: false } : {}),
+  }));
+  return [...pathParameters, ...queryParameters];
+};
+
+const toRequestBody = (schema) => {
+  if (schema.form) {
+    return { required: true, content: { "multipart/form-data": { schema: toOpenApiSchema(schema.form) } } };
+  }
+  if (schema.body) {
+    return {
+      required: Boolean(schema.body.required),
+      content: { "application/json": { schema: toOpenApiSchema(schema.body) } },
+    };
+  }
+  return undefined;
+};
+
+/**
+ * Liệt kê route của một router con kèm toàn bộ middleware áp dụng (router.use phía trên + handler của route)
+ */
+const collectRoutes = (mountPath, router) => {
+  const inherited = [];
+  const routes = [];
+  router.stack.forEach((layer) => {
+    if (!layer.route) {
+      inherited.push(layer.handle);
+      return;
+    }
+    const handlers = [...inherited, ...layer.route.stack.map((routeLayer) => routeLayer.handle)];
+    Object.keys(layer.route.methods).forEach((method) => {
+      routes.push({ method, path: toOpenApiPath(mountPath, layer.route.path), handlers });
+    });
+  });
+  return routes;
+};
+
+const buildOperation = (tag, path, handlers) => {
+  const schema = (handlers.find((handler) => handler.schema) || {}).schema || {};
+  const secured = handlers.includes(authMiddleware);
+  const permissions = handlers.flatMap((handler) => handler.permissions || []);
+  const storeRoleHandler = handlers.find((handler) => handler.storeRoles);
+
+  const notes = [];
+  if (permissions.length > 0) notes.push(`Quyền cần có: ${permissions.join(", ")}`);
+  if (storeRoleHandler) {
+    notes.push(
+      storeRoleHandler.storeRoles.length > 0
+        ? `Chủ cửa hàng hoặc nhân viên có vai trò: ${storeRoleHandler.storeRoles.join(", ")}`
+        : "Chỉ chủ cửa hàng"
+    );
+  }
+
+  const parameters = toParameters(path, schema);
+  if (storeRoleHandler) {
+    parameters.push({
+      name: "X-Store-Id",
+      in: "header",
+      required: false,
+      description: "Cửa hàng đang thao tác, bắt buộc khi là nhân viên của nhiều cửa hàng",
+      schema: { type: "string", pattern: OBJECT_ID_PATTERN },
+    });
+  }
+
+  const responses = { "2XX": { description: "Thành công" } };
+  if (schema.params || schema.query || schema.body) responses["400"] = { $ref: "#/components/responses/ValidationError" };
+  if (secured) responses["401"] = { $ref: "#/components/responses/Unauthorized" };
+  if (permissions.length > 0 || storeRoleHandler) responses["403"] = { $ref: "#/components/responses/Forbidden" };
+
+  const requestBody = toRequestBody(schema);
+  return {
+    tags: [tag],
+    ...(schema.summary ? { summary: schema.summary } : {}),
+    ...(notes.length > 0 ? { description: notes.join(". ") } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    ...(secured ? { security: [{ bearerAuth: [] }] } : {}),
+    responses,
+  };
+};
+
+const errorResponse = (description, extraProperties = {}) => ({
+  description,
+  content: {
+    "application/json": {
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean", enum: [false] },
+          code: { type: "string", enum: ERROR_CODES },
+          message: { type: "string", description: "Thông báo theo ngôn ngữ chọn bằng Accept-Language" },
+          ...extraProperties,
+        },
+      },
+    },
+  },
+});
+
+/**
+ * Dựng tài liệu OpenAPI từ danh sách [đường dẫn, router] đã gắn vào /api/v1 (routes/index.js)
+ * @param {Array} mounts
+ * @returns {Object}
+ */
+const buildOpenApiDocument = (mounts) => {
+  const paths = {};
+  mounts.forEach(([mountPath, router]) => {
+    const tag = mountPath.slice(1);
+    collectRoutes(mountPath, router).forEach(({ method, path, handlers }) => {
+      paths[path] = paths[path] || {};
+      paths[path][method] = buildOperation(tag, path, handlers);
+    });
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: { title: "ProjectSDN_BL5 API", version },
+    servers: [{ url: "/api/v1" }],
+    tags: mounts.map(([mountPath]) => ({ name: mountPath.slice(1) })),
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } },
+      responses: {
+        ValidationError: errorResponse("Dữ liệu không hợp lệ (code VALIDATION_ERROR)", {
+          errors: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                field: { type: "string" },
+                code: { type: "string", enum: VALIDATION_CODES },
+                message: { type: "string" },
+              },
+            },
+          },
+        }),
+        Unauthorized: errorResponse("Chưa đăng nhập hoặc token không hợp lệ"),
+        Forbidden: errorResponse("Không đủ quyền"),
+      },
+    },
+  };
+};
+
+module.exports = { buildOpenApiDocument };
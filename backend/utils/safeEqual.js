@@ -0,0 +1,16 @@
+// safeEqual.js
+// So sánh chuỗi trong thời gian không đổi (chữ ký, mật khẩu webhook) để tránh timing attack
+const crypto = require("crypto");
+
+/**
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+module.exports = safeEqual;
@@ -0,0 +1,178 @@
+// schema.js
+// Mô tả dữ liệu đầu vào bằng một tập con JSON Schema (tương thích OpenAPI 3.0): cùng một schema vừa dùng để
+// kiểm tra request (middleware/validateMiddleware.js) vừa dùng để sinh tài liệu OpenAPI (utils/openapi.js)
+const mongoose = require("mongoose");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// --- Khai báo schema ---
+
+const objectId = (description) => ({ type: "string", format: "objectId", description });
+
+const string = (options = {}) => ({ type: "string", ...options });
+
+const email = () => ({ type: "string", format: "email", maxLength: 254 });
+
+const dateTime = (description) => ({ type: "string", format: "date-time", description });
+
+const integer = (options = {}) => ({ type: "integer", ...options });
+
+const number = (options = {}) => ({ type: "number", ...options });
+
+const boolean = (description) => ({ type: "boolean", description });
+
+const oneOf = (values, description) => ({ type: "string", enum: [...values], description });
+
+const array = (items, options = {}) => ({ type: "array", items, ...options });
+
+/**
+ * Object với danh sách trường; trường không khai báo bị loại bỏ khỏi body trừ khi additionalProperties = true
+ * @param {Object} properties
+ * @param {Object} [options] - { required: [..], additionalProperties, description }
+ */
+const object = (properties, { required = [], additionalProperties = false, description } = {}) => ({
+  type: "object",
+  properties,
+  ...(required.length > 0 ? { required } : {}),
+  additionalProperties,
+  ...(description ? { description } : {}),
+});
+
+// Tham số phân trang dùng chung cho query
+const pagination = (maxLimit = 100) => ({
+  page: integer({ minimum: 1 }),
+  limit: integer({ minimum: 1, maximum: maxLimit }),
+});
+
+// Tham số đường dẫn là ID MongoDB, ví dụ objectIdParams("id") cho /:id
+const objectIdParams = (...names) =>
+  names.reduce((params, name) => ({ ...params, [name]: objectId() }), {});
+
+// --- Kiểm tra dữ liệu ---
+
+// Query và params luôn là chuỗi: đổi sang kiểu khai báo trước khi kiểm tra
+const coerce = (schema, value) => {
+  if (typeof value !== "string") return value;
+  if ((schema.type === "integer" || schema.type === "number") && value.trim() !== "" && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === "boolean" && (value === "true" || value === "false")) return value === "true";
+  if (schema.type === "array") return value.split(",");
+  return value;
+};
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case "string": return typeof value === "string";
+    case "integer": return Number.isInteger(value);
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "boolean": return typeof value === "boolean";
+    case "array": return Array.isArray(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    default: return true;
+  }
+};
+
+// Trả mã lỗi (nhóm "validation" trong locales/*.js) nếu giá trị sai định dạng
+const checkFormat = (format, value) => {
+  switch (format) {
+    case "objectId": return mongoose.isValidObjectId(value) ? null : "INVALID_OBJECT_ID";
+    case "email": return EMAIL_PATTERN.test(value) ? null : "INVALID_EMAIL";
+    case "date-time":
+    case "date": return isNaN(new Date(value).getTime()) ? "INVALID_DATE" : null;
+    default: return null;
+  }
+};
+
+/**
+ * Kiểm tra một giá trị theo schema, ghi lỗi { field, code, params } vào errors và trả giá trị đã chuẩn hóa
+ * (đã đổi kiểu nếu coerce, đã bỏ trường không khai báo). Thông báo được dịch ở errorMiddleware.
+ * @param {Object} schema
+ * @param {*} input
+ * @param {String} field - Đường dẫn trường để báo lỗi, ví dụ "body.items[0].quantity"
+ * @param {Array} errors
+ * @param {Object} [options] - { coerce: Boolean }
+ */
+const check = (schema, input, field, errors, options = {}) => {
+  const value = options.coerce ? coerce(schema, input) : input;
+  if (value === null && schema.nullable) return value;
+
+  if (!matchesType(schema.type, value)) {
+    errors.push({ field, code: "INVALID_TYPE", params: { type: schema.type } });
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, code: "INVALID_ENUM", params: { values: schema.enum.join(", ") } });
+    return value;
+  }
+
+  if (schema.type === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? { field, code: "EMPTY" } : { field, code: "MIN_LENGTH", params: { min: schema.minLength } });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, code: "MAX_LENGTH", params: { max: schema.maxLength } });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, code: "INVALID_FORMAT" });
+    }
+    const formatError = schema.format && checkFormat(schema.format, value);
+    if (formatError) errors.push({ field, code: formatError });
+    return value;
+  }
+
+  if (schema.type === "integer" || schema.type === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, code: "MINIMUM", params: { min: schema.minimum } });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, code: "MAXIMUM", params: { max: schema.maximum } });
+    }
+    return value;
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, code: "MIN_ITEMS", params: { min: schema.minItems } });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, code: "MAX_ITEMS", params: { max: schema.maxItems } });
+    }
+    return schema.items
+      ? value.map((item, index) => check(schema.items, item, `${field}[${index}]`, errors, options))
+      : value;
+  }
+
+  if (schema.type === "object") {
+    const properties = schema.properties || {};
+    const result = schema.additionalProperties ? { ...value } : {};
+    (schema.required || []).forEach((name) => {
+      if (value[name] === undefined || value[name] === null || value[name] === "") {
+        errors.push({ field: `${field}.${name}`, code: "REQUIRED" });
+      }
+    });
+    Object.entries(properties).forEach(([name, propertySchema]) => {
+      if (value[name] === undefined || (value[name] === null && !propertySchema.nullable)) return;
+      result[name] = check(propertySchema, value[name], `${field}.${name}`, errors, options);
+    });
+    return result;
+  }
+
+  return value;
+};
+
+module.exports = {
+  objectId,
+  string,
+  email,
+  dateTime,
+  integer,
+  number,
+  boolean,
+  oneOf,
+  array,
+  object,
+  pagination,
+  objectIdParams,
+  check,
+};
@@ -0,0 +1,13 @@
+// validateEmail.js
+// Kiểm tra định dạng email khi người dùng đăng ký hoặc đổi email
+
+/**
+ * @param {String} email
+ * @returns {Boolean}
+ */
+const validateEmail = (email) => {
+  const re = /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
+  return re.test(String(email).toLowerCase());
+};
+
+module.exports = validateEmail;